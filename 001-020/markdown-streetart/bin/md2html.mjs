@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * MD2HTML CLI
+ * ============================================
+ *
+ * Konversi batch: semua file .md di folder input (termasuk subfolder)
+ * menjadi .html di folder output dengan struktur folder yang sama.
+ * Memakai parser & sanitizer yang sama dengan preview (lib/markdown.mjs).
+ *
+ * PEMAKAIAN:
+ *   node bin/md2html.mjs in/ out/ [--profile strict|default|trusted] [--fragment]
+ *
+ *   --profile   Profil sanitizer (default: default)
+ *   --fragment  Tulis HTML isi saja, tanpa <html>/<head>/CSS
+ *
+ * Tag/atribut yang dibuang sanitizer dilaporkan ke stderr sebagai
+ * file:baris: pesan. Exit code 1 jika argumen salah atau ada file gagal.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. process.argv tanpa library argument parser
+ * 2. fs/promises: readdir rekursif manual, mkdir { recursive: true }
+ */
+
+import { readdir, readFile, writeFile, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { convert, HTMLSanitizer } from '../lib/markdown.mjs';
+
+const USAGE = 'Pemakaian: node bin/md2html.mjs <folder-input> <folder-output> [--profile strict|default|trusted] [--fragment]';
+
+// CSS aplikasi di-inline, sama seperti Export > .html
+const STYLE_FILE = fileURLToPath(new URL('../css/style.css', import.meta.url));
+
+/**
+ * PARSE ARGS
+ *
+ * @param {Array<string>} args - process.argv tanpa node & nama script
+ * @returns {Object} - { input, output, profile, fragment }
+ */
+function parseArgs(args) {
+    const options = { profile: 'default', fragment: false };
+    const paths = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--profile') {
+            options.profile = args[++i];
+        } else if (arg.startsWith('--profile=')) {
+            options.profile = arg.slice('--profile='.length);
+        } else if (arg === '--fragment') {
+            options.fragment = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Opsi tidak dikenal: ${arg}`);
+        } else {
+            paths.push(arg);
+        }
+    }
+
+    if (paths.length !== 2) {
+        throw new Error('Butuh tepat 2 folder: input dan output');
+    }
+    if (!options.profile || !HTMLSanitizer.profiles[options.profile]) {
+        throw new Error(`Profil sanitizer "${options.profile}" tidak ada (${Object.keys(HTMLSanitizer.profiles).join(', ')})`);
+    }
+
+    [options.input, options.output] = paths;
+    return options;
+}
+
+/**
+ * FIND MARKDOWN FILES
+ *
+ * @param {string} dir
+ * @returns {Promise<Array<string>>} - Path relatif terhadap dir, urut
+ */
+async function findMarkdownFiles(dir) {
+    const files = [];
+    const walk = async (relative) => {
+        const entries = await readdir(path.join(dir, relative), { withFileTypes: true });
+        for (const entry of entries) {
+            const name = path.join(relative, entry.name);
+            if (entry.isDirectory()) {
+                await walk(name);
+            } else if (entry.isFile() && /\.(md|markdown)$/i.test(entry.name)) {
+                files.push(name);
+            }
+        }
+    };
+    await walk('');
+    return files.sort();
+}
+
+/**
+ * TO DOCUMENT
+ *
+ * Judul: heading level 1 pertama (ATX), atau nama file.
+ *
+ * @param {string} body - HTML hasil convert
+ * @param {string} markdown
+ * @param {string} fallbackTitle
+ * @param {string} css
+ * @returns {string}
+ */
+function toDocument(body, markdown, fallbackTitle, css) {
+    const heading = /^ {0,3}# +(.+?)(?: +#+)? *$/m.exec(markdown);
+    const title = heading ? HTMLSanitizer.stripTags(convert(heading[1])).trim() : fallbackTitle;
+
+    return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="Markdown StreetArt">
+<title>${HTMLSanitizer.escapeHTML(title || fallbackTitle)}</title>
+<style>
+${css.replace(/<\/style/gi, '<\\/style')}
+</style>
+</head>
+<body>
+<main class="preview-content">
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        if (!(await stat(options.input)).isDirectory()) {
+            throw new Error(`${options.input} bukan folder`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.code === 'ENOENT' ? `Folder ${options.input} tidak ada` : error.message}`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    const css = options.fragment ? '' : await readFile(STYLE_FILE, 'utf8');
+    const files = await findMarkdownFiles(options.input);
+    let failed = 0;
+    let warnings = 0;
+
+    for (const file of files) {
+        const target = path.join(options.output, file.replace(/\.(md|markdown)$/i, '.html'));
+        try {
+            const markdown = await readFile(path.join(options.input, file), 'utf8');
+            const { html, removed } = convert(markdown, { profile: options.profile, report: true });
+
+            removed.forEach(item => {
+                const location = item.line === null ? file : `${file}:${item.line}`;
+                console.warn(`⚠️ ${location}: ${HTMLSanitizer.describe(item)}`);
+            });
+            warnings += removed.length;
+
+            await mkdir(path.dirname(target), { recursive: true });
+            await writeFile(target, options.fragment
+                ? html
+                : toDocument(html, markdown, path.basename(file, path.extname(file)), css));
+        } catch (error) {
+            console.error(`❌ ${file}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`✓ ${files.length - failed} file dikonversi ke ${options.output} (profil ${options.profile}, ${warnings} peringatan sanitizer)`);
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
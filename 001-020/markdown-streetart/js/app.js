@@ -48,6 +48,45 @@ const App = {
      */
     debounceDelay: 300,
     
+    /**
+     * BLOCK NODES
+     * 
+     * key block -> { html, nodes, removed } yang sedang tampil di preview,
+     * agar preview bisa di-patch per block
+     */
+    blockNodes: new Map(),
+    
+    /**
+     * PERINGATAN SANITIZER
+     * 
+     * Tag/atribut yang dibuang sanitizer dari block yang tampil,
+     * format sama dengan hasil LinkChecker: { type, message, line }
+     */
+    previewWarnings: [],
+    
+    /**
+     * PARSE DI WEB WORKER
+     * 
+     * true = parsing di js/parser-worker.js agar UI tidak tersendat.
+     * Jika Worker tidak tersedia (browser lama, dibuka via file://),
+     * otomatis kembali ke main thread.
+     */
+    useWorker: true,
+    worker: null,
+    
+    /**
+     * REQUEST ID
+     * 
+     * Naik setiap updatePreview(). Hasil worker dengan id lebih lama
+     * berasal dari ketikan yang sudah usang dan dibuang.
+     */
+    requestId: 0,
+    
+    /**
+     * Promise updatePreview() yang menunggu hasil worker: { id, resolve }
+     */
+    previewWaiters: [],
+    
     /**
      * INIT: Initialize aplikasi
      * 
@@ -59,12 +98,37 @@ const App = {
         // Cache DOM elements
         this.cacheElements();
         
+        // Jalankan parser di Web Worker jika bisa
+        if (this.useWorker) {
+            this.startWorker();
+        }
+        
         // Setup event listeners
         this.setupEventListeners();
         
+        // Scroll editor & preview saling mengikuti
+        ScrollSync.init();
+        
+        // Statistik & masalah link di bawah preview
+        StatsPanel.init();
+        ProblemsPanel.init();
+        
         // Initial render (jika ada default content)
         this.updatePreview();
         
+        // Load dokumen tersimpan (async, akan memanggil setContent)
+        Workspace.init();
+        RevisionHistory.init();
+        Exporter.init();
+        
+        // Command registry, keymap & palette (Ctrl+Shift+P)
+        Commands.init();
+        CommandPalette.init();
+        KeymapEditor.init();
+        
+        // Preview disembunyikan di sesi sebelumnya?
+        this.setPreviewHidden(Boolean(DocumentStore.loadSettings().previewHidden));
+        
         console.log('✅ Markdown StreetArt - Ready!');
     },
     
@@ -87,6 +151,99 @@ const App = {
         console.log('✓ DOM elements cached');
     },
     
+    /**
+     * START WORKER
+     * 
+     * Buat Web Worker untuk parsing. Gagal = tetap di main thread.
+     */
+    startWorker: function() {
+        if (typeof Worker === 'undefined') {
+            console.log('ℹ️ Web Worker not available, parsing on main thread');
+            return;
+        }
+        
+        try {
+            this.worker = new Worker('js/parser-worker.js');
+        } catch (error) {
+            // Contoh: Chrome menolak Worker dari halaman file://
+            console.warn('⚠️ Cannot start parser worker:', error.message);
+            this.worker = null;
+            return;
+        }
+        
+        this.worker.addEventListener('message', (e) => {
+            this.handleWorkerMessage(e.data);
+        });
+        
+        // Error saat load script worker: matikan dan render ulang di main thread
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            console.warn('⚠️ Parser worker failed, falling back to main thread:', e.message);
+            this.stopWorker();
+            this.updatePreview();
+        });
+        
+        console.log('✓ Parser worker started');
+    },
+    
+    /**
+     * STOP WORKER
+     */
+    stopWorker: function() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    },
+    
+    /**
+     * HANDLE WORKER MESSAGE
+     * 
+     * @param {Object} data - { id, blocks, stats, problems } atau { id, error }
+     */
+    handleWorkerMessage: function(data) {
+        // Hasil dari ketikan lama: sudah ada request yang lebih baru
+        if (data.id !== this.requestId) {
+            return;
+        }
+        
+        if (data.error) {
+            console.error('❌ Error in parser worker:', data.error);
+            this.showError(data.error);
+            this.resolvePreviewWaiters(data.id);
+            return;
+        }
+        
+        try {
+            this.patchPreview(data.blocks);
+            this.elements.preview.classList.remove('empty');
+            StatsPanel.update(data.stats);
+            ProblemsPanel.update(data.problems.concat(this.previewWarnings));
+        } catch (error) {
+            console.error('❌ Error updating preview:', error);
+            this.showError(error.message);
+        }
+        this.resolvePreviewWaiters(data.id);
+    },
+    
+    /**
+     * RESOLVE PREVIEW WAITERS
+     * 
+     * Preview sudah sesuai request `id`: request sebelumnya juga selesai
+     * (hasilnya sudah digantikan oleh yang lebih baru).
+     * 
+     * @param {number} id
+     */
+    resolvePreviewWaiters: function(id) {
+        this.previewWaiters = this.previewWaiters.filter(waiter => {
+            if (waiter.id <= id) {
+                waiter.resolve();
+                return false;
+            }
+            return true;
+        });
+    },
+    
     /**
      * SETUP EVENT LISTENERS
      * 
@@ -100,9 +257,15 @@ const App = {
             this.handleEditorInput(e);
         });
         
-        // Event listener untuk keyboard shortcuts (bonus)
+        // Enter melanjutkan list, Tab/Shift+Tab indent/outdent.
+        // Shortcut lain ditangani Commands (keydown di document).
         this.elements.editor.addEventListener('keydown', (e) => {
-            this.handleKeyboardShortcuts(e);
+            this.handleEditorKeydown(e);
+        });
+        
+        // Paste HTML (misal dari wiki) diubah menjadi markdown
+        this.elements.editor.addEventListener('paste', (e) => {
+            this.handlePaste(e);
         });
         
         console.log('✓ Event listeners attached');
@@ -117,6 +280,11 @@ const App = {
      * @param {Event} event - Input event
      */
     handleEditorInput: function(event) {
+        // Autosave dokumen aktif & snapshot revisi berkala
+        Workspace.scheduleSave();
+        RevisionHistory.noteChange();
+        ScrollSync.invalidateEditor();
+        
         // Clear timer sebelumnya jika ada
         if (this.debounceTimer) {
             clearTimeout(this.debounceTimer);
@@ -136,11 +304,22 @@ const App = {
      * 
      * FLOW:
      * 1. Ambil markdown dari editor
-     * 2. Parse markdown ke HTML (MarkdownParser)
-     * 3. Sanitize HTML (HTMLSanitizer)
-     * 4. Render ke preview
+     * 2. Parse block yang berubah saja (IncrementalParser),
+     *    di worker jika aktif (hasilnya lewat handleWorkerMessage)
+     * 3. Sanitize HTML per block (HTMLSanitizer)
+     * 4. Patch block yang berubah di preview
+     * 
+     * @returns {Promise} - Resolve saat preview sudah memakai isi editor ini
+     *          (dengan worker: setelah hasilnya diterima, lihat handleWorkerMessage)
      */
     updatePreview: function() {
+        // Request baru membuat semua hasil worker sebelumnya usang
+        const id = ++this.requestId;
+        const rendered = new Promise(resolve => {
+            this.previewWaiters.push({ id: id, resolve: resolve });
+        });
+        let waitForWorker = false;
+        
         try {
             // 1. Ambil value dari textarea
             const markdownText = this.elements.editor.value;
@@ -148,26 +327,25 @@ const App = {
             // 2. Check jika kosong, tampilkan empty state
             if (!markdownText || markdownText.trim() === '') {
                 this.showEmptyState();
-                return;
+                return rendered;
             }
             
-            // 3. Parse markdown ke HTML
-            // Gunakan MarkdownParser dari parser.js
-            const html = MarkdownParser.parse(markdownText);
-            
-            // Debug: log HTML sebelum sanitize
-            console.log('Parsed HTML:', html.substring(0, 100) + '...');
-            
-            // 4. Sanitize HTML untuk keamanan
-            // Gunakan HTMLSanitizer dari sanitizer.js
-            const safeHTML = HTMLSanitizer.sanitize(html);
+            // 3. Parse markdown, hanya block yang tersentuh edit
+            if (this.worker) {
+                this.worker.postMessage({ id: id, markdown: markdownText });
+                waitForWorker = true;
+                return rendered;
+            }
+            // Gunakan IncrementalParser dari incremental.js
+            const result = IncrementalParser.update(markdownText);
             
-            // Debug: log HTML setelah sanitize
-            console.log('Safe HTML:', safeHTML.substring(0, 100) + '...');
+            // 4 & 5. Sanitize dan render block yang berubah saja
+            this.patchPreview(result.records);
             
-            // 5. Render ke preview
-            // Gunakan innerHTML karena HTML sudah di-sanitize
-            this.elements.preview.innerHTML = safeHTML;
+            // Statistik & cek link dari AST yang sama (block yang tidak berubah di-cache)
+            const doc = IncrementalParser.getDocument();
+            StatsPanel.update(DocumentStats.compute(doc));
+            ProblemsPanel.update(LinkChecker.check(doc).concat(this.previewWarnings));
             
             // 6. Update class untuk styling
             // Hapus empty-state class jika ada
@@ -177,7 +355,172 @@ const App = {
             // Error handling: tangkap error dan tampilkan
             console.error('❌ Error updating preview:', error);
             this.showError(error.message);
+        } finally {
+            // Main thread: preview sudah selesai di-render
+            if (!waitForWorker) {
+                this.resolvePreviewWaiters(id);
+            }
+        }
+        return rendered;
+    },
+    
+    /**
+     * PATCH PREVIEW
+     * 
+     * Update DOM preview per block: hapus block yang hilang,
+     * sisipkan block baru/berubah, biarkan block lain apa adanya.
+     * Urutan block yang dipakai ulang tidak pernah berubah,
+     * jadi cukup satu kali jalan dari atas ke bawah.
+     * 
+     * Hanya membandingkan dengan isi preview saat ini (bukan dengan
+     * update sebelumnya), jadi aman walau ada hasil worker yang dibuang.
+     * 
+     * Sekaligus mengumpulkan previewWarnings: yang dibuang sanitizer
+     * disimpan per block dengan baris relatif terhadap awal block,
+     * sehingga tetap benar saat block hanya bergeser.
+     * 
+     * @param {Array<Object>} blocks - { key, html, line } dari worker atau
+     *        record IncrementalParser ({ key, html, node }), sesuai urutan dokumen
+     */
+    patchPreview: function(blocks) {
+        const preview = this.elements.preview;
+        
+        // Preview masih berisi empty state / error
+        if (this.blockNodes.size === 0) {
+            preview.innerHTML = '';
         }
+        
+        const removeBlock = key => {
+            this.blockNodes.get(key).nodes.forEach(node => node.remove());
+            this.blockNodes.delete(key);
+        };
+        
+        const keys = new Set(blocks.map(block => block.key));
+        Array.from(this.blockNodes.keys())
+            .filter(key => !keys.has(key))
+            .forEach(removeBlock);
+        
+        // cursor = node terakhir yang sudah pada posisi benar
+        let cursor = null;
+        const warnings = [];
+        blocks.forEach(block => {
+            let entry = this.blockNodes.get(block.key);
+            const line = block.node ? block.node.startLine : block.line;
+            
+            // Block yang hanya bergeser baris: cukup update data-source-line
+            if (entry && entry.html !== block.html && !this.updateSourceLines(entry, block.html)) {
+                removeBlock(block.key);
+                entry = null;
+            }
+            
+            if (!entry) {
+                // HTML per block tetap melewati sanitizer
+                const removed = [];
+                const fragment = HTMLSanitizer.sanitizeToFragment(block.html, removed);
+                entry = {
+                    html: block.html,
+                    nodes: Array.from(fragment.childNodes),
+                    removed: removed.map(item => ({
+                        message: HTMLSanitizer.describe(item),
+                        lineOffset: this.findSourceLine(item, item.line === null ? line : item.line) - line
+                    }))
+                };
+                preview.insertBefore(fragment, cursor ? cursor.nextSibling : preview.firstChild);
+                this.blockNodes.set(block.key, entry);
+            }
+            
+            entry.removed.forEach(item => {
+                warnings.push({ type: 'sanitized', message: item.message, line: line + item.lineOffset });
+            });
+            
+            if (entry.nodes.length > 0) {
+                cursor = entry.nodes[entry.nodes.length - 1];
+            }
+        });
+        
+        this.previewWarnings = warnings;
+        
+        // Posisi block berubah, hitung ulang peta scroll
+        ScrollSync.refresh();
+    },
+    
+    /**
+     * FIND SOURCE LINE
+     * 
+     * Baris dari sanitizer adalah awal block (untuk HTML mentah: block
+     * sebelumnya). Cari tag/atribut yang dibuang di beberapa baris
+     * berikutnya agar lompatan dari panel masalah tepat ke barisnya.
+     * 
+     * @param {Object} item - Item REMOVAL REPORT dari HTMLSanitizer
+     * @param {number} from - Baris awal pencarian (1-based)
+     * @returns {number} - Baris yang ditemukan, atau from
+     */
+    findSourceLine: function(item, from) {
+        const name = (item.type === 'element' ? item.tag : item.attribute).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = item.type === 'element'
+            ? new RegExp(`<${name}(?![\\w-])`, 'i')
+            : new RegExp(`(^|[\\s"'/])${name}\\s*=`, 'i');
+        
+        const lines = this.elements.editor.value.split('\n');
+        // Cukup beberapa baris: satu block HTML mentah
+        const last = Math.min(lines.length, from + 30);
+        for (let i = from - 1; i < last; i++) {
+            if (pattern.test(lines[i])) {
+                return i + 1;
+            }
+        }
+        return from;
+    },
+    
+    /**
+     * UPDATE SOURCE LINES
+     * 
+     * Jika HTML baru sama dengan yang tampil kecuali nilai
+     * data-source-line, update atribut di DOM tanpa membuat ulang block.
+     * 
+     * @param {Object} entry - { html, nodes } dari blockNodes
+     * @param {string} html - HTML baru block tersebut
+     * @returns {boolean} - true jika berhasil di-update di tempat
+     */
+    updateSourceLines: function(entry, html) {
+        if (IncrementalParser.stripSourceLines(html) !== IncrementalParser.stripSourceLines(entry.html)) {
+            return false;
+        }
+        
+        // Urutan atribut di HTML = urutan element di DOM
+        const lines = Array.from(html.matchAll(IncrementalParser.patterns.sourceLine), match => match[1]);
+        const elements = [];
+        entry.nodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
+            if (node.hasAttribute('data-source-line')) {
+                elements.push(node);
+            }
+            elements.push(...node.querySelectorAll('[data-source-line]'));
+        });
+        if (elements.length !== lines.length) {
+            return false;
+        }
+        
+        elements.forEach((element, index) => {
+            element.setAttribute('data-source-line', lines[index]);
+        });
+        entry.html = html;
+        return true;
+    },
+    
+    /**
+     * RESET PREVIEW BLOCKS
+     * 
+     * Lupakan block yang ter-render, update berikutnya
+     * akan parse penuh dan mengisi ulang preview
+     */
+    resetPreviewBlocks: function() {
+        IncrementalParser.reset();
+        this.blockNodes.clear();
+        this.previewWarnings = [];
+        ScrollSync.refresh();
     },
     
     /**
@@ -186,6 +529,7 @@ const App = {
      * Tampilkan pesan saat editor kosong
      */
     showEmptyState: function() {
+        this.resetPreviewBlocks();
         this.elements.preview.innerHTML = `
             <p class="empty-state">
                 Mulai menulis untuk melihat preview...
@@ -194,6 +538,9 @@ const App = {
         
         // Tambahkan class untuk styling khusus
         this.elements.preview.classList.add('empty');
+        
+        StatsPanel.update(null);
+        ProblemsPanel.update([]);
     },
     
     /**
@@ -204,6 +551,7 @@ const App = {
      * @param {string} message - Error message
      */
     showError: function(message) {
+        this.resetPreviewBlocks();
         this.elements.preview.innerHTML = `
             <div style="color: #ff6b6b; padding: 20px; border: 2px solid #ff6b6b; border-radius: 8px;">
                 <h3 style="margin-top: 0;">⚠️ Error</h3>
@@ -214,42 +562,37 @@ const App = {
     },
     
     /**
-     * HANDLE KEYBOARD SHORTCUTS (BONUS)
+     * TOGGLE PREVIEW
      * 
-     * Tambahkan keyboard shortcuts untuk UX lebih baik
+     * Sembunyikan/tampilkan kolom preview (editor jadi lebih lebar).
+     * Pilihan disimpan di settings.
+     */
+    togglePreview: function() {
+        const hidden = !this.elements.preview.closest('.preview-section').hidden;
+        this.setPreviewHidden(hidden);
+        DocumentStore.saveSettings({ previewHidden: hidden });
+    },
+    
+    /**
+     * SET PREVIEW HIDDEN
      * 
-     * @param {KeyboardEvent} event - Keyboard event
+     * @param {boolean} hidden
      */
-    handleKeyboardShortcuts: function(event) {
-        // Ctrl/Cmd + B = Bold
-        if ((event.ctrlKey || event.metaKey) && event.key === 'b') {
-            event.preventDefault(); // Prevent browser default
-            this.insertMarkdown('**', '**');
-        }
-        
-        // Ctrl/Cmd + I = Italic
-        if ((event.ctrlKey || event.metaKey) && event.key === 'i') {
-            event.preventDefault();
-            this.insertMarkdown('*', '*');
-        }
-        
-        // Ctrl/Cmd + K = Link
-        if ((event.ctrlKey || event.metaKey) && event.key === 'k') {
-            event.preventDefault();
-            this.insertMarkdown('[', '](url)');
-        }
-        
-        // Ctrl/Cmd + E = Inline Code
-        if ((event.ctrlKey || event.metaKey) && event.key === 'e') {
-            event.preventDefault();
-            this.insertMarkdown('`', '`');
+    setPreviewHidden: function(hidden) {
+        // Grid auto-fit: kolom yang kosong hilang, editor melebar
+        this.elements.preview.closest('.preview-section').hidden = hidden;
+        // Lebar editor berubah = wrap baris berubah
+        ScrollSync.invalidateEditor();
+        if (!hidden) {
+            ScrollSync.refresh();
         }
     },
     
     /**
      * INSERT MARKDOWN
      * 
-     * Helper untuk insert markdown syntax di posisi cursor
+     * Helper untuk insert markdown syntax di posisi cursor.
+     * Lewat replaceSelection, jadi bisa di-undo dengan Ctrl+Z.
      * 
      * @param {string} before - Text sebelum selection
      * @param {string} after - Text setelah selection
@@ -266,29 +609,162 @@ const App = {
         
         // Buat replacement text
         const replacement = before + (selectedText || 'text') + after;
-        
-        // Replace text
-        textarea.value = 
-            textarea.value.substring(0, start) +
-            replacement +
-            textarea.value.substring(end);
+        this.replaceSelection(replacement);
         
         // Set cursor position
         // Jika ada selection, select text yang baru
-        // Jika tidak, taruh cursor di tengah
+        // Jika tidak, select 'text' agar langsung bisa diketik ulang
         if (selectedText) {
-            textarea.selectionStart = start;
-            textarea.selectionEnd = start + replacement.length;
+            textarea.setSelectionRange(start, start + replacement.length);
         } else {
             const newPos = start + before.length;
-            textarea.selectionStart = newPos;
-            textarea.selectionEnd = newPos + 4; // Select 'text'
+            textarea.setSelectionRange(newPos, newPos + 4);
+        }
+    },
+    
+    /**
+     * TAB MOVES FOCUS
+     * 
+     * Tab di editor dipakai untuk indent. Setelah Escape, Tab
+     * berikutnya kembali memindahkan fokus (agar pengguna keyboard
+     * tidak terjebak di textarea).
+     */
+    tabMovesFocus: false,
+    
+    /**
+     * HANDLE EDITOR KEYDOWN
+     * 
+     * Semua perubahan lewat replaceSelection, jadi Ctrl+Z tetap bekerja.
+     * 
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleEditorKeydown: function(event) {
+        const tabMovesFocus = this.tabMovesFocus;
+        // Menekan Shift (untuk Shift+Tab) tidak membatalkan Escape
+        if (event.key !== 'Shift') {
+            this.tabMovesFocus = event.key === 'Escape';
         }
         
-        // Focus kembali ke textarea
+        // Sedang menyusun karakter lewat IME (misal input Jepang)
+        if (event.isComposing) {
+            return;
+        }
+        // Kombinasi dengan modifier milik Commands / browser
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+        
+        if (event.key === 'Enter' && !event.shiftKey) {
+            if (EditorActions.continueList()) {
+                event.preventDefault();
+            }
+        } else if (event.key === 'Tab' && !tabMovesFocus) {
+            event.preventDefault();
+            if (event.shiftKey) {
+                EditorActions.outdent();
+            } else {
+                EditorActions.indent();
+            }
+        }
+    },
+    
+    /**
+     * HANDLE PASTE
+     * 
+     * Clipboard berisi text/html: sanitasi lalu ubah ke markdown.
+     * HTML tanpa format, atau Ctrl+Shift+V (paste sebagai plain text),
+     * dibiarkan ke perilaku default browser.
+     * 
+     * @param {ClipboardEvent} event - Paste event
+     */
+    handlePaste: function(event) {
+        let markdown;
+        try {
+            markdown = HTMLToMarkdown.fromClipboard(event.clipboardData);
+        } catch (error) {
+            console.error('❌ HTML import error:', error);
+            return;
+        }
+        if (markdown === null) {
+            return;
+        }
+        
+        event.preventDefault();
+        this.replaceSelection(markdown);
+    },
+    
+    /**
+     * REPLACE SELECTION
+     * 
+     * Ganti text yang di-select (atau sisipkan di posisi cursor).
+     * execCommand('insertText') masuk ke undo stack browser, jadi
+     * Ctrl+Z tetap bekerja. Fallback: setRangeText (tanpa undo).
+     * 
+     * @param {string} text - Text pengganti
+     */
+    replaceSelection: function(text) {
+        const textarea = this.elements.editor;
         textarea.focus();
         
-        // Trigger update preview
+        // insertText memicu 'input' event, sama seperti mengetik
+        if (document.execCommand && document.execCommand('insertText', false, text)) {
+            return;
+        }
+        
+        textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+        this.handleEditorInput();
+    },
+    
+    /**
+     * RENDER MARKDOWN
+     * 
+     * Parse + sanitize satu teks markdown utuh, untuk tampilan
+     * selain preview utama (misal preview revisi).
+     * Heading id dimatikan dan id footnote diberi prefix agar tidak
+     * bentrok dengan id di preview utama.
+     * 
+     * @param {string} markdown
+     * @param {string} idPrefix - Prefix id footnote, beda untuk setiap tampilan
+     * @returns {string} - HTML yang sudah aman
+     */
+    renderMarkdown: function(markdown, idPrefix) {
+        return HTMLSanitizer.sanitize(MarkdownParser.parse(markdown, { headingIds: false, idPrefix: idPrefix }));
+    },
+    
+    /**
+     * GO TO LINE
+     * 
+     * Pindahkan cursor ke awal baris dan scroll editor ke sana
+     * (preview mengikuti lewat ScrollSync)
+     * 
+     * @param {number} line - Nomor baris (1-based)
+     */
+    goToLine: function(line) {
+        const editor = this.elements.editor;
+        const lines = editor.value.split('\n');
+        const index = Math.max(0, Math.min(lines.length, line) - 1);
+        const offset = lines.slice(0, index).reduce((sum, text) => sum + text.length + 1, 0);
+        
+        editor.focus();
+        editor.setSelectionRange(offset, offset);
+        // Sisakan sedikit konteks di atas baris tujuan
+        editor.scrollTop = Math.max(0, ScrollSync.getLineTops()[index] - editor.clientHeight / 3);
+    },
+    
+    /**
+     * SET CONTENT
+     * 
+     * Ganti seluruh isi editor (misal saat pindah dokumen)
+     * dan render ulang preview tanpa menunggu debounce.
+     * 
+     * @param {string} markdown - Isi baru
+     */
+    setContent: function(markdown) {
+        clearTimeout(this.debounceTimer);
+        this.elements.editor.value = markdown;
+        this.elements.editor.scrollTop = 0;
+        this.elements.preview.scrollTop = 0;
+        ScrollSync.invalidateEditor();
         this.updatePreview();
     }
 };
@@ -402,10 +878,21 @@ if (document.readyState === 'loading') {
  * KEYBOARD SHORTCUTS REFERENCE
  * ============================================
  * 
+ * Semua shortcut berasal dari command registry (js/commands.js)
+ * dan bisa diubah lewat "Pengaturan: Shortcut keyboard".
+ * Default yang paling sering dipakai:
+ * 
  * Ctrl/Cmd + B: Wrap dengan **bold**
  * Ctrl/Cmd + I: Wrap dengan *italic*
  * Ctrl/Cmd + K: Wrap dengan [text](url)
  * Ctrl/Cmd + E: Wrap dengan `code`
+ * Ctrl/Cmd + Alt + 1..6: Heading 1..6
+ * Ctrl/Cmd + ] / [: Indent / outdent
+ * Tab / Shift + Tab: Indent / outdent (Escape lalu Tab = pindah fokus)
+ * Enter di list item: lanjutkan list (di item kosong: akhiri list)
+ * Ctrl/Cmd + S: Simpan sekarang + snapshot revisi
+ * Ctrl/Cmd + Shift + P: Palet perintah (cari semua command)
+ * Ctrl/Cmd + Shift + V: Paste sebagai plain text (tanpa konversi HTML)
  * 
  * Shortcuts ini meningkatkan UX dengan memudahkan
  * user untuk insert markdown syntax tanpa harus mengetik manual.
@@ -0,0 +1,279 @@
+/**
+ * ============================================
+ * COMMAND PALETTE MODULE
+ * ============================================
+ *
+ * File ini berisi palet perintah (Ctrl+Shift+P): ketik sebagian
+ * judul command, pilih dengan panah, jalankan dengan Enter.
+ *
+ * Pencarian fuzzy: huruf query harus muncul berurutan di judul,
+ * tapi tidak harus bersebelahan ("hd2" cocok dengan "Heading 2").
+ * Hasil diurutkan dengan skor:
+ * - huruf yang bersebelahan dan huruf di awal kata dapat bonus
+ * - jarak antar huruf yang jauh dapat penalti
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Fuzzy matching (subsequence + skor)
+ * 2. Listbox dengan keyboard (aria-activedescendant)
+ * 3. Highlight hasil pencarian tanpa innerHTML
+ */
+
+const CommandPalette = {
+
+    /**
+     * DOM ELEMENTS
+     */
+    elements: {
+        overlay: null,
+        input: null,
+        list: null,
+        openButton: null
+    },
+
+    /**
+     * STATE
+     */
+    results: [],        // [{ command, score, positions }]
+    active: 0,          // Index hasil yang dipilih
+
+    /**
+     * INIT
+     */
+    init: function() {
+        const el = this.elements;
+        el.overlay = document.getElementById('command-palette');
+        el.input = document.getElementById('command-palette-input');
+        el.list = document.getElementById('command-palette-list');
+        el.openButton = document.getElementById('palette-open');
+
+        if (!el.overlay) {
+            console.error('❌ Command palette not found!');
+            return;
+        }
+
+        el.input.addEventListener('input', () => this.render());
+        el.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        el.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) {
+                this.runResult(Number(option.dataset.index));
+            }
+        });
+        // Klik di luar kotak palette = tutup
+        el.overlay.addEventListener('mousedown', (e) => {
+            if (e.target === el.overlay) {
+                this.close();
+            }
+        });
+        if (el.openButton) {
+            el.openButton.addEventListener('click', () => this.open());
+        }
+
+        console.log('✓ Command palette ready');
+    },
+
+    /**
+     * OPEN / CLOSE
+     */
+    open: function() {
+        this.elements.overlay.hidden = false;
+        this.elements.input.value = '';
+        this.render();
+        this.elements.input.focus();
+    },
+
+    close: function() {
+        this.elements.overlay.hidden = true;
+        App.elements.editor.focus();
+    },
+
+    /**
+     * HANDLE KEYDOWN
+     *
+     * @param {KeyboardEvent} event
+     */
+    handleKeydown: function(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (this.results.length > 0) {
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                this.setActive((this.active + step + this.results.length) % this.results.length);
+            }
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            this.runResult(this.active);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+        }
+    },
+
+    /**
+     * RUN RESULT
+     *
+     * Palette ditutup dulu agar command edit bekerja pada
+     * editor yang sudah fokus kembali
+     *
+     * @param {number} index - Index di this.results
+     */
+    runResult: function(index) {
+        const result = this.results[index];
+        if (!result) {
+            return;
+        }
+        this.close();
+        Commands.run(result.command.id);
+    },
+
+    /**
+     * SEARCH
+     *
+     * @param {string} query
+     * @returns {Array<Object>} - [{ command, score, positions }], skor tertinggi dulu
+     */
+    search: function(query) {
+        const results = [];
+        Commands.commands.forEach((command, order) => {
+            const match = this.fuzzyMatch(query, command.title);
+            if (match) {
+                results.push({ command: command, score: match.score, positions: match.positions, order: order });
+            }
+        });
+        // Skor sama: urutan registry
+        return results.sort((a, b) => b.score - a.score || a.order - b.order);
+    },
+
+    /**
+     * FUZZY MATCH
+     *
+     * Spasi di query diabaikan; huruf besar/kecil tidak dibedakan.
+     *
+     * @param {string} query
+     * @param {string} text - Judul command
+     * @returns {Object|null} - { score, positions } atau null jika tidak cocok
+     */
+    fuzzyMatch: function(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = text.toLowerCase();
+        const positions = [];
+        let score = 0;
+        let from = 0;
+
+        for (const char of needle) {
+            const index = haystack.indexOf(char, from);
+            if (index === -1) {
+                return null;
+            }
+
+            const previous = positions[positions.length - 1];
+            if (previous !== undefined && index === previous + 1) {
+                score += 5;                             // Bersebelahan
+            } else if (previous !== undefined) {
+                score -= Math.min(index - previous - 1, 5);  // Jarak
+            }
+            if (index === 0 || /[\s:(/-]/.test(haystack[index - 1])) {
+                score += 8;                             // Awal kata
+            }
+
+            positions.push(index);
+            from = index + 1;
+        }
+
+        return { score: score, positions: positions };
+    },
+
+    /**
+     * RENDER
+     */
+    render: function() {
+        this.results = this.search(this.elements.input.value);
+        const list = this.elements.list;
+        list.textContent = '';
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'command-palette-empty';
+            empty.textContent = 'Tidak ada perintah yang cocok';
+            list.appendChild(empty);
+            this.elements.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.results.forEach((result, index) => {
+            const option = document.createElement('li');
+            option.id = `command-option-${index}`;
+            option.className = 'command-palette-option';
+            option.setAttribute('role', 'option');
+            option.dataset.index = index;
+
+            const title = document.createElement('span');
+            this.appendHighlighted(title, result.command.title, result.positions);
+            option.appendChild(title);
+
+            const key = Commands.getKey(result.command.id);
+            if (key) {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = key;
+                option.appendChild(kbd);
+            }
+
+            list.appendChild(option);
+        });
+
+        this.setActive(0);
+    },
+
+    /**
+     * APPEND HIGHLIGHTED
+     *
+     * Huruf yang cocok dibungkus <mark>
+     *
+     * @param {Element} parent
+     * @param {string} text
+     * @param {Array<number>} positions - Index huruf yang cocok
+     */
+    appendHighlighted: function(parent, text, positions) {
+        const matched = new Set(positions);
+        let i = 0;
+        while (i < text.length) {
+            const isMatch = matched.has(i);
+            let j = i;
+            while (j < text.length && matched.has(j) === isMatch) {
+                j++;
+            }
+            if (isMatch) {
+                const mark = document.createElement('mark');
+                mark.textContent = text.slice(i, j);
+                parent.appendChild(mark);
+            } else {
+                parent.appendChild(document.createTextNode(text.slice(i, j)));
+            }
+            i = j;
+        }
+    },
+
+    /**
+     * SET ACTIVE
+     *
+     * @param {number} index
+     */
+    setActive: function(index) {
+        const options = this.elements.list.querySelectorAll('[role="option"]');
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+        this.active = index;
+
+        const option = options[index];
+        if (option) {
+            this.elements.input.setAttribute('aria-activedescendant', option.id);
+            option.scrollIntoView({ block: 'nearest' });
+        }
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * CommandPalette.open();                          // Sama dengan Ctrl+Shift+P
+ * CommandPalette.fuzzyMatch('hd2', 'Block: Heading 2');
+ * // { score: 10, positions: [7, 10, 15] }
+ */
@@ -0,0 +1,358 @@
+/**
+ * ============================================
+ * COMMANDS MODULE
+ * ============================================
+ *
+ * File ini berisi daftar semua perintah editor (command registry)
+ * dan keymap: shortcut keyboard -> command.
+ *
+ * - Setiap command punya id, judul, shortcut default dan fungsi run
+ * - Shortcut bisa diubah user (KeymapEditor); hanya yang berbeda
+ *   dari default yang disimpan di settings (DocumentStore)
+ * - Command palette (Ctrl+Shift+P) mencari di registry yang sama
+ *
+ * Format shortcut: "Ctrl+Shift+P", "Ctrl+Alt+1", "Tab".
+ * Ctrl juga berarti Cmd di macOS.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Command pattern (aksi sebagai data: id + run)
+ * 2. Normalisasi KeyboardEvent menjadi string shortcut
+ * 3. Default + override untuk konfigurasi user
+ */
+
+const Commands = {
+
+    /**
+     * REGISTRY
+     */
+    commands: [],           // Sesuai urutan register (urutan di palette)
+    byId: {},
+
+    /**
+     * KEYMAP
+     */
+    overrides: {},          // { commandId: 'Ctrl+Alt+B' | '' } dari settings
+    bindings: {},           // { 'Ctrl+B': commandId } hasil gabungan
+
+    /**
+     * Nama key dari event.code, dipakai saat Shift/Alt mengubah
+     * event.key (Shift+8 = "*", Alt+B di macOS = "∫")
+     */
+    codeNames: {
+        Period: '.', Comma: ',', Slash: '/', Backslash: '\\', Semicolon: ';', Quote: '\'',
+        BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Backquote: '`'
+    },
+
+    /**
+     * INIT
+     */
+    init: function() {
+        this.registerDefaults();
+        this.overrides = DocumentStore.loadSettings().keymap || {};
+        this.buildBindings();
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        console.log(`✓ ${this.commands.length} commands ready`);
+    },
+
+    /**
+     * REGISTER
+     *
+     * @param {Object} command
+     * @param {string} command.id - Contoh 'format.bold'
+     * @param {string} command.title - Judul di palette, contoh 'Format: Tebal'
+     * @param {string} [command.key] - Shortcut default
+     * @param {boolean} [command.editorOnly] - Shortcut hanya aktif saat editor fokus
+     * @param {Function} command.run
+     */
+    register: function(command) {
+        if (this.byId[command.id]) {
+            throw new Error(`Command "${command.id}" sudah terdaftar`);
+        }
+        this.commands.push(command);
+        this.byId[command.id] = command;
+    },
+
+    /**
+     * RUN
+     *
+     * @param {string} id - Id command
+     */
+    run: function(id) {
+        const command = this.byId[id];
+        if (!command) {
+            console.warn(`⚠️ Unknown command: ${id}`);
+            return;
+        }
+        try {
+            command.run();
+        } catch (error) {
+            console.error(`❌ Command "${id}" failed:`, error);
+        }
+    },
+
+    /**
+     * ============================================
+     * KEYMAP
+     * ============================================
+     */
+
+    /**
+     * GET KEY: Shortcut aktif sebuah command ('' = tidak ada)
+     */
+    getKey: function(id) {
+        if (Object.prototype.hasOwnProperty.call(this.overrides, id)) {
+            return this.overrides[id];
+        }
+        return (this.byId[id] && this.byId[id].key) || '';
+    },
+
+    /**
+     * SET KEY
+     *
+     * Shortcut yang sudah dipakai command lain dilepas dari command itu.
+     *
+     * @param {string} id - Id command
+     * @param {string} key - Shortcut baru, '' untuk menghapus
+     * @returns {string|null} - Id command yang kehilangan shortcut-nya
+     */
+    setKey: function(id, key) {
+        const replaced = this.releaseKey(id, key);
+        this.setOverride(id, key);
+        this.save();
+        return replaced;
+    },
+
+    /**
+     * RESET KEY: Kembali ke default (atau semua jika id kosong)
+     *
+     * Sama seperti setKey: jika default-nya sekarang dipakai command
+     * lain (hasil remap), shortcut itu dilepas dari command tsb.
+     *
+     * @param {string} [id]
+     * @returns {string|null} - Id command yang kehilangan shortcut-nya
+     */
+    resetKey: function(id) {
+        let replaced = null;
+        if (id) {
+            replaced = this.releaseKey(id, this.byId[id].key || '');
+            delete this.overrides[id];
+        } else {
+            this.overrides = {};
+        }
+        this.save();
+        return replaced;
+    },
+
+    /**
+     * Lepas `key` dari command lain yang memakainya
+     *
+     * @returns {string|null} - Id command tsb
+     */
+    releaseKey: function(id, key) {
+        if (!key) {
+            return null;
+        }
+        const replaced = this.commands
+            .map(command => command.id)
+            .find(other => other !== id && this.getKey(other) === key) || null;
+        if (replaced) {
+            this.setOverride(replaced, '');
+        }
+        return replaced;
+    },
+
+    /**
+     * Simpan override; sama dengan default = tidak perlu disimpan
+     */
+    setOverride: function(id, key) {
+        const defaultKey = this.byId[id].key || '';
+        if (key === defaultKey) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = key;
+        }
+    },
+
+    save: function() {
+        DocumentStore.saveSettings({ keymap: this.overrides });
+        this.buildBindings();
+    },
+
+    /**
+     * BUILD BINDINGS: shortcut -> command id
+     */
+    buildBindings: function() {
+        this.bindings = {};
+        // Override dulu: default yang bentrok dengan override, override menang
+        const overridden = command => Object.prototype.hasOwnProperty.call(this.overrides, command.id);
+        this.commands.filter(overridden).concat(this.commands.filter(command => !overridden(command)))
+            .forEach(command => {
+                const key = this.getKey(command.id);
+                if (key && !this.bindings[key]) {
+                    this.bindings[key] = command.id;
+                }
+            });
+    },
+
+    /**
+     * EVENT TO KEY
+     *
+     * @param {KeyboardEvent} event
+     * @returns {string} - Contoh 'Ctrl+Shift+P'; '' untuk modifier saja
+     */
+    eventToKey: function(event) {
+        if (['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) {
+            return '';
+        }
+
+        let name = event.key;
+        const code = event.code || '';
+        if (event.shiftKey || event.altKey) {
+            if (/^Key[A-Z]$/.test(code)) {
+                name = code.slice(3);
+            } else if (/^Digit\d$/.test(code)) {
+                name = code.slice(5);
+            } else if (this.codeNames[code]) {
+                name = this.codeNames[code];
+            }
+        }
+        if (name === ' ') {
+            name = 'Space';
+        } else if (name.length === 1) {
+            name = name.toUpperCase();
+        }
+
+        const parts = [];
+        if (event.ctrlKey || event.metaKey) {
+            parts.push('Ctrl');
+        }
+        if (event.altKey) {
+            parts.push('Alt');
+        }
+        if (event.shiftKey) {
+            parts.push('Shift');
+        }
+        parts.push(name);
+        return parts.join('+');
+    },
+
+    /**
+     * HANDLE KEYDOWN
+     *
+     * @param {KeyboardEvent} event
+     */
+    handleKeydown: function(event) {
+        // Palette & editor keymap menangani keyboard sendiri
+        if (event.defaultPrevented || event.target.closest && event.target.closest('[data-own-keys]')) {
+            return;
+        }
+        // AltGr (= Ctrl+Alt di Windows) dipakai untuk mengetik karakter seperti @ { }
+        if (event.getModifierState && event.getModifierState('AltGraph')) {
+            return;
+        }
+
+        const id = this.bindings[this.eventToKey(event)];
+        const command = id && this.byId[id];
+        if (!command) {
+            return;
+        }
+        if (command.editorOnly && event.target !== App.elements.editor) {
+            return;
+        }
+
+        event.preventDefault();
+        this.run(id);
+    },
+
+    /**
+     * ============================================
+     * COMMAND BAWAAN
+     * ============================================
+     */
+    registerDefaults: function() {
+        // Command edit selalu bekerja pada editor
+        const edit = fn => () => {
+            App.elements.editor.focus();
+            fn();
+        };
+
+        [
+            { id: 'format.bold', title: 'Format: Tebal (bold)', key: 'Ctrl+B',
+                run: edit(() => App.insertMarkdown('**', '**')) },
+            { id: 'format.italic', title: 'Format: Miring (italic)', key: 'Ctrl+I',
+                run: edit(() => App.insertMarkdown('*', '*')) },
+            { id: 'format.strikethrough', title: 'Format: Coret (strikethrough)', key: 'Ctrl+Shift+X',
+                run: edit(() => App.insertMarkdown('~~', '~~')) },
+            { id: 'format.link', title: 'Format: Link', key: 'Ctrl+K',
+                run: edit(() => App.insertMarkdown('[', '](url)')) },
+            { id: 'format.code', title: 'Format: Code inline', key: 'Ctrl+E',
+                run: edit(() => App.insertMarkdown('`', '`')) }
+        ].forEach(command => this.register(command));
+
+        for (let level = 1; level <= 6; level++) {
+            this.register({
+                id: `block.heading${level}`,
+                title: `Block: Heading ${level}`,
+                key: `Ctrl+Alt+${level}`,
+                run: edit(() => EditorActions.toggleHeading(level))
+            });
+        }
+
+        [
+            { id: 'block.bulletList', title: 'Block: Daftar bullet', key: 'Ctrl+Shift+8',
+                run: edit(() => EditorActions.toggleList('bullet')) },
+            { id: 'block.orderedList', title: 'Block: Daftar bernomor', key: 'Ctrl+Shift+7',
+                run: edit(() => EditorActions.toggleList('ordered')) },
+            { id: 'block.taskList', title: 'Block: Daftar tugas (checkbox)', key: 'Ctrl+Shift+9',
+                run: edit(() => EditorActions.toggleList('task')) },
+            { id: 'block.quote', title: 'Block: Kutipan', key: 'Ctrl+Shift+.',
+                run: edit(() => EditorActions.toggleQuote()) },
+            { id: 'block.codeFence', title: 'Block: Code block', key: 'Ctrl+Alt+C',
+                run: edit(() => EditorActions.insertCodeFence()) },
+            { id: 'block.table', title: 'Block: Sisipkan tabel', key: 'Ctrl+Alt+T',
+                run: edit(() => EditorActions.insertTable()) },
+            { id: 'edit.indent', title: 'Edit: Indent', key: 'Ctrl+]',
+                run: edit(() => EditorActions.indent()) },
+            { id: 'edit.outdent', title: 'Edit: Outdent', key: 'Ctrl+[',
+                run: edit(() => EditorActions.outdent()) },
+
+            { id: 'view.togglePreview', title: 'Tampilan: Tampilkan/sembunyikan preview', key: 'Ctrl+Alt+P',
+                run: () => App.togglePreview() },
+            { id: 'view.toggleScrollSync', title: 'Tampilan: Sinkron scroll on/off',
+                run: () => { ScrollSync.enabled = !ScrollSync.enabled; } },
+
+            { id: 'file.save', title: 'File: Simpan & simpan versi', key: 'Ctrl+S',
+                run: () => {
+                    Workspace.flush();
+                    RevisionHistory.snapshot('manual');
+                } },
+            { id: 'file.new', title: 'File: Dokumen baru', key: 'Ctrl+Alt+N',
+                run: () => Workspace.createDocument() },
+            { id: 'file.history', title: 'File: Riwayat revisi', key: 'Ctrl+Alt+H',
+                run: () => RevisionHistory.open() },
+
+            { id: 'export.html', title: 'Export: HTML', run: () => Exporter.exportHTML() },
+            { id: 'export.markdown', title: 'Export: Markdown', run: () => Exporter.exportMarkdown() },
+            { id: 'export.text', title: 'Export: Plain text', run: () => Exporter.exportText() },
+            { id: 'export.print', title: 'Export: Cetak / Save as PDF', key: 'Ctrl+P',
+                run: () => Exporter.print() },
+
+            { id: 'app.palette', title: 'Palet perintah', key: 'Ctrl+Shift+P',
+                run: () => CommandPalette.open() },
+            { id: 'app.keymap', title: 'Pengaturan: Shortcut keyboard',
+                run: () => KeymapEditor.open() }
+        ].forEach(command => this.register(command));
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * Commands.register({ id: 'my.hello', title: 'Halo', key: 'Ctrl+Alt+J', run: () => alert('Halo') });
+ * Commands.run('format.bold');
+ *
+ * Commands.setKey('format.bold', 'Ctrl+Alt+B');   // tersimpan di settings
+ * Commands.resetKey('format.bold');               // kembali ke Ctrl+B
+ */
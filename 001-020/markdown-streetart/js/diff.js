@@ -0,0 +1,210 @@
+/**
+ * ============================================
+ * LINE DIFF MODULE
+ * ============================================
+ *
+ * File ini membandingkan dua teks baris per baris (seperti `diff`)
+ * dan menghasilkan daftar baris yang sama, ditambah, atau dihapus.
+ * Dipakai panel riwayat revisi.
+ *
+ * Algoritma: Myers O(ND) - mencari edit script terpendek.
+ * N = jumlah baris, D = jumlah baris yang berbeda, jadi cepat
+ * untuk perubahan kecil walau dokumennya panjang.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Algoritma Myers (edit graph, diagonal k, "snake")
+ * 2. Backtracking dari trace untuk membentuk hasil
+ * 3. Optimasi: buang prefix & suffix yang sama lebih dulu
+ */
+
+const LineDiff = {
+
+    /**
+     * Batas jumlah edit. Lebih dari ini, bagian tengah dianggap
+     * diganti seluruhnya (hasil tetap benar, hanya kurang rapi).
+     */
+    maxEdits: 2000,
+
+    /**
+     * FUNGSI UTAMA: Diff dua teks
+     *
+     * @param {string} oldText - Versi lama
+     * @param {string} newText - Versi baru
+     * @returns {Array<Object>} - { type: 'equal'|'delete'|'insert', text, oldLine, newLine }
+     *          oldLine/newLine 1-based, null jika baris tidak ada di versi itu
+     */
+    diff: function(oldText, newText) {
+        const a = this.splitLines(oldText);
+        const b = this.splitLines(newText);
+
+        // Prefix & suffix yang sama tidak perlu masuk algoritma
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        for (let i = 0; i < start; i++) {
+            ops.push(this.op('equal', a[i], i, i));
+        }
+        this.myers(a, b, start, endA, start, endB).forEach(op => ops.push(op));
+        for (let i = endA, j = endB; i < a.length; i++, j++) {
+            ops.push(this.op('equal', a[i], i, j));
+        }
+        return ops;
+    },
+
+    /**
+     * MYERS
+     *
+     * Diff a[aStart..aEnd) dengan b[bStart..bEnd)
+     *
+     * @returns {Array<Object>} - Operasi sesuai urutan
+     */
+    myers: function(a, b, aStart, aEnd, bStart, bEnd) {
+        const n = aEnd - aStart;
+        const m = bEnd - bStart;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Array(2 * max + 3).fill(0);
+        const trace = [];
+
+        if (max === 0) {
+            return [];
+        }
+
+        // Maju: untuk setiap jumlah edit d, cari titik terjauh di setiap diagonal k
+        let found = false;
+        for (let d = 0; d <= max && d <= this.maxEdits; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x;
+                if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                    x = v[offset + k + 1];       // Langkah ke bawah (insert)
+                } else {
+                    x = v[offset + k - 1] + 1;   // Langkah ke kanan (delete)
+                }
+                let y = x - k;
+
+                // Snake: ikuti baris yang sama sejauh mungkin
+                while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    found = true;
+                    break;
+                }
+            }
+            if (found) {
+                break;
+            }
+        }
+
+        if (!found) {
+            // Terlalu banyak perbedaan: hapus semua lalu tambah semua
+            const ops = [];
+            for (let i = aStart; i < aEnd; i++) {
+                ops.push(this.op('delete', a[i], i, null));
+            }
+            for (let j = bStart; j < bEnd; j++) {
+                ops.push(this.op('insert', b[j], null, j));
+            }
+            return ops;
+        }
+
+        // Mundur: telusuri trace dari titik akhir ke (0, 0)
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const vd = trace[d];
+            const k = x - y;
+            let prevK;
+            if (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) {
+                prevK = k + 1;
+            } else {
+                prevK = k - 1;
+            }
+            const prevX = d === 0 ? 0 : vd[offset + prevK];
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                x--;
+                y--;
+                ops.push(this.op('equal', a[aStart + x], aStart + x, bStart + y));
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    y--;
+                    ops.push(this.op('insert', b[bStart + y], null, bStart + y));
+                } else {
+                    x--;
+                    ops.push(this.op('delete', a[aStart + x], aStart + x, null));
+                }
+            }
+        }
+        return ops.reverse();
+    },
+
+    /**
+     * Buat satu operasi (index 0-based menjadi nomor baris 1-based)
+     */
+    op: function(type, text, oldIndex, newIndex) {
+        return {
+            type: type,
+            text: text,
+            oldLine: oldIndex === null ? null : oldIndex + 1,
+            newLine: newIndex === null ? null : newIndex + 1
+        };
+    },
+
+    /**
+     * SPLIT LINES
+     *
+     * Teks kosong = tidak ada baris (bukan satu baris kosong)
+     */
+    splitLines: function(text) {
+        if (!text) {
+            return [];
+        }
+        const lines = text.split(/\r\n|\n|\r/);
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    },
+
+    /**
+     * STATS: Jumlah baris ditambah & dihapus
+     *
+     * @param {Array<Object>} ops - Hasil diff()
+     * @returns {Object} - { added, removed }
+     */
+    stats: function(ops) {
+        return {
+            added: ops.filter(op => op.type === 'insert').length,
+            removed: ops.filter(op => op.type === 'delete').length
+        };
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * LineDiff.diff('a\nb\nc', 'a\nc\nd');
+ * // [
+ * //   { type: 'equal',  text: 'a', oldLine: 1, newLine: 1 },
+ * //   { type: 'delete', text: 'b', oldLine: 2, newLine: null },
+ * //   { type: 'equal',  text: 'c', oldLine: 3, newLine: 2 },
+ * //   { type: 'insert', text: 'd', oldLine: null, newLine: 3 }
+ * // ]
+ */
@@ -0,0 +1,361 @@
+/**
+ * ============================================
+ * EDITOR ACTIONS MODULE
+ * ============================================
+ *
+ * File ini berisi aksi edit markdown per baris untuk textarea editor:
+ * heading, list, kutipan, code block, tabel, indent & outdent.
+ * Dipanggil lewat command (lihat commands.js), serta Enter dan
+ * Tab/Shift+Tab di editor (lihat App.handleEditorKeydown).
+ *
+ * Semua perubahan lewat App.replaceSelection, sehingga masuk ke
+ * undo stack browser dan bisa dibatalkan dengan Ctrl+Z.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Selection API textarea (selectionStart, selectionEnd)
+ * 2. Operasi berbasis baris (toggle prefix)
+ * 3. Menjaga posisi cursor setelah text berubah
+ */
+
+const EditorActions = {
+
+    /**
+     * POLA
+     */
+    patterns: {
+        heading: /^( {0,3})(#{1,6})(?:[ \t]+|$)/,
+        // indent, marker (- * + 1. 1)), checkbox task list, isi
+        listItem: /^([ \t]*)([-*+]|\d{1,9}[.)])([ \t]+\[[ xX]\])?(?:[ \t]+|$)/,
+        quote: /^( {0,3})> ?/
+    },
+
+    /**
+     * Indentasi default jika tidak ada list item di atasnya
+     */
+    indentUnit: '  ',
+
+    /**
+     * REPLACE LINES
+     *
+     * Ganti semua baris yang tersentuh selection.
+     * Tanpa selection: cursor tetap di posisi yang sama relatif
+     * terhadap akhir baris. Dengan selection: seluruh baris hasil
+     * di-select.
+     *
+     * @param {Function} transform - (lines, linesBefore) => lines baru
+     */
+    replaceLines: function(transform) {
+        const textarea = App.elements.editor;
+        const value = textarea.value;
+        const collapsed = textarea.selectionStart === textarea.selectionEnd;
+
+        const start = value.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
+        // Selection yang berakhir di awal baris tidak ikut menyentuh baris itu
+        let selectionEnd = textarea.selectionEnd;
+        if (!collapsed && value[selectionEnd - 1] === '\n') {
+            selectionEnd--;
+        }
+        let end = value.indexOf('\n', selectionEnd);
+        if (end === -1) {
+            end = value.length;
+        }
+
+        const original = value.slice(start, end);
+        const linesBefore = value.slice(0, start).split('\n').slice(0, -1);
+        const text = transform(original.split('\n'), linesBefore).join('\n');
+        if (text === original) {
+            return;
+        }
+
+        const fromEnd = end - textarea.selectionEnd;
+        textarea.setSelectionRange(start, end);
+        App.replaceSelection(text);
+
+        if (collapsed) {
+            const caret = Math.max(start, start + text.length - fromEnd);
+            textarea.setSelectionRange(caret, caret);
+        } else {
+            textarea.setSelectionRange(start, start + text.length);
+        }
+    },
+
+    /**
+     * TOGGLE HEADING
+     *
+     * Baris yang sudah heading level ini kembali menjadi paragraph
+     *
+     * @param {number} level - 1 sampai 6
+     */
+    toggleHeading: function(level) {
+        this.replaceLines(lines => lines.map(line => {
+            const match = this.patterns.heading.exec(line);
+            const body = match ? line.slice(match[0].length) : line;
+            if (match && match[2].length === level) {
+                return match[1] + body;
+            }
+            return (match ? match[1] : '') + '#'.repeat(level) + ' ' + body;
+        }));
+    },
+
+    /**
+     * TOGGLE LIST
+     *
+     * Jika semua baris sudah list jenis ini, marker dihapus.
+     * Jika belum, marker lain (jenis list berbeda) diganti.
+     *
+     * @param {string} type - 'bullet' | 'ordered' | 'task'
+     */
+    toggleList: function(type) {
+        this.replaceLines(lines => {
+            const items = lines.map(line => this.parseListItem(line));
+            const filled = items.filter(item => item.indent + item.body !== '');
+            const remove = filled.length > 0 && filled.every(item => item.type === type);
+
+            let number = 0;
+            return items.map((item, index) => {
+                if (item.indent + item.body === '' && !item.marker) {
+                    return lines[index];
+                }
+                if (remove) {
+                    return item.indent + item.body;
+                }
+                number++;
+                const markers = {
+                    bullet: '- ',
+                    task: item.checked ? '- [x] ' : '- [ ] ',
+                    ordered: `${number}. `
+                };
+                return item.indent + markers[type] + item.body;
+            });
+        });
+    },
+
+    /**
+     * CONTINUE LIST
+     *
+     * Dipanggil saat Enter ditekan (lihat App.handleEditorKeydown):
+     * - di list item berisi: baris baru dengan marker berikutnya
+     *   ("- " tetap "- ", "3. " menjadi "4. ", task list tanpa centang)
+     * - di list item kosong: marker dihapus, list selesai
+     *
+     * @returns {boolean} - false = bukan di list item, biarkan Enter biasa
+     */
+    continueList: function() {
+        const textarea = App.elements.editor;
+        const value = textarea.value;
+        const caret = textarea.selectionStart;
+        if (caret !== textarea.selectionEnd) {
+            return false;
+        }
+
+        const lineStart = value.lastIndexOf('\n', caret - 1) + 1;
+        let lineEnd = value.indexOf('\n', caret);
+        if (lineEnd === -1) {
+            lineEnd = value.length;
+        }
+        const line = value.slice(lineStart, lineEnd);
+        const item = this.parseListItem(line);
+        const prefixLength = line.length - item.body.length;
+
+        // Cursor di dalam marker, atau "- x" di dalam code block
+        if (!item.type || caret - lineStart < prefixLength ||
+            this.isInCodeFence(value.slice(0, lineStart).split('\n').slice(0, -1))) {
+            return false;
+        }
+
+        if (item.body.trim() === '') {
+            textarea.setSelectionRange(lineStart, lineEnd);
+            App.replaceSelection('');
+            return true;
+        }
+
+        // Spasi setelah marker dipertahankan ("-   item" tetap sejajar)
+        const gap = /^(?:[-*+]|\d+[.)])([ \t]*)/.exec(line.slice(item.indent.length))[1] || ' ';
+        let marker = item.marker;
+        if (item.type === 'ordered') {
+            marker = (parseInt(marker, 10) + 1) + marker.slice(-1);
+        }
+        const checkbox = item.type === 'task' ? '[ ] ' : '';
+        App.replaceSelection('\n' + item.indent + marker + gap + checkbox);
+        return true;
+    },
+
+    /**
+     * IS IN CODE FENCE
+     *
+     * Perkiraan cepat: jumlah baris fence (``` atau ~~~) di atas ganjil
+     *
+     * @param {Array<string>} linesBefore - Baris sebelum baris cursor
+     * @returns {boolean}
+     */
+    isInCodeFence: function(linesBefore) {
+        return linesBefore.filter(line => /^ {0,3}(`{3,}|~{3,})/.test(line)).length % 2 === 1;
+    },
+
+    /**
+     * PARSE LIST ITEM
+     *
+     * @param {string} line
+     * @returns {Object} - { indent, marker, type, checked, body, contentColumn }
+     *          type null jika bukan list item
+     */
+    parseListItem: function(line) {
+        const match = this.patterns.listItem.exec(line);
+        if (!match) {
+            const indent = /^[ \t]*/.exec(line)[0];
+            return { indent: indent, marker: '', type: null, checked: false, body: line.slice(indent.length), contentColumn: 0 };
+        }
+
+        const checkbox = match[3] || '';
+        let type = /\d/.test(match[2]) ? 'ordered' : 'bullet';
+        if (checkbox) {
+            type = 'task';
+        }
+        return {
+            indent: match[1],
+            marker: match[2],
+            type: type,
+            checked: /x/i.test(checkbox),
+            body: line.slice(match[0].length),
+            // Kolom isi item: tempat list bersarang harus dimulai
+            contentColumn: match[1].length + match[2].length + 1
+        };
+    },
+
+    /**
+     * TOGGLE QUOTE
+     */
+    toggleQuote: function() {
+        this.replaceLines(lines => {
+            const filled = lines.filter(line => line.trim() !== '');
+            const remove = filled.length > 0 && filled.every(line => this.patterns.quote.test(line));
+            return lines.map(line => {
+                if (remove) {
+                    return line.replace(this.patterns.quote, '$1');
+                }
+                return line.trim() === '' ? '>' : '> ' + line;
+            });
+        });
+    },
+
+    /**
+     * INSERT CODE FENCE
+     *
+     * Baris kosong: sisipkan fence kosong, cursor di dalamnya.
+     * Selain itu: bungkus baris yang di-select dengan fence.
+     */
+    insertCodeFence: function() {
+        const textarea = App.elements.editor;
+        const value = textarea.value;
+        const lineStart = value.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
+        let lineEnd = value.indexOf('\n', textarea.selectionStart);
+        if (lineEnd === -1) {
+            lineEnd = value.length;
+        }
+
+        if (textarea.selectionStart === textarea.selectionEnd && value.slice(lineStart, lineEnd).trim() === '') {
+            textarea.setSelectionRange(lineStart, lineEnd);
+            App.replaceSelection('```\n\n```');
+            textarea.setSelectionRange(lineStart + 4, lineStart + 4);
+            return;
+        }
+
+        this.replaceLines(lines => ['```'].concat(lines, '```'));
+    },
+
+    /**
+     * INSERT TABLE
+     *
+     * Tabel 2 kolom sebagai paragraph sendiri, "Kolom 1" di-select
+     */
+    insertTable: function() {
+        const textarea = App.elements.editor;
+        const before = textarea.value.slice(0, textarea.selectionStart);
+
+        // Tabel harus diawali baris kosong agar tidak menyambung paragraph
+        let prefix = '';
+        if (before !== '' && !before.endsWith('\n')) {
+            prefix = '\n\n';
+        } else if (before !== '' && !before.endsWith('\n\n')) {
+            prefix = '\n';
+        }
+
+        const table = '| Kolom 1 | Kolom 2 |\n| --- | --- |\n|  |  |\n';
+        const start = textarea.selectionStart + prefix.length + 2;
+        App.replaceSelection(prefix + table);
+        textarea.setSelectionRange(start, start + 'Kolom 1'.length);
+    },
+
+    /**
+     * INDENT
+     *
+     * Baris bergeser ke kolom isi list item terdekat di atasnya
+     * yang sejajar, sehingga menjadi list bersarang.
+     */
+    indent: function() {
+        this.replaceLines((lines, linesBefore) => {
+            const first = this.parseListItem(lines[0]);
+            const parent = this.findListItem(linesBefore, item => item.indent.length === first.indent.length);
+            const width = parent ? parent.contentColumn - first.indent.length : this.indentUnit.length;
+            const padding = ' '.repeat(Math.max(1, width));
+            return lines.map(line => line === '' ? line : padding + line);
+        });
+    },
+
+    /**
+     * OUTDENT
+     *
+     * Kebalikan indent: kembali ke indentasi list item induk
+     */
+    outdent: function() {
+        this.replaceLines((lines, linesBefore) => {
+            const first = this.parseListItem(lines[0]);
+            const parent = this.findListItem(linesBefore, item => item.indent.length < first.indent.length);
+            const width = parent ? first.indent.length - parent.indent.length : this.indentUnit.length;
+
+            return lines.map(line => {
+                if (line.startsWith('\t')) {
+                    return line.slice(1);
+                }
+                const spaces = /^ */.exec(line)[0].length;
+                return line.slice(Math.min(spaces, width));
+            });
+        });
+    },
+
+    /**
+     * FIND LIST ITEM
+     *
+     * Cari list item terdekat di atas (berhenti di baris kosong ganda)
+     *
+     * @param {Array<string>} linesBefore - Baris sebelum selection
+     * @param {Function} test - (item) => boolean
+     * @returns {Object|null} - Hasil parseListItem
+     */
+    findListItem: function(linesBefore, test) {
+        for (let i = linesBefore.length - 1; i >= 0; i--) {
+            if (linesBefore[i] === '' && linesBefore[i - 1] === '') {
+                break;
+            }
+            const item = this.parseListItem(linesBefore[i]);
+            if (item.type && test(item)) {
+                return item;
+            }
+        }
+        return null;
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * // Cursor di baris "Judul"
+ * EditorActions.toggleHeading(2);    // "## Judul"
+ * EditorActions.toggleHeading(2);    // "Judul" lagi
+ *
+ * // Baris "- b" di bawah "- a"
+ * EditorActions.indent();            // "  - b" (list bersarang)
+ *
+ * // Cursor di akhir "3. tiga"
+ * EditorActions.continueList();      // baris baru "4. "
+ */
@@ -0,0 +1,226 @@
+/**
+ * ============================================
+ * EXPORT MODULE
+ * ============================================
+ *
+ * File ini mengeluarkan dokumen dari editor:
+ * 1. .html - file mandiri: CSS di-inline, tanpa script, tanpa font/CSS eksternal
+ * 2. .md   - markdown apa adanya
+ * 3. .txt  - plain text lewat HTMLSanitizer.stripTags
+ * 4. Cetak / Save as PDF - window.print() dengan @media print di style.css
+ *
+ * Semua HTML yang diekspor melewati HTMLSanitizer, sama seperti preview.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Blob + URL.createObjectURL untuk download tanpa server
+ * 2. Membaca CSSOM (document.styleSheets) untuk inline CSS
+ * 3. @media print untuk tampilan cetak
+ */
+
+const Exporter = {
+
+    /**
+     * DOM ELEMENTS
+     */
+    elements: {
+        html: null,
+        markdown: null,
+        text: null,
+        print: null
+    },
+
+    /**
+     * CSS DASAR FILE HTML
+     *
+     * Selalu disertakan, juga saat stylesheet aplikasi tidak bisa
+     * dibaca (misal dibuka via file:// di Chrome).
+     */
+    baseStyles: `
+body {
+    margin: 0;
+    padding: 2rem 1rem;
+    background: #1a1a1a;
+    color: #f0f0f0;
+    font-family: 'Roboto', system-ui, sans-serif;
+    line-height: 1.6;
+}
+.preview-content {
+    max-width: 860px;
+    min-height: 0;
+    margin: 0 auto;
+    overflow: visible;
+}
+.preview-content img {
+    max-width: 100%;
+}
+.preview-content pre {
+    overflow-x: auto;
+}`,
+
+    /**
+     * INIT
+     */
+    init: function() {
+        const el = this.elements;
+        el.html = document.getElementById('export-html');
+        el.markdown = document.getElementById('export-md');
+        el.text = document.getElementById('export-txt');
+        el.print = document.getElementById('export-print');
+
+        if (!el.html) {
+            console.error('❌ Export buttons not found!');
+            return;
+        }
+
+        el.html.addEventListener('click', () => this.exportHTML());
+        el.markdown.addEventListener('click', () => this.exportMarkdown());
+        el.text.addEventListener('click', () => this.exportText());
+        el.print.addEventListener('click', () => this.print());
+
+        console.log('✓ Export ready');
+    },
+
+    /**
+     * EXPORT ACTIONS
+     */
+    exportHTML: function() {
+        const title = this.getTitle();
+        const html = this.toHTML(App.elements.editor.value, title);
+        this.download(`${this.toFilename(title)}.html`, html, 'text/html');
+    },
+
+    exportMarkdown: function() {
+        this.download(`${this.toFilename(this.getTitle())}.md`, App.elements.editor.value, 'text/markdown');
+    },
+
+    exportText: function() {
+        const text = this.toPlainText(App.elements.editor.value);
+        this.download(`${this.toFilename(this.getTitle())}.txt`, text, 'text/plain');
+    },
+
+    /**
+     * PRINT
+     *
+     * Browser menampilkan dialog cetak; pilih "Save as PDF".
+     * Tampilan cetak (hanya preview, hitam di atas putih) diatur
+     * oleh @media print di style.css.
+     */
+    print: function() {
+        // Pastikan preview memakai isi editor terbaru (bukan menunggu debounce).
+        // Dengan worker, preview baru berubah setelah hasilnya kembali.
+        clearTimeout(App.debounceTimer);
+        return App.updatePreview().then(() => window.print());
+    },
+
+    /**
+     * TO HTML
+     *
+     * @param {string} markdown - Isi dokumen
+     * @param {string} title - Judul untuk <title>
+     * @returns {string} - Dokumen HTML lengkap
+     */
+    toHTML: function(markdown, title) {
+        // Wajib lewat sanitizer, sama seperti preview
+        const body = HTMLSanitizer.sanitize(MarkdownParser.parse(markdown));
+        const css = (this.baseStyles + '\n' + this.collectStyles())
+            .replace(/<\/style/gi, '<\\/style');
+
+        return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="Markdown StreetArt">
+<title>${HTMLSanitizer.escapeHTML(title)}</title>
+<style>
+${css}
+</style>
+</head>
+<body>
+<main class="preview-content">
+${body}
+</main>
+</body>
+</html>
+`;
+    },
+
+    /**
+     * TO PLAIN TEXT
+     *
+     * @param {string} markdown
+     * @returns {string}
+     */
+    toPlainText: function(markdown) {
+        const html = HTMLSanitizer.sanitize(MarkdownParser.parse(markdown))
+            // Baris kosong setelah setiap block, seperti di markdown
+            .replace(/<\/(h[1-6]|p|pre|blockquote|ul|ol|dl|table)>/g, '$&\n');
+        return HTMLSanitizer.stripTags(html)
+            .replace(/\n{3,}/g, '\n\n')
+            .trim() + '\n';
+    },
+
+    /**
+     * COLLECT STYLES
+     *
+     * Ambil CSS dari stylesheet halaman yang bisa dibaca.
+     * Stylesheet dari origin lain (Google Fonts) melempar
+     * SecurityError saat cssRules diakses, jadi dilewati.
+     *
+     * @returns {string} - CSS text
+     */
+    collectStyles: function() {
+        return Array.from(document.styleSheets).map(sheet => {
+            try {
+                return Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+            } catch (error) {
+                return '';
+            }
+        }).join('\n');
+    },
+
+    /**
+     * DOWNLOAD
+     *
+     * @param {string} filename
+     * @param {string} content
+     * @param {string} mime - MIME type
+     */
+    download: function(filename, content, mime) {
+        const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Beri waktu browser memulai download sebelum URL dilepas
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Judul dokumen aktif di workspace
+     */
+    getTitle: function() {
+        return Workspace.current ? Workspace.current.title : 'dokumen';
+    },
+
+    /**
+     * TO FILENAME
+     *
+     * Buang karakter yang tidak boleh ada di nama file
+     *
+     * @param {string} title
+     * @returns {string}
+     */
+    toFilename: function(title) {
+        const name = title
+            .replace(/[\\/:*?"<>|\u0000-\u001F]+/g, '-')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return name || 'dokumen';
+    }
+};
@@ -0,0 +1,548 @@
+/**
+ * ============================================
+ * MARKDOWN EXTENSIONS MODULE
+ * ============================================
+ *
+ * File ini berisi syntax tambahan untuk catatan teknis panjang,
+ * didaftarkan lewat MarkdownParser.use():
+ *
+ * 1. FOOTNOTES
+ *    Text dengan catatan[^1].
+ *
+ *    [^1]: Isi catatan, muncul di bagian bawah dokumen.
+ *
+ * 2. DEFINITION LISTS
+ *    Term
+ *    : Definisi dari term
+ *
+ * 3. ABBREVIATIONS
+ *    *[HTML]: Hyper Text Markup Language
+ *    Setiap kata "HTML" menjadi <abbr title="...">HTML</abbr>
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Menambah syntax lewat plugin API (block, inline, postprocess)
+ * 2. Mengolah AST setelah parsing (numbering, memindahkan node)
+ * 3. Id stabil + prefix (options.idPrefix) agar beberapa preview bisa
+ *    tampil bersamaan di satu halaman
+ */
+
+const MarkdownExtensions = {
+
+    /**
+     * REGEX
+     */
+    patterns: {
+        footnoteDef: /^\[\^([^\]\s]+)\]:/,
+        footnoteRef: /^\[\^([^\]\s]+)\]/,
+        definition: /^:[ \t]+\S/,
+        abbreviation: /^\*\[([^\]]+)\]:[ \t]*(.*)$/
+    },
+
+    /**
+     * ============================================
+     * FOOTNOTES
+     * ============================================
+     */
+
+    /**
+     * Block: definisi footnote [^label]: isi
+     *
+     * Isi bisa beberapa paragraph selama diindentasi 4 spasi.
+     */
+    footnoteDefinition: {
+        name: 'footnote_def',
+        level: 'block',
+        tokenizer: function(state, container) {
+            // Sama seperti link reference definition, tidak memotong paragraph
+            if (state.indented || container.type === 'paragraph') {
+                return 0;
+            }
+            const match = MarkdownExtensions.patterns.footnoteDef.exec(state.currentLine.slice(state.nextNonspace));
+            if (!match) {
+                return 0;
+            }
+
+            this.advanceNextNonspace(state);
+            this.advanceOffset(state, match[0].length, false);
+            if (this.isSpaceOrTab(state.currentLine.charAt(state.offset))) {
+                this.advanceOffset(state, 1, true);
+            }
+            this.closeUnmatchedBlocks(state);
+
+            const node = this.addChild(state, 'footnote_def', state.nextNonspace);
+            node.label = this.normalizeReference(`[${match[1]}]`);
+            return 1;
+        },
+        rule: {
+            continue: function(state, container) {
+                if (state.blank) {
+                    // Baris kosong sebelum ada isi menutup footnote
+                    if (container.children.length === 0) {
+                        return 1;
+                    }
+                    this.advanceNextNonspace(state);
+                } else if (state.indent >= this.CODE_INDENT) {
+                    this.advanceOffset(state, this.CODE_INDENT, true);
+                } else {
+                    return 1;
+                }
+                return 0;
+            },
+            canContain: function(type) {
+                return type !== 'item' && type !== 'footnote_def';
+            }
+        },
+        renderer: {
+            footnotes: function(node, out) {
+                const prefix = MarkdownExtensions.idPrefix(out);
+                const items = node.children.map(def => {
+                    let html = this.renderChildrenToString(def, out);
+
+                    // Link kembali ke setiap referensi: ↩ ↩² ↩³
+                    const backrefs = [];
+                    for (let i = 1; i <= def.refCount; i++) {
+                        const refId = MarkdownExtensions.footnoteRefId(prefix, def.number, i);
+                        const label = i === 1 ? '↩' : `↩<sup>${i}</sup>`;
+                        backrefs.push(`<a href="#${refId}" class="footnote-backref">${label}</a>`);
+                    }
+
+                    // Backref masuk ke paragraph terakhir jika ada
+                    if (html.endsWith('</p>\n')) {
+                        html = html.slice(0, -5) + ' ' + backrefs.join(' ') + '</p>\n';
+                    } else {
+                        html += backrefs.join(' ') + '\n';
+                    }
+
+                    return `<li id="fn-${prefix}${def.number}">\n${html}</li>\n`;
+                });
+
+                return '<section class="footnotes">\n<ol>\n' + items.join('') + '</ol>\n</section>\n';
+            }
+        },
+        postprocess: function(doc) {
+            MarkdownExtensions.resolveFootnotes(doc);
+        },
+        sanitize: {
+            tags: ['section', 'sup'],
+            attributes: { a: ['class'], li: ['id'], section: ['class'] },
+            classes: { a: [/^footnote-backref$/], section: [/^footnotes$/] }
+        }
+    },
+
+    /**
+     * Inline: referensi footnote [^label]
+     *
+     * Label yang tidak punya definisi dikembalikan menjadi text
+     * saat postprocess (lihat resolveFootnotes).
+     */
+    footnoteReference: {
+        name: 'footnote_ref',
+        level: 'inline',
+        start: '[',
+        tokenizer: function(inline, nodes) {
+            const text = this.match(inline, MarkdownExtensions.patterns.footnoteRef);
+            if (!text) {
+                return false;
+            }
+            nodes.push({ type: 'footnote_ref', label: this.normalizeReference(text.slice(1)), raw: text });
+            return true;
+        },
+        renderer: function(node, out) {
+            // Tidak diberi nomor: plugin footnote_def dimatikan (options.disabledPlugins)
+            if (!node.number) {
+                return this.escapeHTML(node.raw);
+            }
+            const prefix = MarkdownExtensions.idPrefix(out);
+            const refId = MarkdownExtensions.footnoteRefId(prefix, node.number, node.refIndex);
+            return `<sup class="footnote-ref"><a href="#fn-${prefix}${node.number}" id="${refId}">${node.number}</a></sup>`;
+        },
+        sanitize: {
+            tags: ['sup'],
+            attributes: { a: ['id'], sup: ['class'] },
+            classes: { sup: [/^footnote-ref$/] }
+        }
+    },
+
+    /**
+     * PREFIX ID FOOTNOTE
+     *
+     * Id footnote hanya bergantung pada nomornya (fn-2, fnref-2), jadi
+     * sama setiap kali dokumen di-render. Tampilan lain di halaman yang
+     * sama (misal preview revisi) memberi options.idPrefix sendiri:
+     * idPrefix 'rev' -> fn-rev-2, fnref-rev-2.
+     *
+     * @param {Object} out - Render state
+     * @returns {string} - '' atau 'prefix-'
+     */
+    idPrefix: function(out) {
+        return out.options.idPrefix ? out.options.idPrefix + '-' : '';
+    },
+
+    /**
+     * ID untuk referensi footnote ke-n.
+     * Referensi pertama: fnref-2, berikutnya: fnref-2-2, ...
+     */
+    footnoteRefId: function(prefix, number, refIndex) {
+        const id = `fnref-${prefix}${number}`;
+        return refIndex > 1 ? `${id}-${refIndex}` : id;
+    },
+
+    /**
+     * RESOLVE FOOTNOTES
+     *
+     * 1. Ambil semua definisi footnote dari AST
+     * 2. Beri nomor sesuai urutan referensi pertama di dokumen
+     * 3. Referensi tanpa definisi menjadi text biasa
+     * 4. Taruh daftar footnote di akhir dokumen
+     *    (definisi yang tidak pernah direferensi tidak ditampilkan)
+     *
+     * @param {Object} doc - Node document
+     */
+    resolveFootnotes: function(doc) {
+        const definitions = {};
+        this.removeBlocks(doc, 'footnote_def').forEach(def => {
+            // Definisi pertama yang menang, sama seperti link reference
+            if (!definitions[def.label]) {
+                definitions[def.label] = def;
+            }
+        });
+
+        const used = [];
+
+        const visit = nodes => {
+            nodes.forEach((node, index) => {
+                if (node.type === 'footnote_ref') {
+                    const def = definitions[node.label];
+                    if (!def) {
+                        nodes[index] = { type: 'text', literal: node.raw };
+                        return;
+                    }
+                    if (!def.number) {
+                        used.push(def);
+                        def.number = used.length;
+                        def.refCount = 0;
+                    }
+                    def.refCount += 1;
+                    node.number = def.number;
+                    node.refIndex = def.refCount;
+                    return;
+                }
+                if (node.children) {
+                    visit(node.children);
+                }
+            });
+        };
+        visit(doc.children);
+
+        // Footnote di dalam footnote: isi definisi diproses sesuai urutan nomor
+        for (let i = 0; i < used.length; i++) {
+            visit(used[i].children);
+        }
+
+        if (used.length > 0) {
+            doc.children.push({
+                type: 'footnotes',
+                children: used,
+                startLine: used[0].startLine,
+                endLine: used[used.length - 1].endLine
+            });
+        }
+    },
+
+    /**
+     * ============================================
+     * DEFINITION LISTS
+     * ============================================
+     */
+
+    /**
+     * Block: baris ": definisi" setelah paragraph term
+     *
+     * Setiap baris paragraph di atasnya menjadi satu <dt>.
+     * Definisi lanjutan diindentasi sejajar dengan isi setelah ":".
+     */
+    definitionList: {
+        name: 'deflist',
+        level: 'block',
+        tokenizer: function(state, container) {
+            if (state.indented || !MarkdownExtensions.patterns.definition.test(state.currentLine.slice(state.nextNonspace))) {
+                return 0;
+            }
+
+            if (container.type === 'paragraph') {
+                // Paragraph di atas menjadi daftar term
+                const terms = container.stringContent.replace(/\n$/, '').split('\n');
+                this.closeUnmatchedBlocks(state);
+                state.tip = container.parent;
+                this.removeNode(container);
+
+                const list = this.addChild(state, 'deflist', state.nextNonspace);
+                list.startLine = container.startLine;
+                terms.forEach((term, index) => {
+                    const dt = this.createNode('dt', container.startLine + index);
+                    dt.stringContent = term;
+                    dt.open = false;
+                    dt.parent = list;
+                    list.children.push(dt);
+                });
+            } else if (container.type === 'deflist') {
+                // Definisi berikutnya untuk term yang sama
+                this.closeUnmatchedBlocks(state);
+            } else {
+                return 0;
+            }
+
+            const markerOffset = state.indent;
+            const markerColumn = state.nextNonspaceColumn;
+            this.advanceNextNonspace(state);
+            this.advanceOffset(state, 1, false);
+            this.advanceOffset(state, 1, true);
+
+            const dd = this.addChild(state, 'dd', state.nextNonspace);
+            dd.markerOffset = markerOffset;
+            dd.padding = state.column - markerColumn;
+            return 1;
+        },
+        rule: {
+            continue: function(state) {
+                // Baris kosong atau ": definisi" berikutnya tetap di list yang sama
+                if (state.blank || (!state.indented &&
+                    MarkdownExtensions.patterns.definition.test(state.currentLine.slice(state.nextNonspace)))) {
+                    return 0;
+                }
+                return state.indent > 0 ? 0 : 1;
+            },
+            canContain: function(type) {
+                return type === 'dt' || type === 'dd';
+            }
+        },
+        rules: {
+            dt: {
+                inlineContent: true
+            },
+            dd: {
+                continue: function(state, container) {
+                    if (state.blank) {
+                        if (container.children.length === 0) {
+                            return 1;
+                        }
+                        this.advanceNextNonspace(state);
+                    } else if (state.indent >= container.markerOffset + container.padding) {
+                        this.advanceOffset(state, container.markerOffset + container.padding, true);
+                    } else {
+                        return 1;
+                    }
+                    return 0;
+                },
+                finalize: function(state, block) {
+                    // Definisi satu paragraph dirender tanpa <p>
+                    block.tight = block.children.length === 1 && block.children[0].type === 'paragraph';
+                },
+                canContain: function(type) {
+                    return type !== 'item';
+                }
+            }
+        },
+        renderer: {
+            deflist: function(node, out) {
+                return `<dl${this.sourceLineAttr(node, out)}>\n` + this.renderChildrenToString(node, out) + '</dl>\n';
+            },
+            dt: function(node, out) {
+                return `<dt${this.sourceLineAttr(node, out)}>` + this.renderInlines(node.children, out) + '</dt>\n';
+            },
+            dd: function(node, out) {
+                const tight = out.tight;
+                out.tight = node.tight;
+                const html = this.renderChildrenToString(node, out);
+                out.tight = tight;
+                return `<dd${this.sourceLineAttr(node, out)}>` + (node.tight ? html : '\n' + html) + '</dd>\n';
+            }
+        },
+        postprocess: function(doc) {
+            MarkdownExtensions.mergeDefinitionLists(doc);
+        },
+        sanitize: {
+            tags: ['dl', 'dt', 'dd']
+        }
+    },
+
+    /**
+     * MERGE DEFINITION LISTS
+     *
+     * Term yang dipisah baris kosong membuat <dl> baru saat parsing.
+     * Gabungkan <dl> yang bersebelahan menjadi satu.
+     */
+    mergeDefinitionLists: function(node) {
+        if (!node.children) {
+            return;
+        }
+        node.children = node.children.filter((child, index, siblings) => {
+            this.mergeDefinitionLists(child);
+
+            const previous = siblings[index - 1];
+            if (child.type === 'deflist' && previous && previous.type === 'deflist') {
+                // Pindahkan isi ke <dl> sebelumnya (yang mungkin sudah digabung juga)
+                const target = previous.mergedInto || previous;
+                target.children = target.children.concat(child.children);
+                target.endLine = child.endLine;
+                child.mergedInto = target;
+                return false;
+            }
+            return true;
+        });
+        node.children.forEach(child => delete child.mergedInto);
+    },
+
+    /**
+     * ============================================
+     * ABBREVIATIONS
+     * ============================================
+     */
+
+    /**
+     * Block: definisi singkatan *[HTML]: Hyper Text Markup Language
+     *
+     * Baris definisi tidak dirender, hanya dipakai saat postprocess.
+     */
+    abbreviation: {
+        name: 'abbr_def',
+        level: 'block',
+        tokenizer: function(state) {
+            if (state.indented) {
+                return 0;
+            }
+            const match = MarkdownExtensions.patterns.abbreviation.exec(state.currentLine.slice(state.nextNonspace));
+            if (!match) {
+                return 0;
+            }
+            this.closeUnmatchedBlocks(state);
+            const node = this.addChild(state, 'abbr_def', state.nextNonspace);
+            node.label = match[1].trim();
+            node.title = match[2].trim();
+            this.advanceOffset(state, state.currentLine.length - state.offset, false);
+            return 2;
+        },
+        renderer: {
+            abbr_def: function() {
+                return '';
+            }
+        },
+        inlineRenderers: {
+            abbr: function(node, out) {
+                return `<abbr title="${this.escapeHTML(node.title)}">` + this.renderInlines(node.children, out) + '</abbr>';
+            }
+        },
+        postprocess: function(doc) {
+            MarkdownExtensions.applyAbbreviations(doc);
+        },
+        sanitize: {
+            tags: ['abbr'],
+            attributes: { abbr: ['title'] }
+        }
+    },
+
+    /**
+     * APPLY ABBREVIATIONS
+     *
+     * Bungkus setiap kemunculan singkatan (satu kata utuh) di text node.
+     * Text di dalam code dan raw HTML tidak diubah.
+     *
+     * @param {Object} doc - Node document
+     */
+    applyAbbreviations: function(doc) {
+        const titles = {};
+        this.removeBlocks(doc, 'abbr_def').forEach(def => {
+            titles[def.label] = def.title;
+        });
+
+        const labels = Object.keys(titles);
+        if (labels.length === 0) {
+            return;
+        }
+
+        // Label terpanjang dicoba lebih dulu ("HTML5" sebelum "HTML")
+        const alternatives = labels
+            .sort((a, b) => b.length - a.length)
+            .map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+        const regex = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'gu');
+
+        const replace = nodes => {
+            const result = [];
+            nodes.forEach(node => {
+                if (node.type !== 'text') {
+                    if (node.children) {
+                        node.children = replace(node.children);
+                    }
+                    result.push(node);
+                    return;
+                }
+
+                let last = 0;
+                node.literal.replace(regex, (label, index) => {
+                    if (index > last) {
+                        result.push({ type: 'text', literal: node.literal.slice(last, index) });
+                    }
+                    result.push({ type: 'abbr', title: titles[label], children: [{ type: 'text', literal: label }] });
+                    last = index + label.length;
+                    return label;
+                });
+                if (last < node.literal.length) {
+                    result.push({ type: 'text', literal: node.literal.slice(last) });
+                }
+            });
+            return result;
+        };
+        doc.children = replace(doc.children);
+    },
+
+    /**
+     * ============================================
+     * HELPERS
+     * ============================================
+     */
+
+    /**
+     * REMOVE BLOCKS
+     *
+     * Hapus semua block dengan tipe tertentu dari AST.
+     *
+     * @param {Object} node - Node awal (biasanya document)
+     * @param {string} type - Tipe block yang dihapus
+     * @returns {Array<Object>} - Block yang dihapus, sesuai urutan dokumen
+     */
+    removeBlocks: function(node, type) {
+        const removed = [];
+        const walk = parent => {
+            parent.children = parent.children.filter(child => {
+                if (child.type === type) {
+                    removed.push(child);
+                    return false;
+                }
+                if (child.children) {
+                    walk(child);
+                }
+                return true;
+            });
+        };
+        walk(node);
+        return removed;
+    },
+
+    /**
+     * REGISTER
+     *
+     * Daftarkan semua extension ke MarkdownParser.
+     * Harus di-load setelah parser.js dan sanitizer.js.
+     */
+    register: function() {
+        MarkdownParser
+            .use(this.footnoteDefinition)
+            .use(this.footnoteReference)
+            .use(this.definitionList)
+            .use(this.abbreviation);
+    }
+};
+
+// Langsung aktif begitu file di-load
+MarkdownExtensions.register();
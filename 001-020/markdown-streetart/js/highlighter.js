@@ -0,0 +1,252 @@
+/**
+ * ============================================
+ * SYNTAX HIGHLIGHTER MODULE
+ * ============================================
+ *
+ * File ini berisi syntax highlighter sederhana untuk fenced code block
+ * (```js, ```css, dll). Semua berjalan offline, tanpa library eksternal.
+ *
+ * Output berupa <span class="tok-..."> yang warnanya diatur di CSS.
+ * HTMLSanitizer hanya meloloskan class dengan prefix "tok-".
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Tokenizer berbasis regex dengan sticky flag (y)
+ * 2. Grammar per bahasa sebagai data (array of rules)
+ * 3. Nested tokenizing (rule "inside" untuk tag HTML)
+ * 4. Escape output sebelum dibungkus <span>
+ */
+
+const SyntaxHighlighter = {
+
+    /**
+     * ALIAS BAHASA
+     *
+     * Nama lain yang sering dipakai di info string
+     */
+    aliases: {
+        'js': 'javascript',
+        'jsx': 'javascript',
+        'mjs': 'javascript',
+        'cjs': 'javascript',
+        'ts': 'javascript',
+        'typescript': 'javascript',
+        'sh': 'bash',
+        'shell': 'bash',
+        'zsh': 'bash',
+        'console': 'bash',
+        'scss': 'css',
+        'xml': 'html',
+        'svg': 'html',
+        'markup': 'html'
+    },
+
+    /**
+     * GRAMMAR PER BAHASA
+     *
+     * Setiap bahasa adalah array rule yang dicoba berurutan
+     * di setiap posisi. Rule pertama yang cocok menang.
+     * - type: nama token (menjadi class "tok-<type>"), null = text biasa
+     * - pattern: regex dengan flag y (sticky) agar hanya cocok di posisi saat ini
+     * - inside: grammar untuk memecah lagi hasil match (opsional)
+     */
+    languages: {
+        javascript: [
+            { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y },
+            { type: 'string', pattern: /`(?:\\[\s\S]|[^\\`])*`?/y },
+            { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y },
+            { type: 'keyword', pattern: /\b(?:as|async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|get|if|import|in|instanceof|interface|let|new|of|return|set|static|super|switch|this|throw|try|type|typeof|var|void|while|with|yield)\b/y },
+            { type: 'literal', pattern: /\b(?:true|false|null|undefined|NaN|Infinity)\b/y },
+            { type: 'number', pattern: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b|\.\d+\b/y },
+            { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/y },
+            { type: null, pattern: /[A-Za-z_$][\w$]*/y },
+            { type: 'operator', pattern: /=>|[-+*/%=!<>&|^~?:]+/y },
+            { type: 'punctuation', pattern: /[{}[\]();,.]/y }
+        ],
+
+        json: [
+            { type: 'property', pattern: /"(?:\\.|[^\\"\n])*"(?=\s*:)/y },
+            { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"?/y },
+            { type: 'number', pattern: /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y },
+            { type: 'literal', pattern: /\b(?:true|false|null)\b/y },
+            { type: 'punctuation', pattern: /[{}[\],:]/y }
+        ],
+
+        css: [
+            { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+            { type: 'keyword', pattern: /@[\w-]+/y },
+            { type: 'selector', pattern: /[^{}\s;][^{};]*?(?=\s*\{)/y },
+            { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y },
+            { type: 'property', pattern: /--[\w-]+(?=\s*:)|-?[A-Za-z][\w-]*(?=\s*:)/y },
+            { type: 'keyword', pattern: /!important\b/y },
+            { type: 'function', pattern: /[\w-]+(?=\()/y },
+            { type: 'number', pattern: /#[\da-fA-F]{3,8}\b|-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/y },
+            { type: null, pattern: /[\w-]+/y },
+            { type: 'punctuation', pattern: /[{}();:,]/y }
+        ],
+
+        bash: [
+            { type: 'comment', pattern: /(?:^|(?<=\s))#.*/y },
+            { type: 'string', pattern: /"(?:\\[\s\S]|[^\\"])*"?|'[^']*'?/y },
+            { type: 'variable', pattern: /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*-])/y },
+            { type: 'keyword', pattern: /\b(?:if|then|else|elif|fi|for|in|do|done|while|until|case|esac|function|return|export|local|readonly|select|time)\b/y },
+            { type: 'builtin', pattern: /\b(?:alias|apt|awk|brew|cat|cd|chmod|chown|cp|curl|docker|echo|eval|exec|exit|find|git|grep|head|kill|ln|ls|mkdir|mv|node|npm|npx|printf|pwd|read|rm|sed|set|source|sudo|tail|tar|test|touch|unset|wget|yarn)\b/y },
+            { type: 'attr', pattern: /(?<=\s)--?[\w-]+/y },
+            { type: 'number', pattern: /\b\d+\b/y },
+            { type: null, pattern: /[\w.-]+/y },
+            { type: 'operator', pattern: /&&|\|\||[|&;<>]+|=/y }
+        ],
+
+        html: [
+            { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/y },
+            { type: 'keyword', pattern: /<!DOCTYPE[^>]*>/iy },
+            {
+                type: null,
+                pattern: /<\/?[A-Za-z][^\s>/]*(?:\s+[^\s>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s'">=]+))?)*\s*\/?>/y,
+                inside: [
+                    { type: 'tag', pattern: /^<\/?[^\s>/]+/y },
+                    { type: 'string', pattern: /=\s*(?:"[^"]*"|'[^']*'|[^\s'">=]+)/y },
+                    { type: 'attr', pattern: /[^\s>/=]+/y },
+                    { type: 'tag', pattern: /\/?>/y }
+                ]
+            },
+            { type: 'literal', pattern: /&(?:#\d+|#x[\da-fA-F]+|[A-Za-z][A-Za-z0-9]*);/y }
+        ]
+    },
+
+    /**
+     * FUNGSI UTAMA: Highlight code
+     *
+     * @param {string} code - Source code (belum di-escape)
+     * @param {string} lang - Nama bahasa dari info string
+     * @returns {string|null} - HTML dengan <span class="tok-...">,
+     *                          atau null jika bahasa tidak dikenal
+     */
+    highlight: function(code, lang) {
+        const grammar = this.getGrammar(lang);
+        if (!grammar) {
+            return null;
+        }
+
+        const tokens = this.tokenize(code, grammar);
+        return this.renderTokens(tokens);
+    },
+
+    /**
+     * GET GRAMMAR
+     *
+     * @param {string} lang - Nama bahasa atau alias
+     * @returns {Array|null} - Grammar bahasa tersebut
+     */
+    getGrammar: function(lang) {
+        if (!lang) {
+            return null;
+        }
+        const name = lang.toLowerCase();
+        return this.languages[this.aliases[name] || name] || null;
+    },
+
+    /**
+     * TOKENIZE
+     *
+     * Scan code dari kiri ke kanan. Di setiap posisi, coba semua rule;
+     * jika tidak ada yang cocok, karakter menjadi text biasa.
+     *
+     * @param {string} code - Source code
+     * @param {Array} grammar - Array rule
+     * @returns {Array} - Token { type, text } atau { type, children }
+     */
+    tokenize: function(code, grammar) {
+        const tokens = [];
+        let plain = '';
+        let pos = 0;
+
+        while (pos < code.length) {
+            let matched = null;
+            let rule = null;
+
+            for (let i = 0; i < grammar.length; i++) {
+                rule = grammar[i];
+                rule.pattern.lastIndex = pos;
+                const m = rule.pattern.exec(code);
+
+                // Match kosong diabaikan agar tidak infinite loop
+                if (m && m[0].length > 0) {
+                    matched = m[0];
+                    break;
+                }
+            }
+
+            if (matched === null) {
+                plain += code[pos];
+                pos += 1;
+                continue;
+            }
+
+            // Simpan text biasa yang terkumpul sebelum token ini
+            if (plain) {
+                tokens.push({ type: null, text: plain });
+                plain = '';
+            }
+
+            if (rule.inside) {
+                tokens.push({ type: rule.type, children: this.tokenize(matched, rule.inside) });
+            } else {
+                tokens.push({ type: rule.type, text: matched });
+            }
+            pos += matched.length;
+        }
+
+        if (plain) {
+            tokens.push({ type: null, text: plain });
+        }
+
+        return tokens;
+    },
+
+    /**
+     * RENDER TOKENS
+     *
+     * @param {Array} tokens - Hasil tokenize()
+     * @returns {string} - HTML yang sudah di-escape
+     */
+    renderTokens: function(tokens) {
+        return tokens.map(token => {
+            const content = token.children ?
+                this.renderTokens(token.children) :
+                this.escapeHTML(token.text);
+
+            return token.type ? `<span class="tok-${token.type}">${content}</span>` : content;
+        }).join('');
+    },
+
+    /**
+     * ESCAPE HTML
+     *
+     * Code harus di-escape sebelum dibungkus span
+     */
+    escapeHTML: function(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;'
+        };
+        return text.replace(/[&<>"]/g, char => map[char]);
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * SyntaxHighlighter.highlight('const x = 1;', 'js');
+ * // '<span class="tok-keyword">const</span> x <span class="tok-operator">=</span> ...'
+ *
+ * SyntaxHighlighter.highlight('abc', 'cobol');
+ * // null (bahasa tidak dikenal, parser akan escape biasa)
+ *
+ * Menambah bahasa baru cukup dengan menambah grammar:
+ * SyntaxHighlighter.languages.python = [
+ *     { type: 'comment', pattern: /#.*\/y },
+ *     ...
+ * ];
+ */
@@ -0,0 +1,355 @@
+/**
+ * ============================================
+ * REVISION HISTORY MODULE
+ * ============================================
+ *
+ * File ini menyimpan snapshot (revisi) dokumen aktif:
+ * - otomatis, paling sering sekali setiap autoInterval selama mengetik
+ * - manual, lewat tombol "Simpan versi" atau Ctrl+S
+ *
+ * Panel riwayat menampilkan diff per baris antara dua revisi
+ * (LineDiff) dan preview keduanya berdampingan, lewat parser dan
+ * sanitizer yang sama dengan preview utama. Revisi bisa dipulihkan;
+ * isi editor sebelum dipulihkan disimpan dulu sebagai revisi.
+ *
+ * Jumlah revisi per dokumen dibatasi DocumentStore.maxRevisions
+ * (lebih sedikit jika dokumen disimpan di localStorage).
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Snapshot berbasis timer yang dipicu input
+ * 2. Render diff dengan konteks (baris sama yang panjang dilipat)
+ * 3. Membangun DOM dengan textContent (isi dokumen bukan HTML)
+ */
+
+const RevisionHistory = {
+
+    /**
+     * DOM ELEMENTS
+     */
+    elements: {
+        panel: null,
+        openButton: null,
+        closeButton: null,
+        snapshotButton: null,
+        restoreButton: null,
+        from: null,          // <select> revisi kiri
+        to: null,            // <select> revisi kanan
+        summary: null,
+        diff: null,
+        previewFrom: null,
+        previewTo: null
+    },
+
+    /**
+     * KONFIGURASI
+     */
+    autoInterval: 3 * 60 * 1000,  // Snapshot otomatis: 3 menit
+    contextLines: 3,              // Baris sama yang tetap terlihat di sekitar perubahan
+
+    /**
+     * STATE
+     */
+    autoTimer: null,
+    revisions: [],                // Revisi dokumen aktif, terbaru lebih dulu
+
+    /**
+     * Value <select> untuk isi editor saat ini
+     */
+    CURRENT: 'current',
+
+    /**
+     * INIT
+     */
+    init: function() {
+        const el = this.elements;
+        el.panel = document.getElementById('history-panel');
+        el.openButton = document.getElementById('history-open');
+        el.closeButton = document.getElementById('history-close');
+        el.snapshotButton = document.getElementById('history-snapshot');
+        el.restoreButton = document.getElementById('history-restore');
+        el.from = document.getElementById('history-from');
+        el.to = document.getElementById('history-to');
+        el.summary = document.getElementById('history-summary');
+        el.diff = document.getElementById('history-diff');
+        el.previewFrom = document.getElementById('history-preview-from');
+        el.previewTo = document.getElementById('history-preview-to');
+
+        if (!el.panel) {
+            console.error('❌ History panel not found!');
+            return;
+        }
+
+        el.openButton.addEventListener('click', () => this.open());
+        el.closeButton.addEventListener('click', () => this.close());
+        el.snapshotButton.addEventListener('click', () => this.snapshot('manual'));
+        el.restoreButton.addEventListener('click', () => this.restoreSelected());
+        el.from.addEventListener('change', () => this.renderComparison());
+        el.to.addEventListener('change', () => this.renderComparison());
+
+        el.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        });
+
+        console.log('✓ Revision history ready');
+    },
+
+    /**
+     * NOTE CHANGE
+     *
+     * Dipanggil App setiap isi editor berubah. Timer hanya dipasang
+     * jika belum ada, jadi snapshot terjadi paling sering sekali
+     * per autoInterval selama user terus mengetik.
+     */
+    noteChange: function() {
+        if (this.autoTimer) {
+            return;
+        }
+        this.autoTimer = setTimeout(() => {
+            this.autoTimer = null;
+            this.snapshot('auto');
+        }, this.autoInterval);
+    },
+
+    /**
+     * FLUSH
+     *
+     * Ambil snapshot otomatis yang tertunda sekarang juga
+     * (misal sebelum pindah dokumen)
+     */
+    flush: async function() {
+        if (this.autoTimer) {
+            clearTimeout(this.autoTimer);
+            this.autoTimer = null;
+            await this.snapshot('auto');
+        }
+    },
+
+    /**
+     * SNAPSHOT
+     *
+     * Simpan isi editor sebagai revisi dokumen aktif.
+     * Tidak menyimpan jika isinya sama dengan revisi terakhir.
+     *
+     * @param {string} reason - 'auto' | 'manual' | 'restore'
+     * @returns {Promise<Object|null>} - Revisi baru, atau null
+     */
+    snapshot: async function(reason) {
+        const doc = Workspace.current;
+        if (!doc) {
+            return null;
+        }
+        const content = App.elements.editor.value;
+
+        try {
+            const latest = (await DocumentStore.listRevisions(doc.id))[0];
+            if (latest && latest.content === content) {
+                if (reason === 'manual') {
+                    Workspace.setStatus('✓ Versi ini sudah tersimpan');
+                }
+                return null;
+            }
+
+            const revision = await DocumentStore.addRevision(doc.id, content, reason);
+            if (reason === 'manual') {
+                Workspace.setStatus('✓ Versi disimpan');
+            }
+            if (this.isOpen()) {
+                await this.refresh();
+            }
+            return revision;
+        } catch (error) {
+            console.error('❌ Failed to save revision:', error);
+            Workspace.setStatus('⚠️ Gagal menyimpan versi', true);
+            return null;
+        }
+    },
+
+    /**
+     * OPEN / CLOSE PANEL
+     */
+    open: async function() {
+        this.elements.panel.hidden = false;
+        await this.refresh();
+        this.elements.closeButton.focus();
+    },
+
+    close: function() {
+        this.elements.panel.hidden = true;
+        this.elements.openButton.focus();
+    },
+
+    isOpen: function() {
+        return Boolean(this.elements.panel) && !this.elements.panel.hidden;
+    },
+
+    /**
+     * REFRESH
+     *
+     * Muat ulang daftar revisi dokumen aktif ke kedua <select>.
+     * Default: revisi terakhir (kiri) dibanding isi editor (kanan).
+     */
+    refresh: async function() {
+        const doc = Workspace.current;
+        this.revisions = doc ? await DocumentStore.listRevisions(doc.id) : [];
+
+        const { from, to } = this.elements;
+        const previousFrom = from.value;
+        const previousTo = to.value;
+
+        [from, to].forEach(select => {
+            select.innerHTML = '';
+            select.appendChild(new Option('Sekarang (editor)', this.CURRENT));
+            this.revisions.forEach(revision => {
+                select.appendChild(new Option(this.formatRevision(revision), revision.id));
+            });
+        });
+
+        const exists = id => id === this.CURRENT || this.revisions.some(r => r.id === id);
+        from.value = previousFrom && exists(previousFrom) ? previousFrom :
+            (this.revisions[0] ? this.revisions[0].id : this.CURRENT);
+        to.value = previousTo && exists(previousTo) ? previousTo : this.CURRENT;
+
+        this.renderComparison();
+    },
+
+    /**
+     * GET CONTENT
+     *
+     * @param {string} value - Value <select>
+     * @returns {string} - Isi markdown revisi tersebut
+     */
+    getContent: function(value) {
+        if (value === this.CURRENT) {
+            return App.elements.editor.value;
+        }
+        const revision = this.revisions.find(r => r.id === value);
+        return revision ? revision.content : '';
+    },
+
+    /**
+     * RENDER COMPARISON
+     *
+     * Diff + preview berdampingan untuk dua revisi yang dipilih
+     */
+    renderComparison: function() {
+        const el = this.elements;
+        const oldText = this.getContent(el.from.value);
+        const newText = this.getContent(el.to.value);
+
+        const ops = LineDiff.diff(oldText, newText);
+        const stats = LineDiff.stats(ops);
+        el.summary.textContent = stats.added === 0 && stats.removed === 0 ?
+            'Tidak ada perbedaan' :
+            `+${stats.added} baris, −${stats.removed} baris`;
+
+        this.renderDiff(ops);
+
+        // Preview memakai parser & sanitizer yang sama dengan preview utama
+        el.previewFrom.innerHTML = App.renderMarkdown(oldText, 'rev-from');
+        el.previewTo.innerHTML = App.renderMarkdown(newText, 'rev-to');
+
+        el.restoreButton.disabled = el.from.value === this.CURRENT;
+    },
+
+    /**
+     * RENDER DIFF
+     *
+     * Baris sama yang jauh dari perubahan dilipat menjadi "⋯ N baris sama"
+     *
+     * @param {Array<Object>} ops - Hasil LineDiff.diff()
+     */
+    renderDiff: function(ops) {
+        const container = this.elements.diff;
+        container.innerHTML = '';
+
+        // Tandai baris sama yang dekat dengan perubahan
+        const visible = ops.map(op => op.type !== 'equal');
+        ops.forEach((op, index) => {
+            if (op.type === 'equal') {
+                return;
+            }
+            const from = Math.max(0, index - this.contextLines);
+            const to = Math.min(ops.length - 1, index + this.contextLines);
+            for (let i = from; i <= to; i++) {
+                visible[i] = true;
+            }
+        });
+
+        const signs = { equal: ' ', insert: '+', delete: '−' };
+        let hidden = 0;
+        const flushHidden = () => {
+            if (hidden > 0) {
+                const fold = document.createElement('div');
+                fold.className = 'diff-line diff-fold';
+                fold.textContent = `⋯ ${hidden} baris sama`;
+                container.appendChild(fold);
+                hidden = 0;
+            }
+        };
+
+        ops.forEach((op, index) => {
+            if (!visible[index]) {
+                hidden++;
+                return;
+            }
+            flushHidden();
+
+            const line = document.createElement('div');
+            line.className = `diff-line diff-${op.type}`;
+            [op.oldLine, op.newLine, signs[op.type]].forEach(value => {
+                const cell = document.createElement('span');
+                cell.className = 'diff-gutter';
+                cell.textContent = value === null ? '' : String(value);
+                line.appendChild(cell);
+            });
+            const text = document.createElement('span');
+            text.className = 'diff-text';
+            text.textContent = op.text;
+            line.appendChild(text);
+
+            container.appendChild(line);
+        });
+        flushHidden();
+    },
+
+    /**
+     * RESTORE SELECTED
+     *
+     * Pulihkan revisi kiri ("Dari") ke editor
+     */
+    restoreSelected: async function() {
+        const value = this.elements.from.value;
+        const revision = this.revisions.find(r => r.id === value);
+        if (!revision) {
+            return;
+        }
+        if (!window.confirm(`Pulihkan versi ${this.formatRevision(revision)}? Isi editor saat ini disimpan dulu sebagai revisi.`)) {
+            return;
+        }
+
+        // Isi sekarang jadi revisi, supaya restore bisa dibatalkan
+        await this.snapshot('restore');
+
+        App.setContent(revision.content);
+        Workspace.scheduleSave();
+        await Workspace.flush();
+        await this.refresh();
+    },
+
+    /**
+     * FORMAT REVISION
+     *
+     * @param {Object} revision
+     * @returns {string} - Contoh: "18 Okt 2026 14.03 · manual"
+     */
+    formatRevision: function(revision) {
+        const labels = { auto: 'otomatis', manual: 'manual', restore: 'sebelum pulihkan' };
+        const time = new Date(revision.createdAt).toLocaleString('id-ID', {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+        return `${time} · ${labels[revision.reason] || revision.reason}`;
+    }
+};
@@ -0,0 +1,648 @@
+/**
+ * ============================================
+ * HTML TO MARKDOWN MODULE
+ * ============================================
+ *
+ * File ini mengubah HTML (misal hasil copy dari wiki atau halaman web)
+ * kembali menjadi markdown. Kebalikan dari MarkdownParser.
+ *
+ * PROSES:
+ * 1. Normalisasi tag umum yang tidak ada di whitelist sanitizer
+ *    (<b>, <i>, <div>, <span style="font-weight:bold">, ...)
+ * 2. HTMLSanitizer.sanitize() - HTML dari clipboard tidak dipercaya
+ * 3. Telusuri DOM yang sudah aman dan tulis markdown per block
+ *
+ * Yang didukung: heading, paragraph, list (termasuk task list),
+ * link, gambar, code, emphasis, strikethrough, blockquote, table,
+ * definition list, rumus MathML (lewat <annotation>) dan [[toc]].
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Menelusuri DOM tree secara rekursif (block vs inline)
+ * 2. Escape karakter markdown agar text tetap text
+ * 3. Clipboard API (paste event, text/html)
+ */
+
+const HTMLToMarkdown = {
+
+    /**
+     * TAG PENGGANTI
+     *
+     * Tag yang artinya sama dengan tag di whitelist sanitizer
+     */
+    aliases: {
+        'b': 'strong',
+        'i': 'em',
+        'cite': 'em',
+        'var': 'em',
+        's': 'del',
+        'strike': 'del',
+        'tt': 'code',
+        'kbd': 'code',
+        'samp': 'code'
+    },
+
+    /**
+     * TAG PEMBUNGKUS
+     *
+     * Tidak punya padanan di markdown, isinya tetap dipakai.
+     * Tanpa ini sanitizer akan membuang tag beserta isinya.
+     * Container block yang hanya berisi text menjadi <p>.
+     */
+    containerTags: ['div', 'section', 'article', 'main', 'header', 'footer', 'aside',
+        'figure', 'figcaption', 'center', 'address'],
+    inlineWrapperTags: ['font', 'u', 'ins', 'small', 'big', 'mark', 'label', 'time', 'abbr', 'sub', 'sup'],
+
+    /**
+     * TAG BLOCK (setelah sanitasi)
+     */
+    blockTags: ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'pre',
+        'blockquote', 'hr', 'table', 'dl', 'dt', 'dd', 'nav', 'section'],
+
+    /**
+     * FUNGSI UTAMA: Convert HTML ke markdown
+     *
+     * @param {string} html - HTML dari sumber yang tidak dipercaya
+     * @returns {string} - Markdown
+     */
+    convert: function(html) {
+        return this.blocks(this.toSafeFragment(html)).join('\n\n');
+    },
+
+    /**
+     * FROM CLIPBOARD
+     *
+     * Markdown dari clipboard, atau null jika isinya sebaiknya
+     * di-paste sebagai plain text: tidak ada text/html, atau HTML-nya
+     * tanpa format sama sekali (misal copy dari code editor yang
+     * hanya berisi <div> dan <span> berwarna).
+     *
+     * @param {DataTransfer} clipboardData - event.clipboardData
+     * @returns {string|null}
+     */
+    fromClipboard: function(clipboardData) {
+        const html = clipboardData && clipboardData.getData('text/html');
+        if (!html) {
+            return null;
+        }
+
+        const fragment = this.toSafeFragment(html);
+        const formatted = Array.from(fragment.querySelectorAll('*'))
+            .some(element => !['span', 'p', 'br'].includes(element.localName));
+        if (!formatted) {
+            return null;
+        }
+        return this.blocks(fragment).join('\n\n');
+    },
+
+    /**
+     * TO SAFE FRAGMENT
+     *
+     * @param {string} html
+     * @returns {DocumentFragment} - DOM yang sudah disanitasi
+     */
+    toSafeFragment: function(html) {
+        // Template: isinya inert, normalisasi tidak menjalankan apa pun
+        const template = document.createElement('template');
+        template.innerHTML = html || '';
+        this.normalize(template.content);
+
+        const safe = document.createElement('template');
+        safe.innerHTML = HTMLSanitizer.sanitize(template.innerHTML);
+        return safe.content;
+    },
+
+    /**
+     * NORMALIZE
+     *
+     * Ubah tag umum menjadi tag yang dikenal sanitizer, sebelum sanitasi.
+     * Element diproses dari yang terdalam agar container bisa melihat
+     * isinya yang sudah dinormalisasi.
+     *
+     * @param {DocumentFragment} root
+     */
+    normalize: function(root) {
+        Array.from(root.querySelectorAll('*')).reverse().forEach(element => {
+            const tag = element.localName;
+            const style = element.getAttribute('style') || '';
+
+            if (tag === 'b' && /font-weight\s*:\s*(normal|[1-4]00)\b/i.test(style)) {
+                // Google Docs membungkus seluruh isi dengan <b style="font-weight:normal">
+                this.unwrap(element);
+            } else if (this.aliases[tag]) {
+                this.rename(element, this.aliases[tag]);
+            } else if (tag === 'span') {
+                this.normalizeSpan(element, style);
+            } else if (this.containerTags.includes(tag)) {
+                const hasBlock = Array.from(element.children)
+                    .some(child => this.blockTags.includes(child.localName) || this.containerTags.includes(child.localName));
+                if (hasBlock) {
+                    this.unwrap(element);
+                } else {
+                    this.rename(element, 'p');
+                }
+            } else if (this.inlineWrapperTags.includes(tag)) {
+                this.unwrap(element);
+            }
+        });
+    },
+
+    /**
+     * NORMALIZE SPAN
+     *
+     * Editor seperti Google Docs menulis bold/italic sebagai style
+     *
+     * @param {Element} span
+     * @param {string} style - Atribut style
+     */
+    normalizeSpan: function(span, style) {
+        const formats = [];
+        if (/font-weight\s*:\s*(bold|[6-9]00)\b/i.test(style)) {
+            formats.push('strong');
+        }
+        if (/font-style\s*:\s*italic\b/i.test(style)) {
+            formats.push('em');
+        }
+        if (/text-decoration[\w-]*\s*:[^;]*line-through/i.test(style)) {
+            formats.push('del');
+        }
+        if (formats.length === 0) {
+            return;
+        }
+
+        const doc = span.ownerDocument;
+        const outer = doc.createElement(formats[0]);
+        let inner = outer;
+        formats.slice(1).forEach(tag => {
+            inner = inner.appendChild(doc.createElement(tag));
+        });
+        inner.append(...span.childNodes);
+        span.replaceWith(outer);
+    },
+
+    /**
+     * Ganti nama tag, isi dan atribut dipindahkan
+     */
+    rename: function(element, tag) {
+        const replacement = element.ownerDocument.createElement(tag);
+        Array.from(element.attributes).forEach(attr => {
+            replacement.setAttribute(attr.name, attr.value);
+        });
+        replacement.append(...element.childNodes);
+        element.replaceWith(replacement);
+    },
+
+    /**
+     * Buang tag, isinya tetap di tempat
+     */
+    unwrap: function(element) {
+        element.replaceWith(...element.childNodes);
+    },
+
+    /**
+     * ============================================
+     * BLOCK
+     * ============================================
+     */
+
+    /**
+     * BLOCKS
+     *
+     * Child block menjadi block markdown sendiri. Node inline yang
+     * berurutan (text, <strong>, <a>, ...) digabung menjadi paragraph.
+     *
+     * @param {Node} node - Container
+     * @returns {Array<string>} - Block markdown (tanpa yang kosong)
+     */
+    blocks: function(node) {
+        const result = [];
+        let inlineNodes = [];
+
+        const flush = () => {
+            const text = this.paragraph(inlineNodes);
+            if (text) {
+                result.push(text);
+            }
+            inlineNodes = [];
+        };
+
+        Array.from(node.childNodes).forEach(child => {
+            if (this.isBlock(child)) {
+                flush();
+                const markdown = this.block(child);
+                if (markdown) {
+                    result.push(markdown);
+                }
+            } else {
+                inlineNodes.push(child);
+            }
+        });
+        flush();
+
+        return result;
+    },
+
+    isBlock: function(node) {
+        return node.nodeType === Node.ELEMENT_NODE && this.blockTags.includes(node.localName);
+    },
+
+    /**
+     * BLOCK
+     *
+     * @param {Element} element - Element block
+     * @returns {string} - Markdown (bisa beberapa baris)
+     */
+    block: function(element) {
+        const tag = element.localName;
+
+        switch (tag) {
+            case 'h1': case 'h2': case 'h3':
+            case 'h4': case 'h5': case 'h6': {
+                const text = this.inlineText(element.childNodes).replace(/\n/g, ' ');
+                return text ? '#'.repeat(Number(tag[1])) + ' ' + text : '';
+            }
+            case 'p':
+                return this.paragraph(element.childNodes);
+            case 'pre':
+                return this.codeBlock(element);
+            case 'blockquote':
+                return this.blocks(element).join('\n\n')
+                    .split('\n')
+                    .map(line => line ? '> ' + line : '>')
+                    .join('\n');
+            case 'ul':
+            case 'ol':
+                return this.list(element);
+            case 'hr':
+                return '---';
+            case 'table':
+                return this.table(element);
+            case 'dl':
+                return this.definitionList(element);
+            case 'nav':
+                return element.classList.contains('toc') ? '[[toc]]' : this.blocks(element).join('\n\n');
+            default:
+                // <li>, <dt>, <dd> di luar list-nya, <section>
+                return this.blocks(element).join('\n\n');
+        }
+    },
+
+    /**
+     * PARAGRAPH
+     *
+     * @param {NodeList|Array<Node>} nodes - Node inline
+     * @returns {string}
+     */
+    paragraph: function(nodes) {
+        return this.inlineText(nodes)
+            .split('\n')
+            .map(line => this.escapeLineStart(line))
+            .join('\n');
+    },
+
+    /**
+     * CODE BLOCK
+     *
+     * Fence lebih panjang dari deretan backtick di dalam code
+     *
+     * @param {Element} pre
+     * @returns {string}
+     */
+    codeBlock: function(pre) {
+        const code = pre.querySelector('code');
+        const text = pre.textContent.replace(/\n$/, '');
+        const match = code && /(?:^|\s)language-(\S+)/.exec(code.className);
+
+        const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        return fence + (match ? match[1] : '') + '\n' + text + '\n' + fence;
+    },
+
+    /**
+     * LIST
+     *
+     * Tight list (tanpa <p> di item) ditulis tanpa baris kosong.
+     * <ol start="3"> dimulai dari 3.
+     *
+     * @param {Element} list - <ul> atau <ol>
+     * @returns {string}
+     */
+    list: function(list) {
+        const items = Array.from(list.children).filter(child => child.localName === 'li');
+        const loose = items.some(item => Array.from(item.children)
+            .some(child => this.isBlock(child) && child.localName !== 'ul' && child.localName !== 'ol'));
+        const separator = loose ? '\n\n' : '\n';
+        const start = /^\d{1,9}$/.test(list.getAttribute('start') || '') ? Number(list.getAttribute('start')) : 1;
+
+        return items.map((item, index) => {
+            const marker = list.localName === 'ol' ? `${start + index}.` : '-';
+            const indent = ' '.repeat(marker.length + 1);
+            const content = this.blocks(item).join(separator);
+
+            return (marker + ' ' + content)
+                .split('\n')
+                .map((line, lineIndex) => lineIndex === 0 || !line ? line : indent + line)
+                .join('\n')
+                .trimEnd();
+        }).join(separator);
+    },
+
+    /**
+     * TABLE (GFM)
+     *
+     * Baris pertama menjadi header. Isi cell selalu satu baris.
+     *
+     * @param {Element} table
+     * @returns {string}
+     */
+    table: function(table) {
+        const rows = Array.from(table.querySelectorAll('tr'))
+            .filter(row => row.closest('table') === table)
+            .map(row => Array.from(row.children).filter(cell => cell.localName === 'th' || cell.localName === 'td'));
+        if (rows.length === 0) {
+            return '';
+        }
+
+        const width = Math.max(...rows.map(cells => cells.length));
+        const delimiters = { left: ':---', center: ':---:', right: '---:' };
+        const alignRow = Array.from({ length: width }, (_, index) => {
+            const cell = rows[0][index];
+            return (cell && delimiters[(cell.getAttribute('align') || '').toLowerCase()]) || '---';
+        });
+
+        const line = cells => '| ' + cells.join(' | ') + ' |';
+        const text = cells => Array.from({ length: width }, (_, index) => {
+            return cells[index] ? this.cellText(cells[index]) : '';
+        });
+
+        return [line(text(rows[0])), line(alignRow)]
+            .concat(rows.slice(1).map(cells => line(text(cells))))
+            .join('\n');
+    },
+
+    cellText: function(cell) {
+        return this.inlineText(cell.childNodes)
+            .replace(/\s*\n\s*/g, ' ')
+            .replace(/\|/g, '\\|');
+    },
+
+    /**
+     * DEFINITION LIST
+     *
+     *    Term
+     *    : Definisi
+     *
+     * @param {Element} dl
+     * @returns {string}
+     */
+    definitionList: function(dl) {
+        const groups = [];
+        let group = null;
+
+        Array.from(dl.children).forEach(child => {
+            if (child.localName === 'dt') {
+                // Term setelah definisi memulai kelompok baru
+                if (!group || group.definitions.length > 0) {
+                    group = { terms: [], definitions: [] };
+                    groups.push(group);
+                }
+                group.terms.push(this.inlineText(child.childNodes).replace(/\n/g, ' '));
+            } else if (child.localName === 'dd' && group) {
+                const content = this.blocks(child).join('\n\n');
+                group.definitions.push(': ' + content.split('\n')
+                    .map((line, index) => index === 0 || !line ? line : '  ' + line)
+                    .join('\n'));
+            }
+        });
+
+        return groups
+            .filter(g => g.terms.some(term => term) && g.definitions.length > 0)
+            .map(g => g.terms.map(term => this.escapeLineStart(term)).join('\n') + '\n' + g.definitions.join('\n'))
+            .join('\n\n');
+    },
+
+    /**
+     * ============================================
+     * INLINE
+     * ============================================
+     */
+
+    /**
+     * INLINE TEXT
+     *
+     * Markdown inline untuk beberapa node, spasi dirapikan seperti
+     * browser merapikannya (HTML tidak peka spasi berulang).
+     * Baris baru hanya dari <br>.
+     *
+     * @param {NodeList|Array<Node>} nodes
+     * @returns {string}
+     */
+    inlineText: function(nodes) {
+        return Array.from(nodes)
+            .map(node => this.inline(node))
+            .join('')
+            .replace(/ {2,}/g, ' ')
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            // Hard break di awal/akhir tidak berarti apa-apa di markdown
+            .replace(/^(\\\n)+|(\\?\n)+$/g, '')
+            .trim();
+    },
+
+    /**
+     * INLINE
+     *
+     * @param {Node} node
+     * @returns {string}
+     */
+    inline: function(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return this.escapeText(node.textContent.replace(/[ \t\n\r\f]+/g, ' '));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return '';
+        }
+
+        const children = () => Array.from(node.childNodes).map(child => this.inline(child)).join('');
+
+        switch (node.localName) {
+            case 'br':
+                return '\\\n';
+            case 'strong':
+                return this.emphasis(node, '**', children());
+            case 'em':
+                return this.emphasis(node, '*', children());
+            case 'del':
+                return this.emphasis(node, '~~', children());
+            case 'code':
+                return this.codeSpan(node.textContent);
+            case 'a':
+                return this.link(node, children());
+            case 'img':
+                return this.image(node);
+            case 'input':
+                // Checkbox task list, hanya bermakna di dalam <li>
+                if (node.closest('li')) {
+                    return node.hasAttribute('checked') ? '[x] ' : '[ ] ';
+                }
+                return '';
+            case 'math': {
+                const annotation = node.querySelector('annotation');
+                if (!annotation) {
+                    return this.escapeText(node.textContent);
+                }
+                const delimiter = node.getAttribute('display') === 'block' ? '$$' : '$';
+                return delimiter + annotation.textContent.trim() + delimiter;
+            }
+            default:
+                // Block di dalam inline (misal <p> dalam cell table): pisahkan dengan spasi
+                return this.isBlock(node) ? ' ' + children() + ' ' : children();
+        }
+    },
+
+    /**
+     * EMPHASIS
+     *
+     * Spasi di tepi dipindah ke luar delimiter: "** teks **" bukan emphasis
+     *
+     * @param {Element} element
+     * @param {string} delimiter - '**', '*' atau '~~'
+     * @param {string} content - Markdown isi element
+     * @returns {string}
+     */
+    emphasis: function(element, delimiter, content) {
+        // <em> di dalam <em> tidak menambah apa-apa (dan "**" berarti strong)
+        if (!content.trim() || element.parentElement && element.parentElement.closest(element.localName)) {
+            return content;
+        }
+        const leading = content.match(/^\s*/)[0];
+        const trailing = content.match(/\s*$/)[0];
+        return leading + delimiter + content.trim() + delimiter + trailing;
+    },
+
+    /**
+     * CODE SPAN
+     *
+     * @param {string} text - Isi code (tanpa escape)
+     * @returns {string}
+     */
+    codeSpan: function(text) {
+        text = text.replace(/\n/g, ' ');
+        if (!text) {
+            return '';
+        }
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        // Spasi pembatas: backtick di tepi, atau spasi di kedua tepi (akan dibuang parser)
+        const pad = /^`|`$/.test(text) || /^ [^]* $/.test(text) ? ' ' : '';
+        return fence + pad + text + pad + fence;
+    },
+
+    /**
+     * LINK
+     *
+     * @param {Element} a
+     * @param {string} text - Markdown isi link
+     * @returns {string}
+     */
+    link: function(a, text) {
+        const href = a.getAttribute('href');
+        text = text.trim();
+
+        // href dibuang sanitizer (misal javascript:), sisakan text
+        if (!href) {
+            return text;
+        }
+
+        // Autolink: <https://example.com>
+        if ((!text || text === this.escapeText(href)) && /^(https?|mailto):[^\s<>]*$/i.test(href)) {
+            return `<${href}>`;
+        }
+
+        return `[${text || this.escapeText(href)}](${this.destination(href)}${this.title(a)})`;
+    },
+
+    /**
+     * IMAGE
+     *
+     * @param {Element} img
+     * @returns {string}
+     */
+    image: function(img) {
+        const src = img.getAttribute('src');
+        if (!src) {
+            return '';
+        }
+        const alt = this.escapeText((img.getAttribute('alt') || '').replace(/\s+/g, ' ').trim());
+        return `![${alt}](${this.destination(src)}${this.title(img)})`;
+    },
+
+    /**
+     * Destination link/gambar: spasi, kurung & <> di-encode
+     */
+    destination: function(url) {
+        return url.replace(/[\s()<>]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+    },
+
+    /**
+     * Title link/gambar: ' "judul"' atau string kosong
+     */
+    title: function(element) {
+        const title = element.getAttribute('title');
+        return title ? ` "${title.replace(/\s+/g, ' ').replace(/["\\]/g, '\\$&')}"` : '';
+    },
+
+    /**
+     * ============================================
+     * ESCAPE
+     * ============================================
+     */
+
+    /**
+     * ESCAPE TEXT
+     *
+     * Karakter yang bisa memulai syntax inline diberi backslash,
+     * agar "2 * 3" atau "[catatan]" tetap tampil apa adanya.
+     * Underscore di tengah kata (snake_case) tidak perlu di-escape.
+     *
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeText: function(text) {
+        return text
+            .replace(/[\\`*[\]<~$]/g, '\\$&')
+            .replace(/_/g, (underscore, offset, source) => {
+                const inWord = /[\p{L}\p{N}]/u.test(source[offset - 1] || '') &&
+                    /[\p{L}\p{N}]/u.test(source[offset + 1] || '');
+                return inWord ? underscore : '\\_';
+            })
+            .replace(/&(?=#?\w+;)/g, '\\&');
+    },
+
+    /**
+     * ESCAPE LINE START
+     *
+     * Text di awal baris yang akan dibaca sebagai block lain:
+     * heading (#), blockquote (>), list (-, +, 1.) atau setext (===)
+     *
+     * @param {string} line
+     * @returns {string}
+     */
+    escapeLineStart: function(line) {
+        return line
+            .replace(/^(#{1,6})(?=\s|$)/, '\\$1')
+            .replace(/^[>+]/, '\\$&')
+            .replace(/^-(?=\s|$)|^-+\s*$|^=+\s*$/, '\\$&')
+            .replace(/^(\d{1,9})([.)])(?=\s|$)/, '$1\\$2');
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * HTMLToMarkdown.convert('<h2>Judul</h2><p>Teks <b>tebal</b> dan <a href="https://x.id">link</a></p>');
+ * // '## Judul\n\nTeks **tebal** dan [link](https://x.id)'
+ *
+ * HTMLToMarkdown.convert('<ul><li>satu</li><li>dua <img src=x onerror=alert(1)></li></ul>');
+ * // '- satu\n- dua ![](x)'   (onerror dibuang sanitizer)
+ */
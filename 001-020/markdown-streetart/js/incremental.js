@@ -0,0 +1,481 @@
+/**
+ * ============================================
+ * INCREMENTAL PARSER MODULE
+ * ============================================
+ *
+ * File ini membungkus MarkdownParser agar saat mengetik hanya block
+ * yang tersentuh edit yang di-tokenize ulang. Hasilnya berupa daftar
+ * "record" per block top-level, sehingga preview bisa di-patch per
+ * block (lihat App.patchPreview) tanpa mengganti seluruh innerHTML.
+ *
+ * CARA KERJA:
+ * 1. Bandingkan baris lama dan baru: cari prefix & suffix yang sama
+ * 2. Mulai tokenize dari block sebelum edit (yang didahului baris kosong)
+ * 3. Berhenti begitu parser kembali "sinkron": setelah baris kosong,
+ *    tidak ada block terbuka, dan block lama dimulai di baris yang sama
+ * 4. Block lama setelah titik sinkron dipakai ulang (nomor baris digeser,
+ *    termasuk data-source-line di HTML-nya)
+ * 5. Id heading dihitung ulang untuk seluruh dokumen; block yang id-nya
+ *    berubah dan block [[toc]] dirender ulang
+ *
+ * Fitur yang bergantung pada seluruh dokumen (footnote, abbreviation,
+ * link reference definition) dan raw HTML block selalu memakai parse
+ * penuh, karena satu baris bisa mengubah output di block lain.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Diff berbasis baris (common prefix/suffix)
+ * 2. Resynchronization pada batas block
+ * 3. Reuse AST node & HTML yang tidak berubah
+ * 4. Fallback ke parse penuh saat asumsi tidak terpenuhi
+ */
+
+const IncrementalParser = {
+
+    /**
+     * STATE DARI UPDATE SEBELUMNYA
+     */
+    lines: [],          // Baris markdown terakhir
+    records: [],        // { key, node, html, headings, ids, hasToc, dirty } per block top-level
+    refmap: {},         // Link reference definitions seluruh dokumen
+    definitions: [],    // { label, text, line, duplicate } setiap definition
+    headings: [],       // Outline dokumen { level, text, id, line }
+    outlineKey: '',     // Signature outline untuk deteksi perubahan [[toc]]
+    wholeDocument: false, // true = satu record untuk seluruh dokumen (ada raw HTML block)
+    nextKey: 0,         // Counter key record, tidak di-reset agar key tidak pernah dipakai ulang
+
+    /**
+     * OPSI RENDER
+     *
+     * Preview butuh data-source-line untuk sinkronisasi scroll
+     */
+    renderOptions: {
+        sourceLines: true
+    },
+
+    /**
+     * POLA YANG MEMAKSA PARSE PENUH
+     */
+    patterns: {
+        // Footnote ([^1]) dan abbreviation (*[HTML]:) di mana pun dalam dokumen
+        documentLevel: /\[\^|^ {0,3}\*\[/m,
+        // Kemungkinan (bekas) link reference definition di area yang di-parse ulang
+        definition: /\]:/,
+        blank: /^[ \t]*$/,
+        sourceLine: / data-source-line="(\d+)"/g
+    },
+
+    /**
+     * Block yang bisa berlanjut melewati baris kosong, sehingga
+     * block sesudahnya bisa bergabung dengannya
+     */
+    joinableTypes: ['list', 'deflist'],
+
+    /**
+     * FUNGSI UTAMA: Update dengan markdown terbaru
+     *
+     * @param {string} markdown - Seluruh isi editor
+     * @returns {Object} - { records, removed }
+     *          records: semua block sesuai urutan; record.dirty = HTML berubah
+     *          removed: record lama yang tidak dipakai lagi
+     */
+    update: function(markdown) {
+        const lines = markdown.split(/\r\n|\n|\r/);
+        // Newline di akhir file bukan baris kosong (sama seperti tokenize)
+        if (/[\r\n]$/.test(markdown)) {
+            lines.pop();
+        }
+        const previous = this.records;
+        let result = null;
+
+        this.records.forEach(record => { record.dirty = false; });
+
+        if (previous.length > 0 && !this.wholeDocument && !this.patterns.documentLevel.test(markdown)) {
+            try {
+                result = this.updateRange(lines);
+            } catch (error) {
+                // State setengah jadi tidak boleh dipakai, parse penuh saja
+                console.error('❌ Incremental parse failed, falling back:', error);
+                result = null;
+            }
+        }
+
+        if (!result) {
+            result = this.updateAll(markdown, previous);
+        }
+
+        this.lines = lines;
+        this.records = result.records;
+        return result;
+    },
+
+    /**
+     * UPDATE RANGE
+     *
+     * Tokenize ulang hanya bagian yang berubah.
+     *
+     * @param {Array<string>} lines - Baris baru
+     * @returns {Object|null} - { records, removed }, null = butuh parse penuh
+     */
+    updateRange: function(lines) {
+        const oldLines = this.lines;
+        const records = this.records;
+
+        // 1. Cari area yang berubah
+        const maxCommon = Math.min(oldLines.length, lines.length);
+        let prefix = 0;
+        while (prefix < maxCommon && oldLines[prefix] === lines[prefix]) {
+            prefix++;
+        }
+        if (prefix === lines.length && lines.length === oldLines.length) {
+            return { records: records, removed: [] };
+        }
+        let suffix = 0;
+        while (suffix < maxCommon - prefix &&
+               oldLines[oldLines.length - 1 - suffix] === lines[lines.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const delta = lines.length - oldLines.length;
+        const changeStart = prefix + 1;              // Baris pertama yang berubah (1-based)
+        const changeEnd = lines.length - suffix;     // Baris baru terakhir yang berubah
+
+        // 2. Cari block awal: block sebelum edit, mundur sampai batas yang aman
+        let first = -1;
+        for (let i = records.length - 1; i >= 0; i--) {
+            if (records[i].node.startLine < changeStart) {
+                first = i;
+                break;
+            }
+        }
+        let startLine;
+        if (first >= 0 && records[first].node.endLine < changeStart - 1 &&
+            this.isBoundary(records[first].node, changeStart, lines)) {
+            // Edit dimulai setelah baris kosong di luar block mana pun
+            startLine = changeStart;
+            first++;
+        } else {
+            while (first > 0 && !this.isBoundary(records[first - 1].node, records[first].node.startLine, lines)) {
+                first--;
+            }
+            startLine = first > 0 ? records[first].node.startLine : 1;
+            first = Math.max(first, 0);
+        }
+
+        // 3. Tokenize dari startLine sampai parser sinkron dengan block lama
+        const oldStarts = {};
+        for (let i = first; i < records.length; i++) {
+            oldStarts[records[i].node.startLine] = i;
+        }
+
+        let resume = records.length;
+        // Selalu diakhiri newline agar baris kosong terakhir tetap dihitung
+        const source = lines.slice(startLine - 1).map(line => line + '\n').join('');
+        const doc = MarkdownParser.tokenize(source, {
+            refmap: this.refmap,
+            lineOffset: startLine - 1,
+            stopAt: (state, index) => {
+                const line = startLine + index;
+                const last = state.doc.children[state.doc.children.length - 1];
+                if (line - 1 <= changeEnd ||
+                    !this.patterns.blank.test(lines[line - 2]) ||
+                    state.tip !== state.doc ||
+                    oldStarts[line - delta] === undefined ||
+                    (last && last.type === 'deflist')) {
+                    return false;
+                }
+                resume = oldStarts[line - delta];
+                return true;
+            }
+        });
+
+        // 4. Validasi: definisi dan raw HTML butuh seluruh dokumen
+        const oldEnd = resume < records.length ? records[resume].node.startLine - 1 : oldLines.length;
+        const touched = lines.slice(startLine - 1, startLine - 1 + doc.lineCount)
+            .concat(oldLines.slice(startLine - 1, oldEnd));
+        if (touched.some(line => this.patterns.definition.test(line)) ||
+            doc.children.some(node => node.type === 'html_block')) {
+            return null;
+        }
+
+        // 5. Gabungkan: block sebelum + block baru + block lama yang digeser
+        const fresh = doc.children.map(node => this.createRecord(node));
+        const kept = records.slice(resume);
+        if (delta !== 0) {
+            kept.forEach(record => {
+                this.shiftLines(record.node, delta);
+                record.html = this.shiftSourceLines(record.html, delta);
+                record.dirty = true;
+            });
+            // Definition tidak pernah di area edit (lihat langkah 4)
+            const oldChangeEnd = oldLines.length - suffix;
+            this.definitions.forEach(definition => {
+                if (definition.line > oldChangeEnd) {
+                    definition.line += delta;
+                }
+            });
+        }
+
+        const result = {
+            records: records.slice(0, first).concat(fresh, kept),
+            removed: records.slice(first, resume)
+        };
+        this.refreshHeadings(result.records);
+        return result;
+    },
+
+    /**
+     * UPDATE ALL
+     *
+     * Parse penuh, lalu pakai ulang record lama yang HTML-nya sama
+     * di awal dan akhir dokumen agar DOM-nya tidak dibuat ulang.
+     *
+     * @param {string} markdown - Seluruh isi editor
+     * @param {Array<Object>} previous - Record dari update sebelumnya
+     * @returns {Object} - { records, removed }
+     */
+    updateAll: function(markdown, previous) {
+        const doc = MarkdownParser.tokenize(markdown);
+        this.refmap = doc.refmap;
+        this.definitions = doc.definitions;
+        this.headings = doc.headings;
+        this.outlineKey = this.outlineSignature(doc.headings);
+
+        // Raw HTML bisa dibuka di satu block dan ditutup di block lain,
+        // jadi seluruh dokumen dirender dan di-sanitize sekaligus
+        this.wholeDocument = doc.children.some(node => node.type === 'html_block');
+        const nodes = this.wholeDocument ? [doc] : doc.children;
+
+        const records = nodes.map(node => {
+            const record = this.createRecord(node);
+            record.ids = this.idSignature(record);
+            record.html = MarkdownParser.renderNode(node, this.renderOptions, this.headings);
+            record.dirty = true;
+            return record;
+        });
+
+        // Pakai ulang record lama dengan HTML yang sama (selain nomor baris)
+        const reuse = (index, old) => {
+            old.node = records[index].node;
+            old.headings = records[index].headings;
+            old.ids = records[index].ids;
+            old.hasToc = records[index].hasToc;
+            old.dirty = old.html !== records[index].html;
+            old.html = records[index].html;
+            records[index] = old;
+        };
+        const same = (old, record) => old.html === record.html ||
+            this.stripSourceLines(old.html) === this.stripSourceLines(record.html);
+        const maxCommon = Math.min(previous.length, records.length);
+        let start = 0;
+        while (start < maxCommon && same(previous[start], records[start])) {
+            reuse(start, previous[start]);
+            start++;
+        }
+        let end = 0;
+        while (end < maxCommon - start &&
+               same(previous[previous.length - 1 - end], records[records.length - 1 - end])) {
+            reuse(records.length - 1 - end, previous[previous.length - 1 - end]);
+            end++;
+        }
+
+        return {
+            records: records,
+            removed: previous.slice(start, previous.length - end)
+        };
+    },
+
+    /**
+     * REFRESH HEADINGS
+     *
+     * Id heading bergantung pada heading sebelumnya (suffix -1, -2),
+     * jadi dihitung ulang untuk seluruh dokumen. Render block baru,
+     * block yang id heading-nya berubah, dan [[toc]] jika outline berubah.
+     *
+     * @param {Array<Object>} records - Semua record sesuai urutan
+     */
+    refreshHeadings: function(records) {
+        const nodes = [].concat(...records.map(record => record.headings));
+        this.headings = MarkdownParser.assignHeadingIds(nodes);
+
+        const outlineKey = this.outlineSignature(this.headings);
+        const outlineChanged = outlineKey !== this.outlineKey;
+        this.outlineKey = outlineKey;
+
+        records.forEach(record => {
+            const ids = this.idSignature(record);
+            if (record.html === null || ids !== record.ids || (record.hasToc && outlineChanged)) {
+                record.ids = ids;
+                record.html = MarkdownParser.renderNode(record.node, this.renderOptions, this.headings);
+                record.dirty = true;
+            }
+        });
+    },
+
+    /**
+     * CREATE RECORD
+     *
+     * @param {Object} node - Block top-level
+     * @returns {Object} - Record yang belum dirender (html null)
+     */
+    createRecord: function(node) {
+        return {
+            key: ++this.nextKey,
+            node: node,
+            html: null,
+            headings: MarkdownParser.findHeadings(node),
+            ids: null,
+            hasToc: this.containsType(node, 'toc'),
+            dirty: true
+        };
+    },
+
+    /**
+     * IS BOUNDARY
+     *
+     * Apakah parsing boleh dimulai dari block setelah `previous`?
+     * Syarat: dipisah baris kosong dan block sebelumnya tidak bisa
+     * berlanjut (list, definition list, indented code).
+     *
+     * @param {Object} previous - Block sebelum titik awal
+     * @param {number} startLine - Baris awal block berikutnya (1-based)
+     * @param {Array<string>} lines - Baris baru
+     * @returns {boolean}
+     */
+    isBoundary: function(previous, startLine, lines) {
+        if (!this.patterns.blank.test(lines[startLine - 2])) {
+            return false;
+        }
+        if (previous.type === 'code_block' && !previous.isFenced) {
+            return false;
+        }
+        return !this.joinableTypes.includes(previous.type);
+    },
+
+    /**
+     * SHIFT LINES
+     *
+     * Geser startLine/endLine block yang dipakai ulang setelah
+     * ada baris yang ditambah atau dihapus di atasnya.
+     * Inline node juga dilewati: html_inline punya startLine.
+     *
+     * @param {Object} node - Block / inline node
+     * @param {number} delta - Jumlah baris yang bertambah (negatif = berkurang)
+     */
+    shiftLines: function(node, delta) {
+        if (node.startLine !== undefined) {
+            node.startLine += delta;
+        }
+        if (node.endLine !== undefined) {
+            node.endLine += delta;
+        }
+        if (node.children) {
+            node.children.forEach(child => this.shiftLines(child, delta));
+        }
+    },
+
+    /**
+     * SHIFT SOURCE LINES
+     *
+     * Geser nilai data-source-line di HTML block yang dipakai ulang
+     *
+     * @param {string} html
+     * @param {number} delta
+     * @returns {string}
+     */
+    shiftSourceLines: function(html, delta) {
+        return html.replace(this.patterns.sourceLine, (match, line) => ` data-source-line="${Number(line) + delta}"`);
+    },
+
+    /**
+     * STRIP SOURCE LINES
+     *
+     * HTML tanpa data-source-line: dua block yang hanya berbeda
+     * nomor baris menghasilkan string yang sama
+     *
+     * @param {string} html
+     * @returns {string}
+     */
+    stripSourceLines: function(html) {
+        return html.replace(this.patterns.sourceLine, '');
+    },
+
+    /**
+     * CONTAINS TYPE
+     *
+     * @param {Object} node - Block node
+     * @param {string} type - Type yang dicari
+     * @returns {boolean}
+     */
+    containsType: function(node, type) {
+        if (node.type === type) {
+            return true;
+        }
+        if (!node.children || MarkdownParser.inlineContainers.includes(node.type)) {
+            return false;
+        }
+        return node.children.some(child => this.containsType(child, type));
+    },
+
+    /**
+     * Signature id heading dalam satu record
+     */
+    idSignature: function(record) {
+        return record.headings.map(node => node.id).join('\n');
+    },
+
+    /**
+     * Signature outline (tanpa nomor baris) untuk [[toc]]
+     */
+    outlineSignature: function(headings) {
+        return JSON.stringify(headings.map(h => [h.level, h.text, h.id]));
+    },
+
+    /**
+     * GET DOCUMENT
+     *
+     * AST seluruh dokumen dari record saat ini, tanpa parse ulang.
+     *
+     * @returns {Object} - Node document { children, refmap, definitions, headings }
+     */
+    getDocument: function() {
+        if (this.wholeDocument && this.records.length > 0) {
+            return this.records[0].node;
+        }
+        return {
+            type: 'document',
+            children: this.records.map(record => record.node),
+            refmap: this.refmap,
+            definitions: this.definitions,
+            headings: this.headings
+        };
+    },
+
+    /**
+     * RESET
+     *
+     * Lupakan state, update berikutnya akan parse penuh
+     */
+    reset: function() {
+        this.lines = [];
+        this.records = [];
+        this.refmap = {};
+        this.definitions = [];
+        this.headings = [];
+        this.outlineKey = '';
+        this.wholeDocument = false;
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * const first = IncrementalParser.update('# Judul\n\nParagraph satu\n\nParagraph dua');
+ * // first.records.length === 3, semua dirty
+ *
+ * const next = IncrementalParser.update('# Judul\n\nParagraph SATU\n\nParagraph dua');
+ * // Hanya record paragraph pertama yang baru (dirty),
+ * // next.removed berisi record paragraph lama
+ *
+ * Untuk 10k baris, satu ketikan biasanya hanya men-tokenize
+ * beberapa baris di sekitar cursor.
+ */
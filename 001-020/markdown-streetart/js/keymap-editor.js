@@ -0,0 +1,220 @@
+/**
+ * ============================================
+ * KEYMAP EDITOR MODULE
+ * ============================================
+ *
+ * File ini berisi panel pengaturan shortcut keyboard.
+ * Setiap command di registry bisa diberi shortcut lain:
+ * klik "Ubah", lalu tekan kombinasi tombol yang diinginkan.
+ *
+ * Saat merekam: Escape = batal, Backspace/Delete = hapus shortcut.
+ * Shortcut yang sudah dipakai command lain dipindahkan (command
+ * lama kehilangan shortcut-nya) dan ditampilkan di status.
+ *
+ * Perubahan disimpan lewat Commands.setKey (settings di DocumentStore).
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Merekam kombinasi tombol dari KeyboardEvent
+ * 2. Render ulang daftar dari state (registry + override)
+ */
+
+const KeymapEditor = {
+
+    /**
+     * DOM ELEMENTS
+     */
+    elements: {
+        panel: null,
+        list: null,
+        status: null,
+        closeButton: null,
+        resetAllButton: null
+    },
+
+    /**
+     * STATE
+     */
+    recording: null,    // Id command yang sedang direkam shortcut-nya
+
+    /**
+     * INIT
+     */
+    init: function() {
+        const el = this.elements;
+        el.panel = document.getElementById('keymap-panel');
+        el.list = document.getElementById('keymap-list');
+        el.status = document.getElementById('keymap-status');
+        el.closeButton = document.getElementById('keymap-close');
+        el.resetAllButton = document.getElementById('keymap-reset-all');
+
+        if (!el.panel) {
+            console.error('❌ Keymap panel not found!');
+            return;
+        }
+
+        el.closeButton.addEventListener('click', () => this.close());
+        el.resetAllButton.addEventListener('click', () => {
+            Commands.resetKey();
+            this.setStatus('Semua shortcut kembali ke default');
+            this.render();
+        });
+        el.list.addEventListener('click', (e) => this.handleClick(e));
+        el.panel.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        console.log('✓ Keymap editor ready');
+    },
+
+    /**
+     * OPEN / CLOSE PANEL
+     */
+    open: function() {
+        this.recording = null;
+        this.setStatus('');
+        this.render();
+        this.elements.panel.hidden = false;
+        this.elements.closeButton.focus();
+    },
+
+    close: function() {
+        this.recording = null;
+        this.elements.panel.hidden = true;
+        App.elements.editor.focus();
+    },
+
+    /**
+     * HANDLE CLICK: tombol "Ubah" & "Reset" per baris
+     *
+     * @param {MouseEvent} event
+     */
+    handleClick: function(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+        const id = button.closest('[data-command]').dataset.command;
+
+        if (button.dataset.action === 'record') {
+            this.recording = this.recording === id ? null : id;
+            this.setStatus(this.recording ? 'Tekan kombinasi tombol… (Esc = batal, Backspace = hapus)' : '');
+        } else if (button.dataset.action === 'reset') {
+            this.recording = null;
+            const replaced = Commands.resetKey(id);
+            this.setStatus(replaced
+                ? `${Commands.getKey(id)} dipindahkan dari "${Commands.byId[replaced].title}"`
+                : '');
+        }
+
+        this.render();
+        this.focusRow(id);
+    },
+
+    /**
+     * HANDLE KEYDOWN
+     *
+     * Panel punya data-own-keys, jadi shortcut global tidak aktif di sini
+     *
+     * @param {KeyboardEvent} event
+     */
+    handleKeydown: function(event) {
+        if (!this.recording) {
+            if (event.key === 'Escape') {
+                this.close();
+            }
+            return;
+        }
+
+        const id = this.recording;
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.recording = null;
+            this.setStatus('');
+        } else if (event.key === 'Backspace' || event.key === 'Delete') {
+            event.preventDefault();
+            this.recording = null;
+            Commands.setKey(id, '');
+            this.setStatus('Shortcut dihapus');
+        } else {
+            const key = Commands.eventToKey(event);
+            // Masih menekan modifier saja (Ctrl, Shift, ...)
+            if (!key) {
+                return;
+            }
+            event.preventDefault();
+            this.recording = null;
+
+            const replaced = Commands.setKey(id, key);
+            if (replaced) {
+                this.setStatus(`${key} dipindahkan dari "${Commands.byId[replaced].title}"`);
+            } else {
+                this.setStatus(`${key} disimpan`);
+            }
+        }
+
+        this.render();
+        this.focusRow(id);
+    },
+
+    /**
+     * RENDER
+     */
+    render: function() {
+        const list = this.elements.list;
+        list.textContent = '';
+
+        Commands.commands.forEach(command => {
+            const key = Commands.getKey(command.id);
+            const row = document.createElement('li');
+            row.className = 'keymap-row';
+            row.dataset.command = command.id;
+
+            const title = document.createElement('span');
+            title.className = 'keymap-title';
+            title.textContent = command.title;
+
+            const kbd = document.createElement('kbd');
+            if (this.recording === command.id) {
+                kbd.textContent = '…';
+                kbd.classList.add('recording');
+            } else {
+                kbd.textContent = key || '—';
+            }
+
+            const record = document.createElement('button');
+            record.type = 'button';
+            record.className = 'workspace-button';
+            record.dataset.action = 'record';
+            record.textContent = this.recording === command.id ? 'Batal' : 'Ubah';
+
+            const reset = document.createElement('button');
+            reset.type = 'button';
+            reset.className = 'workspace-button';
+            reset.dataset.action = 'reset';
+            reset.textContent = 'Reset';
+            reset.title = command.key ? `Default: ${command.key}` : 'Default: tanpa shortcut';
+            reset.disabled = key === (command.key || '');
+
+            row.append(title, kbd, record, reset);
+            list.appendChild(row);
+        });
+    },
+
+    /**
+     * Fokus tombol "Ubah" sebuah baris setelah render ulang
+     */
+    focusRow: function(id) {
+        const row = Array.from(this.elements.list.children).find(item => item.dataset.command === id);
+        if (row) {
+            row.querySelector('[data-action="record"]').focus();
+        }
+    },
+
+    setStatus: function(message) {
+        this.elements.status.textContent = message;
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * KeymapEditor.open();    // Lewat palette: "Pengaturan: Shortcut keyboard"
+ */
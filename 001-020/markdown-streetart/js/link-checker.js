@@ -0,0 +1,106 @@
+/**
+ * ============================================
+ * LINK CHECKER MODULE
+ * ============================================
+ *
+ * File ini memeriksa link & gambar di AST dokumen dan
+ * menghasilkan daftar masalah beserta baris sumbernya:
+ *
+ * 1. missing-anchor       - [teks](#id) tanpa heading dengan id itu
+ * 2. unused-reference     - [label]: url yang tidak pernah dipakai
+ * 3. duplicate-reference  - [label]: url yang sudah didefinisikan
+ *                           (yang pertama yang dipakai)
+ * 4. empty-link-text      - [](url)
+ * 5. missing-alt          - ![](gambar.png)
+ *
+ * Link & gambar diambil dari DocumentStats.blockStats (di-cache per
+ * block), definitions dari tokenize (doc.definitions). Tidak memakai
+ * DOM, sehingga juga dijalankan di parser worker.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Validasi di atas AST (bukan regex di teks mentah)
+ * 2. Set untuk mencari yang tidak terpakai
+ */
+
+const LinkChecker = {
+
+    /**
+     * CHECK
+     *
+     * @param {Object} doc - Node document (IncrementalParser.getDocument())
+     * @returns {Array<Object>} - { type, message, line }, urut per baris
+     */
+    check: function(doc) {
+        const problems = [];
+        const ids = new Set((doc.headings || []).map(heading => heading.id));
+        const used = new Set();
+
+        doc.children.forEach(node => {
+            DocumentStats.blockStats(node).links.forEach(link => {
+                const line = node.startLine + link.lineOffset;
+                if (link.reference) {
+                    used.add(link.reference);
+                }
+
+                if (link.type === 'image') {
+                    if (link.text === '') {
+                        problems.push({
+                            type: 'missing-alt',
+                            message: `Gambar ${link.destination || '(tanpa URL)'} tanpa teks alternatif (alt)`,
+                            line: line
+                        });
+                    }
+                    return;
+                }
+
+                if (link.text === '') {
+                    problems.push({
+                        type: 'empty-link-text',
+                        message: `Link ke ${link.destination || '(tanpa URL)'} tanpa teks`,
+                        line: line
+                    });
+                }
+                if (DocumentStats.isBrokenAnchor(link.destination, ids)) {
+                    problems.push({
+                        type: 'missing-anchor',
+                        message: `Anchor ${link.destination} tidak punya heading tujuan`,
+                        line: line
+                    });
+                }
+            });
+        });
+
+        const first = {};
+        (doc.definitions || []).forEach(definition => {
+            if (definition.duplicate) {
+                problems.push({
+                    type: 'duplicate-reference',
+                    message: `Definisi [${definition.text}] duplikat, yang dipakai di baris ${first[definition.label]}`,
+                    line: definition.line
+                });
+                return;
+            }
+            first[definition.label] = definition.line;
+            if (!used.has(definition.label)) {
+                problems.push({
+                    type: 'unused-reference',
+                    message: `Definisi [${definition.text}] tidak pernah dipakai`,
+                    line: definition.line
+                });
+            }
+        });
+
+        return problems.sort((a, b) => a.line - b.line);
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * IncrementalParser.update('Lihat [x](#bab-1)\n\n[lama]: https://example.com');
+ * LinkChecker.check(IncrementalParser.getDocument());
+ * // [
+ * //   { type: 'missing-anchor', message: 'Anchor #bab-1 tidak punya heading tujuan', line: 1 },
+ * //   { type: 'unused-reference', message: 'Definisi [lama] tidak pernah dipakai', line: 3 }
+ * // ]
+ */
@@ -0,0 +1,645 @@
+/**
+ * ============================================
+ * MATH RENDERER MODULE
+ * ============================================
+ *
+ * File ini berisi renderer rumus matematika untuk markdown:
+ *
+ *    Inline:  Energi $E = mc^2$ dalam kalimat
+ *    Display: $$\sum_{i=1}^{n} i = \frac{n(n+1)}{2}$$
+ *
+ * Rumus ditulis dengan subset TeX lalu diubah menjadi MathML,
+ * yang dirender langsung oleh browser. Semua berjalan offline,
+ * tanpa MathJax atau KaTeX.
+ *
+ * SUBSET TEX YANG DIDUKUNG:
+ * - Pecahan: \frac{a}{b}, \dfrac, \tfrac, \binom{n}{k}
+ * - Pangkat & subscript: x^2, x_i, x_i^2, x^{n+1}
+ * - Akar: \sqrt{x}, \sqrt[3]{x}
+ * - Huruf Yunani: \alpha, \beta, ..., \Omega
+ * - Sum & integral: \sum, \prod, \int, \oint, \lim (dengan batas)
+ * - Operator & relasi: \cdot, \times, \leq, \neq, \infty, \to, ...
+ * - Kurung otomatis: \left( ... \right)
+ * - Text & font: \text{...}, \mathbf{x}, \mathbb{R}
+ * - Aksen: \hat{x}, \bar{x}, \vec{v}
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Tokenizer + recursive descent parser
+ * 2. Generate MathML (bahasa markup untuk rumus)
+ * 3. Menambah syntax inline & block lewat MarkdownParser.use()
+ */
+
+const MathRenderer = {
+
+    /**
+     * HURUF YUNANI
+     */
+    greek: {
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+        zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+        lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ',
+        rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ',
+        phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+        Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+        Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+    },
+
+    /**
+     * OPERATOR BESAR
+     *
+     * limits: batas ditulis di atas/bawah (munderover) saat display,
+     * integral selalu di samping (msubsup) seperti di TeX.
+     */
+    largeOperators: {
+        sum: { symbol: '∑', limits: true },
+        prod: { symbol: '∏', limits: true },
+        coprod: { symbol: '∐', limits: true },
+        bigcup: { symbol: '⋃', limits: true },
+        bigcap: { symbol: '⋂', limits: true },
+        int: { symbol: '∫', limits: false },
+        iint: { symbol: '∬', limits: false },
+        iiint: { symbol: '∭', limits: false },
+        oint: { symbol: '∮', limits: false }
+    },
+
+    /**
+     * NAMA FUNGSI (ditulis tegak: sin, log, ...)
+     *
+     * Fungsi di limitFunctions punya batas di bawah: \lim_{x \to 0}
+     */
+    functions: [
+        'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan',
+        'sinh', 'cosh', 'tanh', 'log', 'ln', 'lg', 'exp', 'deg', 'dim', 'ker', 'arg'
+    ],
+    limitFunctions: ['lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr'],
+
+    /**
+     * OPERATOR, RELASI & SIMBOL
+     */
+    symbols: {
+        cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+        leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡',
+        sim: '∼', simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫',
+        in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+        cup: '∪', cap: '∩', setminus: '∖', emptyset: '∅', varnothing: '∅',
+        forall: '∀', exists: '∃', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨',
+        to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔',
+        Rightarrow: '⇒', implies: '⟹', Leftarrow: '⇐', Leftrightarrow: '⇔', iff: '⟺', mapsto: '↦',
+        uparrow: '↑', downarrow: '↓',
+        infty: '∞', partial: '∂', nabla: '∇', prime: '′', angle: '∠', perp: '⊥', parallel: '∥',
+        mid: '∣', ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', dots: '…',
+        langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+        hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', degree: '°'
+    },
+
+    /**
+     * AKSEN: \hat{x} -> x dengan ^ di atas
+     */
+    accents: {
+        hat: '^', widehat: '^', bar: '¯', overline: '‾', vec: '→', tilde: '~', widetilde: '~',
+        dot: '˙', ddot: '¨', overrightarrow: '→'
+    },
+
+    /**
+     * FONT: \mathbf{x} -> <mi mathvariant="bold">
+     */
+    fonts: {
+        mathrm: 'normal', mathbf: 'bold', mathit: 'italic', mathbb: 'double-struck',
+        mathcal: 'script', mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace',
+        boldsymbol: 'bold-italic'
+    },
+
+    /**
+     * SPASI: \, \; \quad ...
+     */
+    spaces: {
+        ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em',
+        '!': '-0.1667em', quad: '1em', qquad: '2em'
+    },
+
+    /**
+     * Command yang diabaikan (hanya mengatur gaya di TeX)
+     */
+    ignored: ['displaystyle', 'textstyle', 'limits', 'nolimits', 'big', 'Big', 'bigg', 'Bigg'],
+
+    /**
+     * Karakter yang ditulis sebagai <mo>, dengan pengganti jika perlu
+     */
+    operatorChars: {
+        '+': '+', '-': '−', '*': '∗', '/': '/', '=': '=', '<': '<', '>': '>',
+        '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', ',': ',', ';': ';',
+        ':': ':', '!': '!', '.': '.', '?': '?', "'": '′'
+    },
+
+    /**
+     * FUNGSI UTAMA: TeX -> MathML
+     *
+     * Parser dibuat toleran: command yang tidak dikenal menjadi <merror>
+     * sehingga rumus yang salah ketik tidak merusak seluruh preview.
+     *
+     * @param {string} tex - Rumus TeX (tanpa $)
+     * @param {boolean} displayMode - true untuk rumus display ($$...$$)
+     * @returns {string} - Markup <math>
+     */
+    toMathML: function(tex, displayMode) {
+        const parser = {
+            tokens: this.tokenize(tex),
+            pos: 0,
+            display: Boolean(displayMode)
+        };
+        const body = this.parseExpression(parser, null);
+        const display = displayMode ? ' display="block"' : '';
+
+        // Annotation menyimpan TeX asli (ikut tercopy, tidak dirender)
+        return `<math${display}><semantics><mrow>${body}</mrow>` +
+            `<annotation encoding="application/x-tex">${this.escapeHTML(tex)}</annotation></semantics></math>`;
+    },
+
+    /**
+     * TOKENIZE
+     *
+     * @param {string} tex - Rumus TeX
+     * @returns {Array} - Token { type: 'command'|'number'|'char'|'space', value }
+     */
+    tokenize: function(tex) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < tex.length) {
+            const rest = tex.slice(i);
+            let match;
+
+            if ((match = /^\\([A-Za-z]+|[^A-Za-z])/.exec(rest))) {
+                tokens.push({ type: 'command', value: match[1] });
+            } else if ((match = /^\s+/.exec(rest))) {
+                tokens.push({ type: 'space', value: ' ' });
+            } else if ((match = /^\d+(?:\.\d+)?/.exec(rest))) {
+                tokens.push({ type: 'number', value: match[0] });
+            } else {
+                // Backslash di akhir rumus atau karakter biasa
+                match = [rest.charAt(0)];
+                tokens.push({ type: 'char', value: match[0] });
+            }
+            i += match[0].length;
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Ambil token berikutnya (lewati spasi)
+     */
+    next: function(parser) {
+        this.skipSpaces(parser);
+        return parser.tokens[parser.pos++] || null;
+    },
+
+    peek: function(parser) {
+        this.skipSpaces(parser);
+        return parser.tokens[parser.pos] || null;
+    },
+
+    skipSpaces: function(parser) {
+        while (parser.tokens[parser.pos] && parser.tokens[parser.pos].type === 'space') {
+            parser.pos += 1;
+        }
+    },
+
+    isChar: function(token, value) {
+        return Boolean(token) && token.type === 'char' && token.value === value;
+    },
+
+    /**
+     * PARSE EXPRESSION
+     *
+     * Baca atom sampai akhir rumus atau sampai penutup.
+     *
+     * @param {Object} parser - State parser
+     * @param {string|null} end - Karakter penutup ('}' atau ']'),
+     *        'right' untuk \left...\right, null = sampai akhir
+     * @returns {string} - MathML
+     */
+    parseExpression: function(parser, end) {
+        let html = '';
+
+        for (let token = this.peek(parser); token; token = this.peek(parser)) {
+            if (end === 'right' ? token.type === 'command' && token.value === 'right' : this.isChar(token, end)) {
+                break;
+            }
+            html += this.parseScripts(parser, this.parseAtom(parser));
+        }
+
+        return html;
+    },
+
+    /**
+     * PARSE ARGUMENT
+     *
+     * Argument command: {group} atau satu token (\frac12 = 1/2).
+     */
+    parseArgument: function(parser) {
+        const token = this.peek(parser);
+
+        if (token && token.type === 'number' && token.value.length > 1) {
+            // TeX hanya mengambil satu digit sebagai argument
+            const digit = token.value.charAt(0);
+            token.value = token.value.slice(1);
+            return `<mn>${digit}</mn>`;
+        }
+        return this.parseAtom(parser).html;
+    },
+
+    /**
+     * PARSE ATOM
+     *
+     * @returns {Object} - { html, limits } (limits: batas di atas/bawah)
+     */
+    parseAtom: function(parser) {
+        const token = this.next(parser);
+
+        if (!token) {
+            return { html: '<mrow></mrow>' };
+        }
+
+        if (token.type === 'number') {
+            return { html: `<mn>${token.value}</mn>` };
+        }
+
+        if (token.type === 'char') {
+            if (token.value === '{') {
+                const inner = this.parseExpression(parser, '}');
+                this.next(parser);  // Buang '}'
+                return { html: `<mrow>${inner}</mrow>` };
+            }
+            if (token.value === '^' || token.value === '_') {
+                // Script tanpa base: x^2 di awal group, misal {}^{14}C
+                parser.pos -= 1;
+                return { html: '<mrow></mrow>' };
+            }
+            if (/^[A-Za-z]$/.test(token.value)) {
+                return { html: `<mi>${token.value}</mi>` };
+            }
+            if (this.operatorChars[token.value] !== undefined) {
+                // Kurung biasa tidak ikut membesar (sama seperti TeX)
+                const stretchy = /[()[\]|]/.test(token.value) ? ' stretchy="false"' : '';
+                return { html: `<mo${stretchy}>${this.escapeHTML(this.operatorChars[token.value])}</mo>` };
+            }
+            if (token.value === '&' || token.value === '~') {
+                return { html: token.value === '~' ? '<mspace width="0.25em"></mspace>' : '' };
+            }
+            return { html: `<mi>${this.escapeHTML(token.value)}</mi>` };
+        }
+
+        return this.parseCommand(parser, token.value);
+    },
+
+    /**
+     * PARSE COMMAND (\frac, \alpha, ...)
+     */
+    parseCommand: function(parser, name) {
+        if (this.greek[name]) {
+            // Huruf Yunani kapital ditulis tegak
+            const variant = /^[A-Z]/.test(name) ? ' mathvariant="normal"' : '';
+            return { html: `<mi${variant}>${this.greek[name]}</mi>` };
+        }
+
+        if (this.largeOperators[name]) {
+            const op = this.largeOperators[name];
+            return { html: `<mo largeop="true" movablelimits="${op.limits}">${op.symbol}</mo>`, limits: op.limits };
+        }
+
+        if (this.limitFunctions.includes(name)) {
+            return { html: `<mo movablelimits="true" form="prefix">${name}</mo>`, limits: true };
+        }
+
+        if (this.functions.includes(name)) {
+            // &#x2061; = function application (tak terlihat)
+            return { html: `<mi>${name}</mi><mo>&#x2061;</mo>` };
+        }
+
+        if (this.symbols[name]) {
+            return { html: `<mo>${this.symbols[name]}</mo>` };
+        }
+
+        if (this.spaces[name]) {
+            return { html: `<mspace width="${this.spaces[name]}"></mspace>` };
+        }
+
+        if (this.accents[name]) {
+            const base = this.parseArgument(parser);
+            return { html: `<mover accent="true"><mrow>${base}</mrow><mo>${this.escapeHTML(this.accents[name])}</mo></mover>` };
+        }
+
+        if (this.fonts[name]) {
+            const variant = this.fonts[name];
+            const base = this.parseArgument(parser);
+            return { html: base.replace(/<mi(?: mathvariant="[^"]*")?>/g, `<mi mathvariant="${variant}">`) };
+        }
+
+        if (this.ignored.includes(name)) {
+            return { html: '' };
+        }
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac': {
+                const numerator = this.parseArgument(parser);
+                const denominator = this.parseArgument(parser);
+                return { html: `<mfrac><mrow>${numerator}</mrow><mrow>${denominator}</mrow></mfrac>` };
+            }
+
+            case 'binom': {
+                const n = this.parseArgument(parser);
+                const k = this.parseArgument(parser);
+                return {
+                    html: `<mrow><mo>(</mo><mfrac linethickness="0"><mrow>${n}</mrow><mrow>${k}</mrow></mfrac><mo>)</mo></mrow>`
+                };
+            }
+
+            case 'sqrt': {
+                // Index opsional: \sqrt[3]{x}
+                if (this.isChar(this.peek(parser), '[')) {
+                    this.next(parser);
+                    const index = this.parseExpression(parser, ']');
+                    this.next(parser);  // Buang ']'
+                    const base = this.parseArgument(parser);
+                    return { html: `<mroot><mrow>${base}</mrow><mrow>${index}</mrow></mroot>` };
+                }
+                return { html: `<msqrt>${this.parseArgument(parser)}</msqrt>` };
+            }
+
+            case 'underline':
+                return { html: `<munder accentunder="true"><mrow>${this.parseArgument(parser)}</mrow><mo>_</mo></munder>` };
+
+            case 'text':
+            case 'textrm':
+            case 'mbox':
+                return { html: `<mtext>${this.escapeHTML(this.readText(parser))}</mtext>` };
+
+            case 'operatorname':
+                return { html: `<mi>${this.escapeHTML(this.readText(parser))}</mi><mo>&#x2061;</mo>` };
+
+            case 'left': {
+                const open = this.readDelimiter(parser);
+                const inner = this.parseExpression(parser, 'right');
+                this.next(parser);  // Buang \right
+                const close = this.readDelimiter(parser);
+                return { html: `<mrow>${open}${inner}${close}</mrow>` };
+            }
+
+            case 'right':
+                // \right tanpa \left: abaikan beserta delimiternya
+                this.readDelimiter(parser);
+                return { html: '' };
+
+            case '\\':
+                return { html: '<mspace linebreak="newline"></mspace>' };
+
+            case '{':
+            case '}':
+            case '|':
+                return { html: `<mo>${{ '{': '{', '}': '}', '|': '‖' }[name]}</mo>` };
+
+            case '%':
+            case '$':
+            case '#':
+            case '&':
+            case '_':
+                return { html: `<mo>${this.escapeHTML(name)}</mo>` };
+        }
+
+        // Command tidak dikenal: tampilkan apa adanya sebagai error
+        return { html: `<merror><mtext>\\${this.escapeHTML(name)}</mtext></merror>` };
+    },
+
+    /**
+     * PARSE SCRIPTS
+     *
+     * Tempelkan ^ dan _ setelah atom: x_i^2 -> <msubsup>
+     */
+    parseScripts: function(parser, atom) {
+        let sub = null;
+        let sup = null;
+
+        for (let token = this.peek(parser); this.isChar(token, '^') || this.isChar(token, '_'); token = this.peek(parser)) {
+            this.next(parser);
+            const script = this.parseArgument(parser);
+
+            if (token.value === '^' && sup === null) {
+                sup = script;
+            } else if (token.value === '_' && sub === null) {
+                sub = script;
+            } else {
+                // Double script (x^1^2) tidak valid di TeX
+                return atom.html + `<merror><mtext>${token.value}</mtext></merror>`;
+            }
+        }
+
+        if (sub === null && sup === null) {
+            return atom.html;
+        }
+
+        // Operator dengan batas di atas/bawah memakai munder/mover
+        const [subTag, supTag, bothTag] = atom.limits ?
+            ['munder', 'mover', 'munderover'] :
+            ['msub', 'msup', 'msubsup'];
+        const base = `<mrow>${atom.html}</mrow>`;
+
+        if (sup === null) {
+            return `<${subTag}>${base}<mrow>${sub}</mrow></${subTag}>`;
+        }
+        if (sub === null) {
+            return `<${supTag}>${base}<mrow>${sup}</mrow></${supTag}>`;
+        }
+        return `<${bothTag}>${base}<mrow>${sub}</mrow><mrow>${sup}</mrow></${bothTag}>`;
+    },
+
+    /**
+     * READ TEXT
+     *
+     * Isi \text{...} dibaca apa adanya (spasi dipertahankan).
+     */
+    readText: function(parser) {
+        if (!this.isChar(this.peek(parser), '{')) {
+            const token = this.next(parser);
+            return token ? token.value : '';
+        }
+        this.next(parser);
+
+        let text = '';
+        let depth = 0;
+        for (let token = parser.tokens[parser.pos]; token; token = parser.tokens[++parser.pos]) {
+            if (this.isChar(token, '{')) {
+                depth += 1;
+            } else if (this.isChar(token, '}')) {
+                if (depth === 0) {
+                    parser.pos += 1;
+                    break;
+                }
+                depth -= 1;
+            }
+            text += token.type === 'command' ? this.readTextCommand(token.value) : token.value;
+        }
+        return text;
+    },
+
+    /**
+     * Command di dalam \text{}: hanya escape karakter (\$, \%, ...)
+     */
+    readTextCommand: function(name) {
+        return /^[A-Za-z]+$/.test(name) ? '\\' + name : name;
+    },
+
+    /**
+     * READ DELIMITER untuk \left dan \right
+     *
+     * @returns {string} - <mo> yang bisa membesar, '' untuk "\left."
+     */
+    readDelimiter: function(parser) {
+        const token = this.next(parser);
+        if (!token || this.isChar(token, '.')) {
+            return '';
+        }
+
+        let symbol = token.value;
+        if (token.type === 'command') {
+            symbol = { '{': '{', '}': '}', '|': '‖' }[token.value] || this.symbols[token.value] || '';
+        }
+        return symbol ? `<mo fence="true" stretchy="true">${this.escapeHTML(symbol)}</mo>` : '';
+    },
+
+    /**
+     * ESCAPE HTML
+     */
+    escapeHTML: function(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;'
+        };
+        return text.replace(/[&<>"]/g, char => map[char]);
+    },
+
+    /**
+     * ============================================
+     * PLUGIN MARKDOWN
+     * ============================================
+     */
+
+    /**
+     * Inline: $...$ dan $$...$$ di dalam paragraph
+     *
+     * Aturan agar harga seperti "$5 dan $10" tidak jadi rumus:
+     * - setelah $ pembuka tidak boleh spasi
+     * - sebelum $ penutup tidak boleh spasi
+     * - setelah $ penutup tidak boleh angka
+     */
+    inlinePlugin: {
+        name: 'math_inline',
+        level: 'inline',
+        start: '$',
+        tokenizer: function(inline, nodes) {
+            const rest = inline.subject.slice(inline.pos);
+            const match = /^\$\$([\s\S]+?)\$\$/.exec(rest) ||
+                /^\$(?![\s$])((?:\\.|[^\\$])*?[^\s\\$])\$(?!\d)/.exec(rest);
+
+            if (!match) {
+                return false;
+            }
+            inline.pos += match[0].length;
+            nodes.push({ type: 'math_inline', literal: match[1], display: match[0].startsWith('$$') });
+            return true;
+        },
+        renderer: function(node) {
+            return MathRenderer.toMathML(node.literal, node.display);
+        }
+    },
+
+    /**
+     * Block: rumus display di beberapa baris
+     *
+     * $$
+     * \int_0^1 x^2 \, dx
+     * $$
+     */
+    blockPlugin: {
+        name: 'math_block',
+        level: 'block',
+        tokenizer: function(state) {
+            const rest = state.currentLine.slice(state.nextNonspace);
+            if (state.indented || !rest.startsWith('$$')) {
+                return 0;
+            }
+            this.closeUnmatchedBlocks(state);
+            const node = this.addChild(state, 'math_block', state.nextNonspace);
+
+            // Satu baris: $$ x^2 $$
+            const single = /^\$\$(.*)\$\$[ \t]*$/.exec(rest);
+            if (single) {
+                node.stringContent = single[1];
+                this.advanceOffset(state, state.currentLine.length - state.offset, false);
+                this.finalizeBlock(state, node, state.lineNumber);
+                return 2;
+            }
+
+            // Sisa baris setelah $$ ikut menjadi isi rumus
+            this.advanceNextNonspace(state);
+            this.advanceOffset(state, 2, false);
+            return 2;
+        },
+        rule: {
+            continue: function(state, container) {
+                // Ditutup oleh baris "$$"
+                if (!state.indented && /^\$\$[ \t]*$/.test(state.currentLine.slice(state.nextNonspace))) {
+                    this.finalizeBlock(state, container, state.lineNumber);
+                    return 2;
+                }
+                return 0;
+            },
+            finalize: function(state, block) {
+                block.literal = block.stringContent.trim();
+            },
+            acceptsLines: true
+        },
+        renderer: function(node, out) {
+            return MathRenderer.toMathML(node.literal, true)
+                .replace('<math', '<math' + this.sourceLineAttr(node, out)) + '\n';
+        },
+        sanitize: {
+            tags: [
+                'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace',
+                'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover',
+                'mfrac', 'msqrt', 'mroot', 'merror'
+            ],
+            attributes: {
+                math: ['display'],
+                annotation: ['encoding'],
+                mi: ['mathvariant'],
+                mo: ['stretchy', 'fence', 'largeop', 'movablelimits', 'form'],
+                mspace: ['width', 'linebreak'],
+                mfrac: ['linethickness'],
+                mover: ['accent'],
+                munder: ['accentunder']
+            }
+        }
+    },
+
+    /**
+     * REGISTER
+     *
+     * Daftarkan syntax $ dan $$ ke MarkdownParser.
+     * Harus di-load setelah parser.js dan sanitizer.js.
+     */
+    register: function() {
+        // Rumus inline & display menghasilkan MathML yang sama
+        this.inlinePlugin.sanitize = this.blockPlugin.sanitize;
+        MarkdownParser
+            .use(this.inlinePlugin)
+            .use(this.blockPlugin);
+    }
+};
+
+// Langsung aktif begitu file di-load
+MathRenderer.register();
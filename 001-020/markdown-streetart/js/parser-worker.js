@@ -0,0 +1,54 @@
+/**
+ * ============================================
+ * PARSER WORKER
+ * ============================================
+ *
+ * File ini dijalankan sebagai Web Worker (lihat App.startWorker),
+ * sehingga parsing markdown tidak memblokir UI thread saat mengetik.
+ *
+ * Worker tidak punya DOM, jadi hanya parsing yang dilakukan di sini.
+ * Sanitize tetap di main thread: di sana HTMLSanitizer memakai <template>,
+ * parser HTML milik browser sendiri (lebih akurat dari tokenizer tanpa DOM).
+ *
+ * PROTOKOL:
+ * - Masuk:  { id, markdown }
+ * - Keluar: { id, blocks: [{ key, html, line }], stats, problems }  atau  { id, error }
+ *   (stats = DocumentStats.compute, problems = LinkChecker.check;
+ *   dihitung di sini karena AST ada di worker)
+ *
+ * `id` dikembalikan apa adanya agar App bisa membuang hasil
+ * dari ketikan yang sudah usang. `key` stabil untuk block yang
+ * dipakai ulang oleh IncrementalParser.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Web Worker & importScripts
+ * 2. postMessage dengan data yang bisa di-clone (string, object biasa)
+ * 3. Request id untuk mencocokkan request dan response
+ */
+
+// Path relatif terhadap file worker ini (folder js/)
+importScripts('highlighter.js', 'entities.js', 'parser.js', 'extensions.js', 'math.js', 'incremental.js', 'stats.js',
+    'link-checker.js');
+
+self.addEventListener('message', (event) => {
+    const { id, markdown } = event.data;
+
+    try {
+        const result = IncrementalParser.update(markdown);
+
+        // Hanya key, HTML, statistik dan masalah yang dikirim, AST tetap di worker
+        const blocks = result.records.map(record => ({ key: record.key, html: record.html, line: record.node.startLine }));
+        const doc = IncrementalParser.getDocument();
+        self.postMessage({
+            id: id,
+            blocks: blocks,
+            stats: DocumentStats.compute(doc),
+            problems: LinkChecker.check(doc)
+        });
+
+    } catch (error) {
+        // State parser mungkin setengah jadi, mulai dari awal lagi
+        IncrementalParser.reset();
+        self.postMessage({ id: id, error: error.message });
+    }
+});
@@ -2,349 +2,2971 @@
  * ============================================
  * MARKDOWN PARSER MODULE
  * ============================================
- * 
- * File ini berisi fungsi untuk parsing (mengubah) markdown syntax
- * menjadi HTML yang bisa ditampilkan di browser.
- * 
+ *
+ * File ini berisi parser markdown yang mengikuti spesifikasi
+ * CommonMark (https://spec.commonmark.org/), sehingga hasil render
+ * sama dengan yang kita lihat di GitHub.
+ *
+ * Parsing dilakukan dalam 2 fase (sama seperti reference
+ * implementation commonmark.js):
+ *
+ * 1. BLOCK PHASE
+ *    Markdown dibaca baris per baris. Setiap baris dicocokkan
+ *    dengan block yang masih "terbuka" (blockquote, list item, dll),
+ *    lalu dicek apakah baris tsb membuka block baru.
+ *    Hasilnya: tree of blocks (document -> list -> item -> paragraph).
+ *
+ * 2. INLINE PHASE
+ *    Isi text dari paragraph & heading di-tokenize menjadi inline
+ *    nodes (text, emphasis, link, code, dll) memakai algoritma
+ *    "delimiter stack" dari spesifikasi CommonMark.
+ *
+ * Tree (AST) hasil kedua fase lalu di-render menjadi HTML.
+ *
  * TEKNIK YANG DIPELAJARI:
- * 1. Regular Expression (RegEx) untuk pattern matching
- * 2. String replacement dengan fungsi callback
- * 3. Parsing multi-line dan inline elements
- * 4. Modular function design
+ * 1. Line-based block parsing dengan container blocks
+ * 2. Delimiter stack untuk emphasis yang nested
+ * 3. Abstract Syntax Tree (AST) sebagai hasil parsing
+ * 4. Rendering AST ke HTML
  */
 
 // Namespace untuk parser agar tidak konflik dengan code lain
 const MarkdownParser = {
-    
+
+    /**
+     * OPSI DEFAULT
+     *
+     * externalLinks: tambahkan target="_blank" dan rel="noopener noreferrer"
+     * pada link http/https agar klik di preview tidak menutup editor.
+     *
+     * highlight: function(code, lang) yang mengembalikan HTML hasil
+     * syntax highlighting, atau null jika bahasa tidak didukung.
+     * Default null = pakai SyntaxHighlighter (highlighter.js) jika
+     * sudah di-load. Isi dengan false untuk mematikan highlighting.
+     *
+     * languageClass: tambahkan class="language-xxx" pada <code> di
+     * fenced code block yang punya info string bahasa.
+     *
+     * headingIds: tambahkan atribut id (slug) pada heading agar bisa
+     * di-link dengan #fragment dan dipakai oleh [[toc]].
+     *
+     * sourceLines: tambahkan data-source-line (nomor baris 1-based di
+     * markdown) pada element block dan setiap start tag raw HTML, untuk
+     * sinkronisasi scroll editor & preview dan report HTMLSanitizer.
+     *
+     * disabledPlugins: nama plugin (lihat use) yang tidak dipakai saat
+     * parse; syntax-nya tetap tampil sebagai text biasa.
+     */
+    options: {
+        externalLinks: true,
+        highlight: null,
+        languageClass: true,
+        headingIds: true,
+        sourceLines: false,
+        disabledPlugins: []
+    },
+
+    /**
+     * Jumlah kolom indentasi untuk indented code block
+     */
+    CODE_INDENT: 4,
+
     /**
      * FUNGSI UTAMA: Parse markdown ke HTML
-     * 
+     *
      * @param {string} markdown - Text markdown yang akan di-convert
+     * @param {Object} [options] - Override untuk MarkdownParser.options
      * @returns {string} - HTML hasil conversion
-     * 
+     *
      * Proses parsing:
-     * 1. Parse block elements (heading, paragraph, list)
-     * 2. Parse inline elements (bold, italic, link, code)
+     * 1. tokenize(): markdown -> AST (block phase + inline phase)
+     * 2. render(): AST -> HTML
      */
-    parse: function(markdown) {
+    parse: function(markdown, options) {
         // Jika input kosong, return string kosong
         if (!markdown || markdown.trim() === '') {
             return '';
         }
-        
-        // Konversi markdown ke HTML dengan urutan tertentu
-        // Urutan penting: block elements dulu, baru inline elements
-        let html = markdown;
-        
-        // 1. Parse block-level elements
-        html = this.parseHeaders(html);        // # Heading
-        html = this.parseHorizontalRule(html); // --- atau ***
-        html = this.parseBlockquote(html);     // > Quote
-        html = this.parseCodeBlock(html);      // ``` code ```
-        html = this.parseUnorderedList(html);  // - item atau * item
-        html = this.parseOrderedList(html);    // 1. item
-        html = this.parseParagraphs(html);     // Paragraf biasa
-        
-        // 2. Parse inline elements
-        html = this.parseInlineCode(html);     // `code`
-        html = this.parseBold(html);           // **bold** atau __bold__
-        html = this.parseItalic(html);         // *italic* atau _italic_
-        html = this.parseLinks(html);          // [text](url)
-        
-        return html;
-    },
-    
-    /**
-     * PARSE HEADERS (H1, H2, H3)
-     * 
-     * Syntax:
-     * # H1
-     * ## H2
-     * ### H3
-     * 
-     * Menggunakan RegEx dengan multiline flag (m)
-     */
-    parseHeaders: function(text) {
-        // Pattern: ^ = awal baris, (#{1,3}) = 1-3 karakter #
-        // \s+ = spasi, (.+) = text heading, $ = akhir baris
-        return text.replace(/^(#{1,3})\s+(.+)$/gm, function(match, hashes, content) {
-            // Hitung jumlah # untuk menentukan level heading
-            const level = hashes.length; // 1, 2, atau 3
-            
-            // Return tag HTML heading sesuai level
-            return `<h${level}>${content.trim()}</h${level}>`;
+
+        const ast = this.tokenize(markdown, {
+            disabledPlugins: (options && options.disabledPlugins) || this.options.disabledPlugins
         });
+        return this.render(ast, options);
     },
-    
-    /**
-     * PARSE HORIZONTAL RULE (garis pemisah)
-     * 
-     * Syntax:
-     * ---
-     * ***
-     * ___
-     * 
-     * Minimal 3 karakter berturut-turut
-     */
-    parseHorizontalRule: function(text) {
-        // Pattern: ^ = awal baris, [-*_]{3,} = minimal 3 karakter -, *, atau _
-        // $ = akhir baris
-        return text.replace(/^[-*_]{3,}$/gm, '<hr>');
-    },
-    
-    /**
-     * PARSE BLOCKQUOTE (kutipan)
-     * 
-     * Syntax:
-     * > This is a quote
-     * > Bisa multi-line
-     */
-    parseBlockquote: function(text) {
-        // Pattern: ^> = dimulai dengan >
-        // (.+) = capture text setelah >
-        return text.replace(/^>\s*(.+)$/gm, function(match, content) {
-            return `<blockquote>${content.trim()}</blockquote>`;
+
+    /**
+     * TOKENIZE: Parse markdown menjadi AST
+     *
+     * Setiap node punya `type`, `children` (untuk container) dan
+     * `startLine`/`endLine` (nomor baris 1-based di source) untuk block.
+     *
+     * @param {string} markdown - Text markdown
+     * @param {Object} [options] - Dipakai untuk parsing sebagian dokumen
+     * @param {Object} [options.refmap] - Reference definitions dari bagian lain dokumen
+     * @param {number} [options.lineOffset] - Nomor baris sebelum baris pertama markdown
+     * @param {Function} [options.stopAt] - (state, index) => boolean, dicek sebelum
+     *        baris ke-index diproses. Return true untuk berhenti di baris itu.
+     * @param {Array<string>} [options.disabledPlugins] - Plugin yang tidak dipakai
+     * @returns {Object} - Node dengan type 'document'; `lineCount` berisi
+     *          jumlah baris yang benar-benar diproses, `definitions` berisi
+     *          { label, text, line, duplicate } setiap reference definition
+     */
+    tokenize: function(markdown, options) {
+        options = options || {};
+        // Dibaca juga oleh blockStarts & compileInlineRules selama tokenize
+        this.disabledPlugins = options.disabledPlugins || [];
+        const state = {
+            doc: this.createNode('document', 1),
+            tip: null,             // Block terbuka yang paling dalam
+            oldtip: null,          // Tip sebelum baris ini diproses
+            lastMatchedContainer: null,
+            allClosed: true,
+            refmap: Object.assign({}, options.refmap),  // Link reference definitions
+            definitions: [],       // Semua definitions + barisnya, termasuk duplikat
+            currentLine: '',
+            lineNumber: options.lineOffset || 0,
+            offset: 0,             // Posisi karakter di currentLine
+            column: 0,             // Posisi kolom (tab = sampai kelipatan 4)
+            nextNonspace: 0,
+            nextNonspaceColumn: 0,
+            indent: 0,
+            indented: false,
+            blank: false,
+            partiallyConsumedTab: false
+        };
+        state.tip = state.doc;
+        state.oldtip = state.doc;
+
+        // 1. Block phase: proses baris per baris
+        const lines = markdown.split(/\r\n|\n|\r/);
+        let lineCount = lines.length;
+
+        // Newline di akhir file tidak menghasilkan baris baru
+        if (/[\r\n]$/.test(markdown)) {
+            lineCount -= 1;
+        }
+
+        for (let i = 0; i < lineCount; i++) {
+            if (options.stopAt && options.stopAt(state, i)) {
+                lineCount = i;
+                break;
+            }
+            this.incorporateLine(state, lines[i]);
+        }
+
+        // Tutup semua block yang masih terbuka
+        while (state.tip) {
+            this.finalizeBlock(state, state.tip, state.lineNumber);
+        }
+        state.doc.lineCount = lineCount;
+
+        // 2. Inline phase: parse isi paragraph & heading
+        this.processInlines(state.doc, state.refmap);
+
+        // Simpan reference definitions agar bisa dipakai modul lain
+        state.doc.refmap = state.refmap;
+        state.doc.definitions = state.definitions;
+
+        // 3. Plugin yang perlu melihat seluruh AST (footnote, abbreviation, ...)
+        this.plugins.forEach(plugin => {
+            if (plugin.postprocess && !this.disabledPlugins.includes(plugin.name)) {
+                plugin.postprocess.call(this, state.doc);
+            }
         });
+
+        // 4. Beri id (slug) pada setiap heading, dipakai juga oleh [[toc]]
+        state.doc.headings = this.collectHeadings(state.doc);
+
+        return state.doc;
     },
-    
-    /**
-     * PARSE CODE BLOCK (blok kode)
-     * 
-     * Syntax:
-     * ```
-     * const x = 10;
-     * ```
-     * 
-     * Menggunakan flag 's' untuk dotall (. match newline juga)
-     */
-    parseCodeBlock: function(text) {
-        // Pattern: ``` ... ```
-        // ([\s\S]+?) = capture apapun (termasuk newline), non-greedy
-        return text.replace(/```([\s\S]+?)```/g, function(match, code) {
-            // Escape HTML entities dalam code untuk keamanan
-            const escaped = code
-                .trim()
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;');
-            
-            return `<pre><code>${escaped}</code></pre>`;
-        });
+
+    /**
+     * CREATE NODE
+     *
+     * @param {string} type - Tipe node (paragraph, list, heading, ...)
+     * @param {number} line - Nomor baris awal (1-based)
+     * @returns {Object} - Node baru
+     */
+    createNode: function(type, line) {
+        return {
+            type: type,
+            children: [],
+            startLine: line,
+            endLine: line,
+            parent: null,
+            open: true,
+            stringContent: ''
+        };
+    },
+
+    /**
+     * ============================================
+     * PLUGIN API
+     * ============================================
+     */
+
+    /**
+     * Plugin yang sudah terdaftar (urutan registrasi)
+     */
+    plugins: [],
+
+    /**
+     * Nama plugin yang dimatikan untuk tokenize yang sedang berjalan
+     */
+    disabledPlugins: [],
+
+    /**
+     * USE: Daftarkan plugin untuk syntax baru
+     *
+     * @param {Object} plugin
+     * @param {string} plugin.name - Nama unik, juga dipakai sebagai tipe node
+     * @param {string} plugin.level - 'block' atau 'inline'
+     * @param {Function} plugin.tokenizer - Kontrak sama dengan blockStarts
+     *        (state, container) => 0|1|2, atau inlineRules (inline, nodes) => boolean.
+     *        Dipanggil dengan `this` = MarkdownParser.
+     * @param {Function|Object} plugin.renderer - (node, out) => string HTML,
+     *        atau map { tipeNode: renderer } jika plugin membuat beberapa tipe node
+     * @param {string} [plugin.start] - Inline: karakter pembuka, contoh '=' atau ':@'
+     * @param {Object} [plugin.rule] - Block: override behaviour di blockRules
+     *        (continue, finalize, canContain, acceptsLines, inlineContent)
+     * @param {Object} [plugin.rules] - Block: map { tipeNode: rule } untuk tipe
+     *        block tambahan yang dibuat plugin (misal dt/dd di definition list)
+     * @param {Object} [plugin.inlineRenderers] - Map { tipeNode: renderer } untuk
+     *        inline node yang dibuat plugin di luar tokenizer (misal di postprocess)
+     * @param {Function} [plugin.postprocess] - (doc) => void, dipanggil setelah
+     *        inline phase untuk mengolah seluruh AST. `this` = MarkdownParser.
+     * @param {string} [plugin.before] - Sisipkan sebelum rule dengan nama ini
+     * @param {string} [plugin.after] - Sisipkan setelah rule dengan nama ini
+     * @param {Object} [plugin.sanitize] - Whitelist tambahan untuk HTMLSanitizer.extend().
+     *        `tags` sebaiknya berisi semua tag yang dibuat renderer plugin: profil
+     *        sanitizer tanpa tag tsb mematikan plugin (lihat convert di lib/markdown.mjs)
+     * @returns {Object} - MarkdownParser, agar bisa di-chain
+     *
+     * Tanpa before/after, plugin dicoba sebelum rule bawaan
+     * (dan setelah plugin yang didaftarkan lebih dulu).
+     */
+    use: function(plugin) {
+        if (!plugin || !plugin.name) {
+            throw new Error('MarkdownParser.use: plugin harus punya name');
+        }
+        if (plugin.level !== 'block' && plugin.level !== 'inline') {
+            throw new Error(`MarkdownParser.use: level "${plugin.level}" tidak valid, gunakan 'block' atau 'inline'`);
+        }
+        if (typeof plugin.tokenizer !== 'function') {
+            throw new Error(`MarkdownParser.use: plugin "${plugin.name}" butuh tokenizer`);
+        }
+        if (this.plugins.some(registered => registered.name === plugin.name)) {
+            throw new Error(`MarkdownParser.use: plugin "${plugin.name}" sudah terdaftar`);
+        }
+
+        // Renderer: satu function untuk tipe plugin.name, atau map per tipe node
+        const renderers = typeof plugin.renderer === 'function' ?
+            { [plugin.name]: plugin.renderer } :
+            (plugin.renderer || {});
+
+        if (plugin.level === 'block') {
+            const blockTypes = Object.assign({ [plugin.name]: plugin.rule }, plugin.rules);
+            Object.keys(blockTypes).forEach(type => {
+                if (this.blockRules[type]) {
+                    throw new Error(`MarkdownParser.use: "${type}" bentrok dengan tipe block yang sudah ada`);
+                }
+            });
+            this.insertRule(this.blockStarts, { name: plugin.name, tokenizer: plugin.tokenizer, plugin: true }, plugin);
+
+            Object.keys(blockTypes).forEach(type => {
+                // Behaviour default: leaf block satu baris
+                const rule = Object.assign({
+                    continue: function() { return 1; },
+                    finalize: function() {},
+                    canContain: function() { return false; },
+                    acceptsLines: false
+                }, blockTypes[type]);
+                this.blockRules[type] = rule;
+
+                if (rule.inlineContent) {
+                    this.inlineContainers.push(type);
+                }
+            });
+
+            Object.keys(renderers).forEach(type => {
+                const render = renderers[type];
+                this.blockRenderers[type] = function(node, out) {
+                    this.cr(out);
+                    out.html += render.call(this, node, out);
+                };
+            });
+        } else {
+            if (!plugin.start) {
+                throw new Error(`MarkdownParser.use: plugin inline "${plugin.name}" butuh start`);
+            }
+            this.insertRule(this.inlineRules, {
+                name: plugin.name,
+                start: plugin.start,
+                tokenizer: plugin.tokenizer,
+                plugin: true
+            }, plugin);
+            this.compiledInlineRules = null;
+
+            Object.keys(renderers).forEach(type => {
+                this.inlineRenderers[type] = renderers[type];
+            });
+        }
+
+        Object.assign(this.inlineRenderers, plugin.inlineRenderers);
+
+        // Tag & atribut yang dihasilkan plugin juga harus lolos sanitizer
+        if (plugin.sanitize) {
+            if (typeof HTMLSanitizer !== 'undefined') {
+                HTMLSanitizer.extend(plugin.sanitize);
+            } else if (typeof document !== 'undefined') {
+                // Di Web Worker memang tidak ada sanitizer (sanitize di main thread)
+                console.warn(`⚠️ Plugin "${plugin.name}": load sanitizer.js sebelum plugin agar whitelist ikut terdaftar`);
+            }
+        }
+
+        this.plugins.push(plugin);
+        return this;
+    },
+
+    /**
+     * INSERT RULE
+     *
+     * Sisipkan entry ke blockStarts / inlineRules sesuai before/after plugin.
+     */
+    insertRule: function(list, entry, plugin) {
+        const target = plugin.before || plugin.after;
+        let index;
+
+        if (target) {
+            index = list.findIndex(rule => rule.name === target);
+            if (index === -1) {
+                throw new Error(`MarkdownParser.use: rule "${target}" tidak ditemukan`);
+            }
+            if (plugin.after) {
+                index += 1;
+            }
+        } else {
+            // Default: setelah plugin lain, sebelum rule bawaan pertama
+            index = list.findIndex(rule => !rule.plugin);
+            if (index === -1) {
+                index = list.length;
+            }
+        }
+
+        list.splice(index, 0, entry);
+    },
+
+    /**
+     * RENDER CHILDREN TO STRING
+     *
+     * Helper untuk renderer plugin block yang punya children block
+     * (misal container seperti blockquote).
+     */
+    renderChildrenToString: function(node, out) {
+        const saved = out.html;
+        out.html = '';
+        this.renderBlockChildren(node, out);
+        const html = out.html;
+        out.html = saved;
+        return html;
+    },
+
+    /**
+     * ============================================
+     * BLOCK PHASE
+     * ============================================
+     */
+
+    /**
+     * REGEX UNTUK BLOCK
+     */
+    blockPatterns: {
+        thematicBreak: /^(?:\*[ \t]*){3,}$|^(?:_[ \t]*){3,}$|^(?:-[ \t]*){3,}$/,
+        atxHeading: /^#{1,6}(?:[ \t]+|$)/,
+        codeFence: /^`{3,}(?!.*`)|^~{3,}/,
+        closingCodeFence: /^(?:`{3,}|~{3,})(?=[ \t]*$)/,
+        setextHeading: /^(?:=+|-+)[ \t]*$/,
+        bulletListMarker: /^[*+-]/,
+        orderedListMarker: /^(\d{1,9})([.)])/,
+        nonSpace: /[^ \t\f\v\r\n]/,
+        tableDelimiterRow: /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/,
+        tableInterrupt: /^(?:>|#{1,6}(?:[ \t]|$)|`{3,}|~{3,}|[*+-](?:[ \t]|$)|\d{1,9}[.)](?:[ \t]|$))/,
+        toc: /^\[\[toc\]\][ \t]*$/i
+    },
+
+    /**
+     * BLOCK RULES
+     *
+     * Behaviour setiap tipe block:
+     * - continue: apakah baris ini melanjutkan block?
+     *     0 = ya, 1 = tidak (block ditutup), 2 = baris sudah habis dipakai
+     * - finalize: dipanggil saat block ditutup
+     * - canContain: tipe child yang boleh ada di dalam block
+     * - acceptsLines: block menyimpan text mentah (paragraph, code)
+     *
+     * Semua fungsi dipanggil dengan `this` = MarkdownParser.
+     */
+    blockRules: {
+        document: {
+            continue: function() { return 0; },
+            finalize: function() {},
+            canContain: function(type) { return type !== 'item'; },
+            acceptsLines: false
+        },
+
+        block_quote: {
+            continue: function(state) {
+                const line = state.currentLine;
+                if (!state.indented && line.charAt(state.nextNonspace) === '>') {
+                    this.advanceNextNonspace(state);
+                    this.advanceOffset(state, 1, false);
+                    // Spasi opsional setelah >
+                    if (this.isSpaceOrTab(line.charAt(state.offset))) {
+                        this.advanceOffset(state, 1, true);
+                    }
+                    return 0;
+                }
+                return 1;
+            },
+            finalize: function() {},
+            canContain: function(type) { return type !== 'item'; },
+            acceptsLines: false
+        },
+
+        list: {
+            continue: function() { return 0; },
+            finalize: function(state, block) {
+                // List "loose" jika ada baris kosong di antara item
+                // atau di antara block di dalam item
+                const items = block.children;
+                for (let i = 0; i < items.length; i++) {
+                    const item = items[i];
+                    const isLastItem = i === items.length - 1;
+                    if (!isLastItem && this.endsWithBlankLine(item)) {
+                        block.listData.tight = false;
+                        break;
+                    }
+                    const subitems = item.children;
+                    let loose = false;
+                    for (let j = 0; j < subitems.length; j++) {
+                        const isLastSub = j === subitems.length - 1;
+                        if (this.endsWithBlankLine(subitems[j]) && (!isLastItem || !isLastSub)) {
+                            loose = true;
+                            break;
+                        }
+                    }
+                    if (loose) {
+                        block.listData.tight = false;
+                        break;
+                    }
+                }
+
+                if (items.length > 0) {
+                    block.endLine = items[items.length - 1].endLine;
+                }
+            },
+            canContain: function(type) { return type === 'item'; },
+            acceptsLines: false
+        },
+
+        item: {
+            continue: function(state, container) {
+                if (state.blank) {
+                    if (container.children.length === 0) {
+                        // Baris kosong setelah list item kosong
+                        return 1;
+                    }
+                    this.advanceNextNonspace(state);
+                } else if (state.indent >= container.listData.markerOffset + container.listData.padding) {
+                    this.advanceOffset(state, container.listData.markerOffset + container.listData.padding, true);
+                } else {
+                    return 1;
+                }
+                return 0;
+            },
+            finalize: function(state, block) {
+                if (block.children.length > 0) {
+                    block.endLine = block.children[block.children.length - 1].endLine;
+                } else {
+                    block.endLine = block.startLine;
+                }
+            },
+            canContain: function(type) { return type !== 'item'; },
+            acceptsLines: false
+        },
+
+        heading: {
+            // Heading hanya 1 baris
+            continue: function() { return 1; },
+            finalize: function() {},
+            canContain: function() { return false; },
+            acceptsLines: false
+        },
+
+        thematic_break: {
+            continue: function() { return 1; },
+            finalize: function() {},
+            canContain: function() { return false; },
+            acceptsLines: false
+        },
+
+        toc: {
+            continue: function() { return 1; },
+            finalize: function() {},
+            canContain: function() { return false; },
+            acceptsLines: false
+        },
+
+        code_block: {
+            continue: function(state, container) {
+                const line = state.currentLine;
+                const indent = state.indent;
+
+                if (container.isFenced) {
+                    // Cek closing fence: minimal sepanjang opening fence
+                    const match = indent <= 3 &&
+                        line.charAt(state.nextNonspace) === container.fenceChar &&
+                        line.slice(state.nextNonspace).match(this.blockPatterns.closingCodeFence);
+
+                    if (match && match[0].length >= container.fenceLength) {
+                        this.finalizeBlock(state, container, state.lineNumber);
+                        return 2;
+                    }
+
+                    // Buang indentasi sebanyak indentasi opening fence
+                    let i = container.fenceOffset;
+                    while (i > 0 && this.isSpaceOrTab(line.charAt(state.offset))) {
+                        this.advanceOffset(state, 1, true);
+                        i--;
+                    }
+                } else {
+                    // Indented code: butuh 4 spasi (baris kosong boleh)
+                    if (indent >= this.CODE_INDENT) {
+                        this.advanceOffset(state, this.CODE_INDENT, true);
+                    } else if (state.blank) {
+                        this.advanceNextNonspace(state);
+                    } else {
+                        return 1;
+                    }
+                }
+                return 0;
+            },
+            finalize: function(state, block) {
+                if (block.isFenced) {
+                    // Baris pertama adalah info string (```js)
+                    const content = block.stringContent;
+                    const newlinePos = content.indexOf('\n');
+                    const firstLine = content.slice(0, newlinePos);
+                    block.info = this.unescapeString(firstLine.trim());
+                    block.literal = content.slice(newlinePos + 1);
+                } else {
+                    // Buang baris kosong di akhir
+                    block.info = '';
+                    block.literal = block.stringContent.replace(/(\n *)+$/, '\n');
+                }
+            },
+            canContain: function() { return false; },
+            acceptsLines: true
+        },
+
+        html_block: {
+            continue: function(state, container) {
+                // Tipe 6 & 7 berakhir di baris kosong
+                return (state.blank && (container.htmlBlockType === 6 || container.htmlBlockType === 7)) ? 1 : 0;
+            },
+            finalize: function(state, block) {
+                block.literal = block.stringContent.replace(/(\n *)+$/, '');
+            },
+            canContain: function() { return false; },
+            acceptsLines: true
+        },
+
+        paragraph: {
+            continue: function(state) {
+                return state.blank ? 1 : 0;
+            },
+            finalize: function(state, block) {
+                // Paragraph boleh diawali link reference definitions:
+                // [label]: url "title"
+                const text = block.stringContent;
+                block.stringContent = this.extractReferences(text, state, block.startLine);
+                block.contentLine = block.startLine + this.countLines(text) - this.countLines(block.stringContent);
+
+                // Jika isinya hanya definitions, paragraph dihapus
+                if (block.stringContent.trim() === '') {
+                    this.removeNode(block);
+                }
+            },
+            canContain: function() { return false; },
+            acceptsLines: true
+        },
+
+        // GFM table: baris header, delimiter row, lalu baris-baris body
+        table: {
+            continue: function(state) {
+                if (state.blank) {
+                    return 1;
+                }
+                // Table berakhir saat block lain dimulai
+                const rest = state.currentLine.slice(state.nextNonspace);
+                if (!state.indented && (this.blockPatterns.tableInterrupt.test(rest) ||
+                    this.blockPatterns.thematicBreak.test(rest) ||
+                    this.htmlPatterns.blockOpen.slice(1, 7).some(pattern => pattern.test(rest)))) {
+                    return 1;
+                }
+                return 0;
+            },
+            finalize: function(state, block) {
+                const columns = block.align.length;
+                const header = this.createTableRow(block.headerCells, block, true, block.startLine);
+                block.children = [header];
+
+                // Baris pertama stringContent adalah delimiter row
+                const lines = block.stringContent.split('\n').slice(1);
+                lines.forEach((line, index) => {
+                    if (line.trim() === '') {
+                        return;
+                    }
+                    // Jumlah cell disamakan dengan header
+                    const cells = this.splitTableRow(line).slice(0, columns);
+                    while (cells.length < columns) {
+                        cells.push('');
+                    }
+                    block.children.push(this.createTableRow(cells, block, false, block.startLine + 2 + index));
+                });
+
+                block.endLine = block.children[block.children.length - 1].endLine;
+                delete block.headerCells;
+            },
+            canContain: function() { return false; },
+            acceptsLines: true
+        }
+    },
+
+    /**
+     * BLOCK STARTS
+     *
+     * Tokenizer yang mengecek apakah baris membuka block baru.
+     * Urutan penting! Setiap entry punya `name` agar plugin bisa
+     * menyisipkan tokenizer sebelum/sesudahnya. Return value:
+     *   0 = tidak cocok
+     *   1 = container block dibuka (lanjut cek block berikutnya)
+     *   2 = leaf block dibuka (sisa baris milik block ini)
+     */
+    blockStarts: [
+        // Blockquote: > quote
+        {
+            name: 'blockquote',
+            tokenizer: function(state) {
+                if (!state.indented && state.currentLine.charAt(state.nextNonspace) === '>') {
+                    this.advanceNextNonspace(state);
+                    this.advanceOffset(state, 1, false);
+                    if (this.isSpaceOrTab(state.currentLine.charAt(state.offset))) {
+                        this.advanceOffset(state, 1, true);
+                    }
+                    this.closeUnmatchedBlocks(state);
+                    this.addChild(state, 'block_quote', state.nextNonspace);
+                    return 1;
+                }
+                return 0;
+            }
+        },
+
+        // ATX heading: # sampai ######
+        {
+            name: 'heading',
+            tokenizer: function(state) {
+                if (state.indented) {
+                    return 0;
+                }
+                const match = state.currentLine.slice(state.nextNonspace).match(this.blockPatterns.atxHeading);
+                if (!match) {
+                    return 0;
+                }
+
+                this.advanceNextNonspace(state);
+                this.advanceOffset(state, match[0].length, false);
+                this.closeUnmatchedBlocks(state);
+
+                const heading = this.addChild(state, 'heading', state.nextNonspace);
+                heading.level = match[0].trim().length;
+                // Buang closing sequence (## Heading ##)
+                heading.stringContent = state.currentLine.slice(state.offset)
+                    .replace(/^[ \t]*#+[ \t]*$/, '')
+                    .replace(/[ \t]+#+[ \t]*$/, '');
+                this.advanceOffset(state, state.currentLine.length - state.offset);
+                return 2;
+            }
+        },
+
+        // Fenced code block: ``` atau ~~~
+        {
+            name: 'fencedCode',
+            tokenizer: function(state) {
+                if (state.indented) {
+                    return 0;
+                }
+                const match = state.currentLine.slice(state.nextNonspace).match(this.blockPatterns.codeFence);
+                if (!match) {
+                    return 0;
+                }
+
+                const fenceLength = match[0].length;
+                this.closeUnmatchedBlocks(state);
+
+                const block = this.addChild(state, 'code_block', state.nextNonspace);
+                block.isFenced = true;
+                block.fenceLength = fenceLength;
+                block.fenceChar = match[0][0];
+                block.fenceOffset = state.indent;
+
+                this.advanceNextNonspace(state);
+                this.advanceOffset(state, fenceLength, false);
+                return 2;
+            }
+        },
+
+        // HTML block: 7 kondisi pembuka dari spesifikasi
+        {
+            name: 'htmlBlock',
+            tokenizer: function(state, container) {
+                if (state.indented || state.currentLine.charAt(state.nextNonspace) !== '<') {
+                    return 0;
+                }
+
+                const s = state.currentLine.slice(state.nextNonspace);
+                const patterns = this.htmlPatterns.blockOpen;
+
+                for (let blockType = 1; blockType <= 7; blockType++) {
+                    // Tipe 7 tidak boleh menyela paragraph
+                    const interruptsParagraph = container.type === 'paragraph' ||
+                        (!state.allClosed && !state.blank && state.tip.type === 'paragraph');
+
+                    if (patterns[blockType].test(s) && (blockType < 7 || !interruptsParagraph)) {
+                        this.closeUnmatchedBlocks(state);
+                        // Spasi di awal adalah bagian dari HTML block
+                        const block = this.addChild(state, 'html_block', state.offset);
+                        block.htmlBlockType = blockType;
+                        return 2;
+                    }
+                }
+                return 0;
+            }
+        },
+
+        // Setext heading: paragraph diikuti === atau ---
+        {
+            name: 'setextHeading',
+            tokenizer: function(state, container) {
+                if (state.indented || container.type !== 'paragraph') {
+                    return 0;
+                }
+                const match = state.currentLine.slice(state.nextNonspace).match(this.blockPatterns.setextHeading);
+                if (!match) {
+                    return 0;
+                }
+
+                this.closeUnmatchedBlocks(state);
+
+                // Reference definitions tidak bisa jadi heading
+                const content = this.extractReferences(container.stringContent, state, container.startLine);
+                if (content.length === 0) {
+                    container.stringContent = content;
+                    return 0;
+                }
+
+                const heading = this.createNode('heading', container.startLine);
+                heading.level = match[0][0] === '=' ? 1 : 2;
+                heading.stringContent = content;
+                heading.contentLine = container.startLine + this.countLines(container.stringContent) - this.countLines(content);
+
+                // Ganti paragraph dengan heading di posisi yang sama
+                const siblings = container.parent.children;
+                siblings[siblings.indexOf(container)] = heading;
+                heading.parent = container.parent;
+                state.tip = heading;
+
+                this.advanceOffset(state, state.currentLine.length - state.offset, false);
+                return 2;
+            }
+        },
+
+        // GFM table: paragraph diikuti delimiter row | --- | :---: |
+        {
+            name: 'table',
+            tokenizer: function(state, container) {
+                if (state.indented || container.type !== 'paragraph') {
+                    return 0;
+                }
+                const line = state.currentLine.slice(state.nextNonspace);
+                if (line.indexOf('|') === -1 || !this.blockPatterns.tableDelimiterRow.test(line)) {
+                    return 0;
+                }
+
+                // Baris terakhir paragraph menjadi header
+                const lines = container.stringContent.replace(/\n$/, '').split('\n');
+                const headerCells = this.splitTableRow(lines.pop());
+                const align = this.splitTableRow(line).map(cell => {
+                    const left = cell.startsWith(':');
+                    const right = cell.endsWith(':');
+                    return left && right ? 'center' : left ? 'left' : right ? 'right' : '';
+                });
+
+                // Jumlah kolom header harus sama dengan delimiter row
+                if (headerCells.length !== align.length) {
+                    return 0;
+                }
+
+                this.closeUnmatchedBlocks(state);
+
+                // Sisa paragraph di atas header tetap menjadi paragraph
+                if (lines.length > 0) {
+                    container.stringContent = lines.join('\n') + '\n';
+                    this.finalizeBlock(state, container, state.lineNumber - 2);
+                } else {
+                    state.tip = container.parent;
+                    this.removeNode(container);
+                }
+
+                const table = this.addChild(state, 'table', state.nextNonspace);
+                table.startLine = state.lineNumber - 1;
+                table.align = align;
+                table.headerCells = headerCells;
+                return 2;
+            }
+        },
+
+        // Table of contents: [[toc]] di baris sendiri
+        {
+            name: 'toc',
+            tokenizer: function(state, container) {
+                // Tidak memotong paragraph, agar "[[toc]]" di tengah text tetap text
+                if (state.indented || container.type === 'paragraph' ||
+                    !this.blockPatterns.toc.test(state.currentLine.slice(state.nextNonspace))) {
+                    return 0;
+                }
+                this.closeUnmatchedBlocks(state);
+                this.addChild(state, 'toc', state.nextNonspace);
+                this.advanceOffset(state, state.currentLine.length - state.offset, false);
+                return 2;
+            }
+        },
+
+        // Thematic break: --- *** ___
+        {
+            name: 'thematicBreak',
+            tokenizer: function(state) {
+                if (!state.indented && this.blockPatterns.thematicBreak.test(state.currentLine.slice(state.nextNonspace))) {
+                    this.closeUnmatchedBlocks(state);
+                    this.addChild(state, 'thematic_break', state.nextNonspace);
+                    this.advanceOffset(state, state.currentLine.length - state.offset, false);
+                    return 2;
+                }
+                return 0;
+            }
+        },
+
+        // List item: - * + atau 1. 1)
+        {
+            name: 'list',
+            tokenizer: function(state, container) {
+                if (state.indented && container.type !== 'list') {
+                    return 0;
+                }
+                const data = this.parseListMarker(state, container);
+                if (!data) {
+                    return 0;
+                }
+
+                this.closeUnmatchedBlocks(state);
+
+                // Buat list baru jika tipe marker berbeda
+                if (state.tip.type !== 'list' || !this.listsMatch(container.listData, data)) {
+                    const list = this.addChild(state, 'list', state.nextNonspace);
+                    list.listData = data;
+                }
+
+                const item = this.addChild(state, 'item', state.nextNonspace);
+                item.listData = data;
+                return 1;
+            }
+        },
+
+        // Indented code block: 4 spasi
+        {
+            name: 'indentedCode',
+            tokenizer: function(state) {
+                if (state.indented && state.tip.type !== 'paragraph' && !state.blank) {
+                    this.advanceOffset(state, this.CODE_INDENT, true);
+                    this.closeUnmatchedBlocks(state);
+                    this.addChild(state, 'code_block', state.offset);
+                    return 2;
+                }
+                return 0;
+            }
+        }
+    ],
+
+    /**
+     * INCORPORATE LINE
+     *
+     * Proses satu baris markdown ke dalam block tree.
+     *
+     * @param {Object} state - Block parser state
+     * @param {string} line - Satu baris tanpa newline
+     */
+    incorporateLine: function(state, line) {
+        let allMatched = true;
+        let container = state.doc;
+
+        state.oldtip = state.tip;
+        state.offset = 0;
+        state.column = 0;
+        state.blank = false;
+        state.partiallyConsumedTab = false;
+        state.lineNumber += 1;
+
+        // Ganti karakter NUL demi keamanan
+        if (line.indexOf('\u0000') !== -1) {
+            line = line.replace(/\0/g, '\uFFFD');
+        }
+        state.currentLine = line;
+
+        // 1. Cocokkan baris dengan setiap block yang masih terbuka
+        let lastChild;
+        while ((lastChild = container.children[container.children.length - 1]) && lastChild.open) {
+            container = lastChild;
+            this.findNextNonspace(state);
+
+            const result = this.blockRules[container.type].continue.call(this, state, container);
+            if (result === 2) {
+                // Baris sudah habis (closing fence)
+                return;
+            }
+            if (result === 1) {
+                allMatched = false;
+                container = container.parent;
+                break;
+            }
+        }
+
+        state.allClosed = container === state.oldtip;
+        state.lastMatchedContainer = container;
+
+        // 2. Cek apakah baris membuka block baru
+        let matchedLeaf = container.type !== 'paragraph' && this.blockRules[container.type].acceptsLines;
+
+        while (!matchedLeaf) {
+            this.findNextNonspace(state);
+
+            let i = 0;
+            for (; i < this.blockStarts.length; i++) {
+                const start = this.blockStarts[i];
+                if (start.plugin && this.disabledPlugins.includes(start.name)) {
+                    continue;
+                }
+                const result = start.tokenizer.call(this, state, container);
+                if (result === 1) {
+                    container = state.tip;
+                    break;
+                }
+                if (result === 2) {
+                    container = state.tip;
+                    matchedLeaf = true;
+                    break;
+                }
+            }
+
+            // Tidak ada block baru
+            if (i === this.blockStarts.length) {
+                this.advanceNextNonspace(state);
+                break;
+            }
+        }
+
+        // 3. Sisa baris adalah text
+        if (!state.allClosed && !state.blank && state.tip.type === 'paragraph') {
+            // Lazy continuation: paragraph berlanjut walau tanpa > atau indent
+            this.addLine(state);
+            return;
+        }
+
+        // Tutup block yang tidak cocok
+        this.closeUnmatchedBlocks(state);
+
+        // Catat baris kosong untuk menentukan tight/loose list
+        const lastContainerChild = container.children[container.children.length - 1];
+        if (state.blank && lastContainerChild) {
+            lastContainerChild.lastLineBlank = true;
+        }
+
+        const type = container.type;
+        const lastLineBlank = state.blank &&
+            !(type === 'block_quote' ||
+              (type === 'code_block' && container.isFenced) ||
+              (type === 'item' && container.children.length === 0 && container.startLine === state.lineNumber));
+
+        for (let node = container; node; node = node.parent) {
+            node.lastLineBlank = lastLineBlank;
+        }
+
+        if (this.blockRules[type].acceptsLines) {
+            this.addLine(state);
+
+            // HTML block tipe 1-5 ditutup oleh pola tertentu
+            if (type === 'html_block' && container.htmlBlockType >= 1 && container.htmlBlockType <= 5 &&
+                this.htmlPatterns.blockClose[container.htmlBlockType].test(state.currentLine.slice(state.offset))) {
+                this.finalizeBlock(state, container, state.lineNumber);
+            }
+        } else if (state.offset < line.length && !state.blank) {
+            // Buat paragraph baru
+            this.addChild(state, 'paragraph', state.offset);
+            this.advanceNextNonspace(state);
+            this.addLine(state);
+        }
     },
-    
-    /**
-     * PARSE UNORDERED LIST (list tidak berurut)
-     * 
-     * Syntax:
-     * - Item 1
-     * - Item 2
-     * * Item 3
-     * 
-     * Support karakter - atau *
-     */
-    parseUnorderedList: function(text) {
-        // Split text menjadi baris-baris
-        const lines = text.split('\n');
-        let result = [];
-        let inList = false; // Flag apakah sedang dalam list
-        
-        // Loop setiap baris
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            
-            // Check apakah baris ini adalah list item
-            // Pattern: dimulai dengan - atau * lalu spasi
-            const listMatch = line.match(/^[-*]\s+(.+)$/);
-            
-            if (listMatch) {
-                // Ini adalah list item
-                if (!inList) {
-                    // Mulai list baru
-                    result.push('<ul>');
-                    inList = true;
-                }
-                // Tambahkan list item
-                result.push(`<li>${listMatch[1].trim()}</li>`);
+
+    /**
+     * FIND NEXT NON-SPACE
+     *
+     * Hitung posisi karakter non-spasi berikutnya dan indentasinya.
+     * Tab dihitung sampai kolom kelipatan 4.
+     */
+    findNextNonspace: function(state) {
+        const line = state.currentLine;
+        let i = state.offset;
+        let cols = state.column;
+        let c;
+
+        while ((c = line.charAt(i)) !== '') {
+            if (c === ' ') {
+                i++;
+                cols++;
+            } else if (c === '\t') {
+                i++;
+                cols += 4 - (cols % 4);
             } else {
-                // Bukan list item
-                if (inList) {
-                    // Tutup list yang sedang berjalan
-                    result.push('</ul>');
-                    inList = false;
-                }
-                // Tambahkan baris original
-                result.push(line);
-            }
-        }
-        
-        // Jika masih dalam list di akhir, tutup list
-        if (inList) {
-            result.push('</ul>');
-        }
-        
-        // Join kembali menjadi string
-        return result.join('\n');
-    },
-    
-    /**
-     * PARSE ORDERED LIST (list berurut)
-     * 
-     * Syntax:
-     * 1. Item pertama
-     * 2. Item kedua
-     * 3. Item ketiga
-     */
-    parseOrderedList: function(text) {
-        const lines = text.split('\n');
-        let result = [];
-        let inList = false;
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            
-            // Pattern: dimulai dengan angka, titik, spasi
-            // \d+ = satu atau lebih digit
-            const listMatch = line.match(/^\d+\.\s+(.+)$/);
-            
-            if (listMatch) {
-                if (!inList) {
-                    result.push('<ol>');
-                    inList = true;
-                }
-                result.push(`<li>${listMatch[1].trim()}</li>`);
+                break;
+            }
+        }
+
+        state.blank = c === '\n' || c === '\r' || c === '';
+        state.nextNonspace = i;
+        state.nextNonspaceColumn = cols;
+        state.indent = state.nextNonspaceColumn - state.column;
+        state.indented = state.indent >= this.CODE_INDENT;
+    },
+
+    /**
+     * ADVANCE OFFSET
+     *
+     * Maju sebanyak `count` karakter (atau kolom jika columns = true).
+     * Tab bisa terpakai sebagian, misalnya list item di dalam tab.
+     */
+    advanceOffset: function(state, count, columns) {
+        const line = state.currentLine;
+        let c;
+
+        while (count > 0 && (c = line[state.offset])) {
+            if (c === '\t') {
+                const charsToTab = 4 - (state.column % 4);
+                if (columns) {
+                    state.partiallyConsumedTab = charsToTab > count;
+                    const charsToAdvance = charsToTab > count ? count : charsToTab;
+                    state.column += charsToAdvance;
+                    state.offset += state.partiallyConsumedTab ? 0 : 1;
+                    count -= charsToAdvance;
+                } else {
+                    state.partiallyConsumedTab = false;
+                    state.column += charsToTab;
+                    state.offset += 1;
+                    count -= 1;
+                }
             } else {
-                if (inList) {
-                    result.push('</ol>');
-                    inList = false;
-                }
-                result.push(line);
-            }
-        }
-        
-        if (inList) {
-            result.push('</ol>');
-        }
-        
-        return result.join('\n');
-    },
-    
-    /**
-     * PARSE PARAGRAPHS
-     * 
-     * Wrap text yang bukan element lain menjadi <p>
-     * Deteksi paragraph dari baris kosong
-     */
-    parseParagraphs: function(text) {
-        // Split berdasarkan 2+ newline (paragraph break)
-        const paragraphs = text.split(/\n\n+/);
-        
-        return paragraphs.map(para => {
-            para = para.trim();
-            
-            // Skip jika kosong
-            if (!para) return '';
-            
-            // Skip jika sudah merupakan HTML tag
-            // Cek apakah dimulai dengan < (sudah HTML)
-            if (para.startsWith('<')) {
-                return para;
-            }
-            
-            // Wrap dalam <p> tag
-            return `<p>${para}</p>`;
-        }).join('\n\n');
-    },
-    
-    /**
-     * PARSE INLINE CODE
-     * 
-     * Syntax:
-     * `code here`
-     * 
-     * PENTING: Parse ini dulu sebelum bold/italic
-     * agar ` tidak terganggu dengan * atau _
-     */
-    parseInlineCode: function(text) {
-        // Pattern: `...`
-        // [^`]+ = karakter apapun kecuali `
-        return text.replace(/`([^`]+)`/g, function(match, code) {
-            // Escape HTML entities untuk keamanan
-            const escaped = code
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;');
-            
-            return `<code>${escaped}</code>`;
-        });
+                state.partiallyConsumedTab = false;
+                state.offset += 1;
+                state.column += 1;
+                count -= 1;
+            }
+        }
     },
-    
-    /**
-     * PARSE BOLD TEXT
-     * 
-     * Syntax:
-     * **bold text**
-     * __bold text__
-     * 
-     * Menggunakan non-greedy quantifier (+?) agar tidak greedy
-     */
-    parseBold: function(text) {
-        // Pattern 1: **...**
-        // [^*]+ = karakter apapun kecuali *
-        text = text.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-        
-        // Pattern 2: __...__
-        // [^_]+ = karakter apapun kecuali _
-        text = text.replace(/__([^_]+)__/g, '<strong>$1</strong>');
-        
-        return text;
+
+    advanceNextNonspace: function(state) {
+        state.offset = state.nextNonspace;
+        state.column = state.nextNonspaceColumn;
+        state.partiallyConsumedTab = false;
     },
-    
-    /**
-     * PARSE ITALIC TEXT
-     * 
-     * Syntax:
-     * *italic text*
-     * _italic text_
-     * 
-     * CATATAN: Parse setelah bold agar ** tidak match dengan *
-     */
-    parseItalic: function(text) {
-        // Pattern 1: *...*
-        // Tapi pastikan bukan ** (bold)
-        // (?<!\*) = negative lookbehind, tidak didahului *
-        // (?!\*) = negative lookahead, tidak diikuti *
-        text = text.replace(/(?<!\*)\*(?!\*)([^*]+)(?<!\*)\*(?!\*)/g, '<em>$1</em>');
-        
-        // Pattern 2: _..._
-        // Tapi pastikan bukan __ (bold)
-        text = text.replace(/(?<!_)_(?!_)([^_]+)(?<!_)_(?!_)/g, '<em>$1</em>');
-        
-        return text;
+
+    /**
+     * ADD LINE
+     *
+     * Tambahkan sisa baris ke block yang menerima text (tip).
+     */
+    addLine: function(state) {
+        if (state.partiallyConsumedTab) {
+            // Sisa tab diganti spasi
+            state.offset += 1;
+            const charsToTab = 4 - (state.column % 4);
+            state.tip.stringContent += ' '.repeat(charsToTab);
+        }
+        state.tip.stringContent += state.currentLine.slice(state.offset) + '\n';
     },
-    
-    /**
-     * PARSE LINKS
-     * 
-     * Syntax:
-     * [link text](https://url.com)
-     * 
-     * Capture text dan URL, lalu buat <a> tag
-     */
-    parseLinks: function(text) {
-        // Pattern: [text](url)
-        // \[([^\]]+)\] = capture text dalam []
-        // \(([^)]+)\) = capture URL dalam ()
-        return text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, function(match, linkText, url) {
-            // Tambahkan rel dan target untuk keamanan
-            return `<a href="${url}" target="_blank" rel="noopener noreferrer">${linkText}</a>`;
-        });
-    }
-};
+
+    /**
+     * ADD CHILD
+     *
+     * Tambahkan block baru. Block yang tidak bisa menampung tipe ini
+     * akan ditutup terlebih dahulu.
+     */
+    addChild: function(state, type, offset) {
+        while (!this.blockRules[state.tip.type].canContain(type)) {
+            this.finalizeBlock(state, state.tip, state.lineNumber - 1);
+        }
+
+        const block = this.createNode(type, state.lineNumber);
+        block.parent = state.tip;
+        state.tip.children.push(block);
+        state.tip = block;
+        return block;
+    },
+
+    /**
+     * CLOSE UNMATCHED BLOCKS
+     *
+     * Tutup block terbuka yang tidak cocok dengan baris saat ini.
+     */
+    closeUnmatchedBlocks: function(state) {
+        if (state.allClosed) {
+            return;
+        }
+        while (state.oldtip !== state.lastMatchedContainer) {
+            const parent = state.oldtip.parent;
+            this.finalizeBlock(state, state.oldtip, state.lineNumber - 1);
+            state.oldtip = parent;
+        }
+        state.allClosed = true;
+    },
+
+    /**
+     * FINALIZE BLOCK
+     *
+     * Tutup block dan jalankan finalize sesuai tipenya.
+     */
+    finalizeBlock: function(state, block, lineNumber) {
+        const parent = block.parent;
+        block.open = false;
+        block.endLine = lineNumber;
+        this.blockRules[block.type].finalize.call(this, state, block);
+        state.tip = parent;
+    },
+
+    /**
+     * PARSE LIST MARKER
+     *
+     * @returns {Object|null} - Data list (type, marker, padding) atau null
+     */
+    parseListMarker: function(state, container) {
+        const line = state.currentLine;
+        const rest = line.slice(state.nextNonspace);
+        const data = {
+            type: null,
+            tight: true,
+            bulletChar: null,
+            start: null,
+            delimiter: null,
+            padding: null,
+            markerOffset: state.indent
+        };
+        let match;
+
+        if (state.indent >= 4) {
+            return null;
+        }
+
+        if ((match = rest.match(this.blockPatterns.bulletListMarker))) {
+            data.type = 'bullet';
+            data.bulletChar = match[0][0];
+        } else if ((match = rest.match(this.blockPatterns.orderedListMarker)) &&
+                   (container.type !== 'paragraph' || match[1] === '1')) {
+            // Ordered list hanya boleh menyela paragraph jika mulai dari 1
+            data.type = 'ordered';
+            data.start = parseInt(match[1], 10);
+            data.delimiter = match[2];
+        } else {
+            return null;
+        }
+
+        // Marker harus diikuti spasi/tab atau akhir baris
+        const nextChar = line.charAt(state.nextNonspace + match[0].length);
+        if (!(nextChar === '' || nextChar === '\t' || nextChar === ' ')) {
+            return null;
+        }
+
+        // Item kosong tidak boleh menyela paragraph
+        if (container.type === 'paragraph' &&
+            !this.blockPatterns.nonSpace.test(line.slice(state.nextNonspace + match[0].length))) {
+            return null;
+        }
+
+        // Hitung padding (lebar marker + spasi setelahnya)
+        this.advanceNextNonspace(state);
+        this.advanceOffset(state, match[0].length, true);
+        const spacesStartCol = state.column;
+        const spacesStartOffset = state.offset;
+
+        do {
+            this.advanceOffset(state, 1, true);
+        } while (state.column - spacesStartCol < 5 && this.isSpaceOrTab(line.charAt(state.offset)));
+
+        const blankItem = line.charAt(state.offset) === '';
+        const spacesAfterMarker = state.column - spacesStartCol;
+
+        if (spacesAfterMarker >= 5 || spacesAfterMarker < 1 || blankItem) {
+            // 5+ spasi = indented code di dalam item, padding hanya 1
+            data.padding = match[0].length + 1;
+            state.column = spacesStartCol;
+            state.offset = spacesStartOffset;
+            if (this.isSpaceOrTab(line.charAt(state.offset))) {
+                this.advanceOffset(state, 1, true);
+            }
+        } else {
+            data.padding = match[0].length + spacesAfterMarker;
+        }
+
+        return data;
+    },
+
+    listsMatch: function(a, b) {
+        return a.type === b.type && a.delimiter === b.delimiter && a.bulletChar === b.bulletChar;
+    },
+
+    /**
+     * SPLIT TABLE ROW
+     *
+     * Pecah baris table menjadi cell. Pipe di awal/akhir opsional,
+     * \| adalah pipe literal di dalam cell (termasuk di dalam `code`).
+     *
+     * @param {string} line - Satu baris table
+     * @returns {Array<string>} - Isi cell (belum di-parse inline)
+     */
+    splitTableRow: function(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) {
+            row = row.slice(1);
+        }
+        if (row.endsWith('|') && !row.endsWith('\\|')) {
+            row = row.slice(0, -1);
+        }
+
+        const cells = [];
+        let current = '';
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += row[i];
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    },
+
+    createTableRow: function(cells, table, header, line) {
+        return {
+            type: 'table_row',
+            header: header,
+            startLine: line,
+            endLine: line,
+            children: cells.map((content, index) => ({
+                type: 'table_cell',
+                header: header,
+                align: table.align[index],
+                stringContent: content,
+                children: []
+            }))
+        };
+    },
+
+    /**
+     * ENDS WITH BLANK LINE
+     *
+     * Cek apakah block diakhiri baris kosong, turun ke list/item terakhir.
+     */
+    endsWithBlankLine: function(block) {
+        while (block) {
+            if (block.lastLineBlank) {
+                return true;
+            }
+            const type = block.type;
+            if (!block.lastLineChecked && (type === 'list' || type === 'item')) {
+                block.lastLineChecked = true;
+                block = block.children[block.children.length - 1];
+            } else {
+                block.lastLineChecked = true;
+                break;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * EXTRACT REFERENCES
+     *
+     * Ambil link reference definitions di awal text paragraph.
+     *
+     * @param {string} text - Isi paragraph
+     * @param {Object} state - Parser state (refmap & definitions)
+     * @param {number} line - Baris awal paragraph
+     * @returns {string} - Sisa text setelah definitions
+     */
+    extractReferences: function(text, state, line) {
+        let consumed;
+        while (text.charAt(0) === '[' && (consumed = this.parseReference(text, state.refmap, state.definitions))) {
+            // Definition baru saja ditambahkan parseReference
+            state.definitions[state.definitions.length - 1].line = line;
+            line += this.countLines(text.slice(0, consumed));
+            text = text.slice(consumed);
+        }
+        return text;
+    },
+
+    /**
+     * @returns {number} - Jumlah \n di text
+     */
+    countLines: function(text) {
+        return (text.match(/\n/g) || []).length;
+    },
+
+    removeNode: function(node) {
+        const siblings = node.parent.children;
+        siblings.splice(siblings.indexOf(node), 1);
+    },
+
+    isSpaceOrTab: function(char) {
+        return char === ' ' || char === '\t';
+    },
+
+    /**
+     * ============================================
+     * INLINE PHASE
+     * ============================================
+     */
+
+    /**
+     * PROCESS INLINES
+     *
+     * Walk block tree, parse text paragraph & heading menjadi inline nodes,
+     * lalu bersihkan property internal block parser.
+     */
+    processInlines: function(node, refmap, line) {
+        if (this.inlineContainers.includes(node.type)) {
+            // Table cell tidak punya nomor baris sendiri: pakai baris row-nya
+            node.children = this.parseInlines(node.stringContent, refmap, node.contentLine || node.startLine || line);
+        } else {
+            const checked = node.type === 'item' ? this.extractTaskMarker(node) : null;
+
+            node.children.forEach(child => this.processInlines(child, refmap, node.startLine));
+
+            // GFM task list: checkbox di awal paragraph pertama
+            if (checked !== null) {
+                node.task = true;
+                node.checked = checked;
+                node.children[0].children.unshift({ type: 'task_checkbox', checked: checked });
+            }
+        }
+
+        // Property internal tidak dibutuhkan lagi
+        delete node.parent;
+        delete node.open;
+        delete node.stringContent;
+        delete node.contentLine;
+        delete node.lastLineBlank;
+        delete node.lastLineChecked;
+    },
+
+    /**
+     * COLLECT HEADINGS
+     *
+     * Walk seluruh AST, set `id` pada setiap heading dan kumpulkan
+     * daftar heading (outline) sesuai urutan di dokumen.
+     * Slug duplikat diberi suffix: judul, judul-1, judul-2, ...
+     *
+     * @param {Object} doc - Node document
+     * @returns {Array<Object>} - { level, text, id, line }
+     */
+    collectHeadings: function(doc) {
+        return this.assignHeadingIds(this.findHeadings(doc));
+    },
+
+    /**
+     * FIND HEADINGS
+     *
+     * @param {Object} node - Node awal
+     * @returns {Array<Object>} - Semua node heading di dalamnya, sesuai urutan dokumen
+     */
+    findHeadings: function(node) {
+        if (node.type === 'heading') {
+            return [node];
+        }
+        // Isi paragraph/heading/cell adalah inline, tidak mungkin ada heading
+        if (!node.children || this.inlineContainers.includes(node.type)) {
+            return [];
+        }
+        return [].concat(...node.children.map(child => this.findHeadings(child)));
+    },
+
+    /**
+     * ASSIGN HEADING IDS
+     *
+     * @param {Array<Object>} nodes - Node heading sesuai urutan dokumen
+     * @returns {Array<Object>} - Outline { level, text, id, line }
+     */
+    assignHeadingIds: function(nodes) {
+        const headings = [];
+        const used = {};
+
+        nodes.forEach(node => {
+            const text = this.plainText(node.children).trim();
+            const base = this.slugify(text) || 'section';
+            let id = base;
+            let count = used[base] || 0;
+
+            // Cari suffix yang belum dipakai (judul "a-1" bisa bentrok dengan "a" ke-2)
+            while (used[id] !== undefined) {
+                count += 1;
+                id = `${base}-${count}`;
+            }
+            used[base] = count;
+            used[id] = used[id] || 0;
+
+            node.id = id;
+            headings.push({ level: node.level, text: text, id: id, line: node.startLine });
+        });
+
+        return headings;
+    },
+
+    /**
+     * SLUGIFY
+     *
+     * Ubah text heading menjadi id yang stabil (mirip GitHub):
+     * "Hello, World!" -> "hello-world"
+     *
+     * @param {string} text - Text heading
+     * @returns {string} - Slug (huruf kecil, angka, - dan _)
+     */
+    slugify: function(text) {
+        return text
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')  // Buang tanda baca
+            .trim()
+            .replace(/\s+/g, '-');
+    },
+
+    /**
+     * Tipe block yang isinya di-parse sebagai inline
+     */
+    inlineContainers: ['paragraph', 'heading', 'table_cell'],
+
+    /**
+     * EXTRACT TASK MARKER
+     *
+     * GFM task list item: - [ ] todo atau - [x] done
+     *
+     * @param {Object} item - Node list item
+     * @returns {boolean|null} - Status checked, null jika bukan task item
+     */
+    extractTaskMarker: function(item) {
+        const first = item.children[0];
+        if (!first || first.type !== 'paragraph') {
+            return null;
+        }
+        const match = first.stringContent.match(/^\[([ xX])\](?:[ \t]+|\n|$)/);
+        if (!match) {
+            return null;
+        }
+        first.stringContent = first.stringContent.slice(match[0].length);
+        return match[1] !== ' ';
+    },
+
+    /**
+     * REGEX UNTUK INLINE
+     */
+    inlinePatterns: {
+        escapable: /^[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]/,
+        entityHere: /^&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});/i,
+        ticks: /`+/,
+        ticksHere: /^`+/,
+        emailAutolink: /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/,
+        autolink: /^<[A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*>/i,
+        spnl: /^ *(?:\n *)?/,
+        whitespaceChar: /^[ \t\n\x0b\x0c\x0d]/,
+        unicodeWhitespaceChar: /^\s/,
+        punctuation: /^[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~\p{P}\p{S}]/u,
+        finalSpace: / *$/,
+        initialSpace: /^ */,
+        spaceAtEndOfLine: /^ *(?:\n|$)/,
+        linkLabel: /^\[(?:[^\\[\]]|\\.){0,1000}\]/s,
+        linkTitle: /^(?:"((?:\\[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]|\\[^\\]|[^\\"\x00])*)"|'((?:\\[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]|\\[^\\]|[^\\'\x00])*)'|\(((?:\\[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]|\\[^\\]|[^\\()\x00])*)\))/,
+        linkDestinationBraces: /^(?:<(?:[^<>\n\\\x00]|\\.)*>)/,
+        entityOrEscapedChar: /\\[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]|&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});/gi
+    },
+
+    /**
+     * INLINE RULES
+     *
+     * Tokenizer per karakter pembuka (`start`). Setiap tokenizer menerima
+     * inline state dan array nodes, lalu return true jika berhasil memproses.
+     * Jika ada beberapa tokenizer untuk karakter yang sama, dicoba berurutan.
+     * Karakter yang tidak punya tokenizer dibaca sebagai text biasa.
+     */
+    inlineRules: [
+        { name: 'newline', start: '\n', tokenizer: function(inline, nodes) { return this.parseNewline(inline, nodes); } },
+        { name: 'escape', start: '\\', tokenizer: function(inline, nodes) { return this.parseBackslash(inline, nodes); } },
+        { name: 'code', start: '`', tokenizer: function(inline, nodes) { return this.parseBackticks(inline, nodes); } },
+        { name: 'emphasis', start: '*_', tokenizer: function(inline, nodes) { return this.handleDelim(inline, nodes, this.peek(inline)); } },
+        { name: 'strikethrough', start: '~', tokenizer: function(inline, nodes) { return this.handleDelim(inline, nodes, '~'); } },
+        { name: 'link', start: '[', tokenizer: function(inline, nodes) { return this.parseOpenBracket(inline, nodes); } },
+        { name: 'image', start: '!', tokenizer: function(inline, nodes) { return this.parseBang(inline, nodes); } },
+        { name: 'linkClose', start: ']', tokenizer: function(inline, nodes) { return this.parseCloseBracket(inline, nodes); } },
+        { name: 'autolink', start: '<', tokenizer: function(inline, nodes) { return this.parseAutolink(inline, nodes); } },
+        { name: 'html', start: '<', tokenizer: function(inline, nodes) { return this.parseHtmlTag(inline, nodes); } },
+        { name: 'entity', start: '&', tokenizer: function(inline, nodes) { return this.parseEntity(inline, nodes); } }
+    ],
+
+    /**
+     * COMPILE INLINE RULES
+     *
+     * Kelompokkan inlineRules per karakter pembuka dan buat regex
+     * untuk text biasa. Hasil di-cache (per daftar disabledPlugins),
+     * di-reset oleh use().
+     */
+    compileInlineRules: function() {
+        const disabled = this.disabledPlugins.join(',');
+        if (this.compiledInlineRules && this.compiledInlineRules.disabled === disabled) {
+            return this.compiledInlineRules;
+        }
+
+        const byChar = {};
+        this.inlineRules.forEach(rule => {
+            if (rule.plugin && this.disabledPlugins.includes(rule.name)) {
+                return;
+            }
+            rule.start.split('').forEach(char => {
+                (byChar[char] = byChar[char] || []).push(rule);
+            });
+        });
+
+        // Text biasa: semua karakter sampai karakter pembuka berikutnya
+        const specials = Object.keys(byChar).map(char => char.replace(/[\\\]^-]/g, '\\$&')).join('');
+        this.compiledInlineRules = {
+            disabled: disabled,
+            byChar: byChar,
+            textRun: new RegExp('^[^' + specials + ']+', 'm')
+        };
+        return this.compiledInlineRules;
+    },
+
+    /**
+     * PARSE INLINES
+     *
+     * @param {string} text - Isi text block
+     * @param {Object} refmap - Link reference definitions
+     * @param {number} [line] - Baris awal text di markdown (untuk html_inline)
+     * @returns {Array} - Inline nodes
+     */
+    parseInlines: function(text, refmap, line) {
+        const inline = {
+            subject: text.trim(),
+            pos: 0,
+            delimiters: null,   // Stack emphasis (* dan _)
+            brackets: null,     // Stack [ dan ![
+            refmap: refmap,
+            line: line || null, // Baris di posisi linePos (lihat lineAt)
+            linePos: 0
+        };
+        const nodes = [];
+        const rules = this.compileInlineRules();
+        inline.textRun = rules.textRun;
+
+        while (inline.pos < inline.subject.length) {
+            const c = inline.subject.charAt(inline.pos);
+            const candidates = rules.byChar[c];
+            const handled = candidates ?
+                candidates.some(rule => rule.tokenizer.call(this, inline, nodes)) :
+                this.parseString(inline, nodes);
+
+            if (!handled) {
+                inline.pos += 1;
+                nodes.push(this.textNode(c));
+            }
+        }
+
+        this.processEmphasis(inline, null, nodes);
+        return this.mergeTextNodes(nodes);
+    },
+
+    textNode: function(text) {
+        return { type: 'text', literal: text };
+    },
+
+    /**
+     * LINE AT
+     *
+     * Nomor baris markdown untuk posisi `pos` di subject.
+     * Dihitung maju dari posisi terakhir yang ditanya.
+     *
+     * @returns {number|null} - null jika baris awal text tidak diketahui
+     */
+    lineAt: function(inline, pos) {
+        if (inline.line === null) {
+            return null;
+        }
+        if (pos < inline.linePos) {
+            inline.line -= this.countLines(inline.subject.slice(pos, inline.linePos));
+        } else {
+            inline.line += this.countLines(inline.subject.slice(inline.linePos, pos));
+        }
+        inline.linePos = pos;
+        return inline.line;
+    },
+
+    /**
+     * MERGE TEXT NODES
+     *
+     * Gabungkan text node yang bersebelahan (rekursif).
+     */
+    mergeTextNodes: function(nodes) {
+        const merged = [];
+        nodes.forEach(node => {
+            const last = merged[merged.length - 1];
+            if (node.type === 'text' && last && last.type === 'text') {
+                last.literal += node.literal;
+                return;
+            }
+            if (node.children) {
+                node.children = this.mergeTextNodes(node.children);
+            }
+            merged.push(node);
+        });
+        return merged.filter(node => node.type !== 'text' || node.literal !== '');
+    },
+
+    /**
+     * MATCH: coba cocokkan regex di posisi saat ini
+     *
+     * @returns {string|null} - Text yang cocok, posisi maju jika cocok
+     */
+    match: function(inline, regex) {
+        const m = regex.exec(inline.subject.slice(inline.pos));
+        if (m === null) {
+            return null;
+        }
+        inline.pos += m.index + m[0].length;
+        return m[0];
+    },
+
+    peek: function(inline) {
+        return inline.subject.charAt(inline.pos);
+    },
+
+    /**
+     * TEXT BIASA
+     */
+    parseString: function(inline, nodes) {
+        const m = this.match(inline, inline.textRun);
+        if (m === null) {
+            return false;
+        }
+        nodes.push(this.textNode(m));
+        return true;
+    },
+
+    /**
+     * NEWLINE: soft break atau hard break (2+ spasi di akhir baris)
+     */
+    parseNewline: function(inline, nodes) {
+        inline.pos += 1;
+
+        const last = nodes[nodes.length - 1];
+        if (last && last.type === 'text' && last.literal.endsWith(' ')) {
+            const hardbreak = last.literal.endsWith('  ');
+            last.literal = last.literal.replace(this.inlinePatterns.finalSpace, '');
+            nodes.push({ type: hardbreak ? 'linebreak' : 'softbreak' });
+        } else {
+            nodes.push({ type: 'softbreak' });
+        }
+
+        // Buang spasi di awal baris berikutnya
+        this.match(inline, this.inlinePatterns.initialSpace);
+        return true;
+    },
+
+    /**
+     * BACKSLASH: escape karakter atau hard break
+     */
+    parseBackslash: function(inline, nodes) {
+        inline.pos += 1;
+        const next = this.peek(inline);
+
+        if (next === '\n') {
+            inline.pos += 1;
+            nodes.push({ type: 'linebreak' });
+        } else if (this.inlinePatterns.escapable.test(next)) {
+            nodes.push(this.textNode(next));
+            inline.pos += 1;
+        } else {
+            nodes.push(this.textNode('\\'));
+        }
+        return true;
+    },
+
+    /**
+     * CODE SPAN: `code` atau ``code with ` inside``
+     */
+    parseBackticks: function(inline, nodes) {
+        const ticks = this.match(inline, this.inlinePatterns.ticksHere);
+        if (ticks === null) {
+            return false;
+        }
+
+        const afterOpenTicks = inline.pos;
+        let matched;
+
+        // Cari closing backticks dengan panjang yang sama
+        while ((matched = this.match(inline, this.inlinePatterns.ticks)) !== null) {
+            if (matched === ticks) {
+                let contents = inline.subject.slice(afterOpenTicks, inline.pos - ticks.length).replace(/\n/g, ' ');
+
+                // Buang 1 spasi di awal & akhir jika keduanya ada
+                if (contents.length > 0 && /[^ ]/.test(contents) &&
+                    contents[0] === ' ' && contents[contents.length - 1] === ' ') {
+                    contents = contents.slice(1, contents.length - 1);
+                }
+
+                nodes.push({ type: 'code', literal: contents });
+                return true;
+            }
+        }
+
+        // Tidak ada penutup: backticks menjadi text biasa
+        inline.pos = afterOpenTicks;
+        nodes.push(this.textNode(ticks));
+        return true;
+    },
+
+    /**
+     * DELIMITER RULES
+     *
+     * Aturan pasangan untuk setiap karakter delimiter:
+     * - intraword: boleh membuka/menutup di tengah kata
+     *   (false untuk _ agar snake_case tidak jadi italic)
+     * - ruleOfThree: terapkan "rule of 3" dari spesifikasi CommonMark
+     * - match(opener, closer): return { length, type } atau null jika
+     *   pasangan tidak valid. Dipanggil dengan `this` = MarkdownParser.
+     */
+    delimiterRules: {
+        '*': {
+            intraword: true,
+            ruleOfThree: true,
+            match: function(opener, closer) { return this.matchEmphasis(opener, closer); }
+        },
+        '_': {
+            intraword: false,
+            ruleOfThree: true,
+            match: function(opener, closer) { return this.matchEmphasis(opener, closer); }
+        },
+        '~': {
+            // GFM strikethrough: ~text~ atau ~~text~~, panjang harus sama
+            intraword: true,
+            ruleOfThree: false,
+            match: function(opener, closer) {
+                if (opener.origdelims !== closer.origdelims || closer.origdelims > 2) {
+                    return null;
+                }
+                return { length: closer.numdelims, type: 'strikethrough' };
+            }
+        }
+    },
+
+    /**
+     * 2 delimiter = strong, 1 = emph
+     */
+    matchEmphasis: function(opener, closer) {
+        const length = closer.numdelims >= 2 && opener.numdelims >= 2 ? 2 : 1;
+        return { length: length, type: length === 1 ? 'emph' : 'strong' };
+    },
+
+    /**
+     * DELIMITER RUN: * _ atau ~
+     *
+     * Delimiter dimasukkan ke stack, lalu dipasangkan di processEmphasis.
+     */
+    handleDelim: function(inline, nodes, char) {
+        const res = this.scanDelims(inline, char);
+        if (!res) {
+            return false;
+        }
+
+        const startpos = inline.pos;
+        inline.pos += res.numdelims;
+
+        const node = this.textNode(inline.subject.slice(startpos, inline.pos));
+        nodes.push(node);
+
+        if (res.canOpen || res.canClose) {
+            inline.delimiters = {
+                char: char,
+                numdelims: res.numdelims,
+                origdelims: res.numdelims,
+                node: node,
+                previous: inline.delimiters,
+                next: null,
+                canOpen: res.canOpen,
+                canClose: res.canClose
+            };
+            if (inline.delimiters.previous !== null) {
+                inline.delimiters.previous.next = inline.delimiters;
+            }
+        }
+        return true;
+    },
+
+    /**
+     * SCAN DELIMS
+     *
+     * Hitung panjang delimiter run dan tentukan apakah ia
+     * left-flanking (bisa membuka) / right-flanking (bisa menutup).
+     */
+    scanDelims: function(inline, char) {
+        const subject = inline.subject;
+        const startpos = inline.pos;
+        let numdelims = 0;
+
+        while (subject.charAt(inline.pos) === char) {
+            numdelims++;
+            inline.pos++;
+        }
+        if (numdelims === 0) {
+            return null;
+        }
+
+        const charBefore = startpos === 0 ? '\n' : this.charBefore(subject, startpos);
+        const charAfter = inline.pos >= subject.length ? '\n' : String.fromCodePoint(subject.codePointAt(inline.pos));
+
+        const patterns = this.inlinePatterns;
+        const afterIsWhitespace = patterns.unicodeWhitespaceChar.test(charAfter);
+        const afterIsPunctuation = patterns.punctuation.test(charAfter);
+        const beforeIsWhitespace = patterns.unicodeWhitespaceChar.test(charBefore);
+        const beforeIsPunctuation = patterns.punctuation.test(charBefore);
+
+        const leftFlanking = !afterIsWhitespace &&
+            (!afterIsPunctuation || beforeIsWhitespace || beforeIsPunctuation);
+        const rightFlanking = !beforeIsWhitespace &&
+            (!beforeIsPunctuation || afterIsWhitespace || afterIsPunctuation);
+
+        let canOpen, canClose;
+        if (!this.delimiterRules[char].intraword) {
+            // _ di tengah kata (snake_case) bukan emphasis
+            canOpen = leftFlanking && (!rightFlanking || beforeIsPunctuation);
+            canClose = rightFlanking && (!leftFlanking || afterIsPunctuation);
+        } else {
+            canOpen = leftFlanking;
+            canClose = rightFlanking;
+        }
+
+        inline.pos = startpos;
+        return { numdelims: numdelims, canOpen: canOpen, canClose: canClose };
+    },
+
+    /**
+     * Karakter (code point) sebelum posisi tertentu, aman untuk emoji/surrogate pair
+     */
+    charBefore: function(subject, pos) {
+        const code = subject.charCodeAt(pos - 1);
+        if (code >= 0xDC00 && code <= 0xDFFF && pos >= 2) {
+            return subject.slice(pos - 2, pos);
+        }
+        return subject.charAt(pos - 1);
+    },
+
+    removeDelimiter: function(inline, delim) {
+        if (delim.previous !== null) {
+            delim.previous.next = delim.next;
+        }
+        if (delim.next === null) {
+            // Top of stack
+            inline.delimiters = delim.previous;
+        } else {
+            delim.next.previous = delim.previous;
+        }
+    },
+
+    /**
+     * PROCESS EMPHASIS
+     *
+     * Pasangkan delimiter pembuka & penutup di atas stackBottom
+     * menjadi node emph / strong (algoritma dari spesifikasi CommonMark).
+     *
+     * @param {Object} inline - Inline state
+     * @param {Object|null} stackBottom - Batas bawah delimiter stack
+     * @param {Array} nodes - Array nodes yang berisi node-node delimiter
+     */
+    processEmphasis: function(inline, stackBottom, nodes) {
+        // Batas bawah pencarian opener, per jenis closer
+        const openersBottom = {};
+
+        // Cari closer pertama di atas stackBottom
+        let closer = inline.delimiters;
+        while (closer !== null && closer.previous !== stackBottom) {
+            closer = closer.previous;
+        }
+
+        while (closer !== null) {
+            if (!closer.canClose) {
+                closer = closer.next;
+                continue;
+            }
+
+            const bottomKey = closer.char + (closer.canOpen ? '1' : '0') + (closer.origdelims % 3);
+            const bottom = Object.prototype.hasOwnProperty.call(openersBottom, bottomKey) ? openersBottom[bottomKey] : stackBottom;
+
+            // Cari opener yang cocok ke arah bawah stack
+            const rule = this.delimiterRules[closer.char];
+            let opener = closer.previous;
+            let openerFound = false;
+            let match = null;
+            while (opener !== null && opener !== stackBottom && opener !== bottom) {
+                // "Rule of 3": *foo**bar* dst.
+                const oddMatch = rule.ruleOfThree &&
+                    (closer.canOpen || opener.canClose) &&
+                    closer.origdelims % 3 !== 0 &&
+                    (opener.origdelims + closer.origdelims) % 3 === 0;
+                if (opener.char === closer.char && opener.canOpen && !oddMatch &&
+                    (match = rule.match.call(this, opener, closer))) {
+                    openerFound = true;
+                    break;
+                }
+                opener = opener.previous;
+            }
+
+            const oldCloser = closer;
+
+            if (!openerFound) {
+                closer = closer.next;
+                // Pencarian berikutnya tidak perlu lebih ke bawah dari sini
+                openersBottom[bottomKey] = oldCloser.previous;
+                if (!oldCloser.canOpen) {
+                    this.removeDelimiter(inline, oldCloser);
+                }
+                continue;
+            }
+
+            const useDelims = match.length;
+            const openerNode = opener.node;
+            const closerNode = closer.node;
+
+            opener.numdelims -= useDelims;
+            closer.numdelims -= useDelims;
+            openerNode.literal = openerNode.literal.slice(0, openerNode.literal.length - useDelims);
+            closerNode.literal = closerNode.literal.slice(0, closerNode.literal.length - useDelims);
+
+            // Pindahkan nodes di antara opener & closer ke dalam emph/strong
+            const openerIndex = nodes.indexOf(openerNode);
+            const closerIndex = nodes.indexOf(closerNode);
+            const emph = {
+                type: match.type,
+                children: nodes.splice(openerIndex + 1, closerIndex - openerIndex - 1)
+            };
+            nodes.splice(openerIndex + 1, 0, emph);
+
+            // Delimiter di antara opener & closer sudah tidak berlaku
+            if (opener.next !== closer) {
+                opener.next = closer;
+                closer.previous = opener;
+            }
+
+            if (opener.numdelims === 0) {
+                nodes.splice(nodes.indexOf(openerNode), 1);
+                this.removeDelimiter(inline, opener);
+            }
+
+            if (closer.numdelims === 0) {
+                nodes.splice(nodes.indexOf(closerNode), 1);
+                const next = closer.next;
+                this.removeDelimiter(inline, closer);
+                closer = next;
+            }
+        }
+
+        // Buang semua delimiter di atas stackBottom
+        while (inline.delimiters !== null && inline.delimiters !== stackBottom) {
+            this.removeDelimiter(inline, inline.delimiters);
+        }
+    },
+
+    /**
+     * BRACKETS: [ untuk link, ![ untuk image
+     */
+    parseOpenBracket: function(inline, nodes) {
+        const startpos = inline.pos;
+        inline.pos += 1;
+
+        const node = this.textNode('[');
+        nodes.push(node);
+        this.addBracket(inline, node, startpos, false);
+        return true;
+    },
+
+    parseBang: function(inline, nodes) {
+        const startpos = inline.pos;
+        inline.pos += 1;
+
+        if (this.peek(inline) === '[') {
+            inline.pos += 1;
+            const node = this.textNode('![');
+            nodes.push(node);
+            this.addBracket(inline, node, startpos + 1, true);
+        } else {
+            nodes.push(this.textNode('!'));
+        }
+        return true;
+    },
+
+    addBracket: function(inline, node, index, image) {
+        if (inline.brackets !== null) {
+            inline.brackets.bracketAfter = true;
+        }
+        inline.brackets = {
+            node: node,
+            previous: inline.brackets,
+            previousDelimiter: inline.delimiters,
+            index: index,
+            image: image,
+            active: true
+        };
+    },
+
+    /**
+     * CLOSE BRACKET
+     *
+     * Cek apakah ] menutup link/image:
+     * - inline: [text](url "title")
+     * - reference: [text][label], [label][], [label]
+     */
+    parseCloseBracket: function(inline, nodes) {
+        inline.pos += 1;
+        const startpos = inline.pos;
+        let opener = inline.brackets;
+
+        // Tidak ada pembuka: ] adalah text biasa
+        if (opener === null) {
+            nodes.push(this.textNode(']'));
+            return true;
+        }
+
+        // Pembuka nonaktif (link di dalam link tidak diperbolehkan)
+        if (!opener.active) {
+            nodes.push(this.textNode(']'));
+            inline.brackets = opener.previous;
+            return true;
+        }
+
+        const isImage = opener.image;
+        const savepos = inline.pos;
+        let destination = null;
+        let title = null;
+        let reference = null;   // Label definition, untuk reference link
+        let matched = false;
+
+        // 1. Inline link: (url "title")
+        if (this.peek(inline) === '(') {
+            inline.pos++;
+            if (this.spnl(inline) &&
+                (destination = this.parseLinkDestination(inline)) !== null &&
+                this.spnl(inline) &&
+                // Title harus didahului whitespace
+                ((this.inlinePatterns.whitespaceChar.test(inline.subject.charAt(inline.pos - 1)) &&
+                  (title = this.parseLinkTitle(inline))) || true) &&
+                this.spnl(inline) &&
+                this.peek(inline) === ')') {
+                inline.pos += 1;
+                matched = true;
+            } else {
+                inline.pos = savepos;
+            }
+        }
+
+        // 2. Reference link
+        if (!matched) {
+            const beforeLabel = inline.pos;
+            const n = this.parseLinkLabel(inline);
+            let reflabel = null;
+
+            if (n > 2) {
+                reflabel = inline.subject.slice(beforeLabel, beforeLabel + n);
+            } else if (!opener.bracketAfter) {
+                // [label][] atau [label]: text sendiri adalah label
+                reflabel = inline.subject.slice(opener.index, startpos);
+            }
+            if (n === 0) {
+                inline.pos = savepos;
+            }
+
+            if (reflabel) {
+                reference = this.normalizeReference(reflabel);
+                const ref = inline.refmap[reference];
+                if (ref) {
+                    destination = ref.destination;
+                    title = ref.title;
+                    matched = true;
+                } else {
+                    reference = null;
+                }
+            }
+        }
+
+        if (!matched) {
+            inline.brackets = opener.previous;
+            inline.pos = startpos;
+            nodes.push(this.textNode(']'));
+            return true;
+        }
+
+        // Pindahkan nodes setelah bracket pembuka ke dalam link
+        const openerIndex = nodes.indexOf(opener.node);
+        const link = {
+            type: isImage ? 'image' : 'link',
+            destination: destination,
+            title: title || '',
+            children: nodes.splice(openerIndex + 1)
+        };
+        if (reference) {
+            link.reference = reference;
+        }
+        nodes.splice(openerIndex, 1);
+        nodes.push(link);
+
+        this.processEmphasis(inline, opener.previousDelimiter, link.children);
+        inline.brackets = opener.previous;
+
+        // Link tidak boleh berisi link: nonaktifkan pembuka link sebelumnya
+        if (!isImage) {
+            for (opener = inline.brackets; opener !== null; opener = opener.previous) {
+                if (!opener.image) {
+                    opener.active = false;
+                }
+            }
+        }
+        return true;
+    },
+
+    spnl: function(inline) {
+        this.match(inline, this.inlinePatterns.spnl);
+        return true;
+    },
+
+    /**
+     * LINK LABEL: [label], maksimal 999 karakter
+     *
+     * @returns {number} - Panjang label termasuk [], 0 jika tidak valid
+     */
+    parseLinkLabel: function(inline) {
+        const m = this.match(inline, this.inlinePatterns.linkLabel);
+        if (m === null || m.length > 1001) {
+            return 0;
+        }
+        return m.length;
+    },
+
+    parseLinkTitle: function(inline) {
+        const title = this.match(inline, this.inlinePatterns.linkTitle);
+        if (title === null) {
+            return null;
+        }
+        // Buang tanda kutip/kurung
+        return this.unescapeString(title.slice(1, -1));
+    },
+
+    /**
+     * LINK DESTINATION: <url dengan spasi> atau url (kurung harus seimbang)
+     */
+    parseLinkDestination: function(inline) {
+        const braced = this.match(inline, this.inlinePatterns.linkDestinationBraces);
+        if (braced !== null) {
+            return this.normalizeURI(this.unescapeString(braced.slice(1, -1)));
+        }
+        if (this.peek(inline) === '<') {
+            return null;
+        }
+
+        const savepos = inline.pos;
+        let openParens = 0;
+        let c;
+
+        while ((c = this.peek(inline)) !== '') {
+            if (c === '\\' && this.inlinePatterns.escapable.test(inline.subject.charAt(inline.pos + 1))) {
+                inline.pos += 2;
+            } else if (c === '(') {
+                inline.pos += 1;
+                openParens += 1;
+            } else if (c === ')') {
+                if (openParens < 1) {
+                    break;
+                }
+                inline.pos += 1;
+                openParens -= 1;
+            } else if (this.inlinePatterns.whitespaceChar.test(c) || c.charCodeAt(0) < 0x20 || c === '\x7f') {
+                break;
+            } else {
+                inline.pos += 1;
+            }
+        }
+
+        if (inline.pos === savepos && c !== ')') {
+            return null;
+        }
+        if (openParens !== 0) {
+            return null;
+        }
+
+        const destination = inline.subject.slice(savepos, inline.pos);
+        return this.normalizeURI(this.unescapeString(destination));
+    },
+
+    /**
+     * AUTOLINK: <https://example.com> atau <user@example.com>
+     */
+    parseAutolink: function(inline, nodes) {
+        let m;
+        if ((m = this.match(inline, this.inlinePatterns.emailAutolink))) {
+            const email = m.slice(1, m.length - 1);
+            nodes.push({
+                type: 'link',
+                destination: this.normalizeURI('mailto:' + email),
+                title: '',
+                children: [this.textNode(email)]
+            });
+            return true;
+        }
+        if ((m = this.match(inline, this.inlinePatterns.autolink))) {
+            const url = m.slice(1, m.length - 1);
+            nodes.push({
+                type: 'link',
+                destination: this.normalizeURI(url),
+                title: '',
+                children: [this.textNode(url)]
+            });
+            return true;
+        }
+        return false;
+    },
+
+    /**
+     * RAW HTML INLINE
+     *
+     * Diteruskan apa adanya, HTMLSanitizer yang akan membersihkan.
+     */
+    parseHtmlTag: function(inline, nodes) {
+        const start = inline.pos;
+        const m = this.match(inline, this.htmlPatterns.tag);
+        if (m === null) {
+            return false;
+        }
+        const node = { type: 'html_inline', literal: m };
+        const line = this.lineAt(inline, start);
+        if (line !== null) {
+            node.startLine = line;
+        }
+        nodes.push(node);
+        return true;
+    },
+
+    /**
+     * ENTITY: &amp; &#123; &#x1F600;
+     */
+    parseEntity: function(inline, nodes) {
+        const m = this.match(inline, this.inlinePatterns.entityHere);
+        if (m === null) {
+            return false;
+        }
+        nodes.push(this.textNode(this.decodeEntity(m)));
+        return true;
+    },
+
+    /**
+     * PARSE REFERENCE
+     *
+     * Parse satu link reference definition di awal text:
+     * [label]: url "optional title"
+     *
+     * @param {string} text
+     * @param {Object} refmap - Diisi dengan definition baru
+     * @param {Array<Object>} [definitions] - Jika ada, ditambah { label, text, duplicate }
+     * @returns {number} - Jumlah karakter yang terpakai, 0 jika bukan definition
+     */
+    parseReference: function(text, refmap, definitions) {
+        const inline = { subject: text, pos: 0 };
+
+        // Label
+        const labelLength = this.parseLinkLabel(inline);
+        if (labelLength === 0) {
+            return 0;
+        }
+        const rawLabel = text.slice(0, labelLength);
+
+        // Titik dua
+        if (this.peek(inline) !== ':') {
+            return 0;
+        }
+        inline.pos++;
+
+        // URL
+        this.spnl(inline);
+        const destination = this.parseLinkDestination(inline);
+        if (destination === null) {
+            return 0;
+        }
+
+        // Title (opsional, harus dipisah whitespace)
+        const beforeTitle = inline.pos;
+        this.spnl(inline);
+        let title = null;
+        if (inline.pos !== beforeTitle) {
+            title = this.parseLinkTitle(inline);
+        }
+        if (title === null) {
+            title = '';
+            inline.pos = beforeTitle;
+        }
+
+        // Harus berakhir di akhir baris
+        let atLineEnd = true;
+        if (this.match(inline, this.inlinePatterns.spaceAtEndOfLine) === null) {
+            if (title === '') {
+                atLineEnd = false;
+            } else {
+                // Title tidak di akhir baris: coba tanpa title
+                title = '';
+                inline.pos = beforeTitle;
+                atLineEnd = this.match(inline, this.inlinePatterns.spaceAtEndOfLine) !== null;
+            }
+        }
+        if (!atLineEnd) {
+            return 0;
+        }
+
+        const label = this.normalizeReference(rawLabel);
+        if (label === '') {
+            return 0;
+        }
+
+        if (definitions) {
+            definitions.push({ label: label, text: rawLabel.slice(1, -1), duplicate: Boolean(refmap[label]) });
+        }
+
+        // Definition pertama yang menang
+        if (!refmap[label]) {
+            refmap[label] = { destination: destination, title: title };
+        }
+        return inline.pos;
+    },
+
+    /**
+     * ============================================
+     * HTML PATTERNS
+     * ============================================
+     *
+     * Pola raw HTML dari spesifikasi CommonMark, dipakai untuk
+     * HTML block dan inline HTML.
+     */
+    htmlPatterns: (function() {
+        const tagName = '[A-Za-z][A-Za-z0-9-]*';
+        const attributeName = '[a-zA-Z_:][a-zA-Z0-9:._-]*';
+        const unquotedValue = '[^"\'=<>`\\x00-\\x20]+';
+        const singleQuotedValue = '\'[^\']*\'';
+        const doubleQuotedValue = '"[^"]*"';
+        const attributeValue = '(?:' + unquotedValue + '|' + singleQuotedValue + '|' + doubleQuotedValue + ')';
+        const attributeValueSpec = '(?:\\s*=\\s*' + attributeValue + ')';
+        const attribute = '(?:\\s+' + attributeName + attributeValueSpec + '?)';
+        const openTag = '<' + tagName + attribute + '*\\s*/?>';
+        const closeTag = '</' + tagName + '\\s*[>]';
+        const comment = '<!-->|<!--->|<!--[\\s\\S]*?-->';
+        const processingInstruction = '[<][?][\\s\\S]*?[?][>]';
+        const declaration = '<![A-Za-z]+[^>]*>';
+        const cdata = '<!\\[CDATA\\[[\\s\\S]*?\\]\\]>';
+        const htmlTag = '(?:' + openTag + '|' + closeTag + '|' + comment + '|' +
+            processingInstruction + '|' + declaration + '|' + cdata + ')';
+
+        return {
+            tag: new RegExp('^' + htmlTag),
+            // Tag seperti yang dibaca browser (lebih longgar dari spec):
+            // start tag (group 1 = nama), end tag, comment, bogus comment
+            browserTag: /<(?:([A-Za-z][^\s/>]*)|\/[A-Za-z][^\s/>]*)(?:[^>=]|=\s*(?:"[^"]*"?|'[^']*'?|[^\s>]*))*>?|<!--(?:>|->|[\s\S]*?(?:-->|$))|<[!?/][^>]*>?/g,
+            // Isi element ini text biasa sampai end tag-nya
+            rawTextTags: ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'plaintext'],
+            blockOpen: [
+                /./, // Index 0 tidak dipakai
+                /^<(?:script|pre|textarea|style)(?:\s|>|$)/i,
+                /^<!--/,
+                /^<[?]/,
+                /^<![A-Za-z]/,
+                /^<!\[CDATA\[/,
+                /^<[/]?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[123456]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?:\s|[/]?[>]|$)/i,
+                new RegExp('^(?:' + openTag + '|' + closeTag + ')\\s*$', 'i')
+            ],
+            blockClose: [
+                /./,
+                /<\/(?:script|pre|textarea|style)>/i,
+                /-->/,
+                /\?>/,
+                />/,
+                /\]\]>/
+            ]
+        };
+    })(),
+
+    /**
+     * ============================================
+     * RENDERER
+     * ============================================
+     */
+
+    /**
+     * RENDER: AST ke HTML
+     *
+     * @param {Object} ast - Node document dari tokenize()
+     * @param {Object} [options] - Override untuk MarkdownParser.options
+     * @returns {string} - HTML
+     */
+    render: function(ast, options) {
+        return this.renderNode(ast, options, ast.headings);
+    },
+
+    /**
+     * RENDER NODE
+     *
+     * Render satu block saja, misal satu block top-level saat
+     * preview di-update per block (lihat incremental.js).
+     *
+     * @param {Object} node - Block node
+     * @param {Object} [options] - Override untuk MarkdownParser.options
+     * @param {Array<Object>} [headings] - Outline dokumen untuk [[toc]]
+     * @returns {string} - HTML
+     */
+    renderNode: function(node, options, headings) {
+        const out = {
+            html: '',
+            options: Object.assign({}, this.options, options),
+            tight: false,
+            headings: headings || []
+        };
+        this.renderBlock(node, out);
+        return out.html;
+    },
+
+    /**
+     * HIGHLIGHT CODE
+     *
+     * @param {string} code - Isi code block (belum di-escape)
+     * @param {string} lang - Kata pertama info string
+     * @param {Object} options - Opsi render
+     * @returns {string|null} - HTML ter-highlight, atau null (pakai escape biasa)
+     */
+    highlightCode: function(code, lang, options) {
+        let highlight = options.highlight;
+        if (highlight === false) {
+            return null;
+        }
+        if (!highlight && typeof SyntaxHighlighter !== 'undefined') {
+            highlight = (source, name) => SyntaxHighlighter.highlight(source, name);
+        }
+        if (!highlight) {
+            return null;
+        }
+
+        try {
+            return highlight(code, lang);
+        } catch (error) {
+            // Highlighter error tidak boleh merusak seluruh preview
+            console.error('❌ Highlight error:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Tambahkan newline jika output belum diakhiri newline
+     */
+    cr: function(out) {
+        if (out.html !== '' && !out.html.endsWith('\n')) {
+            out.html += '\n';
+        }
+    },
+
+    /**
+     * Atribut data-source-line untuk element block (jika opsi sourceLines aktif)
+     */
+    sourceLineAttr: function(node, out) {
+        return out.options.sourceLines && node.startLine ? ` data-source-line="${node.startLine}"` : '';
+    },
+
+    /**
+     * SOURCE LINE HTML
+     *
+     * Raw HTML dengan data-source-line di setiap start tag (jika opsi
+     * sourceLines aktif), agar report HTMLSanitizer bisa menunjuk baris
+     * tag yang dihapus. Isi comment & element raw text tidak disentuh.
+     *
+     * @param {Object} node - html_block / html_inline
+     * @param {Object} out - Render state
+     * @returns {string}
+     */
+    sourceLineHTML: function(node, out) {
+        const html = node.literal;
+        if (!out.options.sourceLines || !node.startLine) {
+            return html;
+        }
+
+        const pattern = new RegExp(this.htmlPatterns.browserTag.source, 'g');
+        let line = node.startLine;
+        let result = '';
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(html)) !== null) {
+            if (!match[1]) {
+                continue;
+            }
+            const at = match.index + 1 + match[1].length;
+            line += this.countLines(html.slice(last, at));
+            result += html.slice(last, at) + ` data-source-line="${line}"`;
+            last = at;
+
+            const name = match[1].toLowerCase();
+            if (this.htmlPatterns.rawTextTags.includes(name)) {
+                const end = name === 'plaintext' ? -1 :
+                    html.slice(pattern.lastIndex).search(new RegExp('</' + name + '(?:[\\s/>]|$)', 'i'));
+                if (end === -1) {
+                    break;
+                }
+                pattern.lastIndex += end;
+            }
+        }
+        return result + html.slice(last);
+    },
+
+    renderBlock: function(node, out) {
+        this.blockRenderers[node.type].call(this, node, out);
+    },
+
+    renderBlockChildren: function(node, out) {
+        node.children.forEach(child => this.renderBlock(child, out));
+    },
+
+    /**
+     * BLOCK RENDERERS
+     */
+    blockRenderers: {
+        document: function(node, out) {
+            // cr() mengecek akhir out.html; pada string yang terus bertambah
+            // itu membuat render dokumen panjang kuadratik. Render per block
+            // dengan out.html berisi karakter terakhir saja, lalu gabungkan.
+            const parts = [out.html];
+            let last = out.html.slice(-1);
+            node.children.forEach(child => {
+                out.html = last;
+                this.renderBlock(child, out);
+                parts.push(out.html.slice(last.length));
+                last = out.html.slice(-1);
+            });
+            out.html = parts.join('');
+        },
+
+        paragraph: function(node, out) {
+            // Paragraph di tight list dirender tanpa <p>
+            if (out.tight) {
+                out.html += this.renderInlines(node.children, out);
+                return;
+            }
+            this.cr(out);
+            out.html += `<p${this.sourceLineAttr(node, out)}>` + this.renderInlines(node.children, out) + '</p>\n';
+        },
+
+        heading: function(node, out) {
+            const id = out.options.headingIds && node.id ? ` id="${this.escapeHTML(node.id)}"` : '';
+            this.cr(out);
+            out.html += `<h${node.level}${id}${this.sourceLineAttr(node, out)}>` + this.renderInlines(node.children, out) + `</h${node.level}>\n`;
+        },
+
+        toc: function(node, out) {
+            if (out.headings.length === 0) {
+                return;
+            }
+
+            // Stack level heading untuk membuat nested list
+            const levels = [];
+            let html = '';
+
+            out.headings.forEach(heading => {
+                const top = levels[levels.length - 1];
+
+                if (top === undefined || heading.level > top) {
+                    // Masuk satu level lebih dalam
+                    html += '\n<ul>\n<li>';
+                    levels.push(heading.level);
+                } else {
+                    // Keluar dari level yang lebih dalam
+                    while (levels.length > 1 && heading.level < levels[levels.length - 1]) {
+                        html += '</li>\n</ul>\n';
+                        levels.pop();
+                    }
+                    html += '</li>\n<li>';
+                }
+                html += `<a href="#${this.escapeHTML(heading.id)}">${this.escapeHTML(heading.text)}</a>`;
+            });
+
+            while (levels.length > 0) {
+                html += '</li>\n</ul>\n';
+                levels.pop();
+            }
+
+            this.cr(out);
+            out.html += `<nav class="toc"${this.sourceLineAttr(node, out)}>` + html + '</nav>\n';
+        },
+
+        thematic_break: function(node, out) {
+            this.cr(out);
+            out.html += `<hr${this.sourceLineAttr(node, out)} />\n`;
+        },
+
+        block_quote: function(node, out) {
+            const tight = out.tight;
+            out.tight = false;
+            this.cr(out);
+            out.html += `<blockquote${this.sourceLineAttr(node, out)}>\n`;
+            this.renderBlockChildren(node, out);
+            this.cr(out);
+            out.html += '</blockquote>\n';
+            out.tight = tight;
+        },
+
+        list: function(node, out) {
+            const data = node.listData;
+            const tag = data.type === 'bullet' ? 'ul' : 'ol';
+            const start = data.type === 'ordered' && data.start !== 1 ? ` start="${data.start}"` : '';
+            const tight = out.tight;
+
+            this.cr(out);
+            out.html += `<${tag}${start}${this.sourceLineAttr(node, out)}>\n`;
+            out.tight = data.tight;
+            this.renderBlockChildren(node, out);
+            out.tight = tight;
+            this.cr(out);
+            out.html += `</${tag}>\n`;
+        },
+
+        item: function(node, out) {
+            this.cr(out);
+            out.html += `<li${this.sourceLineAttr(node, out)}>`;
+            this.renderBlockChildren(node, out);
+            out.html += '</li>\n';
+        },
+
+        code_block: function(node, out) {
+            // Kata pertama info string adalah nama bahasa
+            const lang = node.info ? node.info.split(/\s+/)[0] : '';
+            const attrs = lang && out.options.languageClass ? ` class="language-${this.escapeHTML(lang)}"` : '';
+            const code = (lang && this.highlightCode(node.literal, lang, out.options)) ||
+                this.escapeHTML(node.literal);
+            this.cr(out);
+            out.html += `<pre${this.sourceLineAttr(node, out)}><code${attrs}>` + code + '</code></pre>\n';
+        },
+
+        html_block: function(node, out) {
+            // Raw HTML, akan dibersihkan oleh HTMLSanitizer
+            this.cr(out);
+            out.html += this.sourceLineHTML(node, out) + '\n';
+        },
+
+        table: function(node, out) {
+            const header = node.children[0];
+            const body = node.children.slice(1);
+
+            this.cr(out);
+            out.html += `<table${this.sourceLineAttr(node, out)}>\n<thead>\n`;
+            this.renderBlock(header, out);
+            out.html += '</thead>\n';
+            if (body.length > 0) {
+                out.html += '<tbody>\n';
+                body.forEach(row => this.renderBlock(row, out));
+                out.html += '</tbody>\n';
+            }
+            out.html += '</table>\n';
+        },
+
+        table_row: function(node, out) {
+            out.html += `<tr${this.sourceLineAttr(node, out)}>\n`;
+            this.renderBlockChildren(node, out);
+            out.html += '</tr>\n';
+        },
+
+        table_cell: function(node, out) {
+            const tag = node.header ? 'th' : 'td';
+            const align = node.align ? ` align="${node.align}"` : '';
+            out.html += `<${tag}${align}>` + this.renderInlines(node.children, out) + `</${tag}>\n`;
+        }
+    },
+
+    /**
+     * RENDER INLINES
+     *
+     * @param {Array} nodes - Inline nodes
+     * @returns {string} - HTML
+     */
+    renderInlines: function(nodes, out) {
+        return nodes.map(node => this.inlineRenderers[node.type].call(this, node, out)).join('');
+    },
+
+    /**
+     * INLINE RENDERERS
+     */
+    inlineRenderers: {
+        text: function(node) {
+            return this.escapeHTML(node.literal);
+        },
+        softbreak: function() {
+            return '\n';
+        },
+        linebreak: function() {
+            return '<br />\n';
+        },
+        code: function(node) {
+            return '<code>' + this.escapeHTML(node.literal) + '</code>';
+        },
+        html_inline: function(node, out) {
+            return this.sourceLineHTML(node, out);
+        },
+        emph: function(node, out) {
+            return '<em>' + this.renderInlines(node.children, out) + '</em>';
+        },
+        strong: function(node, out) {
+            return '<strong>' + this.renderInlines(node.children, out) + '</strong>';
+        },
+        strikethrough: function(node, out) {
+            return '<del>' + this.renderInlines(node.children, out) + '</del>';
+        },
+        task_checkbox: function(node) {
+            const checked = node.checked ? ' checked=""' : '';
+            return `<input type="checkbox" disabled=""${checked} /> `;
+        },
+        link: function(node, out) {
+            let attrs = ` href="${this.escapeHTML(node.destination)}"`;
+            if (node.title) {
+                attrs += ` title="${this.escapeHTML(node.title)}"`;
+            }
+            // Link eksternal dibuka di tab baru agar editor tidak tertutup
+            if (out.options.externalLinks && /^https?:/i.test(node.destination)) {
+                attrs += ' target="_blank" rel="noopener noreferrer"';
+            }
+            return `<a${attrs}>` + this.renderInlines(node.children, out) + '</a>';
+        },
+        image: function(node) {
+            let attrs = ` src="${this.escapeHTML(node.destination)}"`;
+            attrs += ` alt="${this.escapeHTML(this.plainText(node.children))}"`;
+            if (node.title) {
+                attrs += ` title="${this.escapeHTML(node.title)}"`;
+            }
+            return `<img${attrs} />`;
+        }
+    },
+
+    /**
+     * PLAIN TEXT
+     *
+     * Ambil text tanpa markup dari inline nodes (untuk alt image).
+     */
+    plainText: function(nodes) {
+        return nodes.map(node => {
+            if (node.type === 'text' || node.type === 'code') {
+                return node.literal;
+            }
+            if (node.type === 'softbreak' || node.type === 'linebreak') {
+                return '\n';
+            }
+            return node.children ? this.plainText(node.children) : '';
+        }).join('');
+    },
+
+    /**
+     * ============================================
+     * HELPERS
+     * ============================================
+     */
+
+    /**
+     * ESCAPE HTML
+     *
+     * Escape karakter spesial agar text tidak dibaca sebagai HTML.
+     */
+    escapeHTML: function(text) {
+        const map = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;'
+        };
+        return text.replace(/[&<>"]/g, char => map[char]);
+    },
+
+    /**
+     * NORMALIZE REFERENCE
+     *
+     * Label reference tidak case-sensitive dan whitespace dipadatkan:
+     * [Foo  Bar] sama dengan [foo bar]
+     */
+    normalizeReference: function(label) {
+        return label.slice(1, label.length - 1)
+            .trim()
+            .replace(/[ \t\r\n]+/g, ' ')
+            .toLowerCase()
+            .toUpperCase();
+    },
+
+    /**
+     * NORMALIZE URI
+     *
+     * Percent-encode karakter yang tidak valid di URL,
+     * tapi biarkan %XX yang sudah ada.
+     */
+    normalizeURI: function(uri) {
+        let result = '';
+        for (let i = 0; i < uri.length; i++) {
+            const char = uri[i];
+            const code = uri.charCodeAt(i);
+
+            if (char === '%' && /^[0-9a-fA-F]{2}$/.test(uri.slice(i + 1, i + 3))) {
+                result += uri.slice(i, i + 3);
+                i += 2;
+            } else if (/[A-Za-z0-9;/?:@&=+$,\-_.!~*'()#]/.test(char)) {
+                result += char;
+            } else if (code >= 0xD800 && code <= 0xDBFF) {
+                // Surrogate pair (emoji, dll)
+                const nextCode = uri.charCodeAt(i + 1);
+                if (nextCode >= 0xDC00 && nextCode <= 0xDFFF) {
+                    result += encodeURIComponent(char + uri[i + 1]);
+                    i += 1;
+                } else {
+                    result += '%EF%BF%BD';
+                }
+            } else if (code >= 0xDC00 && code <= 0xDFFF) {
+                result += '%EF%BF%BD';
+            } else {
+                result += encodeURIComponent(char);
+            }
+        }
+        return result;
+    },
+
+    /**
+     * UNESCAPE STRING
+     *
+     * Proses backslash escape dan entity pada URL/title/info string.
+     */
+    unescapeString: function(text) {
+        if (!/[\\&]/.test(text)) {
+            return text;
+        }
+        return text.replace(this.inlinePatterns.entityOrEscapedChar, match => {
+            return match.charAt(0) === '\\' ? match.charAt(1) : this.decodeEntity(match);
+        });
+    },
+
+    /**
+     * DECODE ENTITY
+     *
+     * @param {string} entity - Contoh: &amp; &#35; &#x22;
+     * @returns {string} - Karakter hasil decode, atau entity asli jika tidak dikenal
+     */
+    decodeEntity: function(entity) {
+        if (entity.charAt(1) === '#') {
+            const isHex = entity.charAt(2) === 'x' || entity.charAt(2) === 'X';
+            const code = isHex ? parseInt(entity.slice(3, -1), 16) : parseInt(entity.slice(2, -1), 10);
+
+            // Code point tidak valid diganti U+FFFD
+            if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+                return '\uFFFD';
+            }
+            return String.fromCodePoint(code);
+        }
+
+        const name = entity.slice(1, -1);
+        if (Object.prototype.hasOwnProperty.call(this.entities, name)) {
+            return this.entities[name];
+        }
+
+        return entity;
+    },
+
+    /**
+     * NAMED ENTITIES
+     *
+     * Semua entity HTML5 (entities.js), termasuk yang jarang dipakai
+     * seperti &AElig; dan &HilbertSpace;.
+     */
+    entities: HTMLEntities.named
+};
+
+/**
+ * CONTOH PLUGIN:
+ *
+ * // Inline: ==highlight== menjadi <mark>
+ * MarkdownParser.use({
+ *     name: 'highlight',
+ *     level: 'inline',
+ *     start: '=',
+ *     tokenizer: function(inline, nodes) {
+ *         const m = this.match(inline, /^==(?=\S)([\s\S]*?\S)==/);
+ *         if (!m) return false;
+ *         nodes.push({ type: 'highlight', children: this.parseInlines(m.slice(2, -2), inline.refmap) });
+ *         return true;
+ *     },
+ *     renderer: function(node, out) {
+ *         return '<mark>' + this.renderInlines(node.children, out) + '</mark>';
+ *     },
+ *     sanitize: { tags: ['mark'] }
+ * });
+ *
+ * // Block: baris "!!! pesan" menjadi callout, dicek sebelum blockquote
+ * MarkdownParser.use({
+ *     name: 'callout',
+ *     level: 'block',
+ *     before: 'blockquote',
+ *     tokenizer: function(state) {
+ *         const rest = state.currentLine.slice(state.nextNonspace);
+ *         if (state.indented || !rest.startsWith('!!! ')) return 0;
+ *         this.closeUnmatchedBlocks(state);
+ *         const node = this.addChild(state, 'callout', state.nextNonspace);
+ *         node.stringContent = rest.slice(4);
+ *         this.advanceOffset(state, state.currentLine.length - state.offset);
+ *         return 2;
+ *     },
+ *     rule: { inlineContent: true },
+ *     renderer: function(node, out) {
+ *         return '<aside>' + this.renderInlines(node.children, out) + '</aside>\n';
+ *     },
+ *     sanitize: { tags: ['aside'] }
+ * });
+ */
 
 /**
  * EXPORT MODULE
- * 
+ *
  * Karena tidak pakai ES6 modules (import/export),
  * kita expose MarkdownParser ke global scope
  * agar bisa diakses dari file lain
  */
 
-// Sudah otomatis available di window karena var/const di top level
\ No newline at end of file
+// Sudah otomatis available di window karena var/const di top level
@@ -0,0 +1,101 @@
+/**
+ * ============================================
+ * PROBLEMS PANEL MODULE
+ * ============================================
+ *
+ * File ini menampilkan hasil LinkChecker di bawah preview, bersama
+ * tag/atribut yang dibuang sanitizer (App.previewWarnings).
+ * Jumlah masalah selalu terlihat di <summary>; klik satu masalah
+ * untuk melompat ke baris sumbernya di editor (App.goToLine).
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Event delegation (satu listener untuk semua item)
+ * 2. Membangun DOM dengan textContent (URL & label adalah isi user)
+ */
+
+const ProblemsPanel = {
+
+    /**
+     * DOM ELEMENTS
+     */
+    elements: {
+        panel: null,        // <details>
+        summary: null,
+        list: null
+    },
+
+    /**
+     * Ikon per jenis masalah
+     */
+    icons: {
+        'missing-anchor': '⚓',
+        'unused-reference': '🔗',
+        'duplicate-reference': '🔗',
+        'empty-link-text': '🔗',
+        'missing-alt': '🖼️',
+        'sanitized': '🛡️'
+    },
+
+    /**
+     * INIT
+     */
+    init: function() {
+        const el = this.elements;
+        el.panel = document.getElementById('problems-panel');
+        el.summary = document.getElementById('problems-summary');
+        el.list = document.getElementById('problems-list');
+
+        if (!el.panel) {
+            console.error('❌ Problems panel not found!');
+            return;
+        }
+
+        el.list.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-line]');
+            if (target) {
+                App.goToLine(Number(target.dataset.line));
+            }
+        });
+
+        console.log('✓ Problems panel ready');
+    },
+
+    /**
+     * UPDATE
+     *
+     * @param {Array<Object>} problems - { type, message, line } dari LinkChecker.check
+     *        dan App.previewWarnings ([] = tidak ada)
+     */
+    update: function(problems) {
+        const el = this.elements;
+        if (!el.panel) {
+            return;
+        }
+        problems = problems.slice().sort((a, b) => a.line - b.line);
+
+        el.panel.classList.toggle('has-problems', problems.length > 0);
+        el.summary.textContent = problems.length > 0
+            ? `⚠️ ${problems.length} masalah link, gambar & HTML`
+            : '✓ Tidak ada masalah link, gambar & HTML';
+
+        el.list.textContent = '';
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'stats-link';
+            button.dataset.line = problem.line;
+            button.textContent = `${this.icons[problem.type] || '⚠️'} Baris ${problem.line}: ${problem.message}`;
+            item.appendChild(button);
+            el.list.appendChild(item);
+        });
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * ProblemsPanel.update(LinkChecker.check(IncrementalParser.getDocument()));
+ * ProblemsPanel.update([{ type: 'sanitized', message: 'Tag <script> dihapus beserta isinya (tag tidak diizinkan)', line: 3 }]);
+ * ProblemsPanel.update([]);    // Dokumen kosong
+ */
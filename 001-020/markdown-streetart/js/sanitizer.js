@@ -6,11 +6,26 @@
  * File ini berisi fungsi untuk sanitasi (membersihkan) HTML
  * dari potensi serangan XSS (Cross-Site Scripting).
  * 
+ * HTMLSanitizer sendiri adalah sanitizer dengan profil "default"
+ * (preview dokumen). Sanitizer dengan aturan lain dibuat lewat
+ * HTMLSanitizer.create('strict' | 'default' | 'trusted'), lihat PROFILES.
+ * 
+ * Di browser HTML di-parse oleh <template>. Tanpa DOM (Node.js lewat
+ * lib/markdown.mjs, CLI bin/md2html.mjs) dipakai tokenizer sendiri
+ * dengan whitelist yang sama, lihat SANITIZE TANPA DOM.
+ * 
  * TEKNIK YANG DIPELAJARI:
  * 1. Whitelist approach untuk keamanan
  * 2. DOM manipulation untuk parsing HTML
  * 3. Recursive tree traversal
  * 4. XSS prevention techniques
+ * 5. Instance dari object literal lewat Object.create (prototype)
+ * 6. Pertahanan mutation XSS (mXSS): namespace, raw text, parse ulang
+ * 7. Tokenizer HTML sederhana (state: text, tag, atribut, komentar)
+ * 
+ * Corpus payload XSS untuk regresi: tests/sanitizer-corpus.html
+ * (buka langsung di browser, tanpa server/network), jalur tanpa DOM:
+ * node tests/sanitizer-corpus.mjs.
  * 
  * KONSEP XSS:
  * XSS adalah serangan dimana attacker menyisipkan script jahat
@@ -28,16 +43,70 @@ const HTMLSanitizer = {
      */
     allowedTags: [
         'h1', 'h2', 'h3',      // Headings
+        'h4', 'h5', 'h6',
         'p',                    // Paragraph
         'strong', 'em',         // Bold & Italic
+        'del',                  // Strikethrough (GFM)
         'a',                    // Link
+        'img',                  // Image
         'code', 'pre',          // Code
+        'span',                 // Token syntax highlighting
         'ul', 'ol', 'li',       // Lists
         'blockquote',           // Quote
         'hr',                   // Horizontal rule
-        'br'                    // Line break
+        'br',                   // Line break
+        'table', 'thead', 'tbody', 'tr', 'th', 'td',  // Table (GFM)
+        'input',                // Checkbox task list (GFM)
+        'nav'                   // Table of contents [[toc]]
+    ],
+    
+    /**
+     * BLACKLIST: Tag yang tidak pernah diperbolehkan
+     * 
+     * Berlaku juga untuk extend() dan profil. Tag-tag ini menjalankan
+     * script, memuat dokumen lain, atau isinya di-parse berbeda
+     * (raw text / template / namespace lain) sehingga bisa "bermutasi"
+     * saat HTML hasil sanitasi di-parse ulang.
+     */
+    forbiddenTags: [
+        'script', 'style', 'template', 'noscript', 'noembed', 'noframes', 'xmp',
+        'plaintext', 'listing', 'textarea', 'title', 'iframe', 'frame', 'frameset',
+        'object', 'embed', 'applet', 'portal', 'base', 'link', 'meta', 'form',
+        'button', 'select', 'option', 'svg', 'foreignobject', 'annotation-xml', 'image'
     ],
     
+    /**
+     * NAMESPACE
+     * 
+     * Tag boleh sama namanya di HTML dan MathML (misal <a>, <style>),
+     * jadi whitelist nama tag saja tidak cukup. Lihat isAllowedNamespace.
+     */
+    namespaces: {
+        html: 'http://www.w3.org/1999/xhtml',
+        mathml: 'http://www.w3.org/1998/Math/MathML'
+    },
+    
+    /**
+     * Tag MathML: tidak boleh muncul sebagai element HTML
+     * (misal <mi> di luar <math>)
+     */
+    mathMLTags: [
+        'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext',
+        'mspace', 'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover',
+        'mfrac', 'msqrt', 'mroot', 'merror', 'mpadded', 'mphantom', 'mstyle',
+        'mtable', 'mtr', 'mtd', 'mmultiscripts', 'mprescripts', 'mglyph', 'malignmark'
+    ],
+    
+    /**
+     * Tag MathML yang boleh berisi element HTML (text integration point)
+     */
+    mathMLTextTags: ['mi', 'mo', 'mn', 'ms', 'mtext'],
+    
+    /**
+     * Batas sanitasi ulang di sanitize() sampai hasilnya stabil
+     */
+    maxPasses: 3,
+    
     /**
      * WHITELIST: Atribut HTML yang diperbolehkan per tag
      * 
@@ -45,10 +114,109 @@ const HTMLSanitizer = {
      * Mencegah atribut berbahaya seperti onclick, onerror, dll.
      */
     allowedAttributes: {
-        'a': ['href', 'target', 'rel'],  // Link: hanya href, target, rel
+        'a': ['href', 'title', 'target', 'rel'],  // Link: href, title, target, rel
+        'img': ['src', 'alt', 'title'],  // Image: src dicek seperti href
+        'th': ['align'],                 // Alignment kolom table
+        'td': ['align'],
+        'ol': ['start'],                 // List yang tidak mulai dari 1
+        'input': ['type', 'checked', 'disabled'],  // Checkbox task list
+        'code': ['class'],               // language-xxx dari fenced code
+        'span': ['class'],               // tok-xxx dari syntax highlighter
+        'nav': ['class'],                // Table of contents
+        'h1': ['id'],                    // Anchor heading (#slug)
+        'h2': ['id'],
+        'h3': ['id'],
+        'h4': ['id'],
+        'h5': ['id'],
+        'h6': ['id'],
         '*': []                          // Tag lain: tidak ada atribut
     },
     
+    /**
+     * WHITELIST: Atribut yang boleh ada di semua tag
+     * 
+     * Nilainya harus cocok dengan pattern.
+     * data-source-line: nomor baris markdown untuk sinkronisasi scroll.
+     */
+    globalAttributes: {
+        'data-source-line': /^\d+$/
+    },
+    
+    /**
+     * WHITELIST: Nilai class yang diperbolehkan per tag
+     * 
+     * Atribut class hanya boleh berisi class yang cocok dengan pattern ini.
+     * Class lain dibuang agar user tidak bisa meminjam style dari halaman
+     * (misal class="modal" atau class="hidden").
+     */
+    allowedClasses: {
+        'code': [/^language-[\w+#.-]+$/],
+        'span': [/^tok-[a-z]+$/],
+        'nav': [/^toc$/]
+    },
+    
+    /**
+     * WHITELIST: Property CSS yang boleh ada di atribut style
+     * 
+     * Atribut style di-parse per deklarasi (property: value).
+     * Hanya property di sini yang dipertahankan, dan nilainya harus
+     * cocok dengan pattern. Sisanya dibuang (lihat filterStyle).
+     */
+    allowedStyles: {
+        'color': 'color',
+        'background-color': 'color',
+        'text-align': /^(left|right|center|justify|start|end)$/,
+        'vertical-align': /^(baseline|sub|super|top|middle|bottom|text-top|text-bottom)$/,
+        'font-weight': /^(normal|bold|bolder|lighter|[1-9]00)$/,
+        'font-style': /^(normal|italic|oblique)$/,
+        'font-size': 'length',
+        'text-decoration': /^(none|(underline|overline|line-through)( (underline|overline|line-through))*)$/,
+        'white-space': /^(normal|nowrap|pre|pre-wrap|pre-line)$/
+    },
+    
+    /**
+     * Pattern nilai CSS yang dipakai bersama di allowedStyles
+     */
+    stylePatterns: {
+        color: /^(#[\da-f]{3,4}|#[\da-f]{6}|#[\da-f]{8}|[a-z]{3,20}|(rgb|hsl)a?\([\d.%,\s/deg-]{1,40}\))$/,
+        length: /^(\d{1,3}(\.\d{1,3})?(px|pt|em|rem|%)|0|xx-small|x-small|small|medium|large|x-large|xx-large|smaller|larger)$/
+    },
+    
+    /**
+     * Isi style yang selalu ditolak, apa pun property-nya
+     * (url() memuat resource, expression() menjalankan script di IE,
+     * @import memuat stylesheet, backslash & komentar untuk menyamarkan)
+     */
+    forbiddenStyle: /url\s*\(|expression\s*\(|@import|javascript:|behavior\s*:|-moz-binding|\\|\/\*|[<>]/i,
+    
+    /**
+     * PATTERN: Nilai id yang diperbolehkan
+     * 
+     * Hanya slug (huruf, angka, - dan _) agar id tidak bisa dipakai
+     * untuk menyisipkan selector atau karakter aneh.
+     */
+    idPattern: /^[\p{L}\p{N}_-]+$/u,
+    
+    /**
+     * ATRIBUT WAJIB
+     * 
+     * Tag di sini hanya boleh ada jika atributnya bernilai persis seperti ini.
+     * Contoh: <input> hanya boleh sebagai checkbox, bukan text field.
+     */
+    requiredAttributes: {
+        'input': { 'type': 'checkbox' }
+    },
+    
+    /**
+     * ATRIBUT YANG DIPAKSAKAN
+     * 
+     * Atribut ini selalu di-set setelah sanitasi.
+     * Contoh: checkbox task list selalu disabled (read-only).
+     */
+    enforcedAttributes: {
+        'input': { 'disabled': '' }
+    },
+    
     /**
      * WHITELIST: Protocol URL yang aman
      * 
@@ -57,11 +225,288 @@ const HTMLSanitizer = {
      */
     allowedProtocols: ['http:', 'https:', 'mailto:'],
     
+    /**
+     * WHITELIST: Tipe gambar yang boleh dipakai sebagai data: URL di src
+     * 
+     * SVG sengaja tidak ada: SVG bisa berisi <script> dan event handler.
+     * Contoh aman: data:image/png;base64,iVBORw0KGgo...
+     */
+    allowedDataImageTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+    
+    /**
+     * VALIDATOR NILAI ATRIBUT per tag
+     * 
+     * Dicek setelah atribut lolos allowedAttributes.
+     * Validator berupa RegExp, atau function(value, element) => boolean.
+     * Key '*' berlaku untuk semua tag.
+     * Contoh: { img: { width: /^\d{1,4}$/ }, a: { target: /^_blank$/ } }
+     */
+    attributeValidators: {
+        'ol': { 'start': /^\d{1,9}$/ }  // Sama dengan batas start di CommonMark
+    },
+    
+    /**
+     * TRANSFORM per tag
+     * 
+     * function(element) yang dijalankan setelah atribut disanitasi,
+     * misal memaksa rel="noopener noreferrer" di link
+     * (lihat HTMLSanitizer.transforms).
+     */
+    tagTransforms: {},
+    
+    /**
+     * UNWRAP: Tag di luar whitelist yang isinya tetap dipertahankan
+     * 
+     * Biasanya tag yang tidak diperbolehkan dihapus beserta isinya.
+     * Tag di sini hanya dibuang pembungkusnya (tidak dilaporkan),
+     * misal heading di profil strict tetap tampil sebagai teks.
+     */
+    unwrapTags: [],
+    
+    /**
+     * ============================================
+     * PROFILES
+     * ============================================
+     * 
+     * Aturan untuk HTMLSanitizer.create(name). Formatnya sama dengan
+     * extend(), ditambah:
+     * - inherit: true = mulai dari whitelist HTMLSanitizer (termasuk
+     *   tambahan plugin); false = mulai dari whitelist kosong
+     * - protocols / dataImageTypes: ganti allowedProtocols /
+     *   allowedDataImageTypes
+     * - unwrap: tambahan unwrapTags
+     */
+    profiles: {
+        // Komentar pengunjung: format teks dasar, tanpa gambar & heading
+        // (teks heading tetap ada, tanpa tag-nya)
+        strict: {
+            inherit: false,
+            tags: ['p', 'br', 'strong', 'em', 'del', 'a', 'code', 'pre', 'ul', 'ol', 'li', 'blockquote'],
+            unwrap: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+            attributes: { 'a': ['href', 'title'], 'ol': ['start'] },
+            validators: { 'ol': { 'start': /^\d{1,9}$/ } },
+            protocols: ['http:', 'https:', 'mailto:'],
+            dataImageTypes: [],
+            transforms: { 'a': [(element) => HTMLSanitizer.transforms.forceRel(element, 'nofollow noopener noreferrer')] }
+        },
+        
+        // Dokumen: sama dengan preview editor
+        default: {
+            inherit: true
+        },
+        
+        // Halaman admin: tag layout, ukuran gambar, link di tab baru
+        trusted: {
+            inherit: true,
+            tags: ['div', 'section', 'figure', 'figcaption', 'sup', 'sub', 'kbd', 'mark', 'small',
+                'ins', 'abbr', 'details', 'summary', 'caption'],
+            attributes: {
+                'img': ['width', 'height', 'loading'],
+                'th': ['colspan', 'rowspan'],
+                'td': ['colspan', 'rowspan'],
+                'abbr': ['title'],
+                'div': ['class'],
+                'section': ['class'],
+                'figure': ['class']
+            },
+            classes: {
+                'div': [/^[a-z][\w-]*$/],
+                'section': [/^[a-z][\w-]*$/],
+                'figure': [/^[a-z][\w-]*$/]
+            },
+            validators: {
+                'a': { 'target': /^_blank$/ },
+                'img': { 'width': /^\d{1,4}$/, 'height': /^\d{1,4}$/, 'loading': /^(lazy|eager)$/ },
+                'th': { 'colspan': /^\d{1,3}$/, 'rowspan': /^\d{1,3}$/ },
+                'td': { 'colspan': /^\d{1,3}$/, 'rowspan': /^\d{1,3}$/ }
+            },
+            // target="_blank" tanpa noopener memberi halaman tujuan akses ke window.opener
+            transforms: { 'a': [(element) => HTMLSanitizer.transforms.forceRel(element, 'noopener noreferrer')] }
+        }
+    },
+    
+    /**
+     * TRANSFORM BAWAAN
+     */
+    transforms: {
+        /**
+         * Paksa rel pada link yang punya href
+         * 
+         * @param {Element} element - <a>
+         * @param {string} rel - Contoh 'noopener noreferrer'
+         */
+        forceRel: function(element, rel) {
+            if (element.hasAttribute('href')) {
+                element.setAttribute('rel', rel);
+            }
+        }
+    },
+    
+    /**
+     * CREATE
+     * 
+     * Buat sanitizer baru dari profil. Hasilnya punya semua method
+     * HTMLSanitizer (sanitize, sanitizeToFragment, ...) dengan
+     * whitelist sendiri; extend() pada instance tidak mengubah yang lain.
+     * 
+     * @param {string|Object} profile - Nama di profiles, atau aturan profil langsung
+     * @param {Object} [overrides] - Aturan tambahan (format extend())
+     * @returns {Object} - Instance sanitizer
+     */
+    create: function(profile, overrides) {
+        const rules = typeof profile === 'string' ? this.profiles[profile] : profile;
+        if (!rules) {
+            throw new Error(`Profil sanitizer "${profile}" tidak ada`);
+        }
+        
+        const instance = Object.create(HTMLSanitizer);
+        Object.assign(instance, this.copyConfig(HTMLSanitizer, rules.inherit !== false));
+        instance.profile = typeof profile === 'string' ? profile : 'custom';
+        
+        [rules, overrides || {}].forEach(extra => {
+            if (extra.protocols) {
+                instance.allowedProtocols = extra.protocols.map(protocol => protocol.toLowerCase());
+            }
+            if (extra.dataImageTypes) {
+                instance.allowedDataImageTypes = extra.dataImageTypes.slice();
+            }
+            instance.extend(extra);
+        });
+        
+        return instance;
+    },
+    
+    /**
+     * COPY CONFIG
+     * 
+     * @param {Object} source - Sanitizer sumber
+     * @param {boolean} inherit - false = whitelist tag & atribut kosong
+     * @returns {Object} - Salinan konfigurasi (tidak berbagi array/object)
+     */
+    copyConfig: function(source, inherit) {
+        const copyEach = (map, copy) => {
+            const result = {};
+            Object.keys(map).forEach(key => {
+                result[key] = copy(map[key]);
+            });
+            return result;
+        };
+        const list = value => value.slice();
+        const object = value => Object.assign({}, value);
+        
+        if (!inherit) {
+            return {
+                allowedTags: [],
+                allowedAttributes: { '*': [] },
+                // Nomor baris dari parser (sourceLines) tetap lolos: dipakai report & scroll sync
+                globalAttributes: { 'data-source-line': HTMLSanitizer.globalAttributes['data-source-line'] },
+                allowedClasses: {},
+                allowedStyles: {},
+                requiredAttributes: {},
+                enforcedAttributes: {},
+                attributeValidators: {},
+                tagTransforms: {},
+                unwrapTags: [],
+                allowedProtocols: list(source.allowedProtocols),
+                allowedDataImageTypes: list(source.allowedDataImageTypes)
+            };
+        }
+        
+        return {
+            allowedTags: list(source.allowedTags),
+            allowedAttributes: copyEach(source.allowedAttributes, list),
+            globalAttributes: object(source.globalAttributes),
+            allowedClasses: copyEach(source.allowedClasses, list),
+            allowedStyles: object(source.allowedStyles),
+            requiredAttributes: copyEach(source.requiredAttributes, object),
+            enforcedAttributes: copyEach(source.enforcedAttributes, object),
+            attributeValidators: copyEach(source.attributeValidators, object),
+            tagTransforms: copyEach(source.tagTransforms, list),
+            unwrapTags: list(source.unwrapTags),
+            allowedProtocols: list(source.allowedProtocols),
+            allowedDataImageTypes: list(source.allowedDataImageTypes)
+        };
+    },
+    
+    /**
+     * EXTEND WHITELIST
+     * 
+     * Tambahkan tag dan atribut ke whitelist.
+     * Dipakai oleh MarkdownParser.use() untuk plugin syntax baru.
+     * 
+     * @param {Object} rules - Whitelist tambahan
+     * @param {Array<string>} [rules.tags] - Tag yang diperbolehkan
+     * @param {Object} [rules.attributes] - Atribut per tag, contoh { mark: ['class'] }
+     * @param {Object} [rules.classes] - Pattern class per tag, contoh { mark: [/^hl-\w+$/] }
+     * @param {Object} [rules.requiredAttributes] - Lihat requiredAttributes
+     * @param {Object} [rules.enforcedAttributes] - Lihat enforcedAttributes
+     * @param {Object} [rules.styles] - Lihat allowedStyles, contoh { 'text-indent': /^\d+em$/ }
+     * @param {Object} [rules.validators] - Lihat attributeValidators
+     * @param {Object} [rules.transforms] - Lihat tagTransforms, contoh { a: [fn] }
+     * @param {Array<string>} [rules.unwrap] - Lihat unwrapTags
+     */
+    extend: function(rules) {
+        (rules.tags || []).forEach(tag => {
+            tag = tag.toLowerCase();
+            // Tag berbahaya tidak pernah ditambahkan (lihat forbiddenTags)
+            if (!this.allowedTags.includes(tag) && !this.forbiddenTags.includes(tag)) {
+                this.allowedTags.push(tag);
+            }
+        });
+        
+        const attributes = rules.attributes || {};
+        Object.keys(attributes).forEach(tag => {
+            const current = this.allowedAttributes[tag] || [];
+            
+            // Event handler (onclick, onerror, ...) tidak pernah diperbolehkan
+            const extra = attributes[tag]
+                .map(attrName => attrName.toLowerCase())
+                .filter(attrName => !attrName.startsWith('on') && !current.includes(attrName));
+            
+            this.allowedAttributes[tag] = current.concat(extra);
+        });
+        
+        const classes = rules.classes || {};
+        Object.keys(classes).forEach(tag => {
+            this.allowedClasses[tag] = (this.allowedClasses[tag] || []).concat(classes[tag]);
+        });
+        
+        ['requiredAttributes', 'enforcedAttributes'].forEach(key => {
+            const extra = rules[key] || {};
+            Object.keys(extra).forEach(tag => {
+                this[key][tag] = Object.assign({}, this[key][tag], extra[tag]);
+            });
+        });
+        
+        Object.assign(this.allowedStyles, rules.styles);
+        
+        const validators = rules.validators || {};
+        Object.keys(validators).forEach(tag => {
+            this.attributeValidators[tag] = Object.assign({}, this.attributeValidators[tag], validators[tag]);
+        });
+        
+        const transforms = rules.transforms || {};
+        Object.keys(transforms).forEach(tag => {
+            this.tagTransforms[tag] = (this.tagTransforms[tag] || []).concat(transforms[tag]);
+        });
+        
+        (rules.unwrap || []).forEach(tag => {
+            tag = tag.toLowerCase();
+            // Isi tag berbahaya tidak boleh lolos sebagai teks/markup biasa
+            if (!this.unwrapTags.includes(tag) && !this.forbiddenTags.includes(tag)) {
+                this.unwrapTags.push(tag);
+            }
+        });
+    },
+    
     /**
      * FUNGSI UTAMA: Sanitize HTML
      * 
      * @param {string} html - HTML yang akan dibersihkan
-     * @returns {string} - HTML yang sudah aman
+     * @param {Object} [options]
+     * @param {boolean} [options.report] - Kembalikan juga daftar yang dihapus
+     * @returns {string|Object} - HTML yang sudah aman, atau { html, removed }
+     *          jika options.report (lihat REMOVAL REPORT)
      * 
      * PROSES:
      * 1. Parse HTML string menjadi DOM
@@ -69,31 +514,86 @@ const HTMLSanitizer = {
      * 3. Filter berdasarkan whitelist
      * 4. Kembalikan sebagai safe HTML string
      */
-    sanitize: function(html) {
+    sanitize: function(html, options) {
+        const removed = options && options.report ? [] : null;
+        const done = result => removed ? { html: result, removed: removed } : result;
+        
         // Jika input kosong, return kosong
         if (!html || html.trim() === '') {
-            return '';
+            return done('');
+        }
+        
+        // Tanpa DOM (Node.js, CLI): tokenizer sendiri, hasilnya sudah
+        // di-serialize ulang sehingga tidak perlu dicek stabil
+        if (typeof document === 'undefined') {
+            return done(this.sanitizeString(html, removed));
+        }
+        
+        let result = this.serialize(this.sanitizeToFragment(html, removed));
+        
+        // mXSS: HTML yang sudah bersih bisa berubah struktur saat
+        // di-parse ulang oleh browser (innerHTML). Hasil yang aman harus
+        // stabil: sanitasi ulang tidak mengubah apa-apa.
+        for (let pass = 1; pass < this.maxPasses; pass++) {
+            // Pass yang tidak mengubah hasil tidak dilaporkan: atribut yang
+            // "dibuang" di sana dipasang lagi oleh transform (misal rel)
+            const found = removed ? [] : null;
+            const again = this.serialize(this.sanitizeToFragment(result, found));
+            if (again === result) {
+                return done(result);
+            }
+            if (removed) {
+                removed.push(...found);
+            }
+            result = again;
         }
         
+        // Tidak stabil juga: jangan ambil risiko, tampilkan sebagai teks
+        console.warn('⚠️ Sanitizer output tidak stabil, ditampilkan sebagai teks');
+        return done(this.escapeHTML(this.stripTags(result)));
+    },
+    
+    /**
+     * SERIALIZE
+     * 
+     * @param {DocumentFragment} fragment
+     * @returns {string} - HTML string
+     */
+    serialize: function(fragment) {
+        // Buat div temporary untuk serialize
+        const div = document.createElement('div');
+        div.appendChild(fragment);
+        
+        return div.innerHTML;
+    },
+    
+    /**
+     * SANITIZE TO FRAGMENT
+     * 
+     * Sama seperti sanitize(), tapi hasilnya DocumentFragment yang
+     * siap di-insert ke DOM (tanpa serialize + parse ulang).
+     * Dipakai preview saat patch per block.
+     * 
+     * @param {string} html - HTML string yang akan dibersihkan
+     * @param {Array<Object>} [removed] - Jika ada, diisi item REMOVAL REPORT
+     * @returns {DocumentFragment} - Fragment yang sudah aman
+     */
+    sanitizeToFragment: function(html, removed) {
         // Buat temporary DOM element untuk parsing
         // Gunakan template element karena tidak execute script
         const template = document.createElement('template');
         
         // Set innerHTML akan parse HTML string menjadi DOM tree
-        template.innerHTML = html;
+        template.innerHTML = html || '';
         
         // Ambil content dari template (DocumentFragment)
         const fragment = template.content;
         
         // Sanitize semua node dalam fragment secara recursive
-        this.sanitizeNode(fragment);
-        
-        // Convert kembali DOM menjadi HTML string
-        // Buat div temporary untuk serialize
-        const div = document.createElement('div');
-        div.appendChild(fragment.cloneNode(true));
+        this.sanitizeNode(fragment, removed);
         
-        return div.innerHTML;
+        // Adopt ke document utama agar bisa langsung di-append
+        return document.importNode(fragment, true);
     },
     
     /**
@@ -102,8 +602,9 @@ const HTMLSanitizer = {
      * Fungsi rekursif untuk membersihkan node dan children-nya.
      * 
      * @param {Node} node - DOM node yang akan dibersihkan
+     * @param {Array<Object>} [removed] - Lihat REMOVAL REPORT
      */
-    sanitizeNode: function(node) {
+    sanitizeNode: function(node, removed) {
         // Array untuk menyimpan node yang akan dihapus
         // Kita tidak bisa hapus langsung saat iterasi
         const nodesToRemove = [];
@@ -111,26 +612,59 @@ const HTMLSanitizer = {
         // Iterate semua child nodes
         // childNodes include text nodes dan element nodes
         for (let i = 0; i < node.childNodes.length; i++) {
-            const child = node.childNodes[i];
+            let child = node.childNodes[i];
             
             // Check tipe node
             if (child.nodeType === Node.ELEMENT_NODE) {
                 // Ini adalah element node (tag HTML)
                 
-                const tagName = child.tagName.toLowerCase();
-                
                 // Check apakah tag diperbolehkan
-                if (!this.allowedTags.includes(tagName)) {
+                const reason = this.elementRemovalReason(child, node);
+                if (reason === 'disallowed-tag' && this.unwrapTags.includes(this.localName(child)) &&
+                    this.isAllowedNamespace(child, node)) {
+                    // Buang pembungkusnya saja: children disanitasi lalu naik ke node
+                    this.sanitizeNode(child, removed);
+                    const count = child.childNodes.length;
+                    while (child.firstChild) {
+                        node.insertBefore(child.firstChild, child);
+                    }
+                    nodesToRemove.push(child);
+                    i += count; // Children yang naik sudah disanitasi
+                    continue;
+                }
+                if (reason) {
                     // Tag tidak diperbolehkan, tandai untuk dihapus
                     nodesToRemove.push(child);
+                    // Property element ter-clobber tidak bisa dipakai: baris dicari dari parent
+                    this.report(removed, this.isClobbered(child) ? node : child,
+                        { type: 'element', tag: this.localName(child), reason: reason });
                     continue; // Skip ke node berikutnya
                 }
                 
+                const tagName = child.tagName.toLowerCase();
+                
+                // <a is="x-foo">: "is value" disimpan terpisah dari atribut dan
+                // tetap ter-serialize walau atribut is dihapus. Buat ulang element-nya.
+                if (Element.prototype.hasAttribute.call(child, 'is')) {
+                    child = this.rebuildElement(child);
+                }
+                
                 // Tag diperbolehkan, sanitize atributnya
-                this.sanitizeAttributes(child);
+                this.sanitizeAttributes(child, removed);
+                
+                // Set atribut yang wajib ada (misal: disabled)
+                const enforced = this.enforcedAttributes[tagName] || {};
+                Object.keys(enforced).forEach(attrName => {
+                    child.setAttribute(attrName, enforced[attrName]);
+                });
+                
+                // Transform dari profil (misal: paksa rel di link)
+                (this.tagTransforms[tagName] || []).forEach(transform => {
+                    transform(child);
+                });
                 
                 // Recursive: sanitize children dari element ini
-                this.sanitizeNode(child);
+                this.sanitizeNode(child, removed);
                 
             } else if (child.nodeType === Node.TEXT_NODE) {
                 // Ini adalah text node (pure text, sudah aman)
@@ -149,14 +683,246 @@ const HTMLSanitizer = {
         });
     },
     
+    /**
+     * REBUILD ELEMENT
+     * 
+     * Salinan element (atribut & children dipindah) tanpa "is value"
+     * custom element, menggantikan element aslinya di tree.
+     * 
+     * @param {Element} element
+     * @returns {Element} - Element pengganti
+     */
+    rebuildElement: function(element) {
+        const copy = element.ownerDocument.createElementNS(element.namespaceURI, element.localName);
+        Array.from(element.attributes).forEach(attr => {
+            copy.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+        });
+        while (element.firstChild) {
+            copy.appendChild(element.firstChild);
+        }
+        element.parentNode.replaceChild(copy, element);
+        return copy;
+    },
+    
+    /**
+     * ELEMENT REMOVAL REASON
+     * 
+     * @param {Element} element - Element yang dicek
+     * @param {Node} parent - Parent-nya
+     * @returns {string|null} - 'disallowed-tag' | 'unsafe-markup', null = boleh
+     */
+    elementRemovalReason: function(element, parent) {
+        // <form><input name="tagName"> bisa menimpa property DOM
+        if (this.isClobbered(element)) {
+            return 'unsafe-markup';
+        }
+        
+        const tagName = element.tagName.toLowerCase();
+        if (!this.allowedTags.includes(tagName) || this.forbiddenTags.includes(tagName) ||
+            !this.hasRequiredAttributes(element)) {
+            return 'disallowed-tag';
+        }
+        if (!this.isAllowedNamespace(element, parent) || this.hasRawMarkup(element)) {
+            return 'unsafe-markup';
+        }
+        return null;
+    },
+    
+    /**
+     * ============================================
+     * REMOVAL REPORT
+     * ============================================
+     * 
+     * sanitize(html, { report: true }) mengembalikan { html, removed }.
+     * Setiap item removed:
+     * - type: 'element' | 'attribute' | 'style'
+     * - tag: nama tag (element yang dihapus / pemilik atribut)
+     * - attribute, value: untuk type 'attribute' dan 'style'
+     *   (style: value = deklarasi yang dibuang, misal 'position: fixed')
+     * - reason:
+     *   'disallowed-tag'       tag tidak ada di whitelist (dihapus beserta isinya)
+     *   'disallowed-attribute' atribut tidak ada di whitelist
+     *   'unsafe-protocol'      URL href/src dengan protocol tidak aman
+     *   'invalid-value'        nilai id/class/atribut tidak valid
+     *   'disallowed-style'     deklarasi CSS tidak ada di allowedStyles
+     *   'unsafe-markup'        struktur mXSS (namespace, raw text, clobbering)
+     * - line: data-source-line di element itu / induknya (MarkdownParser
+     *   dengan sourceLines juga memberi nomor baris ke tag HTML mentah);
+     *   null jika tidak ada
+     * 
+     * Komentar HTML tidak dilaporkan (dipakai sebagai catatan biasa).
+     */
+    
+    /**
+     * REPORT
+     * 
+     * @param {Array<Object>|null} removed - Daftar tujuan (null = mode biasa)
+     * @param {Node} context - Element yang dihapus / pemilik atribut, untuk mencari baris
+     * @param {Object} item - { type, tag, attribute, value, reason }
+     */
+    report: function(removed, context, item) {
+        if (!removed) {
+            return;
+        }
+        
+        let line = null;
+        // nodeType 1 = element (juga element token di mode tanpa DOM)
+        for (let node = context; node && node.nodeType === 1 && line === null; node = node.parentNode) {
+            line = this.sourceLineOf(node);
+        }
+        
+        removed.push(Object.assign({ attribute: null, value: null }, item, { line: line }));
+    },
+    
+    /**
+     * @returns {number|null} - Nilai data-source-line yang valid
+     */
+    sourceLineOf: function(element) {
+        const value = element.getAttribute('data-source-line');
+        return value !== null && /^\d+$/.test(value) ? Number(value) : null;
+    },
+    
+    /**
+     * DESCRIBE: kalimat untuk item REMOVAL REPORT
+     * 
+     * @param {Object} item
+     * @returns {string} - Contoh 'Atribut onclick di <p> dihapus (atribut tidak diizinkan)'
+     */
+    describe: function(item) {
+        const value = item.value && item.value.length > 40 ? item.value.slice(0, 40) + '…' : item.value;
+        switch (item.reason) {
+            case 'disallowed-tag':
+                return `Tag <${item.tag}> dihapus beserta isinya (tag tidak diizinkan)`;
+            case 'unsafe-markup':
+                return `Tag <${item.tag}> dihapus beserta isinya (struktur HTML tidak aman)`;
+            case 'unsafe-protocol':
+                return `${item.attribute} "${value}" di <${item.tag}> dihapus (protocol tidak aman)`;
+            case 'disallowed-style':
+                return `Style "${value}" di <${item.tag}> dihapus (property CSS tidak diizinkan)`;
+            case 'invalid-value':
+                return `Atribut ${item.attribute}="${value}" di <${item.tag}> dihapus (nilai tidak valid)`;
+            default:
+                return `Atribut ${item.attribute} di <${item.tag}> dihapus (atribut tidak diizinkan)`;
+        }
+    },
+    
+    /**
+     * LOCAL NAME
+     * 
+     * Nama tag lewat getter prototype, tetap benar walau element
+     * ter-clobber (lihat isClobbered)
+     */
+    localName: function(element) {
+        return Object.getOwnPropertyDescriptor(Element.prototype, 'localName').get.call(element).toLowerCase();
+    },
+    
+    /**
+     * IS CLOBBERED
+     * 
+     * Child bernama (name="attributes", id="nodeName", ...) di dalam
+     * <form> menimpa property element form itu sendiri.
+     * 
+     * @param {Element} element
+     * @returns {boolean} - True jika property DOM penting sudah tertimpa
+     */
+    isClobbered: function(element) {
+        return typeof element.nodeName !== 'string' ||
+            typeof element.tagName !== 'string' ||
+            typeof element.namespaceURI !== 'string' ||
+            typeof element.textContent !== 'string' ||
+            typeof element.getAttribute !== 'function' ||
+            typeof element.removeAttribute !== 'function' ||
+            typeof element.setAttribute !== 'function' ||
+            !(element.attributes instanceof NamedNodeMap) ||
+            !(element.childNodes instanceof NodeList);
+    },
+    
+    /**
+     * IS ALLOWED NAMESPACE
+     * 
+     * Parser HTML memasukkan tag di dalam <math> ke namespace MathML
+     * (bukan HTML), dan tag tertentu "keluar" lagi ke HTML. Perbedaan
+     * ini dipakai mXSS: struktur yang aman saat dicek bisa menjadi
+     * <img onerror> setelah serialize + parse ulang. Aturannya:
+     * - MathML hanya di dalam <math>, dan <math> hanya di dalam HTML
+     * - Element MathML harus bernama tag MathML (bukan <a>, <style>)
+     * - HTML di dalam MathML hanya di text tag (mi, mo, mn, ms, mtext)
+     * - Nama tag MathML tidak boleh dipakai sebagai element HTML
+     * - Namespace lain (SVG, ...) tidak pernah diperbolehkan
+     * 
+     * @param {Element} element - Element yang dicek
+     * @param {Node} parent - Parent-nya (DocumentFragment = konteks HTML)
+     * @returns {boolean}
+     */
+    isAllowedNamespace: function(element, parent) {
+        const tagName = element.tagName.toLowerCase();
+        const parentIsMath = parent.namespaceURI === this.namespaces.mathml;
+        
+        if (element.namespaceURI === this.namespaces.mathml) {
+            // <a>, <style>, ... di dalam <math> juga element MathML
+            if (!this.mathMLTags.includes(tagName)) {
+                return false;
+            }
+            return parentIsMath ? tagName !== 'math' : tagName === 'math';
+        }
+        
+        if (element.namespaceURI === this.namespaces.html) {
+            if (parentIsMath && !this.mathMLTextTags.includes(parent.tagName.toLowerCase())) {
+                return false;
+            }
+            return !this.mathMLTags.includes(tagName);
+        }
+        
+        return false;
+    },
+    
+    /**
+     * HAS RAW MARKUP
+     * 
+     * Text biasa di-serialize sebagai &lt;, jadi "<tag" yang mentah di
+     * innerHTML hanya muncul jika isi element diperlakukan sebagai raw
+     * text (noscript, style, xmp, ... atau hasil mutasi namespace).
+     * Markup seperti itu akan menjadi tag sungguhan saat di-parse ulang.
+     * 
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    hasRawMarkup: function(element) {
+        const markup = /<[/\w!?]/;
+        return !element.firstElementChild &&
+            markup.test(element.textContent) &&
+            markup.test(element.innerHTML);
+    },
+    
+    /**
+     * HAS REQUIRED ATTRIBUTES
+     * 
+     * Mengecek apakah element memenuhi requiredAttributes.
+     * 
+     * @param {Element} element - DOM element yang dicek
+     * @returns {boolean} - True jika memenuhi (atau tidak ada aturan)
+     */
+    hasRequiredAttributes: function(element) {
+        const required = this.requiredAttributes[element.tagName.toLowerCase()];
+        if (!required) {
+            return true;
+        }
+        
+        return Object.keys(required).every(attrName => {
+            const value = element.getAttribute(attrName);
+            return value !== null && value.trim().toLowerCase() === required[attrName];
+        });
+    },
+    
     /**
      * SANITIZE ATTRIBUTES
      * 
      * Membersihkan atribut dari element berdasarkan whitelist.
      * 
      * @param {Element} element - DOM element yang akan dibersihkan
+     * @param {Array<Object>} [removed] - Lihat REMOVAL REPORT
      */
-    sanitizeAttributes: function(element) {
+    sanitizeAttributes: function(element, removed) {
         const tagName = element.tagName.toLowerCase();
         
         // Ambil daftar atribut yang diperbolehkan untuk tag ini
@@ -166,16 +932,43 @@ const HTMLSanitizer = {
         // Array untuk menyimpan nama atribut yang akan dihapus
         const attrsToRemove = [];
         
+        // Tandai atribut untuk dihapus (dan catat alasannya)
+        const remove = (attr, reason) => {
+            const attrName = attr.name.toLowerCase();
+            attrsToRemove.push(attrName);
+            this.report(removed, element, { type: 'attribute', tag: tagName, attribute: attrName, value: attr.value, reason: reason });
+        };
+        
+        // Nilai class & style setelah difilter (di-set setelah loop)
+        let classValue = '';
+        let styleValue = '';
+        
         // Iterate semua atribut yang ada di element
         // attributes adalah NamedNodeMap
         for (let i = 0; i < element.attributes.length; i++) {
             const attr = element.attributes[i];
             const attrName = attr.name.toLowerCase();
             
-            // Check apakah atribut diperbolehkan
-            if (!allowed.includes(attrName)) {
+            // Atribut global: cukup cek nilainya
+            const globalPattern = this.globalAttributes[attrName];
+            if (globalPattern) {
+                if (!globalPattern.test(attr.value)) {
+                    remove(attr, 'invalid-value');
+                }
+            } else if (attrName === 'style') {
+                // Style boleh di semua tag, tapi hanya property yang di-whitelist
+                const dropped = [];
+                styleValue = this.filterStyle(attr.value, dropped);
+                dropped.forEach(declaration => {
+                    this.report(removed, element, { type: 'style', tag: tagName, attribute: 'style', value: declaration, reason: 'disallowed-style' });
+                });
+                
+                if (!styleValue) {
+                    attrsToRemove.push(attrName);
+                }
+            } else if (!allowed.includes(attrName)) {
                 // Atribut tidak diperbolehkan, tandai untuk dihapus
-                attrsToRemove.push(attrName);
+                remove(attr, 'disallowed-attribute');
             } else if (attrName === 'href') {
                 // Special handling untuk href (check protocol)
                 const href = attr.value.trim();
@@ -183,8 +976,28 @@ const HTMLSanitizer = {
                 // Check apakah href menggunakan protocol yang aman
                 if (!this.isSafeURL(href)) {
                     // URL tidak aman, tandai atribut untuk dihapus
-                    attrsToRemove.push(attrName);
+                    remove(attr, 'unsafe-protocol');
+                }
+            } else if (attrName === 'src') {
+                // Special handling untuk src gambar (boleh data:image tertentu)
+                if (!this.isSafeURL(attr.value.trim(), { image: true })) {
+                    remove(attr, 'unsafe-protocol');
                 }
+            } else if (attrName === 'id') {
+                // Special handling untuk id (hanya slug)
+                if (!this.idPattern.test(attr.value)) {
+                    remove(attr, 'invalid-value');
+                }
+            } else if (attrName === 'class') {
+                // Special handling untuk class (filter per class name)
+                classValue = this.filterClasses(tagName, attr.value);
+                
+                if (!classValue) {
+                    remove(attr, 'invalid-value');
+                }
+            } else if (!this.isValidValue(tagName, attrName, attr.value, element)) {
+                // Validator dari profil (misal: width hanya angka)
+                remove(attr, 'invalid-value');
             }
         }
         
@@ -192,6 +1005,145 @@ const HTMLSanitizer = {
         attrsToRemove.forEach(attrName => {
             element.removeAttribute(attrName);
         });
+        
+        if (classValue) {
+            element.setAttribute('class', classValue);
+        }
+        if (styleValue) {
+            element.setAttribute('style', styleValue);
+        }
+    },
+    
+    /**
+     * IS VALID VALUE
+     * 
+     * Cek nilai atribut dengan attributeValidators (tag, lalu '*').
+     * Atribut tanpa validator selalu valid.
+     * 
+     * @param {string} tagName - Nama tag (lowercase)
+     * @param {string} attrName - Nama atribut (lowercase)
+     * @param {string} value - Nilai atribut
+     * @param {Element} element - Element pemilik atribut (element token di mode tanpa DOM)
+     * @returns {boolean}
+     */
+    isValidValue: function(tagName, attrName, value, element) {
+        const validator = (this.attributeValidators[tagName] || {})[attrName] ||
+            (this.attributeValidators['*'] || {})[attrName];
+        if (!validator) {
+            return true;
+        }
+        // Cek function, bukan instanceof RegExp: RegExp dari realm lain (lib/markdown.mjs) tetap jalan
+        return typeof validator === 'function' ? Boolean(validator(value, element)) : validator.test(value);
+    },
+    
+    /**
+     * FILTER CLASSES
+     * 
+     * Buang class yang tidak cocok dengan allowedClasses.
+     * 
+     * @param {string} tagName - Nama tag (lowercase)
+     * @param {string} value - Nilai atribut class
+     * @returns {string} - Class yang tersisa (string kosong jika tidak ada)
+     */
+    filterClasses: function(tagName, value) {
+        const patterns = this.allowedClasses[tagName] || [];
+        
+        return value.split(/\s+/)
+            .filter(className => patterns.some(pattern => pattern.test(className)))
+            .join(' ');
+    },
+    
+    /**
+     * FILTER STYLE
+     * 
+     * Buang deklarasi CSS yang property-nya tidak ada di allowedStyles
+     * atau nilainya tidak valid. !important dibuang.
+     * 
+     * @param {string} value - Nilai atribut style
+     * @param {Array<string>} [dropped] - Jika ada, diisi deklarasi yang dibuang
+     * @returns {string} - Deklarasi yang tersisa, dinormalisasi
+     *          ("color: red; text-align: center"), string kosong jika tidak ada
+     */
+    filterStyle: function(value, dropped) {
+        const kept = [];
+        this.parseStyle(value).forEach(declaration => {
+            const text = `${declaration.property}: ${declaration.value}`;
+            if (this.isAllowedStyle(declaration.property, declaration.value)) {
+                kept.push(text);
+            } else if (dropped) {
+                dropped.push(text);
+            }
+        });
+        return kept.join('; ');
+    },
+    
+    /**
+     * PARSE STYLE
+     * 
+     * Pecah isi atribut style menjadi deklarasi. ';' di dalam tanda
+     * kurung atau string bukan pemisah deklarasi.
+     * 
+     * @param {string} value - Contoh 'color: red; background-color: rgb(0, 0, 0)'
+     * @returns {Array<Object>} - [{ property, value }], property lowercase
+     */
+    parseStyle: function(value) {
+        const declarations = [];
+        let current = '';
+        let depth = 0;
+        let quote = '';
+        
+        const flush = () => {
+            const colon = current.indexOf(':');
+            if (colon > 0) {
+                declarations.push({
+                    property: current.slice(0, colon).trim().toLowerCase(),
+                    value: current.slice(colon + 1).replace(/!\s*important\s*$/i, '').trim()
+                });
+            }
+            current = '';
+        };
+        
+        for (const char of value) {
+            if (quote) {
+                quote = char === quote ? '' : quote;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth = Math.max(0, depth - 1);
+            } else if (char === ';' && depth === 0) {
+                flush();
+                continue;
+            }
+            current += char;
+        }
+        flush();
+        
+        return declarations;
+    },
+    
+    /**
+     * IS ALLOWED STYLE
+     * 
+     * @param {string} property - Nama property (lowercase)
+     * @param {string} value - Nilai, tanpa !important
+     * @returns {boolean}
+     */
+    isAllowedStyle: function(property, value) {
+        if (!Object.prototype.hasOwnProperty.call(this.allowedStyles, property) ||
+            value === '' || this.forbiddenStyle.test(value)) {
+            return false;
+        }
+        
+        value = value.toLowerCase().replace(/\s+/g, ' ');
+        if (/^(inherit|initial|unset)$/.test(value)) {
+            return true;
+        }
+        
+        const rule = this.allowedStyles[property];
+        const pattern = typeof rule === 'string' ? this.stylePatterns[rule] : rule;
+        return Boolean(pattern) && pattern.test(value);
     },
     
     /**
@@ -199,24 +1151,552 @@ const HTMLSanitizer = {
      * 
      * Mengecek apakah URL menggunakan protocol yang aman.
      * 
+     * Nilai atribut dari DOM sudah di-decode (&#106;avascript: sudah
+     * menjadi javascript:). Browser juga membuang tab & newline di
+     * mana saja dan control character di awal/akhir URL
+     * ("java\tscript:" tetap javascript:), jadi dibuang di sini juga
+     * sebelum protocol diambil.
+     * 
      * @param {string} url - URL yang akan dicek
+     * @param {Object} [options]
+     * @param {boolean} [options.image] - URL untuk src gambar: data:image/png,
+     *        jpeg, gif dan webp juga diperbolehkan (lihat allowedDataImageTypes)
      * @returns {boolean} - True jika aman, false jika tidak
      */
-    isSafeURL: function(url) {
+    isSafeURL: function(url, options) {
+        url = url.replace(/[\t\n\r]/g, '').replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '');
+        
+        // Link ke anchor di halaman yang sama (#heading-id) selalu aman
+        if (url.startsWith('#')) {
+            return true;
+        }
+        
         // Handle relative URL (tidak ada protocol)
-        // Relative URL dianggap aman
-        if (!url.includes(':')) {
+        // ':' setelah / ? # (misal "docs/a:b" atau "?t=1:2") bukan protocol
+        const scheme = /^([^/?#]*?):/.exec(url);
+        if (!scheme) {
             return true;
         }
         
         // Extract protocol dari URL
         // Protocol adalah bagian sebelum ':'
-        const protocol = url.split(':')[0].toLowerCase() + ':';
+        const protocol = scheme[1].toLowerCase() + ':';
+        
+        // Karakter aneh di protocol (null, unicode, ...): tolak
+        if (!/^[a-z][a-z\d+.-]*:$/.test(protocol)) {
+            return false;
+        }
+        
+        // data: hanya untuk gambar raster, tidak pernah untuk link
+        if (protocol === 'data:') {
+            return Boolean(options && options.image) && this.isSafeDataImage(url);
+        }
         
         // Check apakah protocol ada dalam whitelist
         return this.allowedProtocols.includes(protocol);
     },
     
+    /**
+     * CHECK SAFE DATA IMAGE
+     * 
+     * data:[mime][;param][;base64],data
+     * Mime type harus ada di allowedDataImageTypes.
+     * 
+     * @param {string} url - data: URL
+     * @returns {boolean} - True jika tipe gambar diperbolehkan
+     */
+    isSafeDataImage: function(url) {
+        const match = url.match(/^data:([^;,]*)[;,]/i);
+        if (!match) {
+            return false;
+        }
+        
+        const mime = match[1].trim().toLowerCase();
+        return this.allowedDataImageTypes.includes(mime);
+    },
+    
+    /**
+     * ============================================
+     * SANITIZE TANPA DOM
+     * ============================================
+     * 
+     * Dipakai sanitize() jika document tidak ada (Node.js, lihat
+     * lib/markdown.mjs dan bin/md2html.mjs). Aturannya sama dengan
+     * jalur DOM (whitelist, atribut, URL, style, profil, report), tapi
+     * HTML di-tokenize sendiri lalu ditulis ulang dari token:
+     * - text & nilai atribut di-decode (entity dari entities.js) lalu
+     *   di-escape ulang, jadi browser membaca persis nilai yang sudah dicek
+     * - tag yang dibuang ikut membuang isinya (sampai end tag-nya)
+     * - isi raw text (script, style, ...) tidak pernah di-parse sebagai tag
+     * - lebih ketat untuk MathML: di dalam <math> hanya tag MathML
+     */
+    
+    /**
+     * Tag tanpa end tag
+     */
+    voidTags: ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen',
+        'link', 'meta', 'param', 'source', 'track', 'wbr'],
+    
+    /**
+     * Tag yang isinya raw text (bukan HTML) sampai end tag-nya
+     */
+    rawTextTags: ['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript',
+        'textarea', 'title', 'plaintext'],
+    
+    /**
+     * SANITIZE STRING
+     * 
+     * @param {string} html - HTML yang akan dibersihkan
+     * @param {Array<Object>} [removed] - Lihat REMOVAL REPORT
+     * @returns {string} - HTML yang sudah aman
+     */
+    sanitizeString: function(html, removed) {
+        const output = [];
+        // { name, element, dropped, unwrapped, math } per element yang masih terbuka
+        const stack = [];
+        
+        const close = entry => {
+            if (!entry.dropped && !entry.unwrapped) {
+                output.push(`</${entry.name}>`);
+            }
+        };
+        
+        this.tokenize(html).forEach(token => {
+            const parent = stack[stack.length - 1];
+            const inMath = Boolean(parent && parent.math);
+            
+            if (token.type === 'text') {
+                if (!parent || !parent.dropped) {
+                    output.push(this.escapeText(token.text));
+                }
+            } else if (token.type === 'start') {
+                // Di MathML, <x/> langsung tertutup seperti void tag
+                const isVoid = inMath ? token.selfClosing : this.voidTags.includes(token.name);
+                
+                if (parent && parent.dropped) {
+                    if (!isVoid) {
+                        stack.push({ name: token.name, dropped: true });
+                    }
+                    return;
+                }
+                
+                const element = this.createTokenElement(token.name, token.attributes, parent ? parent.element : null);
+                const reason = this.tokenRemovalReason(element, inMath);
+                const unwrap = reason === 'disallowed-tag' && !inMath && this.unwrapTags.includes(token.name);
+                if (unwrap) {
+                    // Lihat unwrapTags: isinya tetap ditulis, tag-nya tidak
+                    if (!isVoid) {
+                        stack.push({ name: token.name, element: element, dropped: false, unwrapped: true, math: false });
+                    }
+                } else if (reason) {
+                    this.report(removed, element, { type: 'element', tag: token.name, reason: reason });
+                    if (!isVoid) {
+                        stack.push({ name: token.name, dropped: true });
+                    }
+                } else {
+                    this.sanitizeAttributes(element, removed);
+                    
+                    const enforced = this.enforcedAttributes[token.name] || {};
+                    Object.keys(enforced).forEach(attrName => {
+                        element.setAttribute(attrName, enforced[attrName]);
+                    });
+                    (this.tagTransforms[token.name] || []).forEach(transform => {
+                        transform(element);
+                    });
+                    
+                    const attrs = element.attributes
+                        .map(attr => ` ${attr.name}="${this.escapeAttribute(attr.value)}"`)
+                        .join('');
+                    output.push(`<${token.name}${attrs}>`);
+                    
+                    const entry = { name: token.name, element: element, dropped: false, math: inMath || token.name === 'math' };
+                    if (isVoid) {
+                        if (inMath) {
+                            close(entry);
+                        }
+                    } else {
+                        stack.push(entry);
+                    }
+                }
+            } else if (token.type === 'end') {
+                // End tag tanpa start tag yang cocok diabaikan
+                let index = stack.length - 1;
+                while (index >= 0 && stack[index].name !== token.name) {
+                    index--;
+                }
+                while (index >= 0 && stack.length > index) {
+                    close(stack.pop());
+                }
+            }
+            // Komentar, doctype, CDATA: dibuang
+        });
+        
+        // Element yang tidak ditutup
+        while (stack.length > 0) {
+            close(stack.pop());
+        }
+        
+        return output.join('');
+    },
+    
+    /**
+     * STRIP TAGS STRING
+     * 
+     * stripTags tanpa DOM: gabungan semua text token. Seperti jalur DOM,
+     * <math> yang punya <annotation> diganti sumber TeX-nya ($...$ / $$...$$).
+     * 
+     * @param {string} html
+     * @returns {string}
+     */
+    stripTagsString: function(html) {
+        const output = [];
+        // { start, depth, block, tex, inAnnotation } saat di dalam <math> terluar
+        let math = null;
+        
+        const closeMath = () => {
+            if (math.tex !== null) {
+                output.splice(math.start);
+                output.push(math.block ? `$$${math.tex}$$` : `$${math.tex}$`);
+            }
+            math = null;
+        };
+        
+        this.tokenize(html).forEach(token => {
+            if (token.type === 'text') {
+                output.push(token.text);
+                if (math && math.inAnnotation) {
+                    math.tex += token.text;
+                }
+            } else if (token.type === 'start' && token.name === 'math' && !token.selfClosing) {
+                if (math) {
+                    math.depth++;
+                } else {
+                    const display = token.attributes.find(attr => attr.name === 'display');
+                    math = { start: output.length, depth: 1, block: Boolean(display && display.value === 'block'), tex: null, inAnnotation: false };
+                }
+            } else if (math && token.type === 'start' && token.name === 'annotation' && math.tex === null) {
+                math.tex = '';
+                math.inAnnotation = true;
+            } else if (math && token.type === 'end' && token.name === 'annotation') {
+                math.inAnnotation = false;
+            } else if (math && token.type === 'end' && token.name === 'math' && --math.depth === 0) {
+                closeMath();
+            }
+        });
+        if (math) {
+            closeMath();
+        }
+        
+        return output.join('');
+    },
+    
+    /**
+     * TOKEN REMOVAL REASON
+     * 
+     * Versi elementRemovalReason untuk element token. Tanpa tree DOM,
+     * aturan namespace dibuat lebih ketat: di dalam <math> hanya tag
+     * MathML, di luar <math> tidak ada tag MathML selain <math>.
+     * 
+     * @param {Object} element - Element token (createTokenElement)
+     * @param {boolean} inMath - Parent adalah element MathML
+     * @returns {string|null}
+     */
+    tokenRemovalReason: function(element, inMath) {
+        const tagName = element.localName;
+        if (!this.allowedTags.includes(tagName) || this.forbiddenTags.includes(tagName) ||
+            !this.hasRequiredAttributes(element)) {
+            return 'disallowed-tag';
+        }
+        
+        const isMath = this.mathMLTags.includes(tagName);
+        if (inMath ? !isMath || tagName === 'math' : isMath && tagName !== 'math') {
+            return 'unsafe-markup';
+        }
+        return null;
+    },
+    
+    /**
+     * CREATE TOKEN ELEMENT
+     * 
+     * Objek pengganti Element untuk mode tanpa DOM. Cukup untuk
+     * sanitizeAttributes, hasRequiredAttributes, validator & transform
+     * (tagName, attributes, getAttribute, hasAttribute, setAttribute,
+     * removeAttribute) dan report (nodeType, parentNode).
+     * 
+     * @param {string} name - Nama tag (lowercase)
+     * @param {Array<Object>} attributes - [{ name, value }] dari tokenizer
+     * @param {Object|null} parent - Element token induk
+     * @returns {Object}
+     */
+    createTokenElement: function(name, attributes, parent) {
+        const attrs = attributes.map(attr => ({ name: attr.name, value: attr.value }));
+        const find = attrName => attrs.find(attr => attr.name === attrName.toLowerCase());
+        
+        return {
+            nodeType: 1,
+            tagName: name.toUpperCase(),
+            localName: name,
+            parentNode: parent,
+            attributes: attrs,
+            getAttribute: attrName => {
+                const attr = find(attrName);
+                return attr ? attr.value : null;
+            },
+            hasAttribute: attrName => Boolean(find(attrName)),
+            setAttribute: (attrName, value) => {
+                const attr = find(attrName);
+                if (attr) {
+                    attr.value = String(value);
+                } else {
+                    attrs.push({ name: attrName.toLowerCase(), value: String(value) });
+                }
+            },
+            removeAttribute: attrName => {
+                const attr = find(attrName);
+                if (attr) {
+                    attrs.splice(attrs.indexOf(attr), 1);
+                }
+            }
+        };
+    },
+    
+    /**
+     * TOKENIZE
+     * 
+     * Tokenizer HTML sederhana mengikuti aturan HTML5 yang penting
+     * untuk keamanan: nama tag harus diawali huruf, atribut pertama
+     * yang menang, komentar <!-- -->, <!...> dan <?...> sebagai komentar,
+     * raw text, tag yang terpotong di akhir input dibuang.
+     * 
+     * @param {string} html
+     * @returns {Array<Object>} - { type: 'text', text } |
+     *          { type: 'start', name, attributes, selfClosing } |
+     *          { type: 'end', name } | { type: 'comment' }
+     */
+    tokenize: function(html) {
+        // Seperti input stream browser: CRLF & CR menjadi LF
+        html = html.replace(/\r\n?/g, '\n');
+        const tokens = [];
+        let text = '';
+        let pos = 0;
+        
+        const flush = () => {
+            if (text) {
+                tokens.push({ type: 'text', text: this.decodeEntities(text) });
+                text = '';
+            }
+        };
+        const skipTo = (search, from) => {
+            const index = html.indexOf(search, from);
+            return index === -1 ? html.length : index + search.length;
+        };
+        
+        while (pos < html.length) {
+            const lt = html.indexOf('<', pos);
+            if (lt === -1) {
+                text += html.slice(pos);
+                break;
+            }
+            text += html.slice(pos, lt);
+            pos = lt;
+            
+            const next = html.charAt(lt + 1);
+            if (html.startsWith('<!--', lt)) {
+                // <!--> dan <!---> langsung menutup komentar
+                if (html.startsWith('<!-->', lt)) {
+                    pos = lt + 5;
+                } else if (html.startsWith('<!--->', lt)) {
+                    pos = lt + 6;
+                } else {
+                    const end = /--!?>/g;
+                    end.lastIndex = lt + 4;
+                    const match = end.exec(html);
+                    pos = match ? match.index + match[0].length : html.length;
+                }
+                flush();
+                tokens.push({ type: 'comment' });
+            } else if (next === '!' || next === '?') {
+                flush();
+                tokens.push({ type: 'comment' });
+                pos = skipTo('>', lt + 2);
+            } else if (next === '/') {
+                const name = /^<\/([a-zA-Z][^\s/>]*)/.exec(html.slice(lt, lt + 256));
+                flush();
+                if (name) {
+                    tokens.push({ type: 'end', name: name[1].toLowerCase() });
+                } else if (html.charAt(lt + 2) !== '>') {
+                    // </ diikuti selain huruf: komentar
+                    tokens.push({ type: 'comment' });
+                }
+                pos = skipTo('>', lt + 2);
+                if (pos === html.length && html.charAt(pos - 1) !== '>') {
+                    // End tag terpotong di akhir input
+                    tokens.pop();
+                }
+            } else if (/[a-zA-Z]/.test(next)) {
+                const tag = this.readStartTag(html, lt);
+                if (!tag) {
+                    // Tag terpotong di akhir input: dibuang
+                    pos = html.length;
+                    break;
+                }
+                flush();
+                tokens.push(tag.token);
+                pos = tag.end;
+                
+                // Raw text: isi sampai </name dianggap text, bukan tag
+                const name = tag.token.name;
+                if (this.rawTextTags.includes(name)) {
+                    const close = new RegExp(`</${name}(?=[\\s/>])`, 'ig');
+                    close.lastIndex = pos;
+                    const match = name === 'plaintext' ? null : close.exec(html);
+                    const end = match ? match.index : html.length;
+                    tokens.push({ type: 'text', text: html.slice(pos, end) });
+                    pos = end;
+                }
+            } else {
+                // '<' biasa
+                text += '<';
+                pos = lt + 1;
+            }
+        }
+        flush();
+        
+        return tokens;
+    },
+    
+    /**
+     * READ START TAG
+     * 
+     * @param {string} html
+     * @param {number} start - Posisi '<'
+     * @returns {Object|null} - { token, end }, null jika tidak ada '>' penutup
+     */
+    readStartTag: function(html, start) {
+        const nameMatch = /[^\s/>]*/y;
+        nameMatch.lastIndex = start + 1;
+        const name = nameMatch.exec(html)[0].toLowerCase();
+        let pos = nameMatch.lastIndex;
+        
+        const attributes = [];
+        const attrName = /[^\s/>][^\s/>=]*/y;
+        const unquoted = /[^\s>]*/y;
+        const space = /\s*/y;
+        const skip = regex => {
+            regex.lastIndex = pos;
+            const match = regex.exec(html);
+            pos = regex.lastIndex;
+            return match ? match[0] : '';
+        };
+        let selfClosing = false;
+        
+        while (pos < html.length) {
+            const char = html.charAt(pos);
+            if (char === '>') {
+                return {
+                    token: { type: 'start', name: name, attributes: attributes, selfClosing: selfClosing },
+                    end: pos + 1
+                };
+            }
+            if (/\s/.test(char) || char === '/') {
+                selfClosing = char === '/';
+                pos++;
+                continue;
+            }
+            selfClosing = false;
+            
+            const nameText = skip(attrName).toLowerCase();
+            let value = '';
+            skip(space);
+            if (html.charAt(pos) === '=') {
+                pos++;
+                skip(space);
+                const quote = html.charAt(pos);
+                if (quote === '"' || quote === "'") {
+                    const close = html.indexOf(quote, pos + 1);
+                    if (close === -1) {
+                        return null;
+                    }
+                    value = html.slice(pos + 1, close);
+                    pos = close + 1;
+                } else {
+                    value = skip(unquoted);
+                }
+            }
+            
+            // Atribut duplikat: yang pertama yang dipakai browser
+            if (!attributes.some(attr => attr.name === nameText)) {
+                attributes.push({ name: nameText, value: this.decodeEntities(value, true) });
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * DECODE ENTITIES
+     * 
+     * &#106; &#x6A; (titik koma boleh hilang, &#128; -> €) dan semua named entity
+     * HTML5 dari entities.js, dengan aturan yang sama seperti browser:
+     * tanpa titik koma hanya entity legacy, dicocokkan yang terpanjang
+     * (&notit; -> ¬it;). Di nilai atribut, &copy= dan &copyx tidak di-decode.
+     * 
+     * @param {string} text
+     * @param {boolean} [inAttribute] - Text adalah nilai atribut
+     * @returns {string}
+     */
+    decodeEntities: function(text, inAttribute) {
+        if (!text.includes('&')) {
+            return text;
+        }
+        const named = HTMLEntities.named;
+        
+        return text.replace(/&(?:#[xX]([\da-fA-F]{1,8});?|#(\d{1,10});?|([a-zA-Z][a-zA-Z\d]*)(;?))/g, (entity, hex, decimal, name, semicolon, offset) => {
+            if (name) {
+                if (semicolon && Object.prototype.hasOwnProperty.call(named, name)) {
+                    return named[name];
+                }
+                
+                let length = name.length;
+                while (length > 0 && !HTMLEntities.legacy.includes(name.slice(0, length))) {
+                    length--;
+                }
+                if (length === 0) {
+                    return entity;
+                }
+                
+                const rest = entity.slice(length + 1);
+                const next = rest || text.charAt(offset + entity.length);
+                if (inAttribute && /^[=a-zA-Z\d]/.test(next)) {
+                    return entity;
+                }
+                return named[name.slice(0, length)] + rest;
+            }
+            
+            const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+            // Code point tidak valid diganti U+FFFD (seperti browser)
+            if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+                return '\uFFFD';
+            }
+            return HTMLEntities.numeric[code] || String.fromCodePoint(code);
+        });
+    },
+    
+    /**
+     * ESCAPE TEXT / ATTRIBUTE
+     * 
+     * Sama seperti serialisasi innerHTML, agar hasil mode tanpa DOM
+     * sama dengan hasil jalur DOM.
+     */
+    escapeText: function(text) {
+        return text.replace(/&/g, '&amp;').replace(/\u00a0/g, '&nbsp;')
+            .replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+    
+    escapeAttribute: function(value) {
+        return value.replace(/&/g, '&amp;').replace(/\u00a0/g, '&nbsp;').replace(/"/g, '&quot;');
+    },
+    
     /**
      * ESCAPE HTML ENTITIES
      * 
@@ -249,12 +1729,29 @@ const HTMLSanitizer = {
      * @returns {string} - Plain text tanpa tags
      */
     stripTags: function(html) {
-        // Buat temporary element
-        const temp = document.createElement('div');
-        temp.innerHTML = html;
+        // Tanpa DOM (Node.js, CLI): lewat tokenizer, lihat stripTagsString
+        if (typeof document === 'undefined') {
+            return this.stripTagsString(html);
+        }
+        
+        // Template: isinya inert, <img onerror> dll tidak pernah jalan
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const content = template.content;
+        
+        // MathML: pakai sumber TeX dari <annotation>, bukan
+        // gabungan text semua <mi>/<mo> yang sulit dibaca
+        content.querySelectorAll('math').forEach(math => {
+            const annotation = math.querySelector('annotation');
+            if (annotation) {
+                const tex = annotation.textContent;
+                const block = math.getAttribute('display') === 'block';
+                math.replaceWith(block ? `$$${tex}$$` : `$${tex}$`);
+            }
+        });
         
         // textContent akan mengambil hanya text, tanpa tags
-        return temp.textContent || temp.innerText || '';
+        return content.textContent || '';
     }
 };
 
@@ -268,12 +1765,16 @@ const HTMLSanitizer = {
  * 
  * 2. PROTOCOL CHECKING:
  *    - Cegah javascript:, data:, vbscript: di href
+ *    - src gambar boleh data:image/png|jpeg|gif|webp, tapi tidak
+ *      data:image/svg+xml (SVG bisa menjalankan script)
  *    - Ini adalah vector XSS umum
  *    - Contoh berbahaya: <a href="javascript:alert('xss')">
  * 
  * 3. ATTRIBUTE FILTERING:
  *    - Cegah event handlers (onclick, onerror, onload, dll)
- *    - Cegah style injection (style attribute)
+ *    - Cegah style injection: style di-parse per deklarasi, hanya
+ *      property & nilai yang di-whitelist yang tersisa
+ *      (url(), expression(), @import selalu ditolak)
  *    - Hanya allow atribut yang benar-benar dibutuhkan
  * 
  * 4. RECURSIVE TRAVERSAL:
@@ -285,6 +1786,14 @@ const HTMLSanitizer = {
  *    - Text nodes (pure text) inherently safe
  *    - Browser tidak execute code dalam text nodes
  *    - Hanya element nodes yang bisa berbahaya
+ * 
+ * 6. MUTATION XSS (mXSS):
+ *    - HTML yang aman di DOM bisa berubah saat di-serialize lalu
+ *      di-parse ulang (namespace MathML/SVG, raw text <noscript>, ...)
+ *    - Contoh: <math><mtext><table><mglyph><style><img src=x onerror=...>
+ *    - Dicegah dengan cek namespace, cek raw markup, forbiddenTags,
+ *      dan sanitize() yang mengulang sampai hasilnya stabil
+ *    - Regresi: tests/sanitizer-corpus.html
  */
 
 /**
@@ -298,4 +1807,32 @@ const HTMLSanitizer = {
  * 
  * // Result: '<p>Hello</p>'
  * // Script tag dihapus, hanya p tag yang tersisa
+ * 
+ * // Sanitizer untuk komentar: tanpa gambar, link diberi rel nofollow
+ * const comments = HTMLSanitizer.create('strict');
+ * comments.sanitize('<h1>Hai</h1><p><a href="https://x.y">x</a><img src="a.png"></p>');
+ * // 'Hai<p><a href="https://x.y" rel="nofollow noopener noreferrer">x</a></p>'
+ * // (heading di-unwrap, tag lain di luar whitelist dihapus beserta isinya)
+ * 
+ * // Mode report: apa yang dihapus dan kenapa
+ * HTMLSanitizer.sanitize('<p data-source-line="3" onclick="x()">Hi</p>', { report: true });
+ * // { html: '<p data-source-line="3">Hi</p>',
+ * //   removed: [{ type: 'attribute', tag: 'p', attribute: 'onclick', value: 'x()',
+ * //               reason: 'disallowed-attribute', line: 3 }] }
+ * 
+ * // Style hanya property yang di-whitelist
+ * HTMLSanitizer.sanitize('<span style="color:red; background:url(x.png); position:fixed">x</span>');
+ * // '<span style="color: red">x</span>'
+ * 
+ * // Profil + aturan tambahan
+ * const admin = HTMLSanitizer.create('trusted', {
+ *     tags: ['video'],
+ *     attributes: { video: ['src', 'controls'] },
+ *     validators: { video: { controls: /^$/ } }
+ * });
+ * 
+ * // Node.js (tanpa DOM): hasil sama, lewat tokenizer
+ * import { HTMLSanitizer } from './lib/markdown.mjs';
+ * HTMLSanitizer.sanitize('<p onclick="x()">Hi</p>');
+ * // '<p>Hi</p>'
  */
\ No newline at end of file
@@ -0,0 +1,332 @@
+/**
+ * ============================================
+ * SCROLL SYNC MODULE
+ * ============================================
+ *
+ * File ini membuat editor dan preview saling mengikuti saat di-scroll,
+ * ke dua arah.
+ *
+ * CARA KERJA:
+ * 1. Element block di preview punya data-source-line (nomor baris
+ *    markdown), dari opsi sourceLines di MarkdownParser
+ * 2. Posisi setiap baris di textarea diukur lewat "mirror" div dengan
+ *    font & lebar yang sama (baris panjang bisa wrap menjadi beberapa
+ *    baris tampilan, jadi tidak cukup nomor baris × line-height)
+ * 3. Pasangan (posisi di editor, posisi di preview) per nomor baris
+ *    menjadi "peta scroll"; posisi di antara dua pasangan diinterpolasi
+ *
+ * Karena yang dipetakan adalah posisi pixel sungguhan, gambar dan code
+ * block yang tinggi tidak membuat editor dan preview bergeser.
+ * Peta dihitung ulang saat isi, ukuran, atau gambar di preview berubah.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Mengukur layout textarea dengan mirror element
+ * 2. Interpolasi linear + binary search
+ * 3. requestAnimationFrame untuk membatasi kerja per frame
+ * 4. Mencegah loop event scroll antara dua element
+ */
+
+const ScrollSync = {
+
+    /**
+     * DOM ELEMENTS
+     */
+    elements: {
+        editor: null,
+        preview: null
+    },
+
+    /**
+     * KONFIGURASI
+     */
+    enabled: true,
+
+    /**
+     * STATE
+     */
+    lineTops: null,     // Posisi scroll tiap baris editor (cache)
+    map: null,          // [{ line, editor, preview }] (cache)
+    frame: null,        // requestAnimationFrame yang tertunda
+    ignore: null,       // Element yang scroll-nya baru saja di-set oleh sync
+
+    /**
+     * Style yang mempengaruhi wrap & tinggi baris di textarea
+     */
+    mirrorStyles: [
+        'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'fontVariant',
+        'letterSpacing', 'wordSpacing', 'lineHeight', 'textTransform', 'textIndent',
+        'tabSize', 'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom'
+    ],
+
+    /**
+     * INIT
+     *
+     * Dipanggil App.init setelah elements di-cache
+     */
+    init: function() {
+        this.elements.editor = App.elements.editor;
+        this.elements.preview = App.elements.preview;
+
+        if (!this.elements.editor || !this.elements.preview) {
+            console.error('❌ Scroll sync elements not found!');
+            return;
+        }
+
+        this.elements.editor.addEventListener('scroll', () => this.handleScroll('editor'));
+        this.elements.preview.addEventListener('scroll', () => this.handleScroll('preview'));
+
+        // Gambar selesai di-load = tinggi preview berubah.
+        // Event load tidak bubble, jadi pakai capture.
+        this.elements.preview.addEventListener('load', () => this.invalidate(), true);
+
+        // Lebar berubah = wrap editor & layout preview berubah
+        if (typeof ResizeObserver !== 'undefined') {
+            const observer = new ResizeObserver(() => this.invalidateEditor());
+            observer.observe(this.elements.editor);
+            observer.observe(this.elements.preview);
+        } else {
+            window.addEventListener('resize', () => this.invalidateEditor());
+        }
+
+        console.log('✓ Scroll sync ready');
+    },
+
+    /**
+     * INVALIDATE
+     *
+     * Posisi di preview berubah, peta dihitung ulang saat dibutuhkan
+     */
+    invalidate: function() {
+        this.map = null;
+    },
+
+    /**
+     * INVALIDATE EDITOR
+     *
+     * Isi atau lebar editor berubah
+     */
+    invalidateEditor: function() {
+        this.lineTops = null;
+        this.map = null;
+    },
+
+    /**
+     * REFRESH
+     *
+     * Dipanggil setelah preview di-patch: preview mengikuti
+     * posisi editor (yang sedang diketik user)
+     */
+    refresh: function() {
+        this.invalidate();
+        if (this.elements.editor) {
+            this.schedule('editor');
+        }
+    },
+
+    /**
+     * HANDLE SCROLL
+     *
+     * @param {string} source - 'editor' | 'preview'
+     */
+    handleScroll: function(source) {
+        // Scroll ini akibat sync dari sisi lain, bukan dari user
+        if (this.ignore === this.elements[source]) {
+            this.ignore = null;
+            return;
+        }
+        this.schedule(source);
+    },
+
+    /**
+     * SCHEDULE: Sync paling banyak sekali per frame
+     *
+     * @param {string} source - 'editor' | 'preview'
+     */
+    schedule: function(source) {
+        if (!this.enabled) {
+            return;
+        }
+        cancelAnimationFrame(this.frame);
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.sync(source);
+        });
+    },
+
+    /**
+     * SYNC
+     *
+     * Scroll sisi lain ke posisi yang sesuai dengan `source`
+     *
+     * @param {string} source - 'editor' | 'preview'
+     */
+    sync: function(source) {
+        const target = source === 'editor' ? 'preview' : 'editor';
+        const from = this.elements[source];
+        const to = this.elements[target];
+        if (this.elements.preview.classList.contains('empty')) {
+            return;
+        }
+
+        const maxFrom = from.scrollHeight - from.clientHeight;
+        const maxTo = to.scrollHeight - to.clientHeight;
+        let top;
+        if (maxFrom > 0 && from.scrollTop >= maxFrom - 1) {
+            // Sudah di paling bawah: sisi lain juga ke paling bawah
+            top = maxTo;
+        } else {
+            top = this.translate(this.getMap(), source, target, from.scrollTop);
+        }
+        top = Math.max(0, Math.min(maxTo, Math.round(top)));
+
+        if (Math.abs(to.scrollTop - top) < 1) {
+            return;
+        }
+        const before = to.scrollTop;
+        this.ignore = to;
+        to.scrollTop = top;
+        // Tidak ada event scroll jika posisi tidak berubah
+        if (to.scrollTop === before) {
+            this.ignore = null;
+        }
+    },
+
+    /**
+     * TRANSLATE
+     *
+     * Interpolasi linear di antara dua titik peta
+     *
+     * @param {Array<Object>} map - Hasil getMap()
+     * @param {string} source - Key posisi asal ('editor' | 'preview')
+     * @param {string} target - Key posisi tujuan
+     * @param {number} value - scrollTop asal
+     * @returns {number} - scrollTop tujuan
+     */
+    translate: function(map, source, target, value) {
+        // Binary search: titik terakhir dengan posisi <= value
+        let low = 0;
+        let high = map.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (map[mid][source] <= value) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const a = map[low];
+        const b = map[low + 1];
+        if (!b || b[source] === a[source]) {
+            return a[target];
+        }
+        const ratio = (value - a[source]) / (b[source] - a[source]);
+        return a[target] + ratio * (b[target] - a[target]);
+    },
+
+    /**
+     * GET MAP
+     *
+     * Pasangan posisi editor & preview, naik di kedua sisi.
+     * Element bersarang di baris yang sama (misal <li> dan <p>
+     * di dalamnya) cukup diambil yang pertama.
+     *
+     * @returns {Array<Object>} - [{ line, editor, preview }]
+     */
+    getMap: function() {
+        if (this.map) {
+            return this.map;
+        }
+
+        const { editor, preview } = this.elements;
+        const lineTops = this.getLineTops();
+        const previewBox = preview.getBoundingClientRect();
+        const offset = preview.scrollTop - previewBox.top - preview.clientTop -
+            parseFloat(getComputedStyle(preview).paddingTop);
+
+        const map = [{ line: 0, editor: 0, preview: 0 }];
+        preview.querySelectorAll('[data-source-line]').forEach(element => {
+            const line = Number(element.getAttribute('data-source-line'));
+            const last = map[map.length - 1];
+            if (line <= last.line || line > lineTops.length) {
+                return;
+            }
+            const point = {
+                line: line,
+                editor: lineTops[line - 1],
+                preview: element.getBoundingClientRect().top + offset
+            };
+            if (point.editor >= last.editor && point.preview >= last.preview) {
+                map.push(point);
+            }
+        });
+
+        // Akhir dokumen dengan akhir dokumen
+        const last = map[map.length - 1];
+        map.push({
+            line: lineTops.length + 1,
+            editor: Math.max(editor.scrollHeight, last.editor),
+            preview: Math.max(preview.scrollHeight, last.preview)
+        });
+
+        this.map = map;
+        return map;
+    },
+
+    /**
+     * GET LINE TOPS
+     *
+     * scrollTop textarea yang membuat setiap baris tepat di atas.
+     * Diukur dengan div tersembunyi yang meniru textarea: satu <div>
+     * per baris, dengan lebar & font yang sama sehingga wrap-nya sama.
+     *
+     * @returns {Array<number>} - Index 0 = baris 1
+     */
+    getLineTops: function() {
+        if (this.lineTops) {
+            return this.lineTops;
+        }
+
+        const editor = this.elements.editor;
+        const style = getComputedStyle(editor);
+        const mirror = document.createElement('div');
+        this.mirrorStyles.forEach(name => {
+            mirror.style[name] = style[name];
+        });
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            top: '0',
+            left: '-9999px',
+            visibility: 'hidden',
+            boxSizing: 'border-box',
+            width: editor.clientWidth + 'px',
+            border: '0',
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word'
+        });
+
+        const lines = editor.value.split('\n');
+        lines.forEach(line => {
+            const row = document.createElement('div');
+            // Baris kosong tetap setinggi satu baris
+            row.textContent = line || ' ';
+            mirror.appendChild(row);
+        });
+
+        document.body.appendChild(mirror);
+        const first = mirror.firstChild ? mirror.firstChild.offsetTop : 0;
+        this.lineTops = Array.from(mirror.children, row => row.offsetTop - first);
+        mirror.remove();
+
+        return this.lineTops;
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * ScrollSync.init();              // Dipanggil App.init
+ * ScrollSync.invalidateEditor();  // Isi editor berubah
+ * ScrollSync.refresh();           // Preview selesai di-patch
+ * ScrollSync.enabled = false;     // Matikan sinkronisasi
+ */
@@ -0,0 +1,179 @@
+/**
+ * ============================================
+ * STATS PANEL MODULE
+ * ============================================
+ *
+ * File ini menampilkan hasil DocumentStats di bawah preview:
+ * - ringkasan (kata & waktu baca) selalu terlihat di <summary>
+ * - detail, outline heading dan anchor rusak saat panel dibuka
+ *
+ * App memanggil StatsPanel.update(stats) setiap preview di-update,
+ * dengan stats dari main thread atau dari parser worker.
+ * Detail hanya dirender saat panel terbuka.
+ *
+ * Klik heading di outline atau anchor rusak: editor melompat
+ * ke baris sumbernya (App.goToLine).
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. <details>/<summary> untuk panel yang bisa dilipat
+ * 2. Render hanya jika terlihat
+ * 3. Membangun DOM dengan textContent (judul heading adalah isi user)
+ */
+
+const StatsPanel = {
+
+    /**
+     * DOM ELEMENTS
+     */
+    elements: {
+        panel: null,        // <details>
+        summary: null,
+        body: null
+    },
+
+    /**
+     * STATE
+     */
+    stats: null,            // Hasil DocumentStats.compute terakhir
+
+    /**
+     * INIT
+     */
+    init: function() {
+        const el = this.elements;
+        el.panel = document.getElementById('stats-panel');
+        el.summary = document.getElementById('stats-summary');
+        el.body = document.getElementById('stats-body');
+
+        if (!el.panel) {
+            console.error('❌ Stats panel not found!');
+            return;
+        }
+
+        el.panel.addEventListener('toggle', () => this.render());
+        el.body.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-line]');
+            if (target) {
+                App.goToLine(Number(target.dataset.line));
+            }
+        });
+
+        console.log('✓ Stats panel ready');
+    },
+
+    /**
+     * UPDATE
+     *
+     * @param {Object|null} stats - Hasil DocumentStats.compute, null = dokumen kosong
+     */
+    update: function(stats) {
+        this.stats = stats;
+        if (this.elements.panel) {
+            this.render();
+        }
+    },
+
+    /**
+     * RENDER
+     */
+    render: function() {
+        const stats = this.stats;
+        const el = this.elements;
+
+        const warning = stats && stats.brokenAnchors.length > 0 ? ` · ⚠️ ${stats.brokenAnchors.length}` : '';
+        el.summary.textContent = stats
+            ? `📊 ${this.formatNumber(stats.words)} kata · ${this.formatMinutes(stats.readingMinutes)}${warning}`
+            : '📊 Statistik';
+
+        if (!el.panel.open) {
+            return;
+        }
+        el.body.textContent = '';
+        if (!stats) {
+            el.body.appendChild(this.createElement('p', 'hint', 'Belum ada isi.'));
+            return;
+        }
+
+        const readability = stats.readability
+            ? `${stats.readability.score} (${stats.readability.label})`
+            : '—';
+        const list = document.createElement('dl');
+        list.className = 'stats-grid';
+        [
+            ['Kata', this.formatNumber(stats.words)],
+            ['Karakter', this.formatNumber(stats.characters)],
+            ['Tanpa spasi', this.formatNumber(stats.charactersNoSpaces)],
+            ['Kalimat', this.formatNumber(stats.sentences)],
+            ['Waktu baca', this.formatMinutes(stats.readingMinutes)],
+            ['Link', this.formatNumber(stats.links)],
+            ['Keterbacaan', readability]
+        ].forEach(([label, value]) => {
+            list.appendChild(this.createElement('dt', '', label));
+            list.appendChild(this.createElement('dd', '', value));
+        });
+        el.body.appendChild(list);
+
+        el.body.appendChild(this.createElement('h3', 'stats-heading', 'Outline'));
+        if (stats.outline.length === 0) {
+            el.body.appendChild(this.createElement('p', 'hint', 'Tidak ada heading.'));
+        } else {
+            const outline = document.createElement('ul');
+            outline.className = 'stats-outline';
+            stats.outline.forEach(heading => {
+                const item = this.createLineButton(heading.text || '(kosong)', heading.line);
+                item.style.paddingLeft = `${(heading.level - 1) * 0.75}rem`;
+                outline.appendChild(item);
+            });
+            el.body.appendChild(outline);
+        }
+
+        if (stats.brokenAnchors.length > 0) {
+            el.body.appendChild(this.createElement('h3', 'stats-heading', '⚠️ Anchor tanpa tujuan'));
+            const broken = document.createElement('ul');
+            broken.className = 'stats-broken';
+            stats.brokenAnchors.forEach(link => {
+                broken.appendChild(this.createLineButton(`${link.destination} (baris ${link.line})`, link.line));
+            });
+            el.body.appendChild(broken);
+        }
+    },
+
+    /**
+     * Item list berisi tombol yang melompat ke baris sumber
+     */
+    createLineButton: function(text, line) {
+        const item = document.createElement('li');
+        const button = this.createElement('button', 'stats-link', text);
+        button.type = 'button';
+        button.dataset.line = line;
+        item.appendChild(button);
+        return item;
+    },
+
+    createElement: function(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) {
+            element.className = className;
+        }
+        element.textContent = text;
+        return element;
+    },
+
+    /**
+     * FORMAT
+     */
+    formatNumber: function(value) {
+        return value.toLocaleString('id-ID');
+    },
+
+    formatMinutes: function(minutes) {
+        return minutes === 0 ? '0 menit' : `± ${minutes} menit`;
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * StatsPanel.update(DocumentStats.compute(IncrementalParser.getDocument()));
+ * StatsPanel.update(null);    // Dokumen kosong
+ */
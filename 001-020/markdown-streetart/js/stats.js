@@ -0,0 +1,275 @@
+/**
+ * ============================================
+ * DOCUMENT STATS MODULE
+ * ============================================
+ *
+ * File ini menghitung statistik dokumen dari AST hasil parser
+ * (bukan dari teks mentah): jumlah kata & karakter, waktu baca,
+ * outline heading, link, anchor (#id) yang tidak punya tujuan,
+ * dan skor keterbacaan Flesch.
+ *
+ * Hasil per block top-level disimpan di WeakMap dengan node sebagai
+ * key. IncrementalParser memakai ulang node block yang tidak berubah,
+ * jadi saat mengetik hanya block yang baru di-parse yang dihitung
+ * ulang; sisanya tinggal dijumlahkan.
+ *
+ * Tidak memakai DOM, sehingga juga bisa dijalankan di parser worker
+ * (lihat parser-worker.js).
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Walk AST untuk mengambil teks & link
+ * 2. WeakMap sebagai cache yang ikut hilang bersama node-nya
+ * 3. Rumus Flesch Reading Ease
+ */
+
+const DocumentStats = {
+
+    /**
+     * KONFIGURASI
+     */
+    wordsPerMinute: 200,
+
+    /**
+     * CACHE: node block top-level -> hasil blockStats
+     */
+    cache: new WeakMap(),
+
+    /**
+     * POLA
+     */
+    patterns: {
+        // Kata: huruf/angka, boleh disambung - atau ' ("bola-bola", "don't")
+        word: /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu,
+        // Potongan teks yang berisi minimal satu kata = satu kalimat
+        hasWord: /[\p{L}\p{N}]/u,
+        // Akhir kalimat: tanda baca diikuti spasi/akhir, atau akhir block
+        sentenceEnd: /[.!?…]+(?=\s|$)|\n\n/,
+        vowels: /[aeiouyàáâäèéêëìíîïòóôöùúûü]+/g
+    },
+
+    /**
+     * Node yang isinya bukan prosa (tidak dihitung sebagai kata)
+     */
+    skipTypes: ['code_block', 'html_block', 'html_inline', 'math_block', 'math_inline'],
+
+    /**
+     * Batas skor Flesch dan labelnya (dari yang tertinggi)
+     */
+    readabilityLevels: [
+        { min: 90, label: 'Sangat mudah' },
+        { min: 80, label: 'Mudah' },
+        { min: 70, label: 'Cukup mudah' },
+        { min: 60, label: 'Standar' },
+        { min: 50, label: 'Cukup sulit' },
+        { min: 30, label: 'Sulit' },
+        { min: -Infinity, label: 'Sangat sulit' }
+    ],
+
+    /**
+     * COMPUTE
+     *
+     * @param {Object} doc - Node document (IncrementalParser.getDocument())
+     * @returns {Object} - { words, characters, charactersNoSpaces, sentences,
+     *          readingMinutes, readability, outline, links, brokenAnchors }
+     */
+    compute: function(doc) {
+        const total = { words: 0, characters: 0, charactersNoSpaces: 0, sentences: 0, syllables: 0 };
+        const links = [];
+
+        doc.children.forEach(node => {
+            const stats = this.blockStats(node);
+            Object.keys(total).forEach(name => {
+                total[name] += stats[name];
+            });
+            stats.links.forEach(link => {
+                if (link.type === 'link') {
+                    links.push({
+                        destination: link.destination,
+                        text: link.text,
+                        line: node.startLine + link.lineOffset
+                    });
+                }
+            });
+        });
+
+        const outline = doc.headings || [];
+        const ids = new Set(outline.map(heading => heading.id));
+
+        return {
+            words: total.words,
+            characters: total.characters,
+            charactersNoSpaces: total.charactersNoSpaces,
+            sentences: total.sentences,
+            readingMinutes: total.words === 0 ? 0 : Math.max(1, Math.round(total.words / this.wordsPerMinute)),
+            readability: this.readability(total.words, total.sentences, total.syllables),
+            outline: outline,
+            links: links.length,
+            brokenAnchors: links.filter(link => this.isBrokenAnchor(link.destination, ids))
+        };
+    },
+
+    /**
+     * BLOCK STATS
+     *
+     * @param {Object} node - Block top-level
+     * @returns {Object} - { words, characters, charactersNoSpaces, sentences, syllables, links }
+     *          link: { type, destination, text, reference, lineOffset }
+     *          type 'link' atau 'image'; reference = label definition (reference link);
+     *          lineOffset relatif terhadap baris awal block, agar tetap benar
+     *          saat block bergeser
+     */
+    blockStats: function(node) {
+        const cached = this.cache.get(node);
+        if (cached) {
+            return cached;
+        }
+
+        const acc = { text: '', links: [], top: node.startLine, line: node.startLine };
+        this.collect(node, acc);
+
+        const words = acc.text.match(this.patterns.word) || [];
+        const stats = {
+            words: words.length,
+            characters: acc.text.replace(/\n\n/g, '').length,
+            charactersNoSpaces: acc.text.replace(/\s/g, '').length,
+            sentences: acc.text.split(this.patterns.sentenceEnd)
+                .filter(part => this.patterns.hasWord.test(part)).length,
+            syllables: words.reduce((sum, word) => sum + this.countSyllables(word), 0),
+            links: acc.links
+        };
+
+        this.cache.set(node, stats);
+        return stats;
+    },
+
+    /**
+     * COLLECT
+     *
+     * Kumpulkan teks prosa, link dan gambar. Setiap block diakhiri '\n\n'
+     * (= akhir kalimat, misal heading tanpa titik).
+     *
+     * @param {Object} node
+     * @param {Object} acc - { text, links, top, line }
+     */
+    collect: function(node, acc) {
+        if (node.type === 'image') {
+            // Alt text gambar bukan bagian dari teks yang dibaca
+            acc.links.push(this.linkInfo(node, acc));
+            return;
+        }
+        if (node.type === 'text' || node.type === 'code') {
+            acc.text += node.literal;
+            return;
+        }
+        if (node.type === 'softbreak' || node.type === 'linebreak') {
+            acc.text += ' ';
+            return;
+        }
+        if (this.skipTypes.includes(node.type)) {
+            return;
+        }
+
+        // Hanya node block yang punya startLine
+        const isBlock = node.startLine !== undefined;
+        const parentLine = acc.line;
+        if (isBlock) {
+            acc.line = node.startLine;
+        }
+
+        if (node.type === 'link') {
+            acc.links.push(this.linkInfo(node, acc));
+        }
+        if (node.children) {
+            node.children.forEach(child => this.collect(child, acc));
+        }
+
+        if (isBlock) {
+            acc.text += '\n\n';
+            acc.line = parentLine;
+        }
+    },
+
+    /**
+     * LINK INFO
+     *
+     * @param {Object} node - Node link atau image
+     * @param {Object} acc - State collect
+     * @returns {Object} - { type, destination, text, reference, lineOffset }
+     */
+    linkInfo: function(node, acc) {
+        return {
+            type: node.type,
+            destination: node.destination,
+            text: MarkdownParser.plainText(node.children).trim(),
+            reference: node.reference || null,
+            lineOffset: acc.line - acc.top
+        };
+    },
+
+    /**
+     * COUNT SYLLABLES
+     *
+     * Perkiraan: jumlah kelompok huruf vokal (min. 1).
+     * Cukup untuk bahasa Indonesia; untuk bahasa Inggris
+     * sedikit berlebih pada kata berakhiran "e".
+     *
+     * @param {string} word
+     * @returns {number}
+     */
+    countSyllables: function(word) {
+        const groups = word.toLowerCase().match(this.patterns.vowels);
+        return Math.max(1, groups ? groups.length : 0);
+    },
+
+    /**
+     * READABILITY: Flesch Reading Ease
+     *
+     * 206.835 - 1.015 × (kata / kalimat) - 84.6 × (suku kata / kata)
+     * Makin tinggi makin mudah dibaca (0-100).
+     *
+     * @returns {Object|null} - { score, label }, null jika belum ada kata
+     */
+    readability: function(words, sentences, syllables) {
+        if (words === 0 || sentences === 0) {
+            return null;
+        }
+        const raw = 206.835 - 1.015 * (words / sentences) - 84.6 * (syllables / words);
+        const score = Math.round(Math.max(0, Math.min(100, raw)));
+        return {
+            score: score,
+            label: this.readabilityLevels.find(level => score >= level.min).label
+        };
+    },
+
+    /**
+     * IS BROKEN ANCHOR
+     *
+     * Link "#id" di dokumen yang sama, tapi tidak ada heading dengan id itu
+     *
+     * @param {string} destination - URL link
+     * @param {Set<string>} ids - Id heading
+     * @returns {boolean}
+     */
+    isBrokenAnchor: function(destination, ids) {
+        if (!destination.startsWith('#') || destination.length === 1) {
+            return false;
+        }
+        let id = destination.slice(1);
+        try {
+            // normalizeURI di parser meng-encode huruf non-ASCII
+            id = decodeURIComponent(id);
+        } catch (error) {
+            // Biarkan apa adanya
+        }
+        return !ids.has(id);
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * IncrementalParser.update('# Judul\n\nLihat [bagian](#tidak-ada).');
+ * const stats = DocumentStats.compute(IncrementalParser.getDocument());
+ * // stats.words === 4, stats.links === 1
+ * // stats.brokenAnchors[0] => { destination: '#tidak-ada', text: 'bagian', line: 3 }
+ */
@@ -0,0 +1,459 @@
+/**
+ * ============================================
+ * DOCUMENT STORAGE MODULE
+ * ============================================
+ *
+ * File ini menyimpan dokumen markdown di browser agar tidak hilang
+ * saat reload. Semua berjalan offline, tanpa server.
+ *
+ * Backend dicoba berurutan:
+ * 1. IndexedDB    - kapasitas besar, asynchronous
+ * 2. localStorage - fallback jika IndexedDB tidak tersedia (upgrade yang
+ *                   terblokir tab lain ditunggu, bukan fallback)
+ * 3. memory       - fallback terakhir (mode private yang ketat),
+ *                   dokumen hilang saat reload
+ *
+ * Semua backend punya API yang sama dan selalu mengembalikan Promise,
+ * jadi Workspace tidak perlu tahu backend mana yang dipakai.
+ *
+ * Store:
+ * - documents: { id, title, content, createdAt, updatedAt }
+ * - revisions: { id, documentId, content, createdAt, reason }
+ *   (index documentId: riwayat satu dokumen tanpa membaca semua revisi)
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. IndexedDB (open, upgrade, transaction, object store)
+ * 2. Membungkus callback API menjadi Promise
+ * 3. Strategy pattern untuk backend penyimpanan
+ * 4. Fallback bertingkat
+ */
+
+const DocumentStore = {
+
+    /**
+     * KONFIGURASI
+     */
+    dbName: 'markdown-streetart',
+    dbVersion: 2,              // v2: tambah store revisions
+    stores: ['documents', 'revisions'],
+    indexes: { revisions: ['documentId'] },
+    storagePrefix: 'markdown-streetart:',
+    settingsKey: 'markdown-streetart:settings',
+    maxRevisions: 50,          // Batas riwayat per dokumen (backend bisa punya batas sendiri)
+
+    /**
+     * BACKEND YANG AKTIF (di-set oleh init)
+     */
+    backend: null,
+
+    /**
+     * Settings disimpan di memory jika localStorage tidak bisa dipakai
+     */
+    memorySettings: {},
+
+    /**
+     * Callback (text, isError) untuk pesan ke user, di-set oleh Workspace.
+     * Dipakai saat upgrade database menunggu / ditutup oleh tab lain.
+     */
+    onStatus: null,
+
+    notify: function(text, isError) {
+        if (typeof this.onStatus === 'function') {
+            this.onStatus(text, isError);
+        }
+    },
+
+    /**
+     * INIT: Pilih backend yang tersedia
+     *
+     * @returns {Promise<string>} - Nama backend yang dipakai
+     */
+    init: async function() {
+        if (this.backend) {
+            return this.backend.name;
+        }
+
+        const candidates = [this.backends.indexedDB, this.backends.localStorage, this.backends.memory];
+        for (const backend of candidates) {
+            try {
+                await backend.open.call(this);
+                this.backend = backend;
+                console.log(`✓ Document storage: ${backend.name}`);
+                return backend.name;
+            } catch (error) {
+                console.warn(`⚠️ Storage "${backend.name}" not available:`, error.message || error);
+            }
+        }
+        throw new Error('No document storage available');
+    },
+
+    /**
+     * LIST: Semua dokumen
+     *
+     * @returns {Promise<Array<Object>>}
+     */
+    list: function() {
+        return this.backend.getAll.call(this, 'documents');
+    },
+
+    /**
+     * GET: Satu dokumen
+     *
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    get: function(id) {
+        return this.backend.get.call(this, 'documents', id);
+    },
+
+    /**
+     * SAVE: Simpan (insert atau update) dokumen
+     *
+     * @param {Object} doc - Dokumen lengkap
+     * @returns {Promise<Object>} - Dokumen yang disimpan
+     */
+    save: function(doc) {
+        return this.backend.put.call(this, 'documents', doc).then(() => doc);
+    },
+
+    /**
+     * REMOVE: Hapus dokumen beserta riwayatnya
+     *
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    remove: async function(id) {
+        await this.backend.delete.call(this, 'documents', id);
+        const revisions = await this.listRevisions(id);
+        for (const revision of revisions) {
+            await this.backend.delete.call(this, 'revisions', revision.id);
+        }
+    },
+
+    /**
+     * LIST REVISIONS
+     *
+     * @param {string} documentId
+     * @returns {Promise<Array<Object>>} - Terbaru lebih dulu
+     */
+    listRevisions: async function(documentId) {
+        const revisions = await this.backend.getAllBy.call(this, 'revisions', 'documentId', documentId);
+        return revisions.sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    /**
+     * ADD REVISION
+     *
+     * Simpan snapshot, lalu buang yang paling lama jika
+     * melebihi maxRevisions (atau maxRevisions milik backend).
+     *
+     * @param {string} documentId
+     * @param {string} content - Isi markdown saat snapshot
+     * @param {string} reason - 'auto' | 'manual' | 'restore'
+     * @returns {Promise<Object>} - Revision yang disimpan
+     */
+    addRevision: async function(documentId, content, reason) {
+        const now = Date.now();
+        const revision = {
+            id: this.createId(now),
+            documentId: documentId,
+            content: content,
+            createdAt: now,
+            reason: reason
+        };
+        await this.backend.put.call(this, 'revisions', revision);
+
+        const limit = this.backend.maxRevisions || this.maxRevisions;
+        const revisions = await this.listRevisions(documentId);
+        for (const old of revisions.slice(limit)) {
+            await this.backend.delete.call(this, 'revisions', old.id);
+        }
+        return revision;
+    },
+
+    /**
+     * CREATE DOCUMENT
+     *
+     * Buat object dokumen baru (belum disimpan)
+     *
+     * @param {string} title - Nama dokumen
+     * @param {string} [content] - Isi markdown
+     * @returns {Object}
+     */
+    createDocument: function(title, content) {
+        const now = Date.now();
+        return {
+            id: this.createId(now),
+            title: title,
+            content: content || '',
+            createdAt: now,
+            updatedAt: now
+        };
+    },
+
+    /**
+     * CREATE ID
+     *
+     * Id unik: waktu (base36) + random
+     */
+    createId: function(now) {
+        return now.toString(36) + Math.random().toString(36).slice(2, 8);
+    },
+
+    /**
+     * SETTINGS
+     *
+     * Pengaturan kecil (dokumen terakhir dibuka, dll) selalu di
+     * localStorage agar bisa dibaca synchronous saat startup.
+     *
+     * @returns {Object}
+     */
+    loadSettings: function() {
+        try {
+            const raw = localStorage.getItem(this.settingsKey);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            return Object.assign({}, this.memorySettings);
+        }
+    },
+
+    /**
+     * Gabungkan perubahan ke settings yang tersimpan
+     *
+     * @param {Object} changes - Key yang diubah
+     * @returns {Object} - Settings setelah diubah
+     */
+    saveSettings: function(changes) {
+        const settings = Object.assign(this.loadSettings(), changes);
+        try {
+            localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+        } catch (error) {
+            this.memorySettings = settings;
+        }
+        return settings;
+    },
+
+    /**
+     * ============================================
+     * BACKENDS
+     * ============================================
+     *
+     * Setiap method dipanggil dengan `this` = DocumentStore
+     */
+    backends: {
+
+        indexedDB: {
+            name: 'indexedDB',
+
+            open: function() {
+                return new Promise((resolve, reject) => {
+                    if (typeof indexedDB === 'undefined') {
+                        reject(new Error('IndexedDB not supported'));
+                        return;
+                    }
+
+                    const request = indexedDB.open(this.dbName, this.dbVersion);
+                    let blocked = false;
+
+                    // Pertama kali (atau versi naik): buat object store & index yang belum ada
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        this.stores.forEach(name => {
+                            const store = db.objectStoreNames.contains(name) ?
+                                request.transaction.objectStore(name) :
+                                db.createObjectStore(name, { keyPath: 'id' });
+                            (this.indexes[name] || []).forEach(field => {
+                                if (!store.indexNames.contains(field)) {
+                                    store.createIndex(field, field);
+                                }
+                            });
+                        });
+                    };
+                    request.onsuccess = () => {
+                        const db = request.result;
+
+                        // Tab lain membuka versi yang lebih baru: lepaskan koneksi
+                        // agar upgrade-nya tidak terblokir oleh tab ini
+                        db.onversionchange = () => {
+                            db.close();
+                            this.db = null;
+                            console.warn('⚠️ IndexedDB upgraded in another tab, connection closed');
+                            this.notify('⚠️ Database diperbarui di tab lain, muat ulang halaman', true);
+                        };
+
+                        if (blocked) {
+                            this.notify('');
+                        }
+                        this.db = db;
+                        resolve();
+                    };
+                    request.onerror = () => reject(request.error);
+
+                    // Tab lain (versi lama) masih membuka database: tunggu sampai
+                    // tab itu ditutup, jangan pindah ke localStorage. Jika pindah,
+                    // dokumen di IndexedDB tidak terlihat dan edit baru masuk ke
+                    // backend yang berbeda.
+                    request.onblocked = () => {
+                        blocked = true;
+                        console.warn('⚠️ IndexedDB upgrade blocked by another tab, waiting');
+                        this.notify('⏳ Tutup tab Markdown StreetArt yang lain untuk memperbarui database...');
+                    };
+                });
+            },
+
+            getAll: function(store) {
+                return this.backends.indexedDB.request.call(this, store, 'readonly', s => s.getAll());
+            },
+
+            // field harus ada di DocumentStore.indexes
+            getAllBy: function(store, field, value) {
+                return this.backends.indexedDB.request.call(this, store, 'readonly', s => s.index(field).getAll(value));
+            },
+
+            get: function(store, id) {
+                return this.backends.indexedDB.request.call(this, store, 'readonly', s => s.get(id))
+                    .then(value => value || null);
+            },
+
+            put: function(store, value) {
+                return this.backends.indexedDB.request.call(this, store, 'readwrite', s => s.put(value));
+            },
+
+            delete: function(store, id) {
+                return this.backends.indexedDB.request.call(this, store, 'readwrite', s => s.delete(id));
+            },
+
+            /**
+             * Jalankan satu request dalam transaction.
+             * Resolve setelah transaction complete (data benar-benar tersimpan).
+             */
+            request: function(store, mode, run) {
+                return new Promise((resolve, reject) => {
+                    if (!this.db) {
+                        reject(new Error('IndexedDB connection closed, reload the page'));
+                        return;
+                    }
+                    const transaction = this.db.transaction(store, mode);
+                    const request = run(transaction.objectStore(store));
+
+                    transaction.oncomplete = () => resolve(request.result);
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+                });
+            }
+        },
+
+        localStorage: {
+            name: 'localStorage',
+
+            // Revisi semua dokumen ada di satu key, berbagi kuota (~5 MB)
+            // dengan dokumennya: simpan sedikit saja
+            maxRevisions: 5,
+
+            open: function() {
+                // Akses localStorage bisa throw SecurityError
+                const probe = this.storagePrefix + 'probe';
+                localStorage.setItem(probe, '1');
+                localStorage.removeItem(probe);
+                return Promise.resolve();
+            },
+
+            // Setiap store disimpan sebagai satu object { id: value }
+            read: function(store) {
+                const raw = localStorage.getItem(this.storagePrefix + store);
+                return raw ? JSON.parse(raw) : {};
+            },
+
+            write: function(store, values) {
+                // Bisa throw QuotaExceededError, diteruskan sebagai rejection
+                localStorage.setItem(this.storagePrefix + store, JSON.stringify(values));
+            },
+
+            getAll: function(store) {
+                const values = this.backends.localStorage.read.call(this, store);
+                return Promise.resolve(Object.keys(values).map(id => values[id]));
+            },
+
+            // Tanpa index: satu store memang dibaca utuh dari satu key
+            getAllBy: function(store, field, value) {
+                return this.backends.localStorage.getAll.call(this, store)
+                    .then(values => values.filter(item => item[field] === value));
+            },
+
+            get: function(store, id) {
+                const values = this.backends.localStorage.read.call(this, store);
+                return Promise.resolve(values[id] || null);
+            },
+
+            put: function(store, value) {
+                return new Promise(resolve => {
+                    const values = this.backends.localStorage.read.call(this, store);
+                    values[value.id] = value;
+                    this.backends.localStorage.write.call(this, store, values);
+                    resolve();
+                });
+            },
+
+            delete: function(store, id) {
+                return new Promise(resolve => {
+                    const values = this.backends.localStorage.read.call(this, store);
+                    delete values[id];
+                    this.backends.localStorage.write.call(this, store, values);
+                    resolve();
+                });
+            }
+        },
+
+        memory: {
+            name: 'memory',
+
+            open: function() {
+                this.memoryStores = {};
+                this.stores.forEach(name => {
+                    this.memoryStores[name] = new Map();
+                });
+                return Promise.resolve();
+            },
+
+            // Selalu salin object agar perilakunya sama dengan storage sungguhan
+            getAll: function(store) {
+                return Promise.resolve(Array.from(this.memoryStores[store].values()).map(value => Object.assign({}, value)));
+            },
+
+            getAllBy: function(store, field, value) {
+                return this.backends.memory.getAll.call(this, store)
+                    .then(values => values.filter(item => item[field] === value));
+            },
+
+            get: function(store, id) {
+                const value = this.memoryStores[store].get(id);
+                return Promise.resolve(value ? Object.assign({}, value) : null);
+            },
+
+            put: function(store, value) {
+                this.memoryStores[store].set(value.id, Object.assign({}, value));
+                return Promise.resolve();
+            },
+
+            delete: function(store, id) {
+                this.memoryStores[store].delete(id);
+                return Promise.resolve();
+            }
+        }
+    }
+};
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * await DocumentStore.init();                  // 'indexedDB'
+ * const doc = DocumentStore.createDocument('Catatan', '# Halo');
+ * await DocumentStore.save(doc);
+ * await DocumentStore.list();                  // [{ id, title: 'Catatan', ... }]
+ *
+ * await DocumentStore.addRevision(doc.id, doc.content, 'manual');
+ * await DocumentStore.listRevisions(doc.id);   // [{ id, content, createdAt, ... }]
+ *
+ * DocumentStore.saveSettings({ lastOpenId: doc.id });
+ * DocumentStore.loadSettings().lastOpenId;     // doc.id
+ */
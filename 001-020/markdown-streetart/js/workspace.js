@@ -0,0 +1,406 @@
+/**
+ * ============================================
+ * WORKSPACE MODULE
+ * ============================================
+ *
+ * File ini mengatur sidebar daftar dokumen: buat, ganti nama,
+ * duplikat, hapus, dan pindah dokumen. Isi editor disimpan otomatis
+ * (autosave) lewat DocumentStore, dan dokumen terakhir yang dibuka
+ * dibuka lagi saat halaman di-load.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. async/await untuk operasi storage
+ * 2. Event delegation (satu listener untuk seluruh list)
+ * 3. Debounced autosave + flush saat tab ditutup/disembunyikan
+ * 4. Render list dengan textContent (judul dari user tidak pernah jadi HTML)
+ */
+
+const Workspace = {
+
+    /**
+     * DOM ELEMENTS
+     */
+    elements: {
+        list: null,       // <ul> daftar dokumen
+        newButton: null,  // Tombol dokumen baru
+        status: null      // Status autosave
+    },
+
+    /**
+     * STATE
+     */
+    documents: [],        // Semua dokumen (tanpa urutan khusus)
+    current: null,        // Dokumen yang sedang dibuka
+    saveTimer: null,
+    saveDelay: 800,       // ms setelah berhenti mengetik
+    pendingSave: null,    // Promise save yang sedang berjalan
+    defaultTitle: 'Tanpa Judul',
+
+    /**
+     * INIT
+     *
+     * Dipanggil App.init setelah editor siap
+     */
+    init: async function() {
+        this.elements.list = document.getElementById('document-list');
+        this.elements.newButton = document.getElementById('document-new');
+        this.elements.status = document.getElementById('save-status');
+
+        if (!this.elements.list) {
+            console.error('❌ Workspace elements not found!');
+            return;
+        }
+
+        this.setupEventListeners();
+
+        DocumentStore.onStatus = (text, isError) => this.setStatus(text, isError);
+
+        try {
+            await DocumentStore.init();
+            this.documents = await DocumentStore.list();
+
+            // Pertama kali: dokumen dari isi editor saat ini
+            if (this.documents.length === 0) {
+                const doc = DocumentStore.createDocument(this.defaultTitle, App.elements.editor.value);
+                await DocumentStore.save(doc);
+                this.documents.push(doc);
+            }
+
+            // Buka dokumen terakhir, atau yang terakhir diubah
+            const lastOpenId = DocumentStore.loadSettings().lastOpenId;
+            const last = this.documents.find(doc => doc.id === lastOpenId) ||
+                this.documents.slice().sort((a, b) => b.updatedAt - a.updatedAt)[0];
+            this.open(last);
+
+            console.log('✓ Workspace ready');
+        } catch (error) {
+            console.error('❌ Workspace failed to load:', error);
+            this.setStatus('⚠️ Penyimpanan tidak tersedia', true);
+        }
+    },
+
+    /**
+     * SETUP EVENT LISTENERS
+     */
+    setupEventListeners: function() {
+        this.elements.newButton.addEventListener('click', () => {
+            this.createDocument();
+        });
+
+        // Event delegation: satu listener untuk semua item & tombol
+        this.elements.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-id]');
+            if (!item) {
+                return;
+            }
+            const action = e.target.closest('[data-action]');
+            this.handleAction(action ? action.dataset.action : 'open', item.dataset.id);
+        });
+
+        // Simpan perubahan terakhir sebelum tab ditutup/disembunyikan
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.flush();
+        });
+    },
+
+    /**
+     * HANDLE ACTION
+     *
+     * @param {string} action - open | rename | duplicate | delete
+     * @param {string} id - Id dokumen
+     */
+    handleAction: function(action, id) {
+        const doc = this.documents.find(d => d.id === id);
+        if (!doc) {
+            return;
+        }
+
+        switch (action) {
+            case 'open':
+                if (doc !== this.current) {
+                    this.switchTo(doc);
+                }
+                break;
+            case 'rename':
+                this.renameDocument(doc);
+                break;
+            case 'duplicate':
+                this.duplicateDocument(doc);
+                break;
+            case 'delete':
+                this.deleteDocument(doc);
+                break;
+        }
+    },
+
+    /**
+     * OPEN: Tampilkan dokumen di editor
+     *
+     * @param {Object} doc
+     */
+    open: function(doc) {
+        this.current = doc;
+        DocumentStore.saveSettings({ lastOpenId: doc.id });
+        App.setContent(doc.content);
+        this.renderList();
+        this.setStatus('');
+
+        if (RevisionHistory.isOpen()) {
+            RevisionHistory.refresh();
+        }
+    },
+
+    /**
+     * SWITCH TO: Simpan dokumen saat ini, lalu buka dokumen lain
+     *
+     * @param {Object} doc
+     */
+    switchTo: async function(doc) {
+        // Snapshot & simpan dokumen lama sebelum editor diganti
+        await RevisionHistory.flush();
+        await this.flush();
+        this.open(doc);
+    },
+
+    /**
+     * CREATE DOCUMENT
+     */
+    createDocument: async function() {
+        const doc = DocumentStore.createDocument(this.uniqueTitle(this.defaultTitle));
+        await this.persist(doc);
+        this.documents.push(doc);
+        await this.switchTo(doc);
+        App.elements.editor.focus();
+    },
+
+    /**
+     * RENAME DOCUMENT
+     *
+     * @param {Object} doc
+     */
+    renameDocument: async function(doc) {
+        const title = window.prompt('Nama dokumen:', doc.title);
+        if (title === null || title.trim() === '' || title.trim() === doc.title) {
+            return;
+        }
+        doc.title = title.trim();
+        doc.updatedAt = Date.now();
+        this.renderList();
+        await this.persist(doc);
+    },
+
+    /**
+     * DUPLICATE DOCUMENT
+     *
+     * @param {Object} doc
+     */
+    duplicateDocument: async function(doc) {
+        // Pastikan isi terbaru ikut tersalin
+        if (doc === this.current) {
+            await this.flush();
+        }
+        const copy = DocumentStore.createDocument(this.uniqueTitle(`${doc.title} (salinan)`), doc.content);
+        await this.persist(copy);
+        this.documents.push(copy);
+        await this.switchTo(copy);
+    },
+
+    /**
+     * DELETE DOCUMENT
+     *
+     * @param {Object} doc
+     */
+    deleteDocument: async function(doc) {
+        if (!window.confirm(`Hapus "${doc.title}"? Tindakan ini tidak bisa dibatalkan.`)) {
+            return;
+        }
+
+        if (doc === this.current) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            clearTimeout(RevisionHistory.autoTimer);
+            RevisionHistory.autoTimer = null;
+        }
+
+        try {
+            await DocumentStore.remove(doc.id);
+        } catch (error) {
+            console.error('❌ Failed to delete document:', error);
+            this.setStatus('⚠️ Gagal menghapus', true);
+            return;
+        }
+        this.documents = this.documents.filter(d => d !== doc);
+
+        // Selalu ada minimal satu dokumen
+        if (this.documents.length === 0) {
+            const fresh = DocumentStore.createDocument(this.defaultTitle);
+            await this.persist(fresh);
+            this.documents.push(fresh);
+        }
+
+        if (doc === this.current) {
+            this.open(this.documents[0]);
+        } else {
+            this.renderList();
+        }
+    },
+
+    /**
+     * SCHEDULE SAVE
+     *
+     * Dipanggil App setiap isi editor berubah (debounced)
+     */
+    scheduleSave: function() {
+        if (!this.current) {
+            return;
+        }
+        clearTimeout(this.saveTimer);
+        this.setStatus('● Belum disimpan');
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveCurrent();
+        }, this.saveDelay);
+    },
+
+    /**
+     * FLUSH
+     *
+     * Simpan sekarang juga jika ada perubahan yang belum disimpan
+     *
+     * @returns {Promise<void>}
+     */
+    flush: async function() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            await this.saveCurrent();
+        } else if (this.pendingSave) {
+            await this.pendingSave;
+        }
+    },
+
+    /**
+     * SAVE CURRENT
+     *
+     * Ambil isi editor ke dokumen aktif lalu simpan
+     */
+    saveCurrent: async function() {
+        const doc = this.current;
+        const content = App.elements.editor.value;
+        if (!doc || content === doc.content) {
+            this.setStatus('✓ Tersimpan');
+            return;
+        }
+
+        doc.content = content;
+        doc.updatedAt = Date.now();
+        this.setStatus('Menyimpan...');
+        if (await this.persist(doc)) {
+            this.setStatus('✓ Tersimpan');
+        }
+    },
+
+    /**
+     * PERSIST
+     *
+     * Simpan dokumen, error ditampilkan di status (bukan dilempar)
+     *
+     * @param {Object} doc
+     * @returns {Promise<boolean>} - true jika berhasil
+     */
+    persist: async function(doc) {
+        this.pendingSave = DocumentStore.save(Object.assign({}, doc));
+        try {
+            await this.pendingSave;
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to save document:', error);
+            this.setStatus('⚠️ Gagal menyimpan', true);
+            return false;
+        } finally {
+            this.pendingSave = null;
+        }
+    },
+
+    /**
+     * UNIQUE TITLE
+     *
+     * "Tanpa Judul", "Tanpa Judul 2", "Tanpa Judul 3", ...
+     *
+     * @param {string} base
+     * @returns {string}
+     */
+    uniqueTitle: function(base) {
+        const titles = new Set(this.documents.map(doc => doc.title));
+        let title = base;
+        for (let n = 2; titles.has(title); n++) {
+            title = `${base} ${n}`;
+        }
+        return title;
+    },
+
+    /**
+     * RENDER LIST
+     *
+     * Daftar diurutkan berdasarkan waktu dibuat agar posisi
+     * tidak loncat-loncat saat dokumen diedit.
+     */
+    renderList: function() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        this.documents
+            .slice()
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .forEach(doc => {
+                const item = document.createElement('li');
+                item.className = 'document-item' + (doc === this.current ? ' active' : '');
+                item.dataset.id = doc.id;
+
+                const open = document.createElement('button');
+                open.type = 'button';
+                open.className = 'document-title';
+                open.textContent = doc.title;
+                open.title = doc.title;
+                item.appendChild(open);
+
+                const actions = document.createElement('span');
+                actions.className = 'document-actions';
+                [
+                    ['rename', '✏️', 'Ganti nama'],
+                    ['duplicate', '📄', 'Duplikat'],
+                    ['delete', '🗑️', 'Hapus']
+                ].forEach(([action, icon, label]) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.dataset.action = action;
+                    button.textContent = icon;
+                    button.title = label;
+                    button.setAttribute('aria-label', `${label} ${doc.title}`);
+                    actions.appendChild(button);
+                });
+                item.appendChild(actions);
+
+                list.appendChild(item);
+            });
+    },
+
+    /**
+     * SET STATUS
+     *
+     * @param {string} text - Pesan status autosave
+     * @param {boolean} [isError]
+     */
+    setStatus: function(text, isError) {
+        if (!this.elements.status) {
+            return;
+        }
+        this.elements.status.textContent = text;
+        this.elements.status.classList.toggle('error', Boolean(isError));
+    }
+};
@@ -0,0 +1,132 @@
+/**
+ * ============================================
+ * MARKDOWN ES MODULE
+ * ============================================
+ *
+ * File ini membuat parser & sanitizer bisa dipakai sebagai ES module,
+ * di Node.js (CLI, batch convert) maupun di browser (<script type="module">).
+ *
+ * File di js/ tetap classic script (index.html & Web Worker memakainya
+ * apa adanya), jadi module ini tidak menyalin code: file-file tsb dibaca
+ * lalu dijalankan dalam satu function scope, urutannya sama dengan
+ * index.html. Hasilnya object yang sama: MarkdownParser dengan semua
+ * plugin (extensions, math) dan HTMLSanitizer dengan whitelist plugin.
+ *
+ * Tanpa DOM (Node.js) HTMLSanitizer.sanitize otomatis memakai
+ * tokenizer sendiri (lihat SANITIZE TANPA DOM di sanitizer.js).
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. import.meta.url untuk path relatif terhadap file module
+ * 2. Top-level await
+ * 3. new Function untuk menjalankan classic script dalam scope sendiri
+ */
+
+// Urutan sama dengan index.html: plugin di-load setelah parser & sanitizer
+const SCRIPTS = ['highlighter.js', 'entities.js', 'parser.js', 'sanitizer.js', 'extensions.js', 'math.js'];
+
+/**
+ * READ SCRIPT
+ *
+ * Node.js membaca dari disk (fetch tidak bisa file://),
+ * browser memakai fetch.
+ *
+ * @param {URL} url
+ * @returns {Promise<string>}
+ */
+async function readScript(url) {
+    if (url.protocol === 'file:') {
+        const { readFile } = await import('node:fs/promises');
+        return readFile(url, 'utf8');
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Gagal memuat ${url}: ${response.status}`);
+    }
+    return response.text();
+}
+
+const sources = await Promise.all(SCRIPTS.map(name => readScript(new URL(`../js/${name}`, import.meta.url))));
+
+// `;` di antara file: jaga-jaga file yang tidak diakhiri titik koma
+const modules = new Function(`${sources.join('\n;\n')}
+return { SyntaxHighlighter, HTMLEntities, MarkdownParser, HTMLSanitizer };`)();
+
+export const { SyntaxHighlighter, HTMLEntities, MarkdownParser, HTMLSanitizer } = modules;
+
+// Instance per profil, dibuat sekali saja
+const sanitizers = {};
+
+/**
+ * CONVERT
+ *
+ * Markdown -> HTML aman, sama seperti preview.
+ *
+ * @param {string} markdown
+ * @param {Object} [options]
+ * @param {string} [options.profile='default'] - Profil sanitizer (strict, default, trusted)
+ * @param {boolean} [options.report=false] - Kembalikan juga yang dibuang sanitizer
+ * @returns {string|Object} - HTML, atau { html, removed } jika report
+ *          (removed: lihat REMOVAL REPORT di sanitizer.js, `line` = baris markdown)
+ */
+export function convert(markdown, options = {}) {
+    const profile = options.profile || 'default';
+    if (!sanitizers[profile]) {
+        sanitizers[profile] = HTMLSanitizer.create(profile);
+    }
+    const sanitizer = sanitizers[profile];
+
+    // Markup yang pasti dibuang profil tidak usah dibuat parser, agar
+    // report hanya berisi yang memang ditulis di markdown.
+    // Tanpa <span> (strict) token highlighting dibuang beserta isinya,
+    // jadi code block ditulis polos saja. Plugin yang tag-nya tidak
+    // diizinkan (footnote, definition list, rumus, ...) dimatikan:
+    // syntax-nya tampil sebagai text, bukan hilang bersama isinya.
+    const allows = (tag, attrName) => (sanitizer.allowedAttributes[tag] || []).includes(attrName);
+    const parseOptions = {
+        externalLinks: MarkdownParser.options.externalLinks && allows('a', 'target'),
+        languageClass: MarkdownParser.options.languageClass && allows('code', 'class'),
+        disabledPlugins: MarkdownParser.plugins
+            .filter(plugin => plugin.sanitize && (plugin.sanitize.tags || []).some(tag => !sanitizer.allowedTags.includes(tag)))
+            .map(plugin => plugin.name)
+    };
+    if (!sanitizer.allowedTags.includes('span')) {
+        parseOptions.highlight = false;
+    }
+
+    if (!options.report) {
+        return sanitizer.sanitize(MarkdownParser.parse(markdown, parseOptions));
+    }
+
+    // Nomor baris hanya dibutuhkan report, lalu dibuang dari output.
+    // Cukup cari di dalam tag: '<' di text selalu sudah di-escape sanitizer.
+    parseOptions.sourceLines = true;
+    const result = sanitizer.sanitize(MarkdownParser.parse(markdown, parseOptions), { report: true });
+    result.html = result.html.replace(/<[^>]*>/g, tag => tag.replace(/ data-source-line="\d+"/, ''));
+    return result;
+}
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * // Node.js
+ * import { convert, HTMLSanitizer } from './lib/markdown.mjs';
+ *
+ * convert('# Halo *dunia*');
+ * // '<h1 id="halo-dunia">Halo <em>dunia</em></h1>\n'
+ *
+ * convert('<img src=x onerror=alert(1)>', { profile: 'strict', report: true });
+ * // { html: '', removed: [{ type: 'element', tag: 'img', reason: 'disallowed-tag', line: 1, ... }] }
+ *
+ * convert('x[^1]\n\n[^1]: isi catatan', { profile: 'strict' });
+ * // '<p>x[^1]</p>\n<p>[^1]: isi catatan</p>\n' (footnote butuh <sup>, tidak ada di strict)
+ *
+ * HTMLSanitizer.sanitize('<a href="javascript:alert(1)">x</a>');
+ * // '<a>x</a>'
+ *
+ * // Browser
+ * <script type="module">
+ *     import { convert } from './lib/markdown.mjs';
+ *     document.body.innerHTML = convert(markdown);
+ * </script>
+ */
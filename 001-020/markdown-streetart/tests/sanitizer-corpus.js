@@ -0,0 +1,736 @@
+/**
+ * ============================================
+ * SANITIZER CORPUS
+ * ============================================
+ *
+ * Kumpulan payload XSS / mXSS untuk regresi HTMLSanitizer.
+ * Dijalankan oleh tests/sanitizer-corpus.html (buka langsung dari
+ * disk, tanpa server & tanpa network), dan oleh
+ * tests/sanitizer-corpus.mjs di Node.js untuk jalur tanpa DOM
+ * (node tests/sanitizer-corpus.mjs, tanpa uji dinamis).
+ *
+ * Setiap payload melewati jalur yang sama dengan preview:
+ * - html: HTMLSanitizer.sanitize(payload)
+ * - markdown: HTMLSanitizer.sanitize(MarkdownParser.parse(payload))
+ *
+ * Hasilnya dianggap lolos jika:
+ * 1. Tidak ada tag / atribut / URL yang bisa menjalankan script
+ *    (dicek dengan aturan sendiri, bukan memakai fungsi sanitizer)
+ * 2. Tetap aman setelah di-parse ulang sebagai dokumen utuh (mXSS)
+ * 3. Stabil: sanitize(hasil) === hasil
+ * 4. Saat dimasukkan ke halaman, alert/confirm/prompt tidak terpanggil
+ * 5. Case di agreement: jalur DOM dan tanpa DOM menghasilkan HTML yang sama
+ *
+ * Payload ditulis tangan (vektor yang dikenal) ditambah variasi
+ * yang dibangkitkan: obfuscation URL x konteks, event handler x tag.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Regression corpus untuk kode keamanan
+ * 2. Oracle independen (checker tidak memakai kode yang dites)
+ * 3. Uji dinamis: override window.alert lalu render
+ */
+
+const SanitizerCorpus = {
+
+    /**
+     * PAYLOAD HTML (ditulis tangan)
+     */
+    html: [
+        // Script & event handler dasar
+        '<script>alert(1)</script>',
+        '<SCRIPT SRC=//x.y/xss.js></SCRIPT>',
+        '<scr<script>ipt>alert(1)</scr</script>ipt>',
+        '<script/xss src=x></script>',
+        '<<script>alert(1);//<</script>',
+        '<img src=x onerror=alert(1)>',
+        '<img src=x onerror="alert(1)">',
+        '<IMG SRC=x OnErRoR=alert(1)>',
+        '<img/src=x/onerror=alert(1)>',
+        '<img src=x onerror  =  alert(1)>',
+        '<img src=x onerror=alert(1)//',
+        '<img """><script>alert(1)</script>">',
+        '<img src="x` `<script>alert(1)</script>"` `>',
+        '<img src=`x`onerror=alert(1)>',
+        '<img src="x" alt="" onerror="alert(1)" title="">',
+        '<img src="x"onerror="alert(1)">',
+        '<img src=x:alert(alt) onerror=eval(src) alt=0>',
+        '<image src=x onerror=alert(1)>',
+        '<body onload=alert(1)>',
+        '<p onclick="alert(1)">klik</p>',
+        '<a href="#" onmouseover="alert(1)">x</a>',
+        '<input type="checkbox" autofocus onfocus="alert(1)">',
+        '<input type="text" autofocus onfocus="alert(1)">',
+        '<input type="image" src=x onerror=alert(1)>',
+        '<details open ontoggle=alert(1)>',
+        '<video src=x onerror=alert(1)></video>',
+        '<audio src=x onerror=alert(1)>',
+        '<video><source onerror=alert(1)></video>',
+        '<marquee onstart=alert(1)>x</marquee>',
+        '<div style="animation-name:x" onanimationstart="alert(1)"></div>',
+        '<select autofocus onfocus=alert(1)>',
+        '<textarea autofocus onfocus=alert(1)>',
+        '<keygen autofocus onfocus=alert(1)>',
+        '<isindex action=javascript:alert(1) type=image>',
+        '<form><button formaction=javascript:alert(1)>x</button></form>',
+        '<form action="javascript:alert(1)"><input type=submit></form>',
+
+        // Dokumen lain / object
+        '<iframe src="javascript:alert(1)"></iframe>',
+        '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+        '<object data="javascript:alert(1)"></object>',
+        '<embed src="javascript:alert(1)">',
+        '<frameset onload=alert(1)>',
+        '<base href="javascript:alert(1)//">',
+        '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+        '<link rel="import" href="data:text/html,<script>alert(1)</script>">',
+        '<portal src="javascript:alert(1)"></portal>',
+
+        // Style
+        '<style>@import "javascript:alert(1)";</style>',
+        '<style>*{background:url("javascript:alert(1)")}</style>',
+        '<p style="background:url(javascript:alert(1))">x</p>',
+        '<p style="width:expression(alert(1))">x</p>',
+        '<div style="behavior:url(x.htc)">x</div>',
+        '<span style="color:red;background-image:url(javascript:alert(1))">x</span>',
+        '<span style="background-color:url(javascript:alert(1))">x</span>',
+        '<span style="color: expression(alert(1))">x</span>',
+        '<span style="color: exp/**/ression(alert(1))">x</span>',
+        '<span style="color: \\65 xpression(alert(1))">x</span>',
+        '<span style="background-color: \\75 rl(javascript:alert(1))">x</span>',
+        '<span style="color:red;@import \'javascript:alert(1)\'">x</span>',
+        '<span style="@import url(//x.y/a.css); color: red">x</span>',
+        '<span style="color: red; -moz-binding: url(x.xml#xss)">x</span>',
+        '<span style="color: rgb(0,0,0); x: y; background: url(x)">x</span>',
+        '<span style="color: red\u0000; background: url(x)">x</span>',
+        '<span style="color: red&#59; background-image&#58; url(javascript:alert(1))">x</span>',
+        '<span style="color: rgb(1;background:url(javascript:alert(1)))">x</span>',
+        '<span style=\'color: "x;background:url(javascript:alert(1))"\'>x</span>',
+        '<span style="position:fixed;top:0;left:0;width:100%;height:100%">x</span>',
+        '<p style="text-align: center !important; font-weight: 700">x</p>',
+        '<p style="text-align: center" onclick="alert(1)">x</p>',
+        '<img src=x style="x:expression(alert(1))" onerror=alert(1)>',
+        '<math><mi style="color: url(javascript:alert(1))">x</mi></math>',
+
+        // SVG
+        '<svg onload=alert(1)>',
+        '<svg><script>alert(1)</script></svg>',
+        '<svg><a xlink:href="javascript:alert(1)"><text x="20" y="20">x</text></a></svg>',
+        '<svg><animate onbegin=alert(1) attributeName=x dur=1s>',
+        '<svg><set attributeName=href to="javascript:alert(1)"/></svg>',
+        '<svg><foreignObject><img src=x onerror=alert(1)></foreignObject></svg>',
+        '<svg><desc><img src=x onerror=alert(1)></desc></svg>',
+        '<svg><style><img src=x onerror=alert(1)></style></svg>',
+        '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+        '<svg><p><style><a id="</style><img src=1 onerror=alert(1)>">',
+        '<img src="data:image/svg+xml,<svg onload=alert(1)>">',
+        '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+
+        // MathML & namespace confusion (mXSS)
+        '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+        '<math><mtext><table><mglyph><style><!--</style><img title="--&gt;&lt;/mglyph&gt;&lt;img&Tab;src=1&Tab;onerror=alert(1)&gt;">',
+        '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+        '<math><mtext><h1><a><h6></a></h6><mglyph><svg><mtext><style><a title="</style><img src onerror=alert(1)>"></style></h1>',
+        '<math><mi><mglyph><svg><mtext><textarea><a title="</textarea><img src=x onerror=alert(1)>">',
+        '<math><mtext><mglyph><svg><mi><style><img src=x onerror=alert(1)>',
+        '<math><style><img src=x onerror=alert(1)></style></math>',
+        '<math><a href="javascript:alert(1)">x</a></math>',
+        '<math href="javascript:alert(1)">x</math>',
+        '<math><maction actiontype="statusline" xlink:href="javascript:alert(1)">x</maction></math>',
+        '<math><annotation-xml encoding="text/html"><img src=x onerror=alert(1)></annotation-xml></math>',
+        '<math><semantics><annotation-xml encoding="application/xhtml+xml"><style><img src=x onerror=alert(1)></style></annotation-xml></semantics></math>',
+        '<math><annotation><img src=x onerror=alert(1)></annotation></math>',
+        '<math><mi><p>html</p><img src=x onerror=alert(1)></mi></math>',
+        '<math><mrow><p>bukan integration point</p></mrow></math>',
+        '<mi><style><img src=x onerror=alert(1)></style></mi>',
+        '<math><math><mi>x</mi></math></math>',
+
+        // Raw text / re-parse
+        '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+        '<noscript><style></noscript><img src=x onerror=alert(1)></style>',
+        '<template><img src=x onerror=alert(1)></template>',
+        '<template><script>alert(1)</script></template>',
+        '<xmp><p title="</xmp><img src=x onerror=alert(1)>"></xmp>',
+        '<noembed><img title="</noembed><img src=x onerror=alert(1)>"></noembed>',
+        '<noframes><img title="</noframes><img src=x onerror=alert(1)>"></noframes>',
+        '<iframe><img title="</iframe><img src=x onerror=alert(1)>"></iframe>',
+        '<textarea><img title="</textarea><img src=x onerror=alert(1)>"></textarea>',
+        '<title><img title="</title><img src=x onerror=alert(1)>"></title>',
+        '<plaintext><img src=x onerror=alert(1)>',
+        '<listing>&lt;img src=x onerror=alert(1)&gt;</listing>',
+        '<a title="a"><!--<img src=x onerror=alert(1)>--></a>',
+        '<!--><img src=x onerror=alert(1)>-->',
+        '<!-- --!><img src=x onerror=alert(1)>-->',
+        '<![CDATA[<img src=x onerror=alert(1)>]]>',
+        '<?xml version="1.0"?><img src=x onerror=alert(1)>',
+        '<p>a</p><!--',
+        '<a href="</a><img src=x onerror=alert(1)>">x</a>',
+        '<p title="</p><img src=x onerror=alert(1)>">x</p>',
+        '<code>&lt;img src=x onerror=alert(1)&gt;</code>',
+        '<pre><code>&lt;/code&gt;&lt;script&gt;alert(1)&lt;/script&gt;</code></pre>',
+        '<table><tr><td><style><img src=x onerror=alert(1)></style></td></tr></table>',
+        '<table><img src=x onerror=alert(1)></table>',
+        '<table><td><a href="javascript:alert(1)">x</a></td></table>',
+
+        // DOM clobbering
+        '<form><input name="attributes"><input name="nodeName"><img src=x onerror=alert(1)></form>',
+        '<form id="x"><input name="tagName"></form><img src=x onerror=alert(1)>',
+        '<form><input name="childNodes"><input name="removeChild"><script>alert(1)</script></form>',
+        '<img name="getElementById"><img id="cookie">',
+        '<a id="HTMLSanitizer" href="javascript:alert(1)">x</a>',
+        '<h1 id="x onmouseover=alert(1)">x</h1>',
+        '<h1 id="__proto__">x</h1>',
+
+        // Atribut & class
+        '<a href="https://x.y" onclick="alert(1)" target="_blank">x</a>',
+        '<span class="tok-string" onmouseover="alert(1)">x</span>',
+        '<code class="language-js" style="x:expression(alert(1))">x</code>',
+        '<input type="checkbox" checked onclick="alert(1)">',
+        '<input type="checkbox " onfocus=alert(1) autofocus>',
+        '<input type=hidden accesskey=x onclick=alert(1)>',
+        '<nav class="toc" onclick="alert(1)">x</nav>',
+        '<p data-source-line="1" data-x="alert(1)">x</p>',
+        '<p data-source-line="1 onclick=alert(1)">x</p>',
+        '<a href="https://x.y" xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href="javascript:alert(1)">x</a>',
+        '<a href="https://x.y" is="x-foo">x</a>',
+        '<a href="#" is="x-foo">x</a>',
+        '<p is="x-foo"><a href="#top" is="x-bar">x</a></p>',
+
+        // URL
+        '<a href="javascript:alert(1)">x</a>',
+        '<a href="javascript:alert(1)" href="https://x.y">x</a>',
+        '<a href="https://x.y" href="javascript:alert(1)">x</a>',
+        '<a href=" javascript:alert(1)">x</a>',
+        '<a href="\tjavascript:alert(1)">x</a>',
+        '<a href="&#x20;&#x09;javascript:alert(1)">x</a>',
+        '<a href="ja&#x0D;vascript:alert(1)">x</a>',
+        '<a href="jav&#x0A;ascript:alert(1)">x</a>',
+        '<a href="javascript&#x3A;alert(1)">x</a>',
+        '<a href="&#106&#97&#118&#97&#115&#99&#114&#105&#112&#116&#58alert(1)">x</a>',
+        '<a href="&#0000106&#0000097&#0000118&#0000097&#0000115&#0000099&#0000114&#0000105&#0000112&#0000116&#0000058alert(1)">x</a>',
+        '<a href="&#x6A&#x61&#x76&#x61&#x73&#x63&#x72&#x69&#x70&#x74&#x3A;alert(1)">x</a>',
+        '<a href="&Tab;javascript:alert(1)">x</a>',
+        '<a href="javascript&NewLine;:alert(1)">x</a>',
+        '<a href="JaVaScRiPt:alert(1)">x</a>',
+        '<a href="jAvAsCrIpT&colon;alert&lpar;1&rpar;">x</a>',
+        '<a href="vbscript:msgbox(1)">x</a>',
+        '<a href="livescript:alert(1)">x</a>',
+        '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+        '<a href="data:image/png;base64,AAAA">x</a>',
+        '<a href="javascript://%0aalert(1)">x</a>',
+        '<a href="javascript://https://x.y/%0aalert(1)">x</a>',
+        '<a href="https:javascript:alert(1)">x</a>',
+        '<a href="java&#x09;script:alert(1)">x</a>',
+        '<a href="&#x01;javascript:alert(1)">x</a>',
+        '<a href="\u0000javascript:alert(1)">x</a>',
+        '<a href="java\u0000script:alert(1)">x</a>',
+        '<a href="javascript\u200b:alert(1)">x</a>',
+        '<a href="\u00a0javascript:alert(1)">x</a>',
+        '<img src="javascript:alert(1)">',
+        '<img src="data:text/html,<script>alert(1)</script>">',
+        '<img src=" data:image/svg+xml,<svg/onload=alert(1)>">',
+        '<img src="DATA:IMAGE/SVG+XML,x">'
+    ],
+
+    /**
+     * PAYLOAD MARKDOWN (ditulis tangan)
+     */
+    markdown: [
+        '[x](javascript:alert(1))',
+        '[x](JAVASCRIPT:alert(1))',
+        '[x](jav&#x61;script:alert(1))',
+        '[x](javascript&colon;alert(1))',
+        '[x](<javascript:alert(1)>)',
+        '[x](  javascript:alert(1)  )',
+        '[x](java\tscript:alert(1))',
+        '[x](java%0Ascript:alert(1))',
+        '[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+        '[x](vbscript:msgbox(1))',
+        '[x][r]\n\n[r]: javascript:alert(1)',
+        '[x][r]\n\n[r]: <javascript:alert(1)> "t"',
+        '<javascript:alert(1)>',
+        '<JaVaScRiPt:alert(1)>',
+        '![x](javascript:alert(1))',
+        '![x](data:image/svg+xml,<svg onload=alert(1)>)',
+        '![x"onerror="alert(1)](x)',
+        '![x](x "t\\"onerror=\\"alert(1)")',
+        '[x](https://x.y "t\\" onmouseover=\\"alert(1)")',
+        '[x"onclick="alert(1)](https://x.y)',
+        '<script>alert(1)</script>',
+        '<img src=x onerror=alert(1)>',
+        'teks <img src=x onerror=alert(1)> inline',
+        '<div>\n<img src=x onerror=alert(1)>\n</div>',
+        '<svg onload=alert(1)>',
+        '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+        '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+        '<!-- <img src=x onerror=alert(1)> -->',
+        '`<img src=x onerror=alert(1)>`',
+        '```html\n<img src=x onerror=alert(1)>\n```',
+        '```"><img src=x onerror=alert(1)>\nx\n```',
+        '```js" onmouseover="alert(1)\nx\n```',
+        '# <img src=x onerror=alert(1)>',
+        '# judul {#x onclick=alert(1)}',
+        '- [x] <input onfocus=alert(1) autofocus>',
+        '- [ ] [x](javascript:alert(1))',
+        '| a |\n|---|\n| <img src=x onerror=alert(1)> |',
+        '| a |\n|---|\n| [x](javascript:alert(1)) |',
+        '> <img src=x onerror=alert(1)>',
+        'Term\n: <img src=x onerror=alert(1)>',
+        '[[toc]]\n\n# <img src=x onerror=alert(1)>',
+        '$<img src=x onerror=alert(1)>$',
+        '$$\n</math><img src=x onerror=alert(1)>\n$$',
+        '$\\text{<img src=x onerror=alert(1)>}$',
+        '$\\href{javascript:alert(1)}{x}$',
+        '$x</annotation><img src=x onerror=alert(1)>$',
+        '$$\n\\begin{x}<script>alert(1)</script>\n$$',
+        '*<img src=x onerror=alert(1)>*',
+        '**[x](javascript:alert(1))**',
+        '~~<svg onload=alert(1)>~~',
+        '[![x](x)](javascript:alert(1))',
+        '<a href="javascript:alert(1)">x</a>',
+        '<a href="https://x.y" onclick="alert(1)">x</a>',
+        '\\<img src=x onerror=alert(1)>',
+        '&lt;img src=x onerror=alert(1)&gt;',
+        '&#60;img src=x onerror=alert(1)&#62;',
+        '<https://x.y/"onmouseover="alert(1)>',
+        'https://x.y/?"><img src=x onerror=alert(1)>',
+        '[x](https://x.y/"><img src=x onerror=alert(1)>)',
+        '<p\nonclick=alert(1)>x</p>',
+        '<img\nsrc=x\nonerror=alert(1)>',
+        '<details open ontoggle=alert(1)>\n\nx\n\n</details>'
+    ],
+
+    /**
+     * URL berbahaya untuk variasi yang dibangkitkan
+     * (ditulis apa adanya di atribut HTML / markdown)
+     */
+    dangerousURLs: [
+        'javascript:alert(1)',
+        'JaVaScRiPt:alert(1)',
+        'javascript:alert(1)//https://x.y',
+        '\tjavascript:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        'java\rscript:alert(1)',
+        '\u0001javascript:alert(1)',
+        '\u001fjavascript:alert(1)',
+        'javascript\u0000:alert(1)',
+        '&#106;avascript:alert(1)',
+        '&#x6A;avascript:alert(1)',
+        '&#x0006A;avascript:alert(1)',
+        '&#0000106avascript:alert(1)',
+        'jav&#x09;ascript:alert(1)',
+        'jav&#x0A;ascript:alert(1)',
+        'jav&#13;ascript:alert(1)',
+        '&#x20;javascript:alert(1)',
+        'javascript&#58;alert(1)',
+        'javascript&#x3a;alert(1)',
+        'javascript&colon;alert(1)',
+        'java&Tab;script:alert(1)',
+        'vbscript:msgbox(1)',
+        'VBSCRIPT:msgbox(1)',
+        'livescript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+        'DATA:text/html,x',
+        'data:image/svg+xml,<svg onload=alert(1)>',
+        'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+',
+        'data:application/javascript,alert(1)'
+    ],
+
+    /**
+     * Konteks tempat URL disisipkan ({u} = URL)
+     */
+    urlContexts: [
+        { source: 'html', template: '<a href="{u}">x</a>' },
+        { source: 'html', template: '<a href=\'{u}\'>x</a>' },
+        { source: 'html', template: '<img src="{u}">' },
+        { source: 'html', template: '<p><a title="t" href="{u}">x</a></p>' },
+        { source: 'markdown', template: '[x]({u})' },
+        { source: 'markdown', template: '![x]({u})' },
+        { source: 'markdown', template: '[x][r]\n\n[r]: {u}' },
+        { source: 'markdown', template: '<{u}>' }
+    ],
+
+    /**
+     * Event handler x tag untuk variasi yang dibangkitkan
+     */
+    handlers: [
+        'onerror', 'onload', 'onclick', 'onmouseover', 'onfocus', 'onblur',
+        'onanimationstart', 'ontoggle', 'onpointerenter', 'onbegin', 'onwheel', 'ONERROR'
+    ],
+    handlerTags: [
+        '<img src=x {h}=alert(1)>',
+        '<p {h}=alert(1)>x</p>',
+        '<a href="#" {h}="alert(1)">x</a>',
+        '<h2 id="x" {h}=alert(1)>x</h2>',
+        '<span class="tok-keyword" {h}=alert(1)>x</span>',
+        '<input type="checkbox" autofocus {h}=alert(1)>',
+        '<table {h}=alert(1)><tr><td {h}=alert(1)>x</td></tr></table>',
+        '<svg {h}=alert(1)>',
+        '<math {h}=alert(1)><mi {h}=alert(1)>x</mi></math>',
+        '<details open {h}=alert(1)>x</details>'
+    ],
+
+    /**
+     * PERBANDINGAN JALUR DOM vs TANPA DOM
+     *
+     * output = hasil jalur DOM (browser). Di browser dicek dua-duanya:
+     * sanitize() (DOM) dan sanitizeString() (tokenizer, dipakai Node.js);
+     * di Node.js sanitize() sendiri sudah lewat tokenizer.
+     * Jadi kedua jalur harus menghasilkan HTML yang persis sama.
+     * Fokus: decode entity (named HTML5, legacy tanpa ;, numeric).
+     */
+    agreement: [
+        { source: 'html', input: '<p>&AElig; &hellip; &copy;</p>',
+            output: '<p>Æ … ©</p>' },
+        { source: 'html', input: '<p>&HilbertSpace; &NotEqualTilde; &ngE; &DifferentialD;</p>',
+            output: '<p>ℋ ≂\u0338 ≧\u0338 ⅆ</p>' },
+        { source: 'html', input: '<p>&notit; &notin; &copy2024 &amp &ampx &lt3 &bogus; &;</p>',
+            output: '<p>¬it; ∉ ©2024 &amp; &amp;x &lt;3 &amp;bogus; &amp;;</p>' },
+        { source: 'html', input: '<p>&nbsp;&Tab;&NewLine;&quot;&apos;&lt;&gt;</p>',
+            output: '<p>&nbsp;\t\n"\'&lt;&gt;</p>' },
+        { source: 'html', input: '<p>&#x41 &#65; &#0; &#x110000; &#xD800; &#128; &#x9F; &#129;</p>',
+            output: '<p>A A \uFFFD \uFFFD \uFFFD € Ÿ \u0081</p>' },
+        { source: 'html', input: '<a href="?a=1&copy=2&not;x&amp;y" title="&copyx &copy &copy= &AElig">x</a>',
+            output: '<a href="?a=1&amp;copy=2¬x&amp;y" title="&amp;copyx © &amp;copy= Æ">x</a>' },
+        { source: 'html', input: '<img src="x.png" alt="&quot;q&quot; &nbsp; &amp;amp;">',
+            output: '<img src="x.png" alt="&quot;q&quot; &nbsp; &amp;amp;">' },
+        { source: 'html', input: '<a href="java&Tab;script&colon;alert(1)">x</a>',
+            output: '<a>x</a>' },
+        { source: 'html', input: '<a href="&#106avascript&#x3A;alert(1)">x</a>',
+            output: '<a>x</a>' },
+        { source: 'markdown', input: '&AElig; &HilbertSpace; &copy [x](https://x.y/?a=&AElig;&b "&ngE;")',
+            output: '<p>Æ ℋ &amp;copy <a href="https://x.y/?a=%C3%86&amp;b" title="≧\u0338" target="_blank" rel="noopener noreferrer">x</a></p>\n' },
+        { source: 'markdown', input: '<span title="&AElig">&frac34;</span>',
+            output: '<p><span>¾</span></p>\n' }
+    ],
+
+    /**
+     * CASES
+     *
+     * @returns {Array<Object>} - { source: 'html'|'markdown', input }
+     */
+    cases: function() {
+        const cases = [];
+        this.html.forEach(input => cases.push({ source: 'html', input: input }));
+        this.markdown.forEach(input => cases.push({ source: 'markdown', input: input }));
+
+        this.dangerousURLs.forEach(url => {
+            this.urlContexts.forEach(context => {
+                // URL dengan newline tidak bisa dipakai di markdown satu baris
+                if (context.source === 'markdown' && /[\n\r]/.test(url)) {
+                    return;
+                }
+                cases.push({ source: context.source, input: context.template.split('{u}').join(url) });
+            });
+        });
+
+        this.handlers.forEach(handler => {
+            this.handlerTags.forEach(template => {
+                cases.push({ source: 'html', input: template.split('{h}').join(handler) });
+            });
+        });
+
+        return cases;
+    },
+
+    /**
+     * RENDER satu case lewat jalur yang sama dengan preview
+     */
+    render: function(testCase) {
+        const html = testCase.source === 'markdown'
+            ? MarkdownParser.parse(testCase.input)
+            : testCase.input;
+        return HTMLSanitizer.sanitize(html);
+    },
+
+    /**
+     * CHECKER (independen dari HTMLSanitizer)
+     */
+    unsafeTags: /^(script|style|iframe|frame|frameset|object|embed|applet|base|link|meta|form|button|select|option|textarea|template|noscript|noembed|noframes|xmp|plaintext|listing|title|svg|foreignobject|annotation-xml|portal|image)$/,
+    htmlNamespace: 'http://www.w3.org/1999/xhtml',
+    mathNamespace: 'http://www.w3.org/1998/Math/MathML',
+    unsafeStyle: /url|expression|@import|javascript|behavior|binding|position|\\|\/\*/i,
+    urlAttributes: ['href', 'src', 'action', 'formaction', 'xlink:href', 'data', 'srcdoc', 'poster', 'background', 'to', 'values'],
+
+    /**
+     * FIND PROBLEM
+     *
+     * @param {Node} root - Fragment / body hasil parse output sanitizer
+     * @returns {string|null} - Penjelasan masalah, null jika aman
+     */
+    findProblem: function(root) {
+        const elements = root.querySelectorAll('*');
+        for (let i = 0; i < elements.length; i++) {
+            const element = elements[i];
+            const problem = this.elementProblem(element.localName.toLowerCase(), element.namespaceURI,
+                Array.from(element.attributes, attr => ({ name: attr.name, value: attr.value })));
+            if (problem) {
+                return problem;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * FIND PROBLEM IN STRING (tanpa DOM, untuk Node.js)
+     *
+     * Output jalur tanpa DOM selalu ditulis ulang dengan format tetap:
+     * <tag nama="nilai">, '<' di text dan '"' di nilai atribut di-escape.
+     * Apa pun di luar format itu dianggap masalah. Di dalam <math> semua
+     * element dianggap MathML (lebih keras dari browser).
+     *
+     * @param {string} html - Output sanitizer
+     * @returns {string|null}
+     */
+    findProblemInString: function(html) {
+        const tag = /<(\/?)([a-zA-Z][^\s/>]*)((?:\s[^\s"'>/=]+(?:="[^"]*")?)*)\s*(\/?)>/y;
+        const decode = value => value.replace(/&(amp|quot|nbsp|lt|gt);/g, (entity, name) =>
+            ({ amp: '&', quot: '"', nbsp: '\u00a0', lt: '<', gt: '>' })[name]);
+        let mathDepth = 0;
+
+        for (let lt = html.indexOf('<'); lt !== -1; lt = html.indexOf('<', tag.lastIndex)) {
+            tag.lastIndex = lt;
+            const match = tag.exec(html);
+            if (!match) {
+                return `'<' di luar tag: ${JSON.stringify(html.slice(lt, lt + 40))}`;
+            }
+
+            const tagName = match[2].toLowerCase();
+            if (match[1]) {
+                mathDepth -= tagName === 'math' && mathDepth > 0 ? 1 : 0;
+                continue;
+            }
+
+            const attributes = [];
+            const attribute = /\s([^\s"'>/=]+)(?:="([^"]*)")?/g;
+            let found;
+            while ((found = attribute.exec(match[3]))) {
+                // Selain &amp; &quot; dst, entity tidak pernah ditulis sanitizer
+                if (/&(?!(amp|quot|nbsp|lt|gt);)/.test(found[2] || '')) {
+                    return `entity di nilai ${found[1]} <${tagName}>: ${JSON.stringify(found[2])}`;
+                }
+                attributes.push({ name: found[1], value: decode(found[2] || '') });
+            }
+
+            const isMath = tagName === 'math' || mathDepth > 0;
+            const problem = this.elementProblem(tagName, isMath ? this.mathNamespace : this.htmlNamespace, attributes);
+            if (problem) {
+                return problem;
+            }
+            if (tagName === 'math' && !match[4]) {
+                mathDepth++;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * ELEMENT PROBLEM
+     *
+     * @param {string} tagName - Lowercase
+     * @param {string} namespace
+     * @param {Array<Object>} attributes - [{ name, value }]
+     * @returns {string|null}
+     */
+    elementProblem: function(tagName, namespace, attributes) {
+        if (namespace !== this.htmlNamespace && namespace !== this.mathNamespace) {
+            return `namespace ${namespace} (<${tagName}>)`;
+        }
+        if (this.unsafeTags.test(tagName)) {
+            return `tag <${tagName}>`;
+        }
+        if (namespace === this.mathNamespace && /^(a|style|script|img)$/.test(tagName)) {
+            return `tag MathML <${tagName}>`;
+        }
+
+        for (let j = 0; j < attributes.length; j++) {
+            const name = attributes[j].name.toLowerCase();
+            const value = attributes[j].value;
+            if (name.startsWith('on')) {
+                return `atribut ${name} di <${tagName}>`;
+            }
+            // is="..." = customized built-in element (konstruktor dari halaman)
+            if (name === 'srcdoc' || name === 'formaction' || name === 'is') {
+                return `atribut ${name} di <${tagName}>`;
+            }
+            if (name === 'style' && this.unsafeStyle.test(value)) {
+                return `style ${JSON.stringify(value)} di <${tagName}>`;
+            }
+            if (this.urlAttributes.includes(name) && this.isDangerousURL(value)) {
+                return `URL ${JSON.stringify(value)} di ${name} <${tagName}>`;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * IS DANGEROUS URL (versi checker)
+     *
+     * Buang semua whitespace & control char, lalu cari protocol berbahaya.
+     * Sengaja lebih keras dari browser.
+     */
+    isDangerousURL: function(value) {
+        const compact = value.replace(/[\u0000-\u0020\u007f-\u00a0\u200b-\u200f\u2028\u2029\u3000\ufeff]/g, '').toLowerCase();
+        if (/^(javascript|vbscript|livescript):/.test(compact)) {
+            return true;
+        }
+        return /^data:/.test(compact) && !/^data:image\/(png|jpeg|gif|webp)[;,]/.test(compact);
+    },
+
+    /**
+     * CHECK satu case
+     *
+     * @returns {Object} - { output, problem } (problem null = lolos)
+     */
+    check: function(testCase) {
+        let output;
+        try {
+            output = this.render(testCase);
+        } catch (error) {
+            return { output: '', problem: `error: ${error.message}` };
+        }
+
+        let problem;
+        if (typeof document === 'undefined') {
+            // Node.js: output tokenizer dicek sebagai string
+            problem = this.findProblemInString(output);
+        } else {
+            // 1. Output di-parse seperti sanitizer (template)
+            const template = document.createElement('template');
+            template.innerHTML = output;
+            problem = this.findProblem(template.content);
+        }
+
+        // 2. Parse ulang sebagai dokumen utuh (konteks <body>)
+        if (!problem && typeof document !== 'undefined') {
+            const parsed = new DOMParser().parseFromString(`<!DOCTYPE html><body>${output}`, 'text/html');
+            problem = this.findProblem(parsed.body);
+            if (problem) {
+                problem = `setelah parse ulang: ${problem}`;
+            }
+        }
+
+        // 3. Stabil (output kosong / whitespace saja selalu menjadi '')
+        if (!problem && output.trim() !== '' && HTMLSanitizer.sanitize(output) !== output) {
+            problem = 'tidak stabil: sanitize(output) !== output';
+        }
+
+        return { output: output, problem: problem };
+    },
+
+    /**
+     * CHECK AGREEMENT satu case perbandingan
+     *
+     * @returns {Object} - { output, problem } (problem null = lolos)
+     */
+    checkAgreement: function(testCase) {
+        const html = testCase.source === 'markdown'
+            ? MarkdownParser.parse(testCase.input)
+            : testCase.input;
+        const outputs = {};
+        if (typeof document !== 'undefined') {
+            outputs['DOM'] = this.render(testCase);
+        }
+        outputs['tanpa DOM'] = HTMLSanitizer.sanitizeString(html);
+
+        const different = Object.keys(outputs).find(path => outputs[path] !== testCase.output);
+        return {
+            output: different ? outputs[different] : testCase.output,
+            problem: different ? `jalur ${different} berbeda, seharusnya ${JSON.stringify(testCase.output)}` : null
+        };
+    },
+
+    /**
+     * RUN (statis)
+     *
+     * @returns {Object} - { total, failures: [{ case, output, problem }] }
+     */
+    run: function() {
+        const cases = this.cases();
+        const failures = [];
+        const collect = (testCase, result) => {
+            if (result.problem) {
+                failures.push({ case: testCase, output: result.output, problem: result.problem });
+            }
+        };
+        cases.forEach(testCase => collect(testCase, this.check(testCase)));
+        this.agreement.forEach(testCase => collect(testCase, this.checkAgreement(testCase)));
+        return { total: cases.length + this.agreement.length, failures: failures };
+    },
+
+    /**
+     * RUN LIVE (dinamis)
+     *
+     * Semua output dimasukkan ke container di halaman ini.
+     * alert/confirm/prompt diganti pencatat; jika ada yang terpanggil,
+     * berarti ada payload yang berhasil jalan.
+     *
+     * @param {Element} container - Tempat render (boleh tersembunyi)
+     * @param {number} [wait] - ms menunggu onerror/onload (default 1000)
+     * @returns {Promise<Array<string>>} - Pemanggilan yang tercatat
+     */
+    runLive: function(container, wait) {
+        const calls = [];
+        ['alert', 'confirm', 'prompt', 'print'].forEach(name => {
+            window[name] = (...args) => calls.push(`${name}(${args.join(', ')})`);
+        });
+
+        this.cases().forEach(testCase => {
+            const item = document.createElement('div');
+            item.innerHTML = this.render(testCase);
+            container.appendChild(item);
+        });
+
+        return new Promise(resolve => {
+            setTimeout(() => resolve(calls), wait === undefined ? 1000 : wait);
+        });
+    },
+
+    /**
+     * REPORT: tulis hasil ke halaman corpus
+     */
+    report: async function() {
+        const summary = document.getElementById('corpus-summary');
+        const list = document.getElementById('corpus-failures');
+        const result = this.run();
+
+        result.failures.forEach(failure => {
+            const item = document.createElement('li');
+            item.textContent = `[${failure.case.source}] ${failure.problem}\n` +
+                `  input : ${failure.case.input}\n  output: ${failure.output}`;
+            list.appendChild(item);
+        });
+
+        summary.textContent = `Statis: ${result.total - result.failures.length} / ${result.total} lolos. Uji dinamis berjalan...`;
+        const calls = await this.runLive(document.getElementById('corpus-render'));
+        calls.forEach(call => {
+            const item = document.createElement('li');
+            item.textContent = `[dinamis] terpanggil: ${call}`;
+            list.appendChild(item);
+        });
+
+        const ok = result.failures.length === 0 && calls.length === 0;
+        summary.textContent = `${ok ? '✓' : '❌'} Statis: ${result.total - result.failures.length} / ${result.total} lolos · ` +
+            `Dinamis: ${calls.length} pemanggilan alert/confirm/prompt`;
+        document.body.classList.add(ok ? 'pass' : 'fail');
+        console.log(ok ? '✓ Sanitizer corpus lolos' : '❌ Sanitizer corpus gagal', result.failures, calls);
+    }
+};
+
+// Di Node.js (tests/sanitizer-corpus.mjs) run() dipanggil langsung
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => SanitizerCorpus.report());
+}
+
+/**
+ * CONTOH PENGGUNAAN:
+ *
+ * // Buka tests/sanitizer-corpus.html di browser (file://, offline)
+ * // atau dari console halaman itu:
+ * SanitizerCorpus.run();
+ * // { total: 500-an, failures: [] }
+ *
+ * SanitizerCorpus.check({ source: 'markdown', input: '[x](javascript:alert(1))' });
+ * // { output: '<p><a>x</a></p>', problem: null }
+ */
@@ -0,0 +1,36 @@
+/**
+ * ============================================
+ * SANITIZER CORPUS (NODE.JS)
+ * ============================================
+ *
+ * Corpus yang sama dengan tests/sanitizer-corpus.html, tapi lewat
+ * jalur tanpa DOM (tokenizer di sanitizer.js, lihat lib/markdown.mjs).
+ * Case agreement harus sama persis dengan hasil jalur DOM di browser.
+ *
+ * PEMAKAIAN:
+ *   node tests/sanitizer-corpus.mjs
+ *
+ * Exit code 1 jika ada case yang gagal.
+ *
+ * TEKNIK YANG DIPELAJARI:
+ * 1. Menjalankan classic script yang sama di browser & Node.js
+ */
+
+import { readFile } from 'node:fs/promises';
+import { MarkdownParser, HTMLSanitizer } from '../lib/markdown.mjs';
+
+// sanitizer-corpus.js adalah classic script: jalankan dengan parser & sanitizer sebagai "global"
+const source = await readFile(new URL('./sanitizer-corpus.js', import.meta.url), 'utf8');
+const SanitizerCorpus = new Function('MarkdownParser', 'HTMLSanitizer', `${source}
+return SanitizerCorpus;`)(MarkdownParser, HTMLSanitizer);
+
+const result = SanitizerCorpus.run();
+
+result.failures.forEach(failure => {
+    console.error(`❌ [${failure.case.source}] ${failure.problem}\n` +
+        `  input : ${failure.case.input}\n  output: ${failure.output}`);
+});
+
+const ok = result.failures.length === 0;
+console.log(`${ok ? '✓' : '❌'} Statis (tanpa DOM): ${result.total - result.failures.length} / ${result.total} lolos`);
+process.exitCode = ok ? 0 : 1;
@@ -1,55 +1,39 @@
-// app.js sebagai modul utama to-do list Zen Tasker
-// Menggunakan modular programming dan menulis semua logika dalam satu file
+// app.js sebagai controller UI to-do list Zen Tasker
+// Semua data & logika task ada di ZenTaskManager (taskManager.js) dan ZenStorage (storage.js),
+// file ini hanya menghubungkan DOM dengan zenTaskManager
 // Semua fungsi diberi komentar untuk belajar
 
-// Penyimpanan dan pembacaan task di localStorage
-const STORAGE_KEY = 'zenTaskerTasks';
-
 // Elemen DOM utama
 const newTaskInput = document.getElementById('new-task'); // input tambah tugas
 const addTaskBtn = document.getElementById('add-task-btn'); // tombol tambah tugas
 const taskList = document.getElementById('task-list'); // container list tugas
 const filterButtons = document.querySelectorAll('.filter-btn'); // tombol filter tugas
 
-// State aplikasi simpan semua task dalam array objek {id, description, completed}
-let tasks = [];
-
-// Fungsi menyimpan tasks ke localStorage dalam bentuk string JSON
-function saveTasks() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(tasks));
-}
-
-// Fungsi membaca tasks dari localStorage dan parsing balik ke array
-function loadTasks() {
-  const saved = localStorage.getItem(STORAGE_KEY);
-  tasks = saved ? JSON.parse(saved) : [];
-}
-
 // Membuat elemen li untuk satu task, dengan checkbox dan tombol hapus
 function createTaskElement(task) {
   const li = document.createElement('li');
   li.className = 'task-item';
   if (task.completed) li.classList.add('completed');
-  li.dataset.id = task.id;
+  li.dataset.taskId = task.id; // data-task-id dipakai ZenAnimations
 
   // Checkbox untuk menandai selesai / belum selesai
   const checkbox = document.createElement('input');
   checkbox.type = 'checkbox';
   checkbox.className = 'task-checkbox';
   checkbox.checked = task.completed;
-  checkbox.addEventListener('change', () => toggleTaskCompleted(task.id));
+  checkbox.addEventListener('change', () => zenTaskManager.toggleTask(task.id));
 
   // Deskripsi task
   const desc = document.createElement('p');
   desc.className = 'task-desc';
-  desc.textContent = task.description;
+  desc.textContent = task.text;
 
   // Tombol hapus task
   const deleteBtn = document.createElement('button');
   deleteBtn.className = 'task-delete-btn';
   deleteBtn.textContent = '×';
-  deleteBtn.setAttribute('aria-label', `Hapus tugas: ${task.description}`);
-  deleteBtn.addEventListener('click', () => deleteTask(task.id));
+  deleteBtn.setAttribute('aria-label', `Hapus tugas: ${task.text}`);
+  deleteBtn.addEventListener('click', () => zenTaskManager.deleteTask(task.id));
 
   // Susun dalam elemen li
   li.appendChild(checkbox);
@@ -59,92 +43,99 @@ function createTaskElement(task) {
   return li;
 }
 
-// Render daftar tugas ke DOM berdasarkan filter saat ini
-function renderTasks(filter = 'all') {
-  // Bersihkan semua children di taskList
-  taskList.innerHTML = '';
+// Samakan elemen li yang sudah ada dengan data task terbaru
+function updateTaskElement(li, task) {
+  li.classList.toggle('completed', task.completed);
+  li.querySelector('.task-checkbox').checked = task.completed;
+  li.querySelector('.task-desc').textContent = task.text;
+  li.querySelector('.task-delete-btn').setAttribute('aria-label', `Hapus tugas: ${task.text}`);
+}
 
-  // Filter task sesuai filter
-  let filteredTasks = [];
-  switch (filter) {
-    case 'active':
-      filteredTasks = tasks.filter(t => !t.completed);
-      break;
-    case 'completed':
-      filteredTasks = tasks.filter(t => t.completed);
-      break;
-    default:
-      filteredTasks = tasks;
-  }
+// Render daftar tugas ke DOM (sudah difilter & diurutkan oleh zenTaskManager)
+// List di-patch per id task, bukan dibuat ulang, agar animasi ZenAnimations
+// pada elemen yang sama tidak langsung hilang
+function renderTasks(tasks) {
+  const ids = new Set(tasks.map(task => task.id));
+  const existing = new Map();
+  taskList.querySelectorAll('.task-item').forEach(li => {
+    if (ids.has(li.dataset.taskId)) {
+      existing.set(li.dataset.taskId, li);
+    } else if (!li.classList.contains('task-delete-animation')) {
+      // Task dihapus / tidak lolos filter; yang sedang dianimasikan
+      // dihapus sendiri oleh ZenAnimations setelah animasinya selesai
+      li.remove();
+    }
+  });
 
-  // Render each task ke DOM
-  filteredTasks.forEach(task => {
-    const taskElement = createTaskElement(task);
-    taskList.appendChild(taskElement);
+  // Susun sesuai urutan tasks, elemen yang sudah di tempatnya tidak dipindah
+  let cursor = taskList.firstElementChild;
+  tasks.forEach(task => {
+    let li = existing.get(task.id);
+    if (li) {
+      updateTaskElement(li, task);
+    } else {
+      li = createTaskElement(task);
+    }
+
+    // Lewati elemen yang sedang dianimasikan hapus
+    while (cursor && !ids.has(cursor.dataset.taskId)) {
+      cursor = cursor.nextElementSibling;
+    }
+    if (li === cursor) {
+      cursor = cursor.nextElementSibling;
+    } else {
+      taskList.insertBefore(li, cursor);
+    }
   });
 }
 
-// Tambah task baru ke array dan simpan kemudian render ulang
+// Tambah task baru lewat zenTaskManager (validasi & simpan ada di sana)
 function addTask(description) {
   // Trim untuk menghindari spasi kosong
-  const descTrimmed = description.trim();
-  if (!descTrimmed) return alert('Masukkan deskripsi tugas sebelum menambah.');
-
-  // Buat objek task baru dengan id unik timestamp + random
-  const newTask = {
-    id: `${Date.now()}-${Math.floor(Math.random() * 1000)}`,
-    description: descTrimmed,
-    completed: false
-  };
-
-  tasks.push(newTask);
-  saveTasks();
-  renderTasks(getCurrentFilter());
-  newTaskInput.value = ''; // Kosongkan input setelah tambah
-}
-
-// Hapus task dengan id tertentu dari array
-function deleteTask(taskId) {
-  tasks = tasks.filter(t => t.id !== taskId);
-  saveTasks();
-  renderTasks(getCurrentFilter());
-}
+  if (!description.trim()) return alert('Masukkan deskripsi tugas sebelum menambah.');
 
-// Toggle status completed task
-function toggleTaskCompleted(taskId) {
-  const task = tasks.find(t => t.id === taskId);
-  if (!task) return;
-  task.completed = !task.completed;
-  saveTasks();
-  renderTasks(getCurrentFilter());
+  if (zenTaskManager.createTask(description)) {
+    newTaskInput.value = ''; // Kosongkan input setelah tambah
+  }
 }
 
-// Mendapatkan filter aktif saat ini dari tombol filter
-function getCurrentFilter() {
-  const activeBtn = [...filterButtons].find(btn => btn.classList.contains('active'));
-  return activeBtn ? activeBtn.dataset.filter : 'all';
+// Tandai tombol filter yang aktif
+function updateFilterButtons(filter) {
+  filterButtons.forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.filter === filter);
+  });
 }
 
-// Event handler untuk filter klik tombol
-function handleFilterClick(event) {
-  // Hilangkan active dari semua tombol
-  filterButtons.forEach(btn => btn.classList.remove('active'));
-
-  // Tambah active pada tombol yang dipilih
-  const btn = event.target;
-  btn.classList.add('active');
-
-  // Render ulang task sesuai filter yang dipilih
-  renderTasks(btn.dataset.filter);
+// Pesan error zenTaskManager (per kode error) dalam bahasa Indonesia untuk alert
+const ERROR_MESSAGES = {
+  'invalid-text': 'Deskripsi tugas wajib diisi, maksimal 500 karakter.',
+  'not-found': 'Tugas tidak ditemukan, mungkin sudah dihapus.',
+  'save-failed': 'Gagal menyimpan tugas.',
+  'update-failed': 'Gagal memperbarui tugas.',
+  'delete-failed': 'Gagal menghapus tugas.'
+};
+
+// Event dari zenTaskManager: render ulang setiap kali data atau filter berubah
+function handleTaskManagerEvent(event, data) {
+  switch (event) {
+    case 'tasksUpdated':
+      renderTasks(data);
+      break;
+    case 'filterChanged':
+      updateFilterButtons(data);
+      break;
+    case 'error':
+      alert(ERROR_MESSAGES[data.code] || 'Terjadi kesalahan, coba lagi.');
+      break;
+  }
 }
 
 // Event setup dan initial render ketika halaman selesai dimuat
 function init() {
-  // Load data dari localStorage
-  loadTasks();
-
-  // Render task semua saat awal
-  renderTasks();
+  // Dengarkan perubahan dari zenTaskManager, lalu render task sesuai filter saat ini
+  zenTaskManager.addObserver(handleTaskManagerEvent);
+  updateFilterButtons(zenTaskManager.currentFilter);
+  renderTasks(zenTaskManager.getFilteredTasks());
 
   // Event tombol tambah task
   addTaskBtn.addEventListener('click', () => addTask(newTaskInput.value));
@@ -158,7 +149,7 @@ function init() {
 
   // Event untuk tombol filter
   filterButtons.forEach(btn => {
-    btn.addEventListener('click', handleFilterClick);
+    btn.addEventListener('click', () => zenTaskManager.setFilter(btn.dataset.filter));
   });
 }
 
@@ -7,6 +7,8 @@ class ZenStorage {
     constructor() {
         this.storageKey = 'zenTasker_tasks';
         this.settingsKey = 'zenTasker_settings';
+        // Key used by the old procedural app.js ({id, description, completed})
+        this.legacyStorageKey = 'zenTaskerTasks';
         this.isStorageAvailable = this.checkStorageAvailability();
     }
 
@@ -78,6 +80,66 @@ class ZenStorage {
         }
     }
 
+    /**
+     * Merge tasks saved by the old procedural app.js into the current store.
+     * The legacy key is removed afterwards, so this only runs once.
+     * @returns {number} Number of migrated tasks
+     */
+    migrateLegacyTasks() {
+        if (!this.isStorageAvailable) {
+            return 0;
+        }
+
+        let legacyTasks;
+        try {
+            const legacyJson = localStorage.getItem(this.legacyStorageKey);
+            if (legacyJson === null) {
+                return 0;
+            }
+            legacyTasks = JSON.parse(legacyJson);
+        } catch (error) {
+            console.error('Error reading legacy tasks from storage:', error);
+            return 0;
+        }
+
+        const tasks = this.getTasks();
+        const knownIds = new Set(tasks.map(task => task.id));
+        const migrated = (Array.isArray(legacyTasks) ? legacyTasks : [])
+            .filter(task =>
+                task &&
+                typeof task.description === 'string' &&
+                task.description.trim() &&
+                !knownIds.has(String(task.id))
+            )
+            .map(task => {
+                // Legacy IDs start with Date.now() of the moment they were created
+                const created = new Date(parseInt(task.id, 10));
+                const createdAt = (Number.isNaN(created.getTime()) ? new Date() : created).toISOString();
+                const completed = Boolean(task.completed);
+                // Same 500 character limit as ZenTaskManager.validateTaskText,
+                // but longer legacy text is cut instead of dropped
+                const text = task.description.trim().replace(/\s+/g, ' ').slice(0, 500).trim();
+
+                return {
+                    id: String(task.id),
+                    text,
+                    priority: 'medium',
+                    completed,
+                    createdAt,
+                    updatedAt: createdAt,
+                    completedAt: completed ? createdAt : null
+                };
+            });
+
+        // Keep the legacy key if saving failed, so the next load can retry
+        if (migrated.length > 0 && !this.saveTasks([...tasks, ...migrated])) {
+            return 0;
+        }
+
+        localStorage.removeItem(this.legacyStorageKey);
+        return migrated.length;
+    }
+
     /**
      * Add a new task
      * @param {Object} task - Task object to add
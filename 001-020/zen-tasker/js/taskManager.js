@@ -18,6 +18,7 @@ class ZenTaskManager {
      * Initialize the task manager
      */
     init() {
+        zenStorage.migrateLegacyTasks();
         this.loadTasks();
         this.loadSettings();
     }
@@ -52,7 +53,7 @@ class ZenTaskManager {
         // Validate input
         const validatedText = this.validateTaskText(text);
         if (!validatedText) {
-            this.notifyObservers('error', 'Task text is required and must be valid');
+            this.notifyError('invalid-text', 'Task text is required and must be valid');
             return null;
         }
 
@@ -77,7 +78,7 @@ class ZenTaskManager {
         if (!saved) {
             // Remove from memory if storage failed
             this.tasks = this.tasks.filter(t => t.id !== task.id);
-            this.notifyObservers('error', 'Failed to save task');
+            this.notifyError('save-failed', 'Failed to save task');
             return null;
         }
 
@@ -97,7 +98,7 @@ class ZenTaskManager {
     updateTask(taskId, updates) {
         const taskIndex = this.tasks.findIndex(task => task.id === taskId);
         if (taskIndex === -1) {
-            this.notifyObservers('error', 'Task not found');
+            this.notifyError('not-found', 'Task not found');
             return false;
         }
 
@@ -113,7 +114,7 @@ class ZenTaskManager {
         if (updates.text !== undefined) {
             const validatedText = this.validateTaskText(updates.text);
             if (!validatedText) {
-                this.notifyObservers('error', 'Invalid task text');
+                this.notifyError('invalid-text', 'Invalid task text');
                 return false;
             }
             updatedTask.text = validatedText;
@@ -136,7 +137,7 @@ class ZenTaskManager {
         if (!saved) {
             // Revert memory changes if storage failed
             this.tasks[taskIndex] = currentTask;
-            this.notifyObservers('error', 'Failed to update task');
+            this.notifyError('update-failed', 'Failed to update task');
             return false;
         }
 
@@ -155,7 +156,7 @@ class ZenTaskManager {
     deleteTask(taskId) {
         const taskIndex = this.tasks.findIndex(task => task.id === taskId);
         if (taskIndex === -1) {
-            this.notifyObservers('error', 'Task not found');
+            this.notifyError('not-found', 'Task not found');
             return false;
         }
 
@@ -169,7 +170,7 @@ class ZenTaskManager {
         if (!deleted) {
             // Restore to memory if storage failed
             this.tasks.splice(taskIndex, 0, deletedTask);
-            this.notifyObservers('error', 'Failed to delete task');
+            this.notifyError('delete-failed', 'Failed to delete task');
             return false;
         }
 
@@ -404,6 +405,16 @@ class ZenTaskManager {
         });
     }
 
+    /**
+     * Notify observers of an error
+     * @param {string} code - Stable error code for the UI (invalid-text, not-found,
+     *   save-failed, update-failed, delete-failed)
+     * @param {string} message - English description for logs
+     */
+    notifyError(code, message) {
+        this.notifyObservers('error', { code, message });
+    }
+
     /**
      * Refresh tasks from storage
      */
@@ -353,6 +353,12 @@ class ZenAnimations {
             if (taskElement) {
                 taskElement.classList.add('task-add-animation');
                 this.createRippleEffect(taskElement);
+                
+                // The list is patched in place, so drop the class once done
+                // or moving the element would replay the animation
+                setTimeout(() => {
+                    taskElement.classList.remove('task-add-animation');
+                }, 500);
             }
         });
     }
@@ -366,6 +372,11 @@ class ZenAnimations {
         if (taskElement) {
             taskElement.classList.add('task-complete-animation');
             
+            // Drop the class so the next toggle animates again
+            setTimeout(() => {
+                taskElement.classList.remove('task-complete-animation');
+            }, 400);
+            
             if (task.completed) {
                 // Add celebration particles
                 this.createCelebrationParticles(taskElement);